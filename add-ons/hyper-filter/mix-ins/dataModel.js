@@ -19,7 +19,7 @@ module.exports = {
 
     /**
      * @summary Set a particular column filter's state.
-     * @desc After setting the new filter state, reapplies the filter to the data source.
+     * @desc After setting the new filter state, reapplies the filter to the data source. (In remote transform mode, fires a transform request instead; see {@link dataModels.JSON#transform}.)
      * @param {number|string} columnIndexOrName - The _column filter_ to set.
      * @param {string|object} [state] - A filter tree object or a JSON, SQL, or CQL subexpression string that describes the a new state for the named column filter. The existing column filter subexpression is replaced with a new node based on this state. If it does not exist, the new subexpression is added to the column filters subtree (`filter.columnFilters`).
      *
@@ -35,7 +35,7 @@ module.exports = {
 
         this.filter.setColumnFilterState(columnName, state, options);
         this.grid.fireSyntheticFilterAppliedEvent();
-        this.reindex();
+        this.transform();
     },
 
     /**
@@ -56,7 +56,7 @@ module.exports = {
     setFilters: function(state, options) {
         this.filter.setColumnFiltersState(state, options);
         this.grid.fireSyntheticFilterAppliedEvent();
-        this.reindex();
+        this.transform();
     },
 
     /**
@@ -78,7 +78,7 @@ module.exports = {
     setTableFilter: function(state, options) {
         this.filter.setTableFilterState(state, options);
         this.grid.fireSyntheticFilterAppliedEvent();
-        this.reindex();
+        this.transform();
     },
 
 };
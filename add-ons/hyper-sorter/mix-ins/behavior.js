@@ -19,7 +19,8 @@ module.exports = {
             (hiddenColumns || this.getHiddenColumns())
         );
         if (dirty){
-            this.reindex();
+            this.dataModel.transform();
+            this.shapeChanged();
         }
     }
 
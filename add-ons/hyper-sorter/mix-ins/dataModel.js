@@ -6,6 +6,8 @@ var UPWARDS_BLACK_ARROW = '\u25b2', // aka '▲'
 module.exports = {
 
     /**
+     * @summary Cycle a column's sort state.
+     * @desc In remote transform mode, fires a transform request instead of sorting locally (see {@link dataModels.JSON#transform}).
      * @memberOf dataModels.JSON.prototype
      * @param column
      * @param keys
@@ -13,7 +15,7 @@ module.exports = {
     toggleSort: function(column, keys) {
         this.incrementSortState(column, keys);
         this.serializeSortState();
-        this.reindex();
+        this.transform();
     },
     /**
      * @memberOf dataModels.JSON.prototype
@@ -29,7 +31,7 @@ module.exports = {
             sorts.splice(sortPosition, 1); //Removed from sorts
             if (!deferred) {
                 this.sorter.prop('columnSorts', sorts);
-                this.reindex();
+                this.transform();
             }
         }
         this.serializeSortState();
@@ -177,6 +177,8 @@ var rowById = {
      * this.grid.behaviorChanged();
      * ```
      * Caveat: The row indexes of all rows following the deleted row will now be one less than they were!
+     *
+     * The deletion is undoable (see {@link dataModels.JSON#deleteRow}).
      * @param {object|string} keyOrHash - One of:
      * * _string_ - Column name.
      * * _object_ - Hash of 0 or more key-value pairs to search for.
@@ -187,7 +189,8 @@ var rowById = {
      * @returns {object} The deleted row object.
      */
     deleteRowById: function(keyOrHash, valOrList) {
-        return this.source.findRow.apply(this.source, getByIdArgs(keyOrHash, valOrList).concat([null]));
+        var dataRow = this.source.findRow.apply(this.source, getByIdArgs(keyOrHash, valOrList));
+        return dataRow && this.deleteRow(dataRow);
     },
 
     /**
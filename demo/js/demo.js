@@ -789,6 +789,8 @@ window.onload = function() {
     /**
      * @summary Listen for certain key presses from grid or cell editor.
      * @desc NOTE: fincanvas's internal char map yields mixed case while fin-editor-key* events do not.
+     *
+     * (Tab, Enter, Home, End, and Ctrl+arrows are built in; see the `keymap` grid property.)
      * @return {boolean} Not handled.
      */
     function handleCursorKey(e) {
@@ -797,7 +799,6 @@ window.onload = function() {
         if (detail.ctrl) {
             if (detail.shift) {
                 switch (key) {
-                    case 'A': grid.selectToViewportCell(0, 0); break;
                     case 'S': grid.selectToFinalCell(); break;
                     case 'D': grid.selectToFinalCellOfCurrentRow(); break;
                     case 'F': grid.selectToFirstCellOfCurrentRow(); break;
@@ -805,7 +806,6 @@ window.onload = function() {
                 }
             } else {
                 switch (key) {
-                    case 'A': grid.selectViewportCell(0, 0); break;
                     case 'S': grid.selectFinalCell(); break;
                     case 'D': grid.selectFinalCellOfCurrentRow(); break;
                     case 'F': grid.selectFirstCellOfCurrentRow(); break;
@@ -814,17 +814,6 @@ window.onload = function() {
             }
             // break: switch statement handled it
             return false;
-        } else {
-            var dir = detail.shift ? -1 : +1;
-            switch (key) {
-                case '\t': grid.moveSingleSelect(dir, 0); break; // move LEFT one cell
-                case '\r':
-                case '\n': grid.moveSingleSelect(0, dir); break; // move UP one cell
-                default: return true;
-            }
-            // break: switch statement handled it
-            detail.primitiveEvent.preventDefault();  // prevent TAB from moving focus off the canvas element
-            return false;
         }
         return true;
     }
@@ -1115,10 +1104,11 @@ window.onload = function() {
             return vc.columnIndex;
         }));
 
-        //see myThemes.js file for how to create a theme
-        //grid.addProperties(myThemes.one);
-        //grid.addProperties(myThemes.two);
-        //grid.addProperties(myThemes.three);
+        //see myThemes.js file for how to create and register a theme
+        //grid.applyTheme('one');
+        //grid.applyTheme('two');
+        //grid.applyTheme('three');
+        //grid.applyTheme('dark'); // built-in
 
         grid.takeFocus();
 
@@ -42,7 +42,6 @@ window.fin.Hypergrid.myThemes = {
 
         //for immediate painting, set these values to 0, true respectively
 
-        editorActivationKeys: ['alt', 'esc'],
         columnAutosizing: false,
         readOnly: false
     },
@@ -85,7 +84,6 @@ window.fin.Hypergrid.myThemes = {
 
         //for immediate painting, set these values to 0, true respectively
 
-        editorActivationKeys: ['alt', 'esc'],
         columnAutosizing: false,
         readOnly: false
     },
@@ -128,8 +126,11 @@ window.fin.Hypergrid.myThemes = {
 
         //for immediate painting, set these values to 0, true respectively
 
-        editorActivationKeys: ['alt', 'esc'],
         columnAutosizing: false,
         readOnly: false
     }
 };
+
+Object.keys(window.fin.Hypergrid.myThemes).forEach(function(name) {
+    window.fin.Hypergrid.registerTheme(name, window.fin.Hypergrid.myThemes[name]);
+});
@@ -16,6 +16,17 @@ var Renderer = require('./lib/Renderer');
 var SelectionModel = require('./lib/SelectionModel');
 var stylesheet = require('./lib/stylesheet');
 var Localization = require('./lib/Localization');
+var clipboard = require('./lib/clipboard');
+var exporter = require('./lib/exporter');
+var LayoutPersister = require('./lib/LayoutPersister');
+var UndoManager = require('./lib/UndoManager');
+var themes = require('./lib/themes');
+var keymap = require('./lib/keymap');
+var navigation = require('./lib/navigation');
+var Tooltip = require('./lib/Tooltip');
+var Validator = require('./lib/Validator');
+var fillSeries = require('./lib/fillSeries');
+var valOrFunc = require('./lib/valOrFunc');
 //var behaviors = require('./behaviors');
 var CellRenderers = require('./cellRenderers');
 var CellEditors = require('./cellEditors');
@@ -27,6 +38,13 @@ var themeInitialized = false,
 
 var warned = {};
 
+var enterKeyDeltas = {
+    down: { x: 0, y: 1 },
+    up: { x: 0, y: -1 },
+    right: { x: 1, y: 0 },
+    left: { x: -1, y: 0 }
+};
+
 /**s
  * @constructor
  * @param {string|Element} [container] - CSS selector or Element
@@ -44,6 +62,8 @@ var warned = {};
  * @param {pluginSpec|pluginSpec[]} [options.plugins]
  * @param {DataModels[]} [options.subgrids]
  * @param {string} [options.localization=Hypergrid.localization]
+ * @param {object|string} [options.autopersist] - Enables layout persistence. _(See {@link Hypergrid#autopersist|autopersist}.)_
+ * @param {string} [options.theme='default'] - Name of a registered theme. _(See {@link Hypergrid#applyTheme|applyTheme}.)_
  * @param {string|Element} [options.container] - CSS selector or Element
  * @param {string|string[]} [options.localization.locale=Hypergrid.localization.locale] - The default locale to use when an explicit `locale` is omitted from localizer constructor calls. Passed to Intl.NumberFomrat` and `Intl.DateFomrat`. See {@ https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Intl#Locale_identification_and_negotiation|Locale identification and negotiation} for more information.
  * @param {string} [options.localization.numberOptions=Hypergrid.localization.numberOptions] - Options passed to `Intl.NumberFomrat` for creating the basic "number" localizer.
@@ -89,6 +109,10 @@ var Hypergrid = Base.extend('Hypergrid', {
         this.clearMouseDown();
         this.setFormatter(options.localization);
 
+        if (options.autopersist) {
+            this.autopersist(options.autopersist);
+        }
+
         /**
          * @name cellRenderers
          * @type {CellRenderer}
@@ -103,11 +127,43 @@ var Hypergrid = Base.extend('Hypergrid', {
          */
         this.cellEditors = new CellEditors(this);
 
+        /**
+         * @name commands
+         * @summary Application key commands, keyed by command name.
+         * @desc See {@link Hypergrid#addCommand}.
+         * @type {object}
+         * @memberOf Hypergrid.prototype
+         */
+        this.commands = {};
+
         //Set up the container for a grid instance
         container = container || options.container;
         container = container || findOrCreateContainer(options.boundingRect);
         this.setContainer(container);
 
+        this.applyTheme(options.theme || 'default');
+
+        /**
+         * @name undoManager
+         * @type {UndoManager}
+         * @memberOf Hypergrid.prototype
+         */
+        this.undoManager = new UndoManager(this);
+
+        /**
+         * @name tooltip
+         * @type {Tooltip}
+         * @memberOf Hypergrid.prototype
+         */
+        this.tooltip = new Tooltip(this);
+
+        /**
+         * @name validator
+         * @type {Validator}
+         * @memberOf Hypergrid.prototype
+         */
+        this.validator = new Validator(this);
+
         if (this.options.Behavior) {
             this.setBehavior(this.options); // also sets this.options.pipeline and this.options.data
         } else if (this.options.data) {
@@ -140,6 +196,9 @@ var Hypergrid = Base.extend('Hypergrid', {
 
     terminate: function() {
         document.removeEventListener('mousedown', this.mouseCatcher);
+        if (this.layoutPersister) {
+            this.layoutPersister.cancel();
+        }
     },
 
     registerCellEditor: function(Constructor, name) {
@@ -256,6 +315,13 @@ var Hypergrid = Base.extend('Hypergrid', {
      */
     hoverCell: null,
 
+    /**
+     * The sparkline point under the mouse (see {@link OnHover}), as `{gridCell, index, value}`; otherwise `null`.
+     * @type {object}
+     * @memberOf Hypergrid.prototype
+     */
+    hoverPoint: null,
+
     scrollingNow: false,
 
     lastEdgeSelection: null,
@@ -274,6 +340,7 @@ var Hypergrid = Base.extend('Hypergrid', {
     reset: function() {
         this.lastEdgeSelection = [0, 0];
         this.lnfProperties = Object.create(globalProperties);
+        setThemeProperties.call(this);
         this.selectionModel = new SelectionModel(this);
         this.renderOverridesCache = {};
         this.clearMouseDown();
@@ -291,6 +358,7 @@ var Hypergrid = Base.extend('Hypergrid', {
         this.sbPrevHScrollValue = null;
 
         this.hoverCell = null;
+        this.hoverPoint = null;
         this.scrollingNow = false;
         this.lastEdgeSelection = [0, 0];
 
@@ -533,6 +601,95 @@ var Hypergrid = Base.extend('Hypergrid', {
         });
     },
 
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Switch this grid to a registered theme.
+     * @desc The theme's properties (see {@link module:themes|themes}) replace those of the previous theme. They take precedence over global properties but not over this grid's own properties (those set with {@link Hypergrid#addProperties|addProperties}, for example).
+     *
+     * The grid's container is given the CSS class name `hypergrid-theme-` + _name_ for the theme and each of the themes it inherits from.
+     *
+     * To pick up changes to a theme re-registered with {@link Hypergrid.registerTheme}, apply it again.
+     * @param {string} name - Name of a registered theme; `'default'` for none.
+     */
+    applyTheme: function(name) {
+        var classList = this.div.classList,
+            classNames = themes.getLineage(name).map(function(name) {
+                return 'hypergrid-theme-' + name;
+            });
+
+        (this.themeClassNames || []).forEach(function(className) {
+            classList.remove(className);
+        });
+        classNames.forEach(function(className) {
+            classList.add(className);
+        });
+
+        /**
+         * @summary Name of the current theme.
+         * @desc Set by {@link Hypergrid#applyTheme|applyTheme}.
+         * @name theme
+         * @type {string}
+         * @memberOf Hypergrid#
+         */
+        this.theme = name;
+
+        /**
+         * CSS class names of the current theme and the themes it inherits from.
+         * @name themeClassNames
+         * @type {string[]}
+         * @memberOf Hypergrid#
+         */
+        this.themeClassNames = classNames;
+
+        setThemeProperties.call(this);
+
+        if (this.sbHScroller) {
+            setScrollbarClassPrefix(this.sbHScroller, this.properties.hScrollbarClassPrefix);
+            setScrollbarClassPrefix(this.sbVScroller, this.properties.vScrollbarClassPrefix);
+        }
+
+        if (this.behavior) {
+            this.refreshProperties();
+            this.repaint();
+        }
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Add an application key command.
+     * @desc Bind the command to key chords with {@link Hypergrid#bindKeys|bindKeys}. When one of them is pressed, the handler is called instead of the grid's features, so a command with the name of a built-in command (see the `keymap` grid property) overrides it.
+     * @param {string} name - Command name.
+     * @param {function} handler - Called with the grid as context and the `fin-canvas-keydown` event. Call `event.detail.primitiveEvent.preventDefault()` to suppress the browser's own action for the key.
+     */
+    addCommand: function(name, handler) {
+        if (typeof handler !== 'function') {
+            throw new this.HypergridError('Expected command "' + name + '" handler to be a function.');
+        }
+        this.commands[name] = handler;
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Remove an application key command added with {@link Hypergrid#addCommand|addCommand}.
+     * @desc A built-in command of the same name is restored.
+     * @param {string} name - Command name.
+     */
+    removeCommand: function(name) {
+        delete this.commands[name];
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Bind key chords to commands for this grid only.
+     * @desc Replaces any existing bindings of the same chords in the `keymap` grid property. See {@link module:keymap.extend}.
+     * @example
+     * grid.bindKeys({ 'Ctrl+Shift+C': 'copyWithHeaders', 'Mod+A': null });
+     * @param {object} bindings - Hash of command names keyed by {@link keyChord|key chord}; falsy command names unbind.
+     */
+    bindKeys: function(bindings) {
+        this.properties.keymap = keymap.extend(this.properties.keymap, bindings);
+    },
+
     /**
      * @memberOf Hypergrid.prototype
      * @desc Utility function to push out properties if we change them.
@@ -576,22 +733,70 @@ var Hypergrid = Base.extend('Hypergrid', {
     /**
      * @memberOf Hypergrid.prototype
      * @desc Set the state object to return to the given user configuration.
-     * @param {object} state - A memento object.
+     *
+     * Once the grid has been resized to the restored state, the scroll position (if any) is restored.
+     * @param {object} state - A memento object as returned by {@link Hypergrid#getState|getState} (any version); or an unversioned hash of grid properties.
      * @see [Memento pattern](http://en.wikipedia.org/wiki/Memento_pattern)
+     * @see {@link Behavior#setState}
      */
     setState: function(state) {
         var self = this;
-        this.behavior.setState(state);
+        state = this.behavior.setState(state);
         this.refreshProperties();
         setTimeout(function() {
             self.behaviorChanged();
             self.synchronizeScrollingBoundaries();
+            if (state.scroll) {
+                self.setVScrollValue(state.scroll.y);
+                self.setHScrollValue(state.scroll.x);
+            }
         }, 100);
     },
 
+    /**
+     * @memberOf Hypergrid.prototype
+     * @returns {object} A serializable, versioned memento of the grid's state.
+     * @see {@link Behavior#getState}
+     */
     getState: function() {
         return this.behavior.getState();
     },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Turn layout persistence on or off.
+     * @desc When on, the current layout is saved (debounced) whenever a column is moved or resized or the sort or filter changes; and is restored whenever new data is set. If data has already been set, any saved layout is restored now.
+     *
+     * Use the returned {@link LayoutPersister} (also available as `grid.layoutPersister`) to save, restore, list, and remove multiple named layouts.
+     * @param {object|string|boolean} options - `false` turns persistence off. Otherwise, see {@link LayoutPersister} for options (including `key`, `storage`, `layout`, and `delay`).
+     * @returns {LayoutPersister|undefined}
+     */
+    autopersist: function(options) {
+        if (this.layoutPersister) {
+            this.layoutPersister.cancel();
+            this.layoutPersister = undefined;
+        }
+
+        if (options) {
+            this.layoutPersister = new LayoutPersister(this, options);
+            if (this.behavior) {
+                this.layoutPersister.restore();
+            }
+        }
+
+        return this.layoutPersister;
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Notify the layout persister (if any) that the layout has changed.
+     * @desc Called internally after column moves and resizes and sort and filter changes. Call it yourself after changing the layout programmatically.
+     */
+    layoutChanged: function() {
+        if (this.layoutPersister) {
+            this.layoutPersister.schedule();
+        }
+    },
     /**
      * @memberOf Hypergrid.prototype
      * @returns {object} The initial mouse position on a mouse down event for cell editing or a drag operation.
@@ -685,11 +890,78 @@ var Hypergrid = Base.extend('Hypergrid', {
     checkClipboardCopy: function(event) {
         if (this.hasFocus()) {
             event.preventDefault();
-            var csvData = this.getSelectionAsTSV();
-            event.clipboardData.setData('text/plain', csvData);
+            _(this.getSelectionAsClipboardData()).each(function(data, type) {
+                event.clipboardData.setData(type, data);
+            });
         }
     },
 
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Serialize the selected data in each of the given clipboard flavors.
+     * @desc All selection regions are included, in the order they were made. Multiple regions are separated by a blank line in `text/plain` and are rendered as consecutive tables in `text/html`. When there are no cell selections, row selections (all active columns) or else column selections (all rows) are used.
+     *
+     * See the `copyFormats`, `copyFormattedValues`, `copyHeaders`, and `copyCellColors` grid properties.
+     * @param {string[]} [formats=this.properties.copyFormats] - List of MIME types.
+     * @returns {object} Hash of serialized data keyed by MIME type. Empty if nothing selected or selection too large to copy.
+     */
+    getSelectionAsClipboardData: function(formats) {
+        var self = this,
+            properties = this.properties,
+            regions = getSelectedRegions.call(this),
+            result = {};
+
+        var area = regions.reduce(function(sum, region) {
+            return sum + region.columns.length * region.rows.length;
+        }, 0);
+
+        //disallow if selection is too big
+        if (area > 20000) {
+            alert('selection size is too big to copy to the paste buffer'); // eslint-disable-line no-alert
+            return result;
+        }
+
+        if (regions.length) {
+            (formats || properties.copyFormats).forEach(function(type) {
+                switch (type) {
+                    case 'text/plain':
+                        result[type] = regions.map(function(region) {
+                            return clipboard.stringifyDelimited(
+                                getRegionValues.call(self, region, properties.copyFormattedValues)
+                            );
+                        }).join('\n\n');
+                        break;
+
+                    case 'text/html':
+                        result[type] = regions.map(function(region) {
+                            return clipboard.stringifyHtmlTable(
+                                getRegionValues.call(self, region, true),
+                                properties.copyHeaders && region.columns.map(function(column) { return column.header; }),
+                                properties.copyCellColors && getRegionColors.call(self, region)
+                            );
+                        }).join('\n');
+                        break;
+
+                    case 'application/json':
+                        result[type] = JSON.stringify(regions.map(function(region) {
+                            return getRegionValues.call(self, region).map(function(values) {
+                                return values.reduce(function(row, value, c) {
+                                    row[region.columns[c].name] = value;
+                                    return row;
+                                }, {});
+                            });
+                        }));
+                        break;
+
+                    default:
+                        throw new self.HypergridError('Unsupported copy format "' + type + '".');
+                }
+            });
+        }
+
+        return result;
+    },
+
     /**
      * @memberOf Hypergrid.prototype
      * @returns {boolean} We have any selections.
@@ -701,21 +973,30 @@ var Hypergrid = Base.extend('Hypergrid', {
         return this.selectionModel.hasSelections();
     },
 
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Export the grid's data as a string.
+     * @desc Exports the active columns in their current order as CSV, TSV, JSON, or a SpreadsheetML 2003 workbook. See {@link module:exporter~exportGrid|exportGrid} for the full list of options.
+     * @example
+     * var csv = grid.export({ format: 'csv', scope: 'filtered', formatted: true });
+     * @param {object} [options]
+     * @param {string} [options.format='csv'] - `'csv'`, `'tsv'`, `'json'`, or `'xml'`.
+     * @param {string} [options.scope='filtered'] - `'all'`, `'filtered'`, or `'selection'`.
+     * @param {boolean} [options.formatted=false] - Format values with each cell's `format` localizer.
+     * @param {boolean} [options.headers=true] - Include the header row.
+     * @param {boolean} [options.totals=false] - Include the `topTotals` and `bottomTotals` rows.
+     * @returns {string}
+     */
+    export: function(options) {
+        return exporter.exportGrid(this, options);
+    },
+
     /**
      * @memberOf Hypergrid.prototype
      * @returns {string} Tab separated value string from the selection and our data.
      */
     getSelectionAsTSV: function() {
-        var sm = this.selectionModel;
-        if (sm.hasSelections()) {
-            var selections = this.getSelectionMatrix();
-            selections = selections[selections.length - 1];
-            return this.getMatrixSelectionAsTSV(selections);
-        } else if (sm.hasRowSelections()) {
-            return this.getMatrixSelectionAsTSV(this.getRowSelectionMatrix());
-        } else if (sm.hasColumnSelections()) {
-            return this.getMatrixSelectionAsTSV(this.getColumnSelectionMatrix());
-        }
+        return this.getSelectionAsClipboardData(['text/plain'])['text/plain'];
     },
 
     getMatrixSelectionAsTSV: function(selections) {
@@ -746,6 +1027,270 @@ var Hypergrid = Base.extend('Hypergrid', {
         return result;
     },
 
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Conditionally paste from clipboard.
+     * @desc If we have focus and are not read-only, paste the system clipboard's contents into the grid at the current selection. An HTML table is preferred to plain text when both flavors are on the clipboard (see {@link module:clipboard~parseClipboardData|parseClipboardData}).
+     * @param {event} event - The paste system event.
+     */
+    checkClipboardPaste: function(event) {
+        if (this.hasFocus() && !this.properties.readOnly && event.clipboardData) {
+            var matrix = clipboard.parseClipboardData({
+                'text/html': event.clipboardData.getData('text/html'),
+                'text/plain': event.clipboardData.getData('text/plain')
+            });
+
+            if (matrix) {
+                event.preventDefault();
+                this.pasteMatrix(matrix);
+            }
+        }
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Write a matrix of strings into the data, anchored at the top-left cell of the last selection.
+     * @desc Each string is parsed by the localizer named in the cell's `format` property and written with `dataModel.setValue`. Values falling outside the data are dropped.
+     *
+     * Cells are skipped when:
+     * * the cell is not `editable`;
+     * * the localizer's `invalid` or `parse` method rejects the string (reported in `errors`); or
+     * * a `fin-before-cell-edit` listener cancels the edit.
+     *
+     * Otherwise `fin-after-cell-edit` is fired for the cell. When done, a `fin-clipboard-paste` event is fired with the returned report as its `detail`.
+     *
+     * The changes are recorded as a single undoable command (see {@link UndoManager}).
+     * @param {string[][]} matrix - Row-major matrix of strings, as returned by the {@link module:clipboard|clipboard} parsers.
+     * @returns {undefined|{changed: Point[], skipped: Point[], errors: object[]}} `undefined` if there is no selection (or grid is read-only). Otherwise lists of cells (data coordinates) changed, skipped, and which failed parsing with `{gridCell, value, error}` objects.
+     */
+    pasteMatrix: function(matrix) {
+        var selection = this.selectionModel.getLastSelection();
+
+        if (!selection || this.properties.readOnly) {
+            return;
+        }
+
+        var behavior = this.behavior,
+            dataModel = behavior.dataModel,
+            localization = this.localization,
+            origin = normalizeRect(selection).origin,
+            columnCount = behavior.getActiveColumnCount(),
+            rowCount = dataModel.getRowCount(),
+            result = { changed: [], skipped: [], errors: [] };
+
+        this.undoManager.begin('Paste');
+        this.validator.begin();
+
+        matrix.forEach(function(values, r) {
+            var y = origin.y + r;
+
+            if (y < rowCount) {
+                values.forEach(function(string, c) {
+                    var x = origin.x + c;
+                    if (x < columnCount) {
+                        pasteValue.call(this, behavior.getActiveColumn(x), new Point(x, y), string);
+                    }
+                }, this);
+            }
+        }, this);
+
+        this.validator.commit();
+        this.undoManager.commit();
+
+        function pasteValue(column, cell, string) {
+            var localizer, newValue, error;
+
+            if (!column.getCellProperty(cell.y, 'editable', dataModel)) {
+                result.skipped.push(cell);
+                return;
+            }
+
+            localizer = localization.get(column.getCellProperty(cell.y, 'format', dataModel));
+            error = localizer.invalid && localizer.invalid(string);
+
+            if (!error) {
+                try {
+                    newValue = localizer.parse(string);
+                } catch (err) {
+                    error = err;
+                }
+            }
+
+            if (error) {
+                result.errors.push({ gridCell: cell, value: string, error: error });
+                return;
+            }
+
+            editValue.call(this, column, cell, newValue, result);
+        }
+
+        if (result.changed.length) {
+            this.behaviorChanged();
+        }
+
+        this.fireSyntheticClipboardPasteEvent(result);
+
+        return result;
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Extend a block of cells into an adjacent block, spreadsheet style.
+     * @desc Each column (when filling up or down) or row (when filling left or right) of `source` is continued into `target` with a copy or a detected series (see {@link module:fillSeries|fillSeries}). This is what the fill handle does (see {@link FillHandle}).
+     *
+     * As with {@link Hypergrid#pasteMatrix|pasteMatrix}, cells that are not `editable` are skipped; `fin-before-cell-edit` listeners may cancel individual edits; `fin-after-cell-edit` is fired for each cell changed; and the changes are recorded as a single undoable command.
+     * @param {Rectangle} source - Cells to continue (data coordinates). As with selections, the corner cell is included.
+     * @param {Rectangle} target - Cells to fill (data coordinates, corner included). Must be adjacent to `source`: directly above or below (same columns) or directly to its left or right (same rows).
+     * @returns {undefined|{changed: Point[], skipped: Point[]}} `undefined` if the grid is read-only or `target` is not adjacent to `source`.
+     */
+    fill: function(source, target) {
+        var vertical = target.origin.x === source.origin.x && target.corner.x === source.corner.x,
+            horizontal = target.origin.y === source.origin.y && target.corner.y === source.corner.y,
+            backward = vertical ? target.origin.y < source.origin.y : target.origin.x < source.origin.x;
+
+        if (
+            this.properties.readOnly ||
+            !(vertical && (target.origin.y === source.corner.y + 1 || target.corner.y === source.origin.y - 1)) &&
+            !(horizontal && (target.origin.x === source.corner.x + 1 || target.corner.x === source.origin.x - 1))
+        ) {
+            return;
+        }
+
+        var behavior = this.behavior,
+            dataModel = behavior.dataModel,
+            result = { changed: [], skipped: [] },
+            lines = (vertical ? source.width : source.height) + 1,
+            length = (vertical ? source.height : source.width) + 1,
+            count = (vertical ? target.height : target.width) + 1;
+
+        this.undoManager.begin('Fill');
+        this.validator.begin();
+
+        for (var i = 0; i < lines; i++) {
+            fillLine.call(this, i);
+        }
+
+        function fillLine(i) {
+            var cells = [],
+                values = [];
+
+            for (var j = 0; j < length; j++) {
+                cells.push(vertical ? new Point(source.origin.x + i, source.origin.y + j) : new Point(source.origin.x + j, source.origin.y + i));
+            }
+
+            if (backward) {
+                cells.reverse(); // so values are ordered toward the target
+            }
+
+            cells.forEach(function(cell) {
+                values.push(dataModel.getValue(behavior.getActiveColumn(cell.x).index, cell.y));
+            });
+
+            var last = cells[cells.length - 1];
+
+            fillSeries(values, count).forEach(function(value, k) {
+                var offset = backward ? -(k + 1) : k + 1,
+                    cell = vertical ? new Point(last.x, last.y + offset) : new Point(last.x + offset, last.y),
+                    column = behavior.getActiveColumn(cell.x);
+
+                if (column.getCellProperty(cell.y, 'editable', dataModel)) {
+                    editValue.call(this, column, cell, value, result);
+                } else {
+                    result.skipped.push(cell);
+                }
+            }, this);
+        }
+
+        this.validator.commit();
+        this.undoManager.commit();
+
+        if (result.changed.length) {
+            this.behaviorChanged();
+        }
+
+        return result;
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Set a data cell's value as though the user edited it.
+     * @desc As with {@link Hypergrid#pasteMatrix|pasteMatrix}, the edit is skipped when the grid is `readOnly` or the cell is not `editable`, or when a `fin-before-cell-edit` listener cancels it. Otherwise `fin-after-cell-edit` is fired and the change is recorded as an undoable command. Used by interactive cell renderers (see {@link CellClick}).
+     * @param {Point} cell - Data coordinates: active column index and data row index.
+     * @param {*} newValue
+     * @returns {boolean} The value was changed.
+     */
+    editCell: function(cell, newValue) {
+        var column = this.behavior.getActiveColumn(cell.x),
+            result = { changed: [], skipped: [] };
+
+        if (
+            this.properties.readOnly ||
+            !column ||
+            !column.getCellProperty(cell.y, 'editable', this.behavior.dataModel)
+        ) {
+            return false;
+        }
+
+        editValue.call(this, column, cell, newValue, result);
+
+        if (result.changed.length) {
+            this.behaviorChanged();
+        }
+
+        return !!result.changed.length;
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @desc Synthesize and fire a `fin-clipboard-paste` event.
+     * @param {object} report - As returned by {@link Hypergrid#pasteMatrix|pasteMatrix}.
+     */
+    fireSyntheticClipboardPasteEvent: function(report) {
+        var pasteEvent = new CustomEvent('fin-clipboard-paste', {
+            detail: report
+        });
+        this.canvas.dispatchEvent(pasteEvent);
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @desc Synthesize and fire a `fin-undo-state-changed` event. Fired by the {@link UndoManager} whenever its history changes.
+     * @param {undoStateObject} undoState
+     */
+    fireSyntheticUndoStateChangedEvent: function(undoState) {
+        var undoEvent = new CustomEvent('fin-undo-state-changed', {
+            detail: undoState
+        });
+        this.canvas.dispatchEvent(undoEvent);
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @desc Set the sparkline point under the mouse and, when it changed, synthesize and fire a `fin-sparkline-hover` event with `detail.point` set to the new point (or `null`).
+     * @param {object|null} point - As per {@link Hypergrid#hoverPoint|hoverPoint}.
+     */
+    setHoverPoint: function(point) {
+        var current = this.hoverPoint;
+
+        if (
+            point === current ||
+            point && current && point.index === current.index && point.gridCell.equals(current.gridCell)
+        ) {
+            return;
+        }
+
+        this.hoverPoint = point;
+
+        var hoverEvent = new CustomEvent('fin-sparkline-hover', {
+            detail: {
+                point: point,
+                time: Date.now(),
+                grid: this
+            }
+        });
+        this.canvas.dispatchEvent(hoverEvent);
+    },
+
     /**
      * @memberOf Hypergrid.prototype
      * @returns {boolean} We have focus.
@@ -861,9 +1406,10 @@ var Hypergrid = Base.extend('Hypergrid', {
      * @memberOf Hypergrid.prototype
      * @summary Set the underlying datasource.
      * @desc This can be done dynamically.
-     * @param {function|object[]} dataRows - May be:
+     * @param {function|object[]|dataServiceObject} dataRows - May be:
      * * An array of congruent raw data objects.
      * * A function returning same.
+     * * A remote data service from which rows are fetched on demand. _(See {@link DataSourceRemote}.)_
      * @param {object} [options] - _(See {@link behaviors.JSON#setData}.)_
      */
     setData: function(dataRows, options) {
@@ -875,6 +1421,10 @@ var Hypergrid = Base.extend('Hypergrid', {
             this.setBehavior({ pipeline: this.options.pipeline });
         }
         this.behavior.setData(dataRows, options);
+        this.undoManager.clear(); // recorded commands reference the old data rows
+        if (this.layoutPersister) {
+            this.layoutPersister.restore();
+        }
         this.behavior.changed();
     },
 
@@ -976,6 +1526,38 @@ var Hypergrid = Base.extend('Hypergrid', {
         }
     },
 
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Highlight changed cells.
+     * @desc Each cell is painted over with the `flashUpColor`, `flashDownColor`, or `flashColor` grid property (according to the direction of the change), fading out over `flashDuration` milliseconds. Called by {@link dataModels.JSON#flushUpdates}.
+     * @param {cellChangeObject[]} changes
+     */
+    flashCells: function(changes) {
+        if (this.properties.flashDuration > 0) {
+            this.renderer.flashCells(changes);
+        }
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Validate the whole dataset.
+     * @desc Checks every cell against its column's `validators` property and every row against the `rowValidators` grid property, marking the invalid cells. Thereafter, cells are revalidated as they are edited. Call again after setting new data or changing the rules. See {@link Validator}.
+     * @returns {validationErrorObject[]|thenable} The errors; or, when there are asynchronous rules, a thenable resolving to the errors when they have all completed.
+     */
+    validate: function() {
+        return this.validator.validate();
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary The validation errors in the whole dataset.
+     * @desc Validates the data first if {@link Hypergrid#validate|validate} has not been called since the data was set. Results of asynchronous rules still pending are not included.
+     * @returns {validationErrorObject[]}
+     */
+    getValidationErrors: function() {
+        return this.validator.getErrors();
+    },
+
     /**
      * @memberOf Hypergrid.prototype
      * @desc Paint immediately in this microtask.
@@ -1185,10 +1767,29 @@ var Hypergrid = Base.extend('Hypergrid', {
             self.delegateContextMenu(getMouseEvent(e));
         });
 
+        this.addEventListener('fin-cell-enter', function(e) {
+            self.tooltip.schedule(e.detail.gridCell);
+        });
+
+        this.addEventListener('fin-sparkline-hover', function(e) {
+            self.tooltip.pointChanged(e.detail.point);
+        });
+
+        ['fin-cell-exit', 'fin-canvas-mouseout', 'fin-canvas-mousedown', 'fin-canvas-keydown', 'fin-scroll-x', 'fin-scroll-y'].forEach(function(eventName) {
+            self.addEventListener(eventName, function() {
+                self.tooltip.hide();
+            });
+        });
+
         //Register a listener for the copy event so we can copy our selected region to the pastebuffer if conditions are right.
         document.body.addEventListener('copy', function(evt) {
             self.checkClipboardCopy(evt);
         });
+
+        //Register a listener for the paste event so we can paste the pastebuffer into the selected region if conditions are right.
+        document.body.addEventListener('paste', function(evt) {
+            self.checkClipboardPaste(evt);
+        });
     },
 
     convertViewPointToDataPoint: function(unscrolled) {
@@ -1675,6 +2276,7 @@ var Hypergrid = Base.extend('Hypergrid', {
             }
         });
         this.canvas.dispatchEvent(event);
+        this.layoutChanged();
     },
 
     fireSyntheticEditorKeyUpEvent: function(inputControl, keyEvent) {
@@ -2003,6 +2605,49 @@ var Hypergrid = Base.extend('Hypergrid', {
     fireSyntheticFilterAppliedEvent: function() {
         var filterEvent = new CustomEvent('fin-filter-applied');
         this.canvas.dispatchEvent(filterEvent);
+        this.layoutChanged();
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Synthesize and fire a `fin-transform-request` event.
+     * @desc Fired in remote transform mode (see {@link dataModels.JSON#isRemoteTransform}) in lieu of sorting and filtering locally.
+     *
+     * The listener should forward the request to the server and call `event.detail.respond(reply)` with the server's reply (see {@link dataModels.JSON#setTransformReply}), which replaces the view. Replies to superseded requests are ignored.
+     * @param {object} request - See {@link dataModels.JSON#getTransformRequest}.
+     */
+    fireSyntheticTransformRequestEvent: function(request) {
+        var self = this,
+            id = this.transformRequestId = (this.transformRequestId || 0) + 1;
+
+        request.respond = function(reply) {
+            if (id === self.transformRequestId) {
+                self.behavior.dataModel.setTransformReply(reply);
+                self.behaviorChanged();
+            }
+        };
+
+        var transformEvent = new CustomEvent('fin-transform-request', {
+            detail: request
+        });
+        this.canvas.dispatchEvent(transformEvent);
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Synthesize and fire a `fin-data-error` event.
+     * @desc Fired when rows could not be fetched from a remote data service (see {@link DataSourceRemote}). The rows are requested again when next in view.
+     * @param {*} error - As reported by the data service.
+     * @param {dataServiceRequest} request - The failed request.
+     */
+    fireSyntheticDataErrorEvent: function(error, request) {
+        var dataErrorEvent = new CustomEvent('fin-data-error', {
+            detail: {
+                error: error,
+                request: request
+            }
+        });
+        this.canvas.dispatchEvent(dataErrorEvent);
     },
 
     /**
@@ -2228,16 +2873,8 @@ var Hypergrid = Base.extend('Hypergrid', {
         this.sbHScroller = horzBar;
         this.sbVScroller = vertBar;
 
-        var hPrefix = this.properties.hScrollbarClassPrefix;
-        var vPrefix = this.properties.vScrollbarClassPrefix;
-
-        if (hPrefix && hPrefix !== '') {
-            this.sbHScroller.classPrefix = hPrefix;
-        }
-
-        if (vPrefix && vPrefix !== '') {
-            this.sbVScroller.classPrefix = vPrefix;
-        }
+        setScrollbarClassPrefix(this.sbHScroller, this.properties.hScrollbarClassPrefix);
+        setScrollbarClassPrefix(this.sbVScroller, this.properties.vScrollbarClassPrefix);
 
         this.div.appendChild(horzBar.bar);
         this.div.appendChild(vertBar.bar);
@@ -2408,7 +3045,15 @@ var Hypergrid = Base.extend('Hypergrid', {
      */
     setColumnWidth: function(columnIndex, columnWidth) {
         if (this.abortEditing()) {
+            var self = this,
+                oldWidth = this.behavior.getColumnWidth(columnIndex);
+            this.undoManager.record({
+                label: 'Resize column',
+                undo: function() { self.setColumnWidth(columnIndex, oldWidth); },
+                redo: function() { self.setColumnWidth(columnIndex, columnWidth); }
+            });
             this.behavior.setColumnWidth(columnIndex, columnWidth);
+            this.layoutChanged();
         }
     },
 
@@ -2445,6 +3090,50 @@ var Hypergrid = Base.extend('Hypergrid', {
         }
     },
 
+    /**
+     * @memberOf Hypergrid.prototype
+     * @desc Set a subgrid's own properties. See {@link Behavior#setSubgridProperties}.
+     * @param {object} [properties]
+     * @param {DataModel|string} [subgrid=this.behavior.dataModel]
+     */
+    setSubgridProperties: function(properties, subgrid) {
+        if (this.abortEditing()) {
+            this.behavior.setSubgridProperties(properties, subgrid);
+        }
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @param {DataModel|string} [subgrid=this.behavior.dataModel]
+     * @returns {object|undefined} The subgrid's own properties. See {@link Behavior#getSubgridProperties}.
+     */
+    getSubgridProperties: function(subgrid) {
+        return this.behavior.getSubgridProperties(subgrid);
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @desc Declare merged (spanning) cells. See {@link Behavior#setMergedCells}.
+     * @param {mergedRangeObject[]} [ranges]
+     * @param {DataModel} [subgrid=this.behavior.dataModel]
+     */
+    setMergedCells: function(ranges, subgrid) {
+        if (this.abortEditing()) {
+            this.behavior.setMergedCells(ranges, subgrid);
+        }
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @param {number} x - Grid column index.
+     * @param {number} y - Row index local to `subgrid`.
+     * @param {DataModel} [subgrid=this.behavior.dataModel]
+     * @returns {mergedRangeObject|undefined} The merged range containing the cell. See {@link Behavior#getMergedCell}.
+     */
+    getMergedCell: function(x, y, subgrid) {
+        return this.behavior.getMergedCell(x, y, subgrid);
+    },
+
     /**
      * @memberOf Hypergrid.prototype
      * @returns {number} The total fixed rows height
@@ -2616,9 +3305,9 @@ var Hypergrid = Base.extend('Hypergrid', {
 
     /**
      * @memberOf Hypergrid.prototype
-     * @desc Repaint the given cell.
-     * @param {x} x - The horizontal coordinate.
-     * @param {y} y - The vertical coordinate.
+     * @desc Repaint the given data cell immediately (if visible), without repainting the rest of the grid. See {@link Renderer#repaintCell}.
+     * @param {number} x - Grid column index (active column index).
+     * @param {number} y - Data row index.
      */
     repaintCell: function(x, y) {
         this.renderer.repaintCell(x, y);
@@ -2855,11 +3544,18 @@ var Hypergrid = Base.extend('Hypergrid', {
     swapColumns: function(source, target) {
         //Turns out this is called during dragged 'i.e' when the floater column is reshuffled
         //by the currently dragged column. The column positions are constantly reshuffled
+        var self = this;
+        function swap() {
+            self.swapColumns(source, target); // a swap is its own inverse
+            self.layoutChanged();
+        }
+        this.undoManager.record({ label: 'Move column', undo: swap, redo: swap });
         this.behavior.swapColumns(source, target);
     },
 
     endDragColumnNotification: function() {
         this.behavior.endDragColumnNotification();
+        this.layoutChanged();
     },
 
     getFixedColumnsMaxWidth: function() {
@@ -3014,16 +3710,16 @@ var Hypergrid = Base.extend('Hypergrid', {
         }
     },
 
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Select the last cell of the current cell's row (as End).
+     * @desc Cells are passed over as per the `skipHiddenCells` and `skipReadOnlyCells` properties.
+     */
     selectFinalCellOfCurrentRow: function() {
-        var x = this.getColumnCount() - 1,
-            y = this.getSelectedRows()[0],
-            headerRowCount = this.getHeaderRowCount();
-        this.clearSelections();
-        this.scrollBy(this.getColumnCount(), 0);
-        this.select(x, y + headerRowCount, 0, 0);
-        this.setMouseDown(this.newPoint(x, y + headerRowCount));
-        this.setDragExtent(this.newPoint(0, 0));
-        this.repaint();
+        var cell = getCurrentCell.call(this);
+        if (cell) {
+            selectCell.call(this, navigation.step(this.getColumnCount(), cell.y, -1, 0, this.getColumnCount(), this.getRowCount(), isSkippedCell.bind(this)));
+        }
     },
 
     selectToFinalCellOfCurrentRow: function() {
@@ -3042,16 +3738,16 @@ var Hypergrid = Base.extend('Hypergrid', {
         }
     },
 
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Select the first cell of the current cell's row (as Home).
+     * @desc Cells are passed over as per the `skipHiddenCells` and `skipReadOnlyCells` properties.
+     */
     selectFirstCellOfCurrentRow: function() {
-        var x = 0,
-            y = this.getSelectedRows()[0],
-            headerRowCount = this.getHeaderRowCount();
-        this.clearSelections();
-        this.setHScrollValue(0);
-        this.select(x, y + headerRowCount, 0, 0);
-        this.setMouseDown(this.newPoint(x, y + headerRowCount));
-        this.setDragExtent(this.newPoint(0, 0));
-        this.repaint();
+        var cell = getCurrentCell.call(this);
+        if (cell) {
+            selectCell.call(this, navigation.step(-1, cell.y, 1, 0, this.getColumnCount(), this.getRowCount(), isSkippedCell.bind(this)));
+        }
     },
 
     selectToFirstCellOfCurrentRow: function() {
@@ -3067,10 +3763,24 @@ var Hypergrid = Base.extend('Hypergrid', {
         }
     },
 
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Select the top-left cell of the grid (as Ctrl+Home).
+     */
+    selectFirstCell: function() {
+        if (this.getColumnCount() && this.getRowCount()) {
+            selectCell.call(this, this.newPoint(0, 0));
+        }
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Select the bottom-right cell of the grid (as Ctrl+End).
+     */
     selectFinalCell: function() {
-        this.selectCell(this.getColumnCount() - 1, this.getRowCount() - 1);
-        this.scrollBy(this.getColumnCount(), this.getRowCount());
-        this.repaint();
+        if (this.getColumnCount() && this.getRowCount()) {
+            selectCell.call(this, this.newPoint(this.getColumnCount() - 1, this.getRowCount() - 1));
+        }
     },
 
     selectToFinalCell: function() {
@@ -3088,6 +3798,71 @@ var Hypergrid = Base.extend('Hypergrid', {
         }
     },
 
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Select the cell at the edge of the data in a direction from the current cell (as Ctrl+arrow).
+     * @desc See {@link module:navigation.findEdge} for which cell that is. Empty cells are those whose value is `undefined`, `null`, or `''`.
+     * @param {number} dx - `-1` (left), `0`, or `1` (right).
+     * @param {number} dy - `-1` (up), `0`, or `1` (down).
+     */
+    selectDataEdgeCell: function(dx, dy) {
+        var cell = getCurrentCell.call(this);
+        if (cell) {
+            selectCell.call(this, getDataEdgeCell.call(this, cell, dx, dy));
+        }
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Extend the last selection to the edge of the data in a direction (as Ctrl+Shift+arrow).
+     * @desc The selection's far corner moves to the cell {@link Hypergrid#selectDataEdgeCell|selectDataEdgeCell} would select from there.
+     * @param {number} dx - `-1` (left), `0`, or `1` (right).
+     * @param {number} dy - `-1` (up), `0`, or `1` (down).
+     */
+    selectToDataEdgeCell: function(dx, dy) {
+        var origin = getCurrentCell.call(this),
+            extent = this.getDragExtent() || this.newPoint(0, 0),
+            corner = origin && getDataEdgeCell.call(this, origin.plus(extent), dx, dy);
+
+        if (corner) {
+            extent = this.newPoint(corner.x - origin.x, corner.y - origin.y);
+            this.clearMostRecentSelection();
+            this.select(origin.x, origin.y, extent.x, extent.y);
+            this.setDragExtent(extent);
+            this.scrollToMakeVisible(corner.x, corner.y);
+            this.repaint();
+        }
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Select the next cell in reading order (as Tab), wrapping from the end of one row to the start of the next.
+     * @desc Cells are passed over as per the `skipHiddenCells` and `skipReadOnlyCells` properties. Nothing happens at the end (or start) of the grid.
+     * @param {boolean} [backward] - Select the previous cell instead (as Shift+Tab).
+     */
+    selectNextCell: function(backward) {
+        var cell = getCurrentCell.call(this);
+        if (cell) {
+            selectCell.call(this, navigation.next(cell.x, cell.y, backward ? -1 : 1, this.getColumnCount(), this.getRowCount(), isSkippedCell.bind(this)));
+        }
+    },
+
+    /**
+     * @memberOf Hypergrid.prototype
+     * @summary Select the next cell in the direction of the `enterKeyDirection` property (as Enter).
+     * @desc Cells are passed over as per the `skipHiddenCells` and `skipReadOnlyCells` properties. Nothing happens at the edge of the grid or when `enterKeyDirection` is falsy.
+     * @param {boolean} [backward] - Go in the opposite direction (as Shift+Enter).
+     */
+    selectCellInEnterDirection: function(backward) {
+        var cell = getCurrentCell.call(this),
+            delta = enterKeyDeltas[this.properties.enterKeyDirection],
+            sign = backward ? -1 : 1;
+
+        if (cell && delta) {
+            selectCell.call(this, navigation.step(cell.x, cell.y, sign * delta.x, sign * delta.y, this.getColumnCount(), this.getRowCount(), isSkippedCell.bind(this)));
+        }
+    },
+
     isShowRowNumbers: function() {
         return this.properties.showRowNumbers;
     },
@@ -3417,6 +4192,30 @@ function addDeepProperties(destination, source) {
     return destination;
 }
 
+/**
+ * Set a data cell's value, firing the cell edit events and recording the change for undo.
+ * @this {Hypergrid}
+ * @param {Column} column
+ * @param {Point} cell - Data coordinates.
+ * @param {*} newValue
+ * @param {{changed: Point[], skipped: Point[]}} result - `cell` is added to one of these lists.
+ * @private
+ */
+function editValue(column, cell, newValue, result) {
+    var dataModel = this.behavior.dataModel,
+        oldValue = dataModel.getValue(column.index, cell.y);
+
+    if (this.fireBeforeCellEdit(cell, oldValue, newValue)) {
+        this.undoManager.recordValue(dataModel.getRow(cell.y), column.name, oldValue, newValue);
+        dataModel.setValue(column.index, cell.y, newValue);
+        this.validator.validateEdit(dataModel.getRow(cell.y), column.name);
+        this.fireAfterCellEdit(cell, oldValue, newValue);
+        result.changed.push(cell);
+    } else {
+        result.skipped.push(cell);
+    }
+}
+
 function normalizeRect(rect) {
     var o = rect.origin,
         c = rect.corner,
@@ -3430,6 +4229,91 @@ function normalizeRect(rect) {
     return new Rectangle(ox, oy, cx - ox, cy - oy);
 }
 
+/**
+ * @this {Hypergrid}
+ * @returns {Point|undefined} The current cell (where the last selection was started) when it is in the grid.
+ * @private
+ */
+function getCurrentCell() {
+    var cell = this.getMouseDown();
+    if (
+        cell && cell.x >= 0 && cell.y >= 0 &&
+        cell.x < this.getColumnCount() && cell.y < this.getRowCount()
+    ) {
+        return cell;
+    }
+}
+
+/**
+ * Select a single cell for the keyboard navigation commands, making it the current cell (where the next selection extension starts), and scroll it into view.
+ * @this {Hypergrid}
+ * @param {{x: number, y: number}} [cell] - Omit to do nothing.
+ * @private
+ */
+function selectCell(cell) {
+    if (cell) {
+        this.clearSelections();
+        this.select(cell.x, cell.y, 0, 0);
+        this.setMouseDown(this.newPoint(cell.x, cell.y));
+        this.setDragExtent(this.newPoint(0, 0));
+        this.scrollToMakeVisible(cell.x, cell.y);
+        this.repaint();
+    }
+}
+
+/**
+ * @this {Hypergrid}
+ * @param {number} x - Grid column index.
+ * @param {number} y - Data row index.
+ * @returns {boolean} The cell is to be passed over by keyboard navigation: It is hidden under a merged cell (other than the merged cell's top-left cell) and `skipHiddenCells` is truthy; or it is read-only (by its cell's `editable` property as resolved by {@link Column#getCellProperty}) and `skipReadOnlyCells` is truthy.
+ * @private
+ */
+function isSkippedCell(x, y) {
+    var properties = this.properties,
+        range;
+
+    return !!(
+        properties.skipHiddenCells &&
+        (range = this.behavior.getMergedCell(x, y)) &&
+        (range.x !== x || range.y !== y)
+        ||
+        properties.skipReadOnlyCells &&
+        !this.behavior.getActiveColumn(x).getCellProperty(y, 'editable')
+    );
+}
+
+/**
+ * @this {Hypergrid}
+ * @param {Point} cell
+ * @param {number} dx
+ * @param {number} dy
+ * @returns {{x: number, y: number}}
+ * @private
+ */
+function getDataEdgeCell(cell, dx, dy) {
+    var behavior = this.behavior,
+        x = cell.x,
+        y = cell.y,
+        column;
+
+    if (dx) {
+        x = navigation.findEdge(x, dx, this.getColumnCount(), function(x) {
+            return isEmpty(behavior.getActiveColumn(x).getValue(y));
+        });
+    } else if (dy) {
+        column = behavior.getActiveColumn(x);
+        y = navigation.findEdge(y, dy, this.getRowCount(), function(y) {
+            return isEmpty(column.getValue(y));
+        });
+    }
+
+    return { x: x, y: y };
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
 function buildTheme(theme) {
     clearObjectProperties(theme);
     var pb = document.createElement('paper-button'); // styles were based on old polymer theme
@@ -3493,6 +4377,40 @@ function buildTheme(theme) {
     return theme;
 }
 
+/**
+ * Copy the current theme's properties into the grid's theme layer (`lnfProperties`), replacing those of any previous theme.
+ * @this {Hypergrid}
+ * @private
+ */
+function setThemeProperties() {
+    var properties = this.lnfProperties;
+
+    clearObjectProperties(properties);
+
+    if (this.theme) {
+        _(properties).extendOwn(themes.get(this.theme));
+    }
+}
+
+/**
+ * @param {FinBar} scrollbar
+ * @param {string} [prefix] - Falsy for none.
+ * @private
+ */
+function setScrollbarClassPrefix(scrollbar, prefix) {
+    var previous = scrollbar.classPrefix;
+
+    prefix = prefix || undefined;
+
+    if (prefix !== previous) {
+        if (previous) {
+            // finbars' setter omits the hyphen when removing the previous class name
+            scrollbar.bar.classList.remove(previous + '-' + scrollbar.orientation);
+        }
+        scrollbar.classPrefix = prefix;
+    }
+}
+
 function clearObjectProperties(obj) {
     for (var prop in obj) {
         if (obj.hasOwnProperty(prop)) {
@@ -3502,20 +4420,97 @@ function clearObjectProperties(obj) {
 }
 
 /**
- * @this {dataRowObject}
- * @param column
- * @returns {string}
+ * @summary Describe the selected regions for copying.
+ * @desc Cell selections are preferred; failing that, row selections; failing that, column selections.
+ * @returns {{columns: Column[], rows: number[]}[]} List of regions, each with its active columns and data row indexes.
+ * @this {Hypergrid}
+ * @private
  */
-function valOrFunc(column) {
-    var result, calculator;
-    if (this) {
-        result = this[column.name];
-        calculator = (typeof result)[0] === 'f' && result || column.calculator;
-        if (calculator) {
-            result = calculator.call(this, column.name);
-        }
+function getSelectedRegions() {
+    var behavior = this.behavior,
+        sm = this.selectionModel,
+        regions;
+
+    if (sm.hasSelections()) {
+        regions = sm.getSelections().map(function(selection) {
+            var rect = normalizeRect(selection);
+            return {
+                columns: range(rect.origin.x, rect.corner.x).map(behavior.getActiveColumn, behavior),
+                rows: range(rect.origin.y, rect.corner.y)
+            };
+        });
+    } else if (sm.hasRowSelections()) {
+        regions = [{
+            columns: behavior.getActiveColumns(),
+            rows: sm.getSelectedRows()
+        }];
+    } else if (sm.hasColumnSelections()) {
+        regions = [{
+            columns: sm.getSelectedColumns().map(behavior.getActiveColumn, behavior),
+            rows: range(0, behavior.dataModel.getRowCount() - 1)
+        }];
+    } else {
+        regions = [];
+    }
+
+    return regions;
+}
+
+/**
+ * @param {number} first
+ * @param {number} last
+ * @returns {number[]} Integers from `first` through `last` inclusive.
+ * @private
+ */
+function range(first, last) {
+    var result = [];
+    for (var i = first; i <= last; i++) {
+        result.push(i);
     }
-    return result || result === 0 || result === false ? result : '';
+    return result;
+}
+
+/**
+ * @param {{columns: Column[], rows: number[]}} region
+ * @param {boolean} [formatted] - Format each value with the localizer named in the cell's `format` property.
+ * @returns {Array[]} Row-major matrix of values.
+ * @this {Hypergrid}
+ * @private
+ */
+function getRegionValues(region, formatted) {
+    var self = this,
+        dataModel = this.behavior.dataModel;
+
+    return region.rows.map(function(y) {
+        var dataRow = dataModel.getRow(y);
+        return region.columns.map(function(column) {
+            var value = valOrFunc.call(dataRow, column);
+            if (formatted && value !== '') {
+                value = self.formatValue(column.getCellProperty(y, 'format', dataModel), value);
+            }
+            return value;
+        });
+    });
+}
+
+/**
+ * @param {{columns: Column[], rows: number[]}} region
+ * @returns {Array[]} Row-major matrix of `{color, backgroundColor}` objects from cell properties.
+ * @this {Hypergrid}
+ * @private
+ */
+function getRegionColors(region) {
+    var dataModel = this.behavior.dataModel;
+
+    return region.rows.map(function(y) {
+        return region.columns.map(function(column) {
+            var properties = column.getCellProperties(y, dataModel);
+            return {
+                color: properties.color,
+                backgroundColor: properties.backgroundColor
+            };
+        });
+    });
 }
 
 /**
@@ -3539,6 +4534,16 @@ function valOrFunc(column) {
  */
 Hypergrid.plugins = {};
 
+/**
+ * @summary Register a named theme for use by all grid instances.
+ * @desc Replaces any theme of the same name. See {@link module:themes|themes} for the built-in themes and {@link themeObject} for the theme's format; and {@link Hypergrid#applyTheme} to use it.
+ * @param {string} name
+ * @param {themeObject} theme
+ */
+Hypergrid.registerTheme = function(name, theme) {
+    themes.register(name, theme);
+};
+
 /**
  * @summary Shared localization defaults for all grid instances.
  * @desc These property values are overridden by those supplied in the `Hypergrid` constructor's `options.localization`.
@@ -8,6 +8,10 @@ var Point = require('rectangular').Point;
 var Base = require('../Base');
 var Column = require('./Column');
 var cellEventFactory = require('./../lib/cellEventFactory');
+var mergedCells = require('../lib/mergedCells');
+var wrapText = require('../lib/wrapText');
+var themes = require('../lib/themes');
+var keymap = require('../lib/keymap');
 var HeaderSubgrid = require('../dataModels/HeaderSubgrid');
 var FilterSubgrid = require('../dataModels/FilterSubgrid');
 var SummarySubgrid = require('../dataModels/SummarySubgrid');
@@ -265,12 +269,128 @@ var Behavior = Base.extend('Behavior', {
         return this.deprecate('getPrivateState()', 'grid.properties', '1.2.0');
     },
 
-    //this is effectively a clone, with certain things removed....
+    /**
+     * @summary Version of the memento returned by {@link Behavior#getState|getState}.
+     * @desc Whenever the shape of the memento changes, bump this number and append a migration to {@link Behavior#stateMigrations|stateMigrations}.
+     * @type {number}
+     * @memberOf Behavior.prototype
+     */
+    stateVersion: 1,
+
+    /**
+     * @summary Memento migrations.
+     * @desc Element `n` is a function that takes a version `n` memento and returns the equivalent version `n + 1` memento. Version 0 is the original unversioned memento, which consisted solely of grid properties.
+     * @type {function[]}
+     * @memberOf Behavior.prototype
+     */
+    stateMigrations: [
+        function(memento) {
+            return {
+                version: 1,
+                properties: memento
+            };
+        }
+    ],
+
+    /**
+     * @memberOf Behavior.prototype
+     * @summary Get a serializable snapshot of the grid's state.
+     * @desc The snapshot is a [memento](http://c2.com/cgi/wiki?MementoPattern) suitable for `JSON.stringify` and for restoring with {@link Behavior#setState|setState}. Columns are referenced by name rather than index so the memento survives schema changes. Includes:
+     * * `version` - See {@link Behavior#stateVersion|stateVersion}.
+     * * `properties` - The grid's own properties, including `columnProperties`.
+     * * `columns` - The active columns in order, each as `{name, width}`.
+     * * `hiddenColumns` - Names of the inactive columns.
+     * * `sorts` - Sort specs as `{name, direction, type}` (when a sorter such as hyper-sorter is installed).
+     * * `filter` - Column filters and table filter states (when a filter such as hyper-filter is installed).
+     * * `fixedColumnCount` and `fixedRowCount`
+     * * `rowHeights` - Hash of explicitly set row heights keyed by subgrid name or type (_e.g.,_ `header`, `data`), each a hash of heights keyed by local row index.
+     * * `selections` - Cell selections as `{x, y, width, height}` (where a single cell has zero width and height), plus selected `rows` and `columns`.
+     * * `scroll` - Horizontal and vertical scroll values as `{x, y}`.
+     * * `theme` - Name of the grid's {@link Hypergrid#applyTheme|theme}.
+     * @returns {object}
+     */
     getState: function() {
-        var copy = JSON.parse(JSON.stringify(this.grid.properties));
-        this.clearObjectProperties(copy.columnProperties, false);
-        return copy;
+        var grid = this.grid,
+            dataModel = this.dataModel,
+            sm = grid.selectionModel,
+            properties = JSON.parse(JSON.stringify(grid.properties)),
+            activeColumns = this.columns,
+            state;
+
+        this.clearObjectProperties(properties.columnProperties, false);
+
+        state = {
+            version: this.stateVersion,
+            properties: properties,
+            columns: activeColumns.map(function(column) {
+                return { name: column.name, width: column.getWidth() };
+            }),
+            hiddenColumns: this.allColumns.filter(function(column) {
+                return activeColumns.indexOf(column) < 0;
+            }).map(function(column) {
+                return column.name;
+            }),
+            fixedColumnCount: grid.properties.fixedColumnCount,
+            fixedRowCount: grid.properties.fixedRowCount,
+            rowHeights: getRowHeights.call(this),
+            selections: {
+                cells: sm.getSelections().map(function(rect) {
+                    return { x: rect.origin.x, y: rect.origin.y, width: rect.extent.x, height: rect.extent.y };
+                }),
+                rows: sm.getSelectedRows(),
+                columns: sm.getSelectedColumns()
+            },
+            scroll: {
+                x: grid.hScrollValue,
+                y: grid.vScrollValue
+            },
+            theme: grid.theme
+        };
+
+        if (dataModel.getSortedColumnIndexes) {
+            state.sorts = dataModel.getSortedColumnIndexes().map(function(sortSpec) {
+                return {
+                    name: dataModel.schema[sortSpec.columnIndex].name,
+                    direction: sortSpec.direction,
+                    type: sortSpec.type
+                };
+            });
+        }
+
+        if (dataModel.filter.getColumnFiltersState) {
+            state.filter = {
+                columnFilters: dataModel.filter.getColumnFiltersState(),
+                tableFilter: dataModel.filter.getTableFilterState()
+            };
+        }
+
+        return state;
+    },
+
+    /**
+     * @memberOf Behavior.prototype
+     * @summary Bring a memento up to the current {@link Behavior#stateVersion|stateVersion}.
+     * @param {object} memento - Any version of a memento returned by {@link Behavior#getState|getState}; or an unversioned hash of grid properties.
+     * @returns {object} Current version of the memento.
+     */
+    migrateState: function(memento) {
+        var version = memento.version || 0;
+
+        if (version > this.stateVersion) {
+            throw new this.HypergridError('Grid state version ' + version + ' is newer than supported version ' + this.stateVersion + '.');
+        }
+
+        while (version < this.stateVersion) {
+            memento = this.stateMigrations[version](memento);
+            if (!(memento.version > version)) {
+                throw new this.HypergridError('Grid state migration from version ' + version + ' failed to advance the version.');
+            }
+            version = memento.version;
+        }
+
+        return memento;
     },
+
     /**
      * @memberOf Behavior.prototype
      * @desc clear all table state
@@ -303,38 +423,77 @@ var Behavior = Base.extend('Behavior', {
      * @memberOf Behavior.prototype
      * @desc Restore this table to a previous state.
      * See the [memento pattern](http://c2.com/cgi/wiki?MementoPattern).
-     * @param {Object} memento - an encapsulated representation of table state
+     *
+     * The memento is first migrated to the current version (see {@link Behavior#migrateState|migrateState}) and its filter state is applied, so that an unsupported memento or an invalid filter throws before any other state is touched (the previous filter state being put back in the latter case). Everything else is then restored, followed by a single reindex. Members missing from the memento are left as is, except for `properties` which replaces all the grid properties (as before), and `filter.columnFilters` and `filter.tableFilter` which clear the column filters and table filter when `filter` is given.
+     *
+     * The scroll position is not restored here because the scrollbars must first be resized to the restored state; see {@link Hypergrid#setState}.
+     * @param {Object} memento - A memento returned by {@link Behavior#getState|getState} (any version); or an unversioned hash of grid properties.
+     * @returns {object} The migrated memento.
      */
     setState: function(memento) {
-
-        if (memento.rowHeights) {
-            if (!warned.rowHeights) {
-                warned.rowHeights = true;
-                console.warn('rowHeights, the hash of row heights you provided to setState method, is no longer supported as of v1.2.0 and will be ignored. Instead use individual calls to setRowHeight(y, height, dataModel) for each row height you wish to set, where y is local zero-based row index within dataModel. The dataModel arg is optional and defaults to this.dataModel; specify to set row heights in other data models, such as header row, filter cell row, individual summary rows, etc.');
+        var grid = this.grid,
+            dataModel = this.dataModel,
+            filter = dataModel.filter,
+            state = this.migrateState(memento),
+            previousFilterState, error;
+
+        if (state.filter && filter.setColumnFiltersState) {
+            previousFilterState = {
+                columnFilters: filter.getColumnFiltersState(),
+                tableFilter: filter.getTableFilterState()
+            };
+            if ((error = setFilterState.call(this, state.filter))) {
+                setFilterState.call(this, previousFilterState);
+                throw new this.HypergridError('Invalid grid state filter: ' + (error.message || error));
             }
         }
 
-        //we don't want to clobber the column properties completely
-        if (!memento.columnIndexes) {
-            var length = this.dataModel.schema.length;
-            memento.columnIndexes = [];
-            for (var i = 0; i < length; i++) {
-                memento.columnIndexes[i] = i;
-            }
+        if (state.theme && state.theme !== grid.theme && themes.has(state.theme)) {
+            grid.applyTheme(state.theme); // an unregistered theme is ignored
         }
-        var colProperties = memento.columnProperties;
-        delete memento.columnProperties;
-        this.clearState();
-        var state = this.grid.properties;
-        this.createColumns();
-        this._setColumnOrder(memento.columnIndexes);
-        _(state).extendOwn(memento);
-        this.setAllColumnProperties(colProperties);
-        memento.columnProperties = colProperties;
 
-        //just to be close/ it's easier on the eyes
-        this.setColumnWidth(-1, 24.193359375);
-        this.dataModel.reindex();
+        if (state.properties) {
+            setProperties.call(this, state.properties);
+        }
+
+        if (state.columns) {
+            setColumns.call(this, state.columns);
+        }
+
+        if ('fixedColumnCount' in state) {
+            grid.properties.fixedColumnCount = state.fixedColumnCount;
+        }
+
+        if ('fixedRowCount' in state) {
+            grid.properties.fixedRowCount = state.fixedRowCount;
+        }
+
+        if (state.sorts && dataModel.getSortedColumnIndexes) {
+            dataModel.sorter.prop('sorts', state.sorts.map(function(sortSpec) {
+                return {
+                    columnIndex: dataModel.schema.findIndex(function(columnSchema) {
+                        return columnSchema.name === sortSpec.name;
+                    }),
+                    direction: sortSpec.direction,
+                    type: sortSpec.type
+                };
+            }).filter(function(sortSpec) {
+                return sortSpec.columnIndex >= 0;
+            }));
+            dataModel.serializeSortState();
+        }
+
+        dataModel.reindex();
+
+        if (state.rowHeights) {
+            setRowHeights.call(this, state.rowHeights);
+        }
+
+        if (state.selections) {
+            setSelections.call(this, state.selections);
+        }
+
+        return state;
     },
 
     setAllColumnProperties: function(properties) {
@@ -569,7 +728,7 @@ var Behavior = Base.extend('Behavior', {
 
     /**
      * @summary Get the properties object for cell.
-     * @desc This is the cell's own properties object if found else the column object.
+     * @desc This is the cell's own properties object if found; else the column's properties in the cell's subgrid (see {@link Column#getSubgridProperties}).
      *
      * If you are seeking a single specific property, consider calling {@link Behavior#getCellProperty} instead.
      * @param {CellEvent|number} xOrCellEvent - Data x coordinate.
@@ -697,7 +856,39 @@ var Behavior = Base.extend('Behavior', {
      */
     getRowHeight: function(rowIndex, dataModel) {
         var rowData = (dataModel || this.dataModel).getRow(rowIndex);
-        return rowData && rowData.__ROW_HEIGHT || this.grid.properties.defaultRowHeight;
+        return rowData && (
+            rowData.__ROW_HEIGHT ||
+            this.grid.properties.autoRowHeight && (!dataModel || dataModel === this.dataModel) && getAutoRowHeight.call(this, rowIndex)
+        ) || getDefaultRowHeight.call(this, dataModel);
+    },
+
+    /**
+     * @summary Height of a data row fitted to its wrapped text.
+     * @desc The tallest of the row's cells in the active columns whose `wrap` property is truthy, when wrapped to the column's width (see {@link module:wrapText|wrapText}); but no less than `defaultRowHeight`.
+     *
+     * When the `autoRowHeight` grid property is truthy, {@link Behavior#getRowHeight|getRowHeight} calls this method and caches the result by row. The cached heights are recalculated after the data changes, or a column's `wrap` property, or the width or font of a wrapped column, changes.
+     * @param {number} rowIndex - Data row coordinate.
+     * @returns {number} Height in pixels.
+     * @memberOf Behavior.prototype
+     */
+    computeRowHeight: function(rowIndex) {
+        var grid = this.grid,
+            gc = grid.canvas.gc,
+            height = getDefaultRowHeight.call(this);
+
+        getWrappedCells.call(this, rowIndex).forEach(function(cell) {
+            var props = cell.properties,
+                textHeight = props.getTextHeight(props.font).height,
+                lines;
+
+            gc.font = props.font;
+            lines = wrapText(gc, cell.text, cell.width - 2 * props.cellPadding, props.getTextWidth);
+
+            // 2 pixels above and below the text plus the grid line
+            height = Math.max(height, Math.ceil(lines.length * textHeight + 4) + grid.properties.lineWidth);
+        });
+
+        return height;
     },
 
     /**
@@ -717,13 +908,123 @@ var Behavior = Base.extend('Behavior', {
      * @param {DataModel} [dataModel=this.dataModel]
      */
     setRowHeight: function(rowIndex, height, dataModel) {
-        var rowData = (dataModel || this.dataModel).getRow(rowIndex);
-        if (rowData) {
-            rowData.__ROW_HEIGHT = Math.max(5, height);
+        if (setRowHeight.call(this, dataModel || this.dataModel, rowIndex, height)) {
             this.stateChanged();
         }
     },
 
+    /**
+     * @summary Set a subgrid's own properties.
+     * @desc The subgrid's properties are resolved before column and grid properties (but after cell properties) for every cell in the subgrid. This is how to style rows that otherwise share the header or data row properties, such as summary rows. Typical properties are `font`, `color`, `backgroundColor`, `halign`, `format`, and `defaultRowHeight` (for rows without a height of their own).
+     *
+     * Subgrids may also be given properties when instantiated, for example `[SummarySubgrid, { name: 'topTotals', properties: {...} }]` in the `subgrids` option.
+     * @param {object} [properties] - Replaces the subgrid's properties. Omit to remove them.
+     * @param {DataModel|string} [subgrid=this.dataModel] - The subgrid or its key in {@link Behavior#subgrids|subgrids} (its name or type, _e.g._, `'topTotals'` or `'header'`).
+     * @memberOf Behavior.prototype
+     */
+    setSubgridProperties: function(properties, subgrid) {
+        getSubgrid.call(this, subgrid).properties = properties && _({}).extendOwn(properties);
+        this.changed();
+    },
+
+    /**
+     * @param {DataModel|string} [subgrid=this.dataModel] - The subgrid or its key in {@link Behavior#subgrids|subgrids}.
+     * @returns {object|undefined} The subgrid's own properties (as set by {@link Behavior#setSubgridProperties|setSubgridProperties}).
+     * @memberOf Behavior.prototype
+     */
+    getSubgridProperties: function(subgrid) {
+        return getSubgrid.call(this, subgrid).properties;
+    },
+
+    /**
+     * @summary Declare merged (spanning) cells.
+     * @desc Each range is painted as a single cell showing the value of its top-left cell, and is selected and navigated as a single cell. Ranges should not overlap.
+     *
+     * See also the `autoMerge` column property, which merges identical consecutive values in a column of the data subgrid.
+     * @param {mergedRangeObject[]} [ranges] - Omit to remove all merged ranges from the subgrid.
+     * @param {DataModel} [subgrid=this.dataModel]
+     * @memberOf Behavior.prototype
+     */
+    setMergedCells: function(ranges, subgrid) {
+        (subgrid || this.dataModel).mergedCells = ranges && ranges.slice();
+        this.changed();
+    },
+
+    /**
+     * @param {DataModel} [subgrid=this.dataModel]
+     * @returns {mergedRangeObject[]} The subgrid's declared merged ranges (as set by {@link Behavior#setMergedCells|setMergedCells}).
+     * @memberOf Behavior.prototype
+     */
+    getMergedCells: function(subgrid) {
+        return (subgrid || this.dataModel).mergedCells || [];
+    },
+
+    /**
+     * @summary The merged range containing a cell.
+     * @desc Declared ranges take precedence over auto-merged runs (see {@link Behavior#getAutoMergeRuns|getAutoMergeRuns}).
+     * @param {number} x - Grid column index.
+     * @param {number} y - Row index local to `subgrid`.
+     * @param {DataModel} [subgrid=this.dataModel]
+     * @returns {mergedRangeObject|undefined}
+     * @memberOf Behavior.prototype
+     */
+    getMergedCell: function(x, y, subgrid) {
+        subgrid = subgrid || this.dataModel;
+
+        var range = mergedCells.find(subgrid.mergedCells, x, y),
+            runs;
+
+        if (!range && subgrid === this.dataModel && (runs = this.getAutoMergeRuns(x))) {
+            range = runs(y);
+        }
+
+        return range;
+    },
+
+    /**
+     * @summary The runs of identical consecutive values in a column of the data subgrid.
+     * @desc Runs are found on demand and cached until the data changes (see {@link dataModels.JSON#dataGeneration|dataGeneration}) or another column is moved into position `x`.
+     * @param {number} x - Grid column index.
+     * @returns {function|undefined} `undefined` when the column does not have the `autoMerge` property; else a function called with a row index returning the run containing the row, if any (see {@link module:mergedCells.getRun}).
+     * @memberOf Behavior.prototype
+     */
+    getAutoMergeRuns: function(x) {
+        var column = this.getActiveColumn(x);
+
+        if (column && column.properties.autoMerge) {
+            var dataModel = this.dataModel,
+                generation = dataModel.dataGeneration,
+                autoMerges = this.autoMerges,
+                entry;
+
+            if (!autoMerges || autoMerges.generation !== generation) {
+                autoMerges = this.autoMerges = { generation: generation, columns: {} };
+            }
+
+            entry = autoMerges.columns[x];
+            if (!entry || entry.column !== column) {
+                entry = autoMerges.columns[x] = {
+                    column: column,
+                    getValue: column.getValue.bind(column),
+                    runs: []
+                };
+            }
+
+            return function(y) {
+                return mergedCells.getRun(entry.getValue, y, dataModel.getRowCount(), entry.runs, x);
+            };
+        }
+    },
+
+    /**
+     * @summary Discard cached auto-merged runs.
+     * @desc Only needed after changing data behind the data model's back (changes made through the data model advance its `dataGeneration`, which discards them).
+     * @memberOf Behavior.prototype
+     */
+    invalidateMergedCells: function() {
+        this.autoMerges = undefined;
+    },
+
     /**
      * @memberOf Behavior.prototype
      * @desc This will allow 'floating' fixed rows.
@@ -901,13 +1202,20 @@ var Behavior = Base.extend('Behavior', {
 
     /**
      * @memberOf Behavior.prototype
-     * @desc delegate handling key down to the feature chain of responsibility
+     * @desc Look up the key command bound to the key chord in the `keymap` grid property and put its name in `event.detail.command` (`undefined` when none). Then call the application command by that name (see {@link Hypergrid#addCommand}) if there is one; else delegate handling key down to the feature chain of responsibility.
      * @param {Hypergrid} grid
      * @param {Object} event - the event details
      */
     onKeyDown: function(grid, event) {
         if (this.featureChain) {
-            this.featureChain.handleKeyDown(grid, event);
+            var command = event.detail.command = keymap.getCommand(grid.properties.keymap, event.detail),
+                handler = command && grid.commands[command];
+
+            if (handler) {
+                handler.call(grid, event);
+            } else {
+                this.featureChain.handleKeyDown(grid, event);
+            }
             this.setCursor(grid);
         }
     },
@@ -1447,6 +1755,262 @@ function enlivenSubgrids(dataModel) {
     return dataModel;
 }
 
+/**
+ * @this {Behavior}
+ * @param {DataModel|string} [subgrid=this.dataModel] - The subgrid or its key in `this.subgrids`.
+ * @returns {DataModel}
+ * @private
+ */
+function getSubgrid(subgrid) {
+    if (typeof subgrid === 'string') {
+        var key = subgrid;
+        subgrid = this.subgrids[key];
+        if (!subgrid || this.subgrids.indexOf(subgrid) < 0) {
+            throw new this.HypergridError('Unknown subgrid "' + key + '".');
+        }
+    }
+    return subgrid || this.dataModel;
+}
+
+/**
+ * @this {Behavior}
+ * @param {DataModel} [subgrid=this.dataModel]
+ * @returns {number} The subgrid's `defaultRowHeight` property if it has one; else the grid's.
+ * @private
+ */
+function getDefaultRowHeight(subgrid) {
+    var properties = (subgrid || this.dataModel).properties;
+    return properties && properties.defaultRowHeight || this.grid.properties.defaultRowHeight;
+}
+
+/**
+ * Restore grid properties from an unversioned (version 0) memento.
+ * @this {Behavior}
+ * @param {object} memento
+ * @private
+ */
+function setProperties(memento) {
+    if (memento.rowHeights) {
+        if (!warned.rowHeights) {
+            warned.rowHeights = true;
+            console.warn('rowHeights, the hash of row heights you provided to setState method, is no longer supported as of v1.2.0 and will be ignored. Instead use individual calls to setRowHeight(y, height, dataModel) for each row height you wish to set, where y is local zero-based row index within dataModel. The dataModel arg is optional and defaults to this.dataModel; specify to set row heights in other data models, such as header row, filter cell row, individual summary rows, etc.');
+        }
+    }
+
+    //we don't want to clobber the column properties completely
+    if (!memento.columnIndexes) {
+        var length = this.dataModel.schema.length;
+        memento.columnIndexes = [];
+        for (var i = 0; i < length; i++) {
+            memento.columnIndexes[i] = i;
+        }
+    }
+    var colProperties = memento.columnProperties;
+    delete memento.columnProperties;
+    this.clearState();
+    var state = this.grid.properties;
+    this.createColumns();
+    this._setColumnOrder(memento.columnIndexes);
+    _(state).extendOwn(memento);
+    this.setAllColumnProperties(colProperties);
+    memento.columnProperties = colProperties;
+
+    //just to be close/ it's easier on the eyes
+    this.setColumnWidth(-1, 24.193359375);
+}
+
+/**
+ * Replace the column filters and the table filter.
+ * @this {Behavior}
+ * @param {{columnFilters: object, tableFilter: object}} filterState - As per `filter` in {@link Behavior#getState|getState}. A missing member clears its filter.
+ * @returns {undefined|Error|string} The first filter error (returned or thrown); `undefined` indicates success.
+ * @private
+ */
+function setFilterState(filterState) {
+    var filter = this.dataModel.filter;
+
+    try {
+        if (!filterState.columnFilters) {
+            // setColumnFiltersState ignores a falsy state
+            this.dataModel.schema.forEach(function(columnSchema) {
+                filter.setColumnFilterState(columnSchema.name);
+            });
+        }
+
+        return (
+            filter.setColumnFiltersState(filterState.columnFilters) ||
+            filter.setTableFilterState(filterState.tableFilter)
+        );
+    } catch (error) {
+        return error; // as thrown by a filter parser
+    }
+}
+
+/**
+ * @this {Behavior}
+ * @param {{name: string, width: number}[]} columns - Active columns in order.
+ * @private
+ */
+function setColumns(columns) {
+    var allColumns = this.allColumns,
+        indexes = [];
+
+    columns.forEach(function(columnState) {
+        var column = allColumns.find(function(column) {
+            return column.name === columnState.name;
+        });
+        if (column) {
+            if (columnState.width) {
+                column.setWidth(columnState.width);
+            }
+            indexes.push(column.index);
+        }
+    });
+
+    this._setColumnOrder(indexes);
+    this.grid.properties.columnIndexes = indexes;
+}
+
+/**
+ * @summary Cached {@link Behavior#computeRowHeight|computeRowHeight}.
+ * @desc The cache (`this.autoRowHeights`) holds heights keyed by row index. It is discarded when the data changes (see {@link dataModels.JSON#dataGeneration|dataGeneration}) or when a column's `wrap` property, or a wrapped column's width or font, changes. (It is always discarded for data models without a `dataGeneration`.)
+ * @this {Behavior}
+ * @param {number} rowIndex
+ * @returns {number}
+ * @private
+ */
+function getAutoRowHeight(rowIndex) {
+    var generation = this.dataModel.dataGeneration,
+        layout = getWrappedColumns.call(this).map(function(column) {
+            return column.index + ' ' + column.getWidth() + ' ' + column.properties.font;
+        }).join('\n'),
+        cache = this.autoRowHeights;
+
+    if (!cache || generation === undefined || generation !== cache.generation || layout !== cache.layout) {
+        cache = this.autoRowHeights = { generation: generation, layout: layout, heights: {} };
+    }
+
+    return cache.heights[rowIndex] || (cache.heights[rowIndex] = this.computeRowHeight(rowIndex));
+}
+
+/**
+ * @this {Behavior}
+ * @returns {Column[]} The active columns whose `wrap` property is truthy.
+ * @private
+ */
+function getWrappedColumns() {
+    return this.columns.filter(function(column) {
+        return column.properties.wrap;
+    });
+}
+
+/**
+ * @this {Behavior}
+ * @param {number} rowIndex
+ * @returns {{properties: object, text: string, width: number}[]} The row's cells in the wrapped columns.
+ * @private
+ */
+function getWrappedCells(rowIndex) {
+    var grid = this.grid;
+
+    return getWrappedColumns.call(this).map(function(column) {
+        var props = column.getCellProperties(rowIndex);
+
+        return {
+            properties: props,
+            text: grid.formatValue(props.format, column.getValue(rowIndex)),
+            width: column.getWidth()
+        };
+    });
+}
+
+/**
+ * Set a row's height, recording the row in `this.explicitRowHeights` (keyed by subgrid key, then by row index) for {@link getRowHeights}.
+ * @this {Behavior}
+ * @param {DataModel} subgrid
+ * @param {number} rowIndex - Row index local to `subgrid`.
+ * @param {number} height
+ * @returns {boolean} The row exists.
+ * @private
+ */
+function setRowHeight(subgrid, rowIndex, height) {
+    var rowData = subgrid.getRow(rowIndex),
+        explicitRowHeights = this.explicitRowHeights = this.explicitRowHeights || {},
+        key = subgrid.name || subgrid.type || 'data';
+
+    if (rowData) {
+        rowData.__ROW_HEIGHT = Math.max(5, height);
+        (explicitRowHeights[key] = explicitRowHeights[key] || {})[rowIndex] = rowData;
+    }
+
+    return !!rowData;
+}
+
+/**
+ * Rows no longer at the index where their height was set (because the data was replaced or reordered since) are left out, and forgotten.
+ * @this {Behavior}
+ * @returns {object} Explicitly set row heights keyed by subgrid key, then by row index.
+ * @private
+ */
+function getRowHeights() {
+    var result = {};
+
+    _(this.explicitRowHeights).each(function(rows, key) {
+        var subgrid = this.subgrids[key],
+            heights;
+
+        _(rows).each(function(rowData, y) {
+            if (subgrid && subgrid.getRow(Number(y)) === rowData && rowData.__ROW_HEIGHT) {
+                heights = heights || (result[key] = {});
+                heights[y] = rowData.__ROW_HEIGHT;
+            } else {
+                delete rows[y];
+            }
+        });
+    }, this);
+
+    return result;
+}
+
+/**
+ * @this {Behavior}
+ * @param {object} rowHeights - As returned by {@link getRowHeights}.
+ * @private
+ */
+function setRowHeights(rowHeights) {
+    _(rowHeights).each(function(heights, key) {
+        var subgrid = this.subgrids[key];
+        if (subgrid) {
+            _(heights).each(function(height, y) {
+                setRowHeight.call(this, subgrid, Number(y), height);
+            }, this);
+        }
+    }, this);
+}
+
+/**
+ * @this {Behavior}
+ * @param {object} selections - As per `selections` in {@link Behavior#getState|getState}.
+ * @private
+ */
+function setSelections(selections) {
+    var sm = this.grid.selectionModel;
+
+    sm.clear();
+
+    (selections.cells || []).forEach(function(rect) {
+        sm.select(rect.x, rect.y, rect.width, rect.height, true);
+    });
+
+    (selections.rows || []).forEach(function(y) {
+        sm.selectRow(y, y);
+    });
+
+    (selections.columns || []).forEach(function(x) {
+        sm.selectColumn(x, x);
+    });
+}
+
 /**
  * @memberOf Behavior.prototype
  */
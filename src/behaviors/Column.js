@@ -6,6 +6,7 @@ var overrider = require('overrider');
 
 var deprecated = require('../lib/deprecated');
 var HypergridError = require('../lib/error');
+var OptionSource = require('../lib/OptionSource');
 
 var warned = {};
 
@@ -366,6 +367,25 @@ Column.prototype = {
     getFormatter: function() {
         var localizerName = this.properties.format;
         return this.behavior.grid.localization.get(localizerName).format;
+    },
+
+    /**
+     * @summary The column's options for the `Autocomplete` cell editor.
+     * @desc Created on first call and again whenever the column's option properties change. Shared by the cell editor and the renderer so labels learned while editing are shown in the cells.
+     * @returns {OptionSource|undefined} `undefined` when the column has no `optionSource` property.
+     * @memberOf Column.prototype
+     */
+    getOptionSource: function() {
+        var properties = this.properties,
+            grid = this.behavior.grid;
+
+        if (!properties.optionSource) {
+            this.optionSource = undefined;
+        } else if (!this.optionSource || !this.optionSource.isFor(properties)) {
+            this.optionSource = new OptionSource(properties, function() { grid.repaint(); });
+        }
+
+        return this.optionSource;
     }
 };
 
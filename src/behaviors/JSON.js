@@ -2,6 +2,7 @@
 
 var Behavior = require('./Behavior');
 var DataModelJSON = require('../dataModels/JSON');
+var DataSourceRemote = require('../dataSources/DataSourceRemote');
 var features = require('../features');
 
 var REGEX_CAMEL_CASE = /([^_A-Z])([A-Z]+)/g; // all instances of xX or _X within a "word"
@@ -29,8 +30,10 @@ var JSON = Behavior.extend('behaviors.JSON', {
     },
 
     features: [
+        features.FillHandle,
         features.CellSelection,
         features.KeyPaging,
+        features.UndoRedo,
         features.ColumnPicker,
         features.ColumnResizing,
         features.RowResizing,
@@ -154,9 +157,9 @@ var JSON = Behavior.extend('behaviors.JSON', {
     /**
      * @memberOf behaviors.JSON.prototype
      * @description Set the data field.
-     * @param {function|object[]} [dataRows=options.data] - Array of uniform data row objects or function returning same.
+     * @param {function|object[]|dataServiceObject} [dataRows=options.data] - Array of uniform data row objects or function returning same; or a remote data service (see {@link DataSourceRemote}).
      * @param {object} [options] - Takes first argument position when `dataRows` omitted.
-     * @param {function|object} [options.data] - Array of uniform data row objects or function returning same.
+     * @param {function|object|dataServiceObject} [options.data] - Array of uniform data row objects or function returning same; or a remote data service.
      * Passed as 1st param to {@link dataModel.JSON#setData}. If falsy, method aborted.
      * @param {function|object} [options.fields] - Array of field names or function returning same.
      * Passed as 2nd param to {@link dataModel.JSON#setData}.
@@ -165,7 +168,7 @@ var JSON = Behavior.extend('behaviors.JSON', {
      * @param {boolean} [options.apply=true] Apply data transformations to the new data.
      */
     setData: function(dataRows, options) {
-        if (!(Array.isArray(dataRows) || typeof dataRows === 'function')) {
+        if (!(Array.isArray(dataRows) || typeof dataRows === 'function' || DataSourceRemote.isDataService(dataRows))) {
             options = dataRows;
             dataRows = options && options.data;
         }
@@ -176,7 +179,7 @@ var JSON = Behavior.extend('behaviors.JSON', {
             return;
         }
 
-        if (!Array.isArray(dataRows)) {
+        if (!(Array.isArray(dataRows) || DataSourceRemote.isDataService(dataRows))) {
             throw 'Data is not an array';
         }
 
@@ -12,7 +12,7 @@ var cell = {
 
     /**
      * @summary Get the properties object for cell.
-     * @desc This is the cell's own properties object if found; else the column object.
+     * @desc This is the cell's own properties object if found; else the column's properties in the cell's subgrid (see {@link Column#getSubgridProperties|getSubgridProperties}). Either way, properties resolve from the cell, then the subgrid, then the column.
      *
      * If you are seeking a single specific property, consider calling {@link Column#getCellProperty} instead (which calls this method).
      * @param {number} rowIndex - Data row coordinate.
@@ -20,7 +20,45 @@ var cell = {
      * @memberOf Column#
      */
     getCellProperties: function(rowIndex, dataModel) {
-        return this.getCellOwnProperties(rowIndex, dataModel) || this.properties;
+        var subgridProperties = this.getSubgridProperties(dataModel); // also brings the cell's prototype up to date
+        return this.getCellOwnProperties(rowIndex, dataModel) || subgridProperties;
+    },
+
+    /**
+     * @summary Get the column's properties in a subgrid.
+     * @desc This is an object with the subgrid's own properties (see {@link Behavior#setSubgridProperties}) layered over the column properties object (or one of its variants, such as `columnHeader`). It is created on first call and kept in step with the subgrid's properties thereafter, which is what allows it to serve as the prototype of the cell properties objects of the subgrid's cells.
+     * @param {DataModel} [dataModel=this.dataModel]
+     * @param {object} [properties=this.properties] - The column properties object or one of its variants.
+     * @returns {object}
+     * @memberOf Column#
+     */
+    getSubgridProperties: function(dataModel, properties) {
+        var subgrid = dataModel || this.dataModel,
+            base = properties || this.properties,
+            layers = getSubgridLayers.call(this),
+            layer, key;
+
+        for (var i = 0; i < layers.length && !layer; i++) {
+            if (layers[i].subgrid === subgrid && layers[i].base === base) {
+                layer = layers[i];
+            }
+        }
+
+        if (!layer) {
+            layers.push(layer = { subgrid: subgrid, base: base, properties: Object.create(base) });
+        }
+
+        if (layer.source !== subgrid.properties) {
+            for (key in layer.properties) {
+                if (layer.properties.hasOwnProperty(key)) {
+                    delete layer.properties[key];
+                }
+            }
+            _(layer.properties).extendOwn(subgrid.properties);
+            layer.source = subgrid.properties;
+        }
+
+        return layer.properties;
     },
 
     /**
@@ -50,7 +88,7 @@ var cell = {
      *
      * If the cell has its own properties object, it:
      * * was created by a previous call to `setCellProperties` or `setCellProperty`
-     * * has the column properties object as its prototype
+     * * has the column's properties in its subgrid (see {@link Column#getSubgridProperties|getSubgridProperties}) as its prototype
      * * is returned
      *
      * If the cell does not have its own properties object, this method simply returns `undefined`.
@@ -71,7 +109,7 @@ var cell = {
 
     /**
      * @summary Return a specific cell property.
-     * @desc If there is no cell properties object, defers to column properties object.
+     * @desc Resolved from the cell's own properties object; else the subgrid's properties (see {@link Behavior#setSubgridProperties}); else the column properties object.
      * @param {number} rowIndex - Data row coordinate.
      * @param {string} key
      * @return {object} The specified property for the cell at x,y in the grid.
@@ -120,7 +158,23 @@ function getCellPropertiesObject(rowIndex, dataModel) {
 function newCellPropertiesObject(rowIndex, dataModel) {
     var rowData = (dataModel || this.dataModel).getRow(rowIndex),
         metaData = rowData.__META = rowData.__META || {};
-    return (metaData[this.name] = Object.create(this.properties));
+    return (metaData[this.name] = Object.create(this.getSubgridProperties(dataModel)));
+}
+
+/**
+ * The layers created by {@link Column#getSubgridProperties}, discarded when the column properties object is replaced.
+ * @this {Column}
+ * @returns {Array<{subgrid: DataModel, base: object, source: object, properties: object}>}
+ * @private
+ */
+function getSubgridLayers() {
+    var properties = this.properties;
+
+    if (!this.subgridLayers || this.subgridLayers.columnProperties !== properties) {
+        this.subgridLayers = { columnProperties: properties, layers: [] };
+    }
+
+    return this.subgridLayers.layers;
 }
 
 module.exports = cell;
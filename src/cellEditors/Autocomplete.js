@@ -0,0 +1,332 @@
+/* eslint-env browser */
+
+'use strict';
+
+var Textfield = require('./Textfield');
+
+/**
+ * @summary A text box with a drop-down list of the options matching the text typed so far.
+ * @desc Set a column's `editor` property to `'Autocomplete'` to use it. The options come from the column's `optionSource` property (see {@link OptionSource}), looked up `autocompleteDelay` milliseconds after the last keystroke. The drop-down lists up to `autocompleteMaxItems` of them, those beginning with the typed text first.
+ *
+ * Keyboard:
+ * * Up and down arrows - Highlight the previous or next option (down first opens the list when closed).
+ * * Enter and Tab - Choose the highlighted option and save.
+ * * Escape - Cancel editing.
+ *
+ * The option's `value` is saved and its `label` shown (in the text box and in the cell). Typed text matching an option's label (ignoring case) is taken as that option. Other text is rejected with the error feedback unless the `allowFreeText` property is truthy, in which case it is saved as typed.
+ * @constructor
+ * @extends Textfield
+ */
+var Autocomplete = Textfield.extend('Autocomplete', {
+
+    initialize: function() {
+        var el = this.el;
+
+        this.input = el.querySelector('input');
+        this.list = el.querySelector('ul');
+
+        this.input.style.textAlign = this.event.getCellProperty('halign');
+
+        /**
+         * @type {OptionSource}
+         * @memberOf Autocomplete.prototype
+         */
+        this.optionSource = this.event.column.getOptionSource();
+
+        /**
+         * The listed options.
+         * @type {optionObject[]}
+         * @memberOf Autocomplete.prototype
+         */
+        this.options = [];
+
+        this.highlighted = -1;
+        this.lookups = 0;
+
+        this.input.addEventListener('input', this.scheduleLookup.bind(this));
+        this.input.addEventListener('keydown', onKeyDown.bind(this));
+        this.list.addEventListener('mousedown', onListMouseDown.bind(this));
+    },
+
+    template: [
+'<div class="hypergrid-autocomplete">',
+'    <input type="text" lang="{{locale}}" style="{{style}}">',
+'    <ul></ul>',
+'</div>'
+    ].join('\n'),
+
+    /**
+     * The option whose label is in the text box, if any.
+     * @type {optionObject}
+     * @memberOf Autocomplete.prototype
+     */
+    chosen: undefined,
+
+    /**
+     * @summary Show the label of the stored value.
+     * @param {*} value
+     * @memberOf Autocomplete.prototype
+     */
+    setEditorValue: function(value) {
+        var label = this.optionSource && this.optionSource.getLabel(value);
+
+        if (label === undefined) {
+            label = this.localizer.format(value);
+        }
+
+        this.input.value = label;
+        this.chosen = { value: value, label: label };
+    },
+
+    /**
+     * @returns {*} The value of the option whose label is in the text box; or the text itself.
+     * @memberOf Autocomplete.prototype
+     */
+    getEditorValue: function() {
+        var option = this.getOption();
+        return option ? option.value : this.localizer.parse(this.input.value);
+    },
+
+    /**
+     * @returns {boolean|string} Error message when the text matches no option and free text is not allowed.
+     * @memberOf Autocomplete.prototype
+     */
+    validateEditorValue: function() {
+        return (
+            this.input.value !== '' &&
+            !this.event.getCellProperty('allowFreeText') &&
+            !this.getOption() &&
+            'Choose one of the options.'
+        );
+    },
+
+    /**
+     * @returns {optionObject|undefined} The chosen option when its label is still in the text box; else the listed or known option with the label in the text box (ignoring case).
+     * @memberOf Autocomplete.prototype
+     */
+    getOption: function() {
+        var text = this.input.value,
+            target = text.toLowerCase();
+
+        if (this.chosen && this.chosen.label === text) {
+            return this.chosen;
+        }
+
+        return this.options.filter(function(option) {
+            return option.label.toLowerCase() === target;
+        })[0] || (this.optionSource && text !== '' ? this.optionSource.findByLabel(text) : undefined);
+    },
+
+    /**
+     * @summary Also looks up the options matching the new text.
+     * @param {string} text
+     * @memberOf Autocomplete.prototype
+     */
+    replaceText: function(text) {
+        Textfield.prototype.replaceText.call(this, text);
+        this.scheduleLookup();
+    },
+
+    /**
+     * @summary Up and down arrows highlight options rather than moving to the adjacent cell.
+     * @param {number} keyCode
+     * @returns {boolean}
+     * @memberOf Autocomplete.prototype
+     */
+    isCaretAtBoundary: function(keyCode) {
+        return (keyCode === 0x25 || keyCode === 0x27) && Textfield.prototype.isCaretAtBoundary.call(this, keyCode);
+    },
+
+    /**
+     * @summary Look up options after the `autocompleteDelay`, replacing any pending lookup.
+     * @memberOf Autocomplete.prototype
+     */
+    scheduleLookup: function() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(this.lookup.bind(this), this.event.getCellProperty('autocompleteDelay'));
+    },
+
+    /**
+     * @summary Look up and list the options matching the text typed so far.
+     * @desc Results arriving after a later lookup has begun, or after editing has ended, are ignored. A failed lookup (the `optionSource` function throws or its thenable rejects) gives the error feedback (see {@link CellEditor#errorEffect|errorEffect}), leaving the list as it was.
+     * @memberOf Autocomplete.prototype
+     */
+    lookup: function() {
+        var self = this,
+            lookup = ++this.lookups,
+            options;
+
+        clearTimeout(this.timer);
+
+        if (!this.optionSource) {
+            return;
+        }
+
+        try {
+            options = this.optionSource.fetch(this.input.value, this.event);
+        } catch (err) {
+            fail();
+            return;
+        }
+
+        if (options && typeof options.then === 'function') {
+            options.then(show, fail);
+        } else {
+            show(options);
+        }
+
+        function isCurrent() {
+            return lookup === self.lookups && self.grid.cellEditor === self;
+        }
+
+        function show(options) {
+            if (isCurrent()) {
+                self.showOptions(options);
+            }
+        }
+
+        function fail() {
+            if (isCurrent()) {
+                self.errorEffectBegin(); // without an error, so no invalid value alert
+            }
+        }
+    },
+
+    /**
+     * @param {optionObject[]} options
+     * @memberOf Autocomplete.prototype
+     */
+    showOptions: function(options) {
+        var list = this.list;
+
+        this.options = options.slice(0, this.event.getCellProperty('autocompleteMaxItems'));
+
+        while (list.firstChild) {
+            list.removeChild(list.firstChild);
+        }
+
+        this.options.forEach(function(option, index) {
+            var item = document.createElement('li');
+            item.textContent = option.label;
+            item.setAttribute('data-index', index);
+            list.appendChild(item);
+        });
+
+        list.style.display = this.options.length ? 'block' : 'none';
+
+        this.highlight(this.input.value && this.options.length ? 0 : -1);
+    },
+
+    /**
+     * @summary Close the drop-down.
+     * @memberOf Autocomplete.prototype
+     */
+    hideOptions: function() {
+        this.list.style.display = 'none';
+        this.highlighted = -1;
+    },
+
+    /**
+     * @returns {boolean} The drop-down is open.
+     * @memberOf Autocomplete.prototype
+     */
+    isListOpen: function() {
+        return this.list.style.display === 'block';
+    },
+
+    /**
+     * @param {number} index - Index into {@link Autocomplete#options|options}; `-1` for none.
+     * @memberOf Autocomplete.prototype
+     */
+    highlight: function(index) {
+        var items = this.list.children,
+            item;
+
+        if (items[this.highlighted]) {
+            items[this.highlighted].className = '';
+        }
+
+        this.highlighted = index;
+
+        if ((item = items[index])) {
+            item.className = 'hypergrid-autocomplete-highlighted';
+            if (item.scrollIntoView && (item.offsetTop < this.list.scrollTop || item.offsetTop + item.offsetHeight > this.list.scrollTop + this.list.clientHeight)) {
+                item.scrollIntoView(false);
+            }
+        }
+    },
+
+    /**
+     * @summary Put an option's label in the text box and close the drop-down.
+     * @param {optionObject} option
+     * @memberOf Autocomplete.prototype
+     */
+    choose: function(option) {
+        this.chosen = option;
+        this.input.value = option.label;
+        this.moveCaretToEnd();
+        this.hideOptions();
+    },
+
+    hideEditor: function() {
+        clearTimeout(this.timer);
+        this.hideOptions();
+        Textfield.prototype.hideEditor.call(this);
+    }
+});
+
+/**
+ * @this {Autocomplete}
+ * @param {KeyboardEvent} e
+ * @private
+ */
+function onKeyDown(e) {
+    var open = this.isListOpen();
+
+    switch (e.keyCode) {
+        case 0x28: // down
+            e.preventDefault();
+            if (!open) {
+                this.lookup();
+            } else if (this.highlighted < this.options.length - 1) {
+                this.highlight(this.highlighted + 1);
+            }
+            break;
+
+        case 0x26: // up
+            e.preventDefault();
+            if (open && this.highlighted > 0) {
+                this.highlight(this.highlighted - 1);
+            }
+            break;
+
+        case 0x0d: // enter (saved on keyup)
+        case 0x09: // tab (ditto)
+            if (open && this.options[this.highlighted]) {
+                this.choose(this.options[this.highlighted]);
+            }
+            break;
+    }
+}
+
+/**
+ * @this {Autocomplete}
+ * @param {MouseEvent} e
+ * @private
+ */
+function onListMouseDown(e) {
+    var index = e.target.getAttribute('data-index'),
+        option = index !== null && this.options[index];
+
+    e.preventDefault(); // keep the focus in the text box
+
+    if (option) {
+        this.choose(option);
+        if (this.stopEditing(3)) {
+            this.grid.repaint();
+            this.grid.takeFocus();
+        }
+    }
+}
+
+module.exports = Autocomplete;
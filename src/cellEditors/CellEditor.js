@@ -9,6 +9,14 @@ var Base = require('../Base');
 var effects = require('../lib/DOM/effects');
 var Localization = require('../lib/Localization');
 
+// arrow keys that end editing when the caret is at the boundary in their direction
+var arrowKeyDeltas = {
+    0x25: { x: -1, y: 0 }, // left
+    0x26: { x: 0, y: -1 }, // up
+    0x27: { x: 1, y: 0 }, // right
+    0x28: { x: 0, y: 1 } // down
+};
+
 /**
  * @constructor
  */
@@ -76,6 +84,12 @@ var CellEditor = Base.extend('CellEditor', {
         var self = this;
         this.el.addEventListener('keyup', this.keyup.bind(this));
         this.el.addEventListener('keydown', function(e) {
+            if (e.keyCode === 0x09) {
+                e.preventDefault(); // keep the focus for the tab keyup
+            } else if (arrowKeyDeltas[e.keyCode] && self.isCaretAtBoundary(e.keyCode)) {
+                e.preventDefault();
+                self.stopEditingAndMove(arrowKeyDeltas[e.keyCode]);
+            }
             grid.fireSyntheticEditorKeyDownEvent(self, e);
         });
         this.el.addEventListener('keypress', function(e) {
@@ -100,6 +114,11 @@ var CellEditor = Base.extend('CellEditor', {
         0x1b: 'cancelEditing' // escape
     },
 
+    /**
+     * Tab and enter save the edit and move on to the next cell (see {@link Hypergrid#selectNextCell} and {@link Hypergrid#selectCellInEnterDirection}). Escape cancels the edit, leaving the cell's value as it was. (See also {@link CellEditor#isCaretAtBoundary|isCaretAtBoundary} for the arrow keys.)
+     * @param {KeyboardEvent} e
+     * @memberOf CellEditor.prototype
+     */
     keyup: function(e) {
         if (e) {
             var specialKeyup = this.specialKeyups[e.keyCode];
@@ -107,6 +126,11 @@ var CellEditor = Base.extend('CellEditor', {
             if (specialKeyup) {
                 e.preventDefault();
                 if (this[specialKeyup](3)) {
+                    if (e.keyCode === 0x09) {
+                        this.grid.selectNextCell(e.shiftKey);
+                    } else if (e.keyCode === 0x0d) {
+                        this.grid.selectCellInEnterDirection(e.shiftKey);
+                    }
                     this.grid.repaint();
                     this.grid.takeFocus();
                 }
@@ -116,6 +140,90 @@ var CellEditor = Base.extend('CellEditor', {
         }
     },
 
+    /**
+     * @summary Whether the caret is at the boundary of the text in the direction of an arrow key.
+     * @desc When it is, the arrow key ends editing and moves to the adjacent cell (see {@link CellEditor#stopEditingAndMove|stopEditingAndMove}) rather than moving the caret:
+     * * Left: caret at the start of the text.
+     * * Right: caret at the end of the text.
+     * * Up and down: always, for single-line text boxes (`<input>` elements whose caret position is available).
+     *
+     * Never when text is selected. Override for editors that use the arrow keys otherwise.
+     * @param {number} keyCode - Key code of an arrow key.
+     * @returns {boolean}
+     * @memberOf CellEditor.prototype
+     */
+    isCaretAtBoundary: function(keyCode) {
+        var input = this.input,
+            start, end;
+
+        try {
+            start = input.selectionStart;
+            end = input.selectionEnd;
+        } catch (err) {
+            // selection is not available on some input types (e.g., `number`)
+        }
+
+        if (typeof start !== 'number' || start !== end) {
+            return false;
+        }
+
+        switch (keyCode) {
+            case 0x25: return start === 0;
+            case 0x27: return end === input.value.length;
+            default: return input.tagName === 'INPUT';
+        }
+    },
+
+    /**
+     * @summary Save the edit and select an adjacent cell.
+     * @desc If the edited value is invalid, gives the error feedback and keeps editing instead.
+     * @param {{x: number, y: number}} delta - Offset of the cell to select from the edited cell.
+     * @returns {boolean} Editing stopped.
+     * @memberOf CellEditor.prototype
+     */
+    stopEditingAndMove: function(delta) {
+        var grid = this.grid,
+            stopped = this.stopEditing(3);
+
+        if (stopped) {
+            grid.moveSingleSelect(delta.x, delta.y);
+            grid.repaint();
+            grid.takeFocus();
+        }
+
+        return stopped;
+    },
+
+    /**
+     * @summary Replace the edited text, leaving the caret at the end of it.
+     * @desc Used when editing is begun by typing (see {@link CellEditing}).
+     * @param {string} text
+     * @memberOf CellEditor.prototype
+     */
+    replaceText: function(text) {
+        this.input.value = text;
+        this.selectOnFocus = false;
+        this.moveCaretToEnd();
+    },
+
+    /**
+     * @summary Keep the edited text, putting the caret at the end of it rather than selecting it.
+     * @desc Used when editing is begun with F2 (see {@link CellEditing}).
+     * @memberOf CellEditor.prototype
+     */
+    editText: function() {
+        this.selectOnFocus = false;
+        this.moveCaretToEnd();
+    },
+
+    /**
+     * Whether {@link CellEditor#takeFocus|takeFocus} selects all the text (else it puts the caret at the end of the text).
+     * @type {boolean}
+     * @default true
+     * @memberOf CellEditor.prototype
+     */
+    selectOnFocus: true,
+
     /**
      * if true, check that the editor is in the right location
      * @type {boolean}
@@ -350,6 +458,8 @@ var CellEditor = Base.extend('CellEditor', {
 
     /**
      * @desc save the new value into the behavior (model)
+     *
+     * Edits to data cells are recorded as undoable commands (see {@link UndoManager}) and revalidated (see {@link Validator}).
      * @returns {boolean} Data changed and pre-cell-edit event was not canceled.
      * @memberOf CellEditor.prototype
      */
@@ -359,7 +469,14 @@ var CellEditor = Base.extend('CellEditor', {
             this.grid.fireBeforeCellEdit(this.event.gridCell, this.initialValue, value, this); // proceed
 
         if (save) {
+            var dataRow = this.event.isGridRow && this.grid.getRow(this.event.dataCell.y);
+            if (dataRow) {
+                this.grid.undoManager.recordValue(dataRow, this.event.column.name, this.event.value, value);
+            }
             this.grid.behavior.setValue(this.event, value);
+            if (dataRow) {
+                this.grid.validator.validateEdit(dataRow, this.event.column.name);
+            }
             this.grid.fireAfterCellEdit(this.event.gridCell, this.initialValue, value, this);
         }
 
@@ -403,7 +520,11 @@ var CellEditor = Base.extend('CellEditor', {
         var x = window.scrollX, y = window.scrollY;
         this.input.focus();
         window.scrollTo(x, y);
-        this.selectAll();
+        if (this.selectOnFocus) {
+            this.selectAll();
+        } else {
+            this.moveCaretToEnd();
+        }
 
         el.style.left = leftWas;
         el.style.top = topWas;
@@ -415,6 +536,21 @@ var CellEditor = Base.extend('CellEditor', {
      */
     selectAll: nullPattern,
 
+    /**
+     * @memberOf CellEditor.prototype
+     * @desc Put the caret at the end of the text, when the input control supports it.
+     */
+    moveCaretToEnd: function() {
+        var input = this.input,
+            end = input.value.length;
+
+        try {
+            input.setSelectionRange(end, end);
+        } catch (err) {
+            // not supported by some input types (e.g., `number`, `date`)
+        }
+    },
+
     /**
      * @memberOf CellEditor.prototype
      * @desc set the bounds of my input control
@@ -437,7 +573,10 @@ var CellEditor = Base.extend('CellEditor', {
         if (this.checkEditorPositionFlag) {
             this.checkEditorPositionFlag = false;
             if (this.event.isCellVisible) {
-                this.setEditorValue(this.initialValue);
+                if (this.el.parentNode !== this.grid.div) {
+                    // first showing: not again after scrolling out of and back into view, which would lose the edit
+                    this.setEditorValue(this.initialValue);
+                }
                 this.attachEditor();
                 this.moveEditor();
                 this.showEditor();
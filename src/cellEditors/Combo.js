@@ -23,7 +23,11 @@ var Combo = CellEditor.extend('Combo', {
         var self = this;
         setTimeout(function() {
             //self.input.focus();
-            self.selectAll();
+            if (self.selectOnFocus) {
+                self.selectAll();
+            } else {
+                self.moveCaretToEnd();
+            }
         }, 300);
     },
 
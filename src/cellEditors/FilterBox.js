@@ -207,8 +207,10 @@ var FilterBox = ComboBox.extend('FilterBox', {
     },
 
     saveEditorValue: function(value) {
+        var behavior = this.grid.behavior;
         prototype.saveEditorValue.call(this, value);
-        this.grid.behavior.applyAnalytics();
+        behavior.dataModel.transform();
+        behavior.shapeChanged();
     }
 
 });
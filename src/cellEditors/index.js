@@ -20,6 +20,7 @@ function CellEditors(grid, privateRegistry) {
     // preregister the standard cell editors
     if (privateRegistry || !this.get('celleditor')) {
         this.add(require('./CellEditor'));
+        this.add(require('./Autocomplete'));
         this.add(require('./ComboBox'));
         this.add(require('./Color'));
         this.add(require('./Date'));
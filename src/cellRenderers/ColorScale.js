@@ -0,0 +1,94 @@
+'use strict';
+
+var ScaledCell = require('./ScaledCell');
+
+/**
+ * @constructor
+ * @summary Excel-style color scale.
+ * @desc Sets the cell's background color by interpolating the `colorScale` render property, a list of two colors (low, high) or three colors (low, middle, high), according to the position of the cell's number in the range.
+ *
+ * Colors may be given as `#rgb`, `#rrggbb`, `rgb(r, g, b)`, or `rgba(r, g, b, a)`.
+ *
+ * Render properties: `colorScale`, `scaleMin`, and `scaleMax`.
+ * @extends ScaledCell
+ */
+var ColorScale = ScaledCell.extend('ColorScale', {
+
+    /**
+     * @implements paintFunction
+     * @memberOf ColorScale.prototype
+     */
+    paint: function(gc, config) {
+        var value = this.getNumber(config),
+            range = value !== undefined && this.getRange(config),
+            colors = config.colorScale;
+
+        if (range && colors && colors.length > 1) {
+            this.paintText(gc, config, {
+                backgroundColor: interpolate(colors, this.getFraction(value, range))
+            });
+        } else {
+            this.paintText(gc, config, {});
+        }
+    }
+});
+
+/**
+ * @param {string[]} colors - Evenly spaced color stops.
+ * @param {number} fraction - 0 to 1.
+ * @returns {string} CSS color.
+ * @private
+ */
+function interpolate(colors, fraction) {
+    var position = fraction * (colors.length - 1),
+        i = Math.min(Math.floor(position), colors.length - 2),
+        a = parseColor(colors[i]),
+        b = parseColor(colors[i + 1]),
+        t = position - i;
+
+    function mix(index) {
+        return a[index] + (b[index] - a[index]) * t;
+    }
+
+    return 'rgba(' +
+        Math.round(mix(0)) + ', ' +
+        Math.round(mix(1)) + ', ' +
+        Math.round(mix(2)) + ', ' +
+        Math.round(mix(3) * 1000) / 1000 + ')';
+}
+
+var REGEX_HEX = /^#([\da-f]{3}|[\da-f]{6})$/i,
+    REGEX_RGB = /^rgba?\(\s*([\d.]+)\s*,\s*([\d.]+)\s*,\s*([\d.]+)\s*(?:,\s*([\d.]+)\s*)?\)$/i,
+    parsedColors = {};
+
+/**
+ * @param {string} color
+ * @returns {number[]} `[r, g, b, a]`
+ * @private
+ */
+function parseColor(color) {
+    var rgba = parsedColors[color], match;
+
+    if (!rgba) {
+        if ((match = color.match(REGEX_HEX))) {
+            var hex = match[1];
+            if (hex.length === 3) {
+                hex = hex.replace(/./g, '$&$&');
+            }
+            rgba = [0, 2, 4].map(function(i) {
+                return parseInt(hex.substr(i, 2), 16);
+            }).concat(1);
+        } else if ((match = color.match(REGEX_RGB))) {
+            rgba = [Number(match[1]), Number(match[2]), Number(match[3]), match[4] === undefined ? 1 : Number(match[4])];
+        } else {
+            throw 'ColorScale: Unsupported color "' + color + '".';
+        }
+        parsedColors[color] = rgba;
+    }
+
+    return rgba;
+}
+
+ColorScale.interpolate = interpolate;
+
+module.exports = ColorScale;
@@ -0,0 +1,67 @@
+'use strict';
+
+var ScaledCell = require('./ScaledCell');
+
+/**
+ * @constructor
+ * @summary Excel-style data bar.
+ * @desc Draws a horizontal bar, behind the cell text, proportional to the cell's number. The bars' range always includes zero: When the range includes negative numbers, an axis is drawn at zero with negative bars extending left of it in `dataBarNegativeColor` and positive bars extending right in `dataBarColor`.
+ *
+ * Render properties: `dataBarColor`, `dataBarNegativeColor`, `dataBarAxisColor`, `dataBarShowValue`, `scaleMin`, and `scaleMax`.
+ * @extends ScaledCell
+ */
+var DataBar = ScaledCell.extend('DataBar', {
+
+    /**
+     * @implements paintFunction
+     * @memberOf DataBar.prototype
+     */
+    paint: function(gc, config) {
+        var value = this.getNumber(config),
+            range = value !== undefined && this.getRange(config);
+
+        if (!range) {
+            this.paintText(gc, config, {});
+            return;
+        }
+
+        var bounds = config.bounds,
+            padding = 2,
+            left = bounds.x + padding,
+            width = bounds.width - 2 * padding,
+            top = bounds.y + padding,
+            height = bounds.height - 2 * padding,
+            min = Math.min(0, range.min),
+            max = Math.max(0, range.max),
+            span = max - min,
+            backgroundColor = config.backgroundColor;
+
+        if (typeof backgroundColor === 'function') {
+            backgroundColor = backgroundColor(config.dataRow, config.name);
+        }
+        if (backgroundColor) {
+            gc.fillStyle = backgroundColor;
+            gc.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+        }
+
+        if (span > 0 && width > 0) {
+            var axis = left + Math.round(width * -min / span),
+                length = Math.round(width * Math.max(min, Math.min(max, value)) / span);
+
+            gc.fillStyle = value < 0 ? config.dataBarNegativeColor : config.dataBarColor;
+            gc.fillRect(Math.min(axis, axis + length), top, Math.abs(length), height);
+
+            if (min < 0) {
+                gc.fillStyle = config.dataBarAxisColor;
+                gc.fillRect(axis, bounds.y, 1, bounds.height);
+            }
+        }
+
+        this.paintText(gc, config, config.dataBarShowValue
+            ? { backgroundColor: 'transparent' }
+            : { backgroundColor: 'transparent', value: '' }
+        );
+    }
+});
+
+module.exports = DataBar;
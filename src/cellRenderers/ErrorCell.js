@@ -64,6 +64,36 @@ var ErrorCell = CellRenderer.extend('ErrorCell', {
         gc.textBaseline = 'middle';
         gc.font = 'bold 6pt "arial narrow", verdana, geneva';
         gc.fillText(message, x + 4, y + height / 2 + 0.5);
+    },
+
+    /**
+     * @summary Mark an invalid cell.
+     * @desc Called by the renderer after the cell's own renderer has painted it, for cells with a validation error (see {@link Validator}). Outlines the cell and fills its top right corner in `config.validationErrorColor`. The message itself is shown in the cell's tooltip.
+     * @param {CanvasGraphicsContext} gc
+     * @param {object} config
+     * @param {Rectangle} config.bounds - The cell's bounds.
+     * @param {string} config.validationErrorColor
+     * @memberOf ErrorCell.prototype
+     */
+    paintValidationError: function(gc, config) {
+        var bounds = config.bounds,
+            right = bounds.x + bounds.width,
+            corner = Math.min(7, bounds.width, bounds.height);
+
+        gc.save();
+
+        gc.strokeStyle = gc.fillStyle = config.validationErrorColor;
+        gc.lineWidth = 1;
+        gc.strokeRect(bounds.x + 0.5, bounds.y + 0.5, bounds.width - 1, bounds.height - 1);
+
+        gc.beginPath();
+        gc.moveTo(right - corner, bounds.y);
+        gc.lineTo(right, bounds.y);
+        gc.lineTo(right, bounds.y + corner);
+        gc.closePath();
+        gc.fill();
+
+        gc.restore();
     }
 });
 
@@ -0,0 +1,111 @@
+'use strict';
+
+var ScaledCell = require('./ScaledCell');
+
+// Icon drawing functions, keyed by `iconSetIcon.shape`; each adds a path to be filled.
+var shapes = {
+    up: function(gc, x, y, size) {
+        gc.moveTo(x + size / 2, y);
+        gc.lineTo(x + size, y + size);
+        gc.lineTo(x, y + size);
+    },
+    down: function(gc, x, y, size) {
+        gc.moveTo(x, y);
+        gc.lineTo(x + size, y);
+        gc.lineTo(x + size / 2, y + size);
+    },
+    right: function(gc, x, y, size) {
+        gc.moveTo(x, y);
+        gc.lineTo(x + size, y + size / 2);
+        gc.lineTo(x, y + size);
+    },
+    circle: function(gc, x, y, size) {
+        gc.arc(x + size / 2, y + size / 2, size / 2, 0, 2 * Math.PI);
+    }
+};
+
+/**
+ * @constructor
+ * @summary Excel-style icon set.
+ * @desc Draws an icon at the left of the cell chosen by the position of the cell's number in the range. The `iconSetThresholds` render property lists the percentages of the range at which each successive icon begins.
+ *
+ * Render properties: `iconSet` (a key of {@link IconSet.sets}), `iconSetThresholds`, `scaleMin`, and `scaleMax`.
+ * @extends ScaledCell
+ */
+var IconSet = ScaledCell.extend('IconSet', {
+
+    /**
+     * @implements paintFunction
+     * @memberOf IconSet.prototype
+     */
+    paint: function(gc, config) {
+        var value = this.getNumber(config),
+            range = value !== undefined && this.getRange(config),
+            icons = IconSet.sets[config.iconSet];
+
+        if (!range || !icons) {
+            this.paintText(gc, config, {});
+            return;
+        }
+
+        var bounds = config.bounds,
+            size = Math.min(12, bounds.height - 4),
+            icon = icons[IconSet.getIconIndex(this.getFraction(value, range) * 100, config.iconSetThresholds, icons.length)];
+
+        // make room for the icon when text is left-aligned
+        this.paintText(gc, config, config.halign === 'left' ? { cellPadding: config.cellPadding + size + 2 } : {});
+
+        if (size > 0) {
+            gc.save();
+            gc.fillStyle = icon.color;
+            gc.beginPath();
+            shapes[icon.shape](gc, bounds.x + 2, bounds.y + Math.round((bounds.height - size) / 2), size);
+            gc.fill();
+            gc.restore();
+        }
+    }
+});
+
+/**
+ * @typedef {object} iconSetIcon
+ * @property {string} shape - One of `'up'`, `'down'`, `'right'` (arrows), or `'circle'`.
+ * @property {string} color
+ */
+
+/**
+ * @summary Registry of icon sets.
+ * @desc Each set is a list of {@link iconSetIcon}s, ordered from the low end of the range to the high end. Add your own as needed.
+ * @type {object}
+ * @memberOf IconSet
+ */
+IconSet.sets = {
+    arrows: [
+        { shape: 'down', color: 'rgb(248, 105, 107)' },
+        { shape: 'right', color: 'rgb(255, 192, 0)' },
+        { shape: 'up', color: 'rgb(99, 190, 123)' }
+    ],
+    trafficLights: [
+        { shape: 'circle', color: 'rgb(248, 105, 107)' },
+        { shape: 'circle', color: 'rgb(255, 192, 0)' },
+        { shape: 'circle', color: 'rgb(99, 190, 123)' }
+    ]
+};
+
+/**
+ * @param {number} percent - Position of the value in the range (0 to 100).
+ * @param {number[]} thresholds - Ascending percentages at which each icon after the first begins.
+ * @param {number} count - Number of icons in the set.
+ * @returns {number} Index of the icon.
+ * @memberOf IconSet
+ */
+IconSet.getIconIndex = function(percent, thresholds, count) {
+    var index = 0;
+
+    while (index < thresholds.length && percent >= thresholds[index]) {
+        index++;
+    }
+
+    return Math.min(index, count - 1);
+};
+
+module.exports = IconSet;
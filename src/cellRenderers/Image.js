@@ -0,0 +1,188 @@
+/* eslint-env browser */
+
+'use strict';
+
+var mustache = require('mustache');
+
+var SimpleCell = require('./SimpleCell');
+var ImageCache = require('../lib/ImageCache');
+var images = require('../../images');
+
+/**
+ * @constructor
+ * @summary Images given by URL or data URI, such as logos, flags, and avatars.
+ * @desc Images are loaded asynchronously into a cache shared by all grids ({@link ImageCell.cache}). Each cell is repainted when its image arrives (see {@link Hypergrid#repaintCell}). When an image fails to load, the `imageFallback` render property is painted instead, if defined.
+ *
+ * What is painted depends on the `imageUrl` render property:
+ * * **`imageUrl` undefined** - The cell value is the image's URL (or an `HTMLImageElement`). The image alone is painted, laid out per the `imageMode` render property (see {@link ImageCell.getImageRect}).
+ * * **`imageUrl` defined** - The cell value is painted as (left-aligned) text, with an icon sized to the row height to its left. `imageUrl` gives the icon's URL, either as a [mustache](https://mustache.github.io) template merged with the row's fields and the cell's `value` (_e.g.,_ `'flags/{{country}}.png'`); or as a function called with the render properties (which include `value` and `dataRow`) that returns the URL.
+ * @extends SimpleCell
+ */
+var ImageCell = SimpleCell.extend('Image', {
+
+    /**
+     * @implements paintFunction
+     * @memberOf ImageCell.prototype
+     */
+    paint: function(gc, config) {
+        var bounds = config.bounds,
+            image, rect, size;
+
+        if (config.imageUrl === undefined) {
+            this.paintText(gc, config, { value: '' }); // background only
+            image = this.getImage(config, config.value);
+            rect = image && ImageCell.getImageRect(config.imageMode, image.width, image.height, bounds);
+        } else {
+            size = Math.max(0, bounds.height - 4);
+            this.paintText(gc, config, { halign: 'left', cellPadding: config.cellPadding + size + 2 });
+            image = size && this.getImage(config, getIconUrl(config));
+            rect = image && ImageCell.getImageRect('fit', image.width, image.height, {
+                x: bounds.x + 2,
+                y: bounds.y + 2,
+                width: size,
+                height: size
+            });
+        }
+
+        if (rect) {
+            gc.save();
+            gc.beginPath();
+            gc.rect(bounds.x, bounds.y, bounds.width, bounds.height);
+            gc.clip();
+            gc.drawImage(image, rect.x, rect.y, rect.width, rect.height);
+            gc.restore();
+        }
+    },
+
+    /**
+     * @summary Get a cell's image from the cache.
+     * @desc While the image is loading, arranges for the cell to be repainted when it arrives.
+     * @param {object} config
+     * @param {string|HTMLImageElement} url
+     * @returns {HTMLImageElement|undefined} The image; the fallback image if it failed to load; or `undefined` if none (yet).
+     * @memberOf ImageCell.prototype
+     */
+    getImage: function(config, url) {
+        var image;
+
+        if (url && url.nodeName === 'IMG') {
+            image = url;
+        } else if (url) {
+            image = ImageCell.cache.get(String(url), repaintCallback(config), cellKey(config));
+            if (image === null) {
+                image = getFallback(config);
+            }
+        }
+
+        return image && image.width && image.height ? image : undefined;
+    }
+});
+
+/**
+ * @summary Images shared by all grids.
+ * @desc Call `ImageCell.cache.clear(url)` to reload an image that has changed.
+ * @type {ImageCache}
+ * @memberOf ImageCell
+ */
+ImageCell.cache = new ImageCache();
+
+/**
+ * @summary Lay out an image in a rectangle.
+ * @param {string} mode - One of:
+ * * `'fit'` - Scaled to fit within the rectangle, preserving its aspect ratio; centered.
+ * * `'fill'` - Scaled to fill the rectangle, preserving its aspect ratio; centered (and cropped by the caller).
+ * * `'center'` - Unscaled; centered (and cropped by the caller).
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @param {{x: number, y: number, width: number, height: number}} bounds
+ * @returns {{x: number, y: number, width: number, height: number}} Where to draw the image.
+ * @memberOf ImageCell
+ */
+ImageCell.getImageRect = function(mode, imageWidth, imageHeight, bounds) {
+    var scale;
+
+    switch (mode) {
+        case 'center':
+            scale = 1;
+            break;
+        case 'fill':
+            scale = Math.max(bounds.width / imageWidth, bounds.height / imageHeight);
+            break;
+        default: // 'fit'
+            scale = Math.min(bounds.width / imageWidth, bounds.height / imageHeight);
+    }
+
+    var width = Math.round(imageWidth * scale),
+        height = Math.round(imageHeight * scale);
+
+    return {
+        x: bounds.x + Math.round((bounds.width - width) / 2),
+        y: bounds.y + Math.round((bounds.height - height) / 2),
+        width: width,
+        height: height
+    };
+};
+
+/**
+ * @param {object} config
+ * @returns {string} The icon's URL per the `imageUrl` render property.
+ * @private
+ */
+function getIconUrl(config) {
+    var imageUrl = config.imageUrl;
+
+    if (typeof imageUrl === 'function') {
+        return imageUrl(config);
+    }
+
+    var context = Object.create(config.dataRow || null);
+    context.value = config.value;
+
+    return mustache.render(imageUrl, context);
+}
+
+/**
+ * @param {object} config
+ * @returns {HTMLImageElement|null|undefined} The `imageFallback` render property: a key into the `images` module, or a URL.
+ * @private
+ */
+function getFallback(config) {
+    var fallback = config.imageFallback;
+
+    if (fallback) {
+        return images[fallback] && images[fallback].nodeName === 'IMG'
+            ? images[fallback]
+            : ImageCell.cache.get(fallback, repaintCallback(config), cellKey(config));
+    }
+}
+
+/**
+ * @param {object} config
+ * @returns {string} Identifies the cell so that repeated paints while its image is loading request only one repaint.
+ * @private
+ */
+function cellKey(config) {
+    return config.gridCell.x + ',' + (config.isGridRow ? config.dataCell.y : 'g' + config.gridCell.y);
+}
+
+/**
+ * @param {object} config
+ * @returns {function} Repaints the cell (or, outside the data subgrid, the grid).
+ * @private
+ */
+function repaintCallback(config) {
+    var grid = config.grid,
+        x = config.gridCell.x,
+        y = config.dataCell.y,
+        isGridRow = config.isGridRow;
+
+    return function() {
+        if (isGridRow) {
+            grid.repaintCell(x, y);
+        } else {
+            grid.repaint();
+        }
+    };
+}
+
+module.exports = ImageCell;
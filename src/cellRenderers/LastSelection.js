@@ -9,7 +9,7 @@ var CellRenderer = require('./CellRenderer');
 var LastSelection = CellRenderer.extend('LastSelection', {
 
     /**
-     * @desc A rendering of the last Selection Model
+     * @desc A rendering of the last Selection Model, including the fill handle when `config.fillHandleBounds` is defined (see {@link FillHandle}).
      * @implements paintFunction
      * @memberOf LastSelection.prototype
      */
@@ -41,6 +41,12 @@ var LastSelection = CellRenderer.extend('LastSelection', {
 
         gc.stroke();
 
+        var handle = config.fillHandleBounds;
+        if (handle) {
+            gc.fillStyle = config.selectionRegionOutlineColor;
+            gc.fillRect(handle.x, handle.y, handle.width, handle.height);
+        }
+
         // gc.rect(x, y, width, height);
         //
         // gc.strokeStyle = 'white';
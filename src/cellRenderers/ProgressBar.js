@@ -0,0 +1,63 @@
+'use strict';
+
+var SimpleCell = require('./SimpleCell');
+
+/**
+ * @constructor
+ * @summary Percent progress bar.
+ * @desc Draws a track filling the cell with a bar, from the left, for the fraction of `progressMax` given by the cell's number. Unlike the {@link DataBar}, the scale is fixed rather than fit to the column. Non-numeric values are rendered as by {@link SimpleCell}.
+ *
+ * Render properties: `progressMax`, `progressColor`, `progressBackgroundColor`, and `progressShowValue`.
+ * @extends SimpleCell
+ */
+var ProgressBar = SimpleCell.extend('ProgressBar', {
+
+    /**
+     * @implements paintFunction
+     * @memberOf ProgressBar.prototype
+     */
+    paint: function(gc, config) {
+        var value = config.value,
+            fraction = ProgressBar.getFraction(value, config.progressMax);
+
+        if (fraction === undefined) {
+            this.paintText(gc, config, {});
+            return;
+        }
+
+        var bounds = config.bounds,
+            padding = 2,
+            left = bounds.x + padding,
+            width = bounds.width - 2 * padding,
+            top = bounds.y + padding,
+            height = bounds.height - 2 * padding;
+
+        this.paintText(gc, config, { value: '' }); // background only
+
+        if (width > 0 && height > 0) {
+            gc.fillStyle = config.progressBackgroundColor;
+            gc.fillRect(left, top, width, height);
+
+            gc.fillStyle = config.progressColor;
+            gc.fillRect(left, top, Math.round(width * fraction), height);
+        }
+
+        if (config.progressShowValue) {
+            this.paintText(gc, config, { backgroundColor: 'transparent' });
+        }
+    }
+});
+
+/**
+ * @param {*} value - The cell value.
+ * @param {number} max - The value representing 100%.
+ * @returns {number|undefined} Fraction of `max` from 0 to 1, clamped; or `undefined` when `value` is not a finite number.
+ * @memberOf ProgressBar
+ */
+ProgressBar.getFraction = function(value, max) {
+    if (typeof value === 'number' && isFinite(value) && max > 0) {
+        return Math.max(0, Math.min(1, value / max));
+    }
+};
+
+module.exports = ProgressBar;
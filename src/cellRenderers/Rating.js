@@ -0,0 +1,132 @@
+'use strict';
+
+var SimpleCell = require('./SimpleCell');
+
+/**
+ * @constructor
+ * @summary Star rating.
+ * @desc Draws `ratingMax` stars at the left of the cell, the first _n_ filled, where _n_ is the cell value (rounded).
+ *
+ * Clicking a star sets the rating to that star (or clears it when it is the current rating); pressing Space on the selected cell increases the rating by one, wrapping around to zero (see {@link CellClick}).
+ *
+ * Render properties: `ratingMax`, `ratingColor`, and `ratingEmptyColor`.
+ * @extends SimpleCell
+ */
+var Rating = SimpleCell.extend('Rating', {
+
+    /**
+     * @implements paintFunction
+     * @memberOf Rating.prototype
+     */
+    paint: function(gc, config) {
+        var bounds = config.bounds,
+            max = config.ratingMax,
+            rating = Rating.getRating(config.value, max),
+            size = Rating.getStarSize(bounds.height),
+            y = bounds.y + Math.round((bounds.height - size) / 2);
+
+        this.paintText(gc, config, { value: '' }); // background only
+
+        if (size < 4) {
+            return;
+        }
+
+        gc.save();
+        gc.lineWidth = 1;
+        for (var i = 0; i < max; i++) {
+            gc.beginPath();
+            star(gc, bounds.x + Rating.PADDING + i * (size + Rating.PADDING), y, size);
+            if (i < rating) {
+                gc.fillStyle = config.ratingColor;
+                gc.fill();
+            } else {
+                gc.strokeStyle = config.ratingEmptyColor;
+                gc.stroke();
+            }
+        }
+        gc.restore();
+
+        config.minWidth = max * (size + Rating.PADDING) + Rating.PADDING;
+    },
+
+    /**
+     * @summary The rating set by clicking a star or pressing Space.
+     * @param {CellEvent} cellEvent
+     * @param {Point} [mousePoint] - Mouse position relative to the cell; omitted for the keyboard.
+     * @returns {number|undefined} The new rating; or `undefined` when the click missed the stars.
+     * @memberOf Rating.prototype
+     */
+    getEditedValue: function(cellEvent, mousePoint) {
+        var max = cellEvent.getCellProperty('ratingMax'),
+            rating = Rating.getRating(cellEvent.value, max),
+            star;
+
+        if (!mousePoint) {
+            return (rating + 1) % (max + 1);
+        }
+
+        star = Rating.getStarAt(mousePoint.x, cellEvent.bounds.height, max);
+
+        if (star) {
+            return star === rating ? 0 : star;
+        }
+    }
+});
+
+/**
+ * Pixels between stars (and between the first star and the left edge of the cell).
+ * @type {number}
+ * @memberOf Rating
+ */
+Rating.PADDING = 2;
+
+/**
+ * @param {number} height - Height of the cell.
+ * @returns {number} Size of the stars.
+ * @memberOf Rating
+ */
+Rating.getStarSize = function(height) {
+    return Math.max(0, Math.min(16, height - 4));
+};
+
+/**
+ * @param {*} value - The cell value.
+ * @param {number} max - The `ratingMax` render property.
+ * @returns {number} Number of filled stars: `value` rounded and clamped to `0..max`; 0 when not a number.
+ * @memberOf Rating
+ */
+Rating.getRating = function(value, max) {
+    value = Math.round(Number(value));
+    return isNaN(value) ? 0 : Math.max(0, Math.min(max, value));
+};
+
+/**
+ * @param {number} x - Horizontal mouse position relative to the cell.
+ * @param {number} height - Height of the cell.
+ * @param {number} max - The `ratingMax` render property.
+ * @returns {number} The 1-based star under the mouse; or 0 when none.
+ * @memberOf Rating
+ */
+Rating.getStarAt = function(x, height, max) {
+    var pitch = Rating.getStarSize(height) + Rating.PADDING,
+        star = Math.floor((x - Rating.PADDING / 2) / pitch) + 1;
+
+    return pitch > Rating.PADDING && star >= 1 && star <= max ? star : 0;
+};
+
+// Add a five-pointed star inscribed in the square at (x, y) to the path
+function star(gc, x, y, size) {
+    var radius = size / 2,
+        cx = x + radius,
+        cy = y + radius * 1.1;
+
+    for (var i = 0; i < 10; i++) {
+        var r = i % 2 ? radius * 0.45 : radius,
+            angle = Math.PI * (i / 5 - 0.5);
+        gc[i ? 'lineTo' : 'moveTo'](cx + r * Math.cos(angle), cy + r * Math.sin(angle));
+    }
+
+    gc.closePath();
+}
+
+module.exports = Rating;
@@ -0,0 +1,65 @@
+'use strict';
+
+var SimpleCell = require('./SimpleCell');
+
+/**
+ * @constructor
+ * @summary Base class for cell renderers that visualize a number relative to a range.
+ * @desc The range is given by the `scaleMin` and `scaleMax` render properties; when `undefined`, the column's minimum and maximum (from the data model's {@link dataModels.JSON#getColumnStats|column stats}) are used instead.
+ *
+ * Non-numeric values are rendered as by {@link SimpleCell}.
+ * @extends SimpleCell
+ */
+var ScaledCell = SimpleCell.extend('ScaledCell', {
+
+    /**
+     * Asks the renderer to set `config.columnStats` before calling `paint`.
+     * @type {boolean}
+     * @memberOf ScaledCell.prototype
+     */
+    usesColumnStats: true,
+
+    /**
+     * @param {object} config
+     * @returns {{min: number, max: number}|undefined} `undefined` when there is no range (no numbers in column).
+     * @memberOf ScaledCell.prototype
+     */
+    getRange: function(config) {
+        var stats = config.columnStats || {},
+            min = config.scaleMin !== undefined ? config.scaleMin : stats.min,
+            max = config.scaleMax !== undefined ? config.scaleMax : stats.max;
+
+        if (isNumber(min) && isNumber(max)) {
+            return { min: min, max: max };
+        }
+    },
+
+    /**
+     * @param {number} value
+     * @param {{min: number, max: number}} range
+     * @returns {number} Position of `value` in `range` from 0 to 1, clamped; 0.5 when range is empty.
+     * @memberOf ScaledCell.prototype
+     */
+    getFraction: function(value, range) {
+        var span = range.max - range.min;
+        return span > 0 ? Math.max(0, Math.min(1, (value - range.min) / span)) : 0.5;
+    },
+
+    /**
+     * @param {object} config
+     * @returns {number|undefined} The cell value when a finite number.
+     * @memberOf ScaledCell.prototype
+     */
+    getNumber: function(config) {
+        var value = config.value;
+        return isNumber(value) ? value : undefined;
+    }
+});
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+ScaledCell.abstract = true; // don't instantiate directly
+
+module.exports = ScaledCell;
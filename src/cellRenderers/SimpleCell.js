@@ -1,6 +1,7 @@
 'use strict';
 
 var CellRenderer = require('./CellRenderer');
+var wrapText = require('../lib/wrapText');
 
 /**
  * @constructor
@@ -104,7 +105,7 @@ var SimpleCell = CellRenderer.extend('SimpleCell', {
             gc.strokeStyle = theColor;
         }
 
-        if (config.isHeaderRow && config.headerTextWrapping) {
+        if (config.isHeaderRow && config.headerTextWrapping || config.isUserDataArea && config.wrap) {
             this.renderMultiLineText(gc, config, val);
         } else {
             this.renderSingleLineText(gc, config, val);
@@ -148,7 +149,28 @@ var SimpleCell = CellRenderer.extend('SimpleCell', {
     },
 
     /**
-     * @summary Renders single line text.
+     * @summary Paint the cell as {@link SimpleCell} would, but with some render properties overridden.
+     * @desc For subclasses that decorate the standard cell. `config` itself is not mutated (except for `minWidth`, which is passed back to the grid).
+     * @param {CanvasRenderingContext2D} gc
+     * @param {object} config
+     * @param {object} overrides - Render properties to override.
+     * @memberOf SimpleCell.prototype
+     */
+    paintText: function(gc, config, overrides) {
+        var textConfig = Object.create(config);
+
+        Object.keys(overrides).forEach(function(key) {
+            textConfig[key] = overrides[key];
+        });
+
+        SimpleCell.prototype.paint.call(this, gc, textConfig);
+
+        config.minWidth = textConfig.minWidth;
+    },
+
+    /**
+     * @summary Renders text wrapped onto multiple lines.
+     * @desc Used for header cells when `headerTextWrapping` is truthy and for data cells when `wrap` is truthy. Lines break at spaces and newlines (see {@link module:wrapText|wrapText}).
      * @param {CanvasGraphicsContext} gc
      * @param {object} config
      * @param {Rectangle} config.bounds - The clipping rect of the cell to be rendered.
@@ -160,9 +182,9 @@ var SimpleCell = CellRenderer.extend('SimpleCell', {
             y = config.bounds.y,
             width = config.bounds.width,
             height = config.bounds.height;
-        var lines = fitText(gc, config, val, width);
+        var lines = wrapText(gc, val, width - 2 * config.cellPadding, config.getTextWidth);
         if (lines.length === 1) {
-            return this.renderSingleLineText(gc, config, squeeze(val));
+            return this.renderSingleLineText(gc, config, lines[0]);
         }
 
         var colHEdgeOffset = config.cellPadding,
@@ -197,11 +219,16 @@ var SimpleCell = CellRenderer.extend('SimpleCell', {
 
         gc.textAlign = halign;
 
+        var lineWidth = 0;
         for (var i = 0; i < lines.length; i++) {
             gc.fillText(lines[i], x + halignOffset, y + valignOffset + (i * textHeight));
+            lineWidth = Math.max(lineWidth, config.getTextWidth(gc, lines[i]));
         }
 
         gc.restore(); // discard clipping region
+
+        //for column autosizing purposes (widest line rather than entire text)
+        config.minWidth = lineWidth + (2 * colHEdgeOffset);
     },
 
     /**
@@ -270,49 +297,6 @@ var SimpleCell = CellRenderer.extend('SimpleCell', {
 });
 
 
-function fitText(gc, config, string, width) {
-    return findLines(gc, config, squeeze(string).split(' '), width);
-}
-
-function findLines(gc, config, words, width) {
-
-    if (words.length === 1) {
-        return words;
-    }
-
-    // starting with just the first word…
-    var stillFits, line = [words.shift()];
-    while (
-        // so lone as line still fits within current column…
-    (stillFits = config.getTextWidth(gc, line.join(' ')) < width)
-    // …AND there are more words available…
-    && words.length
-        ) {
-        // …add another word to end of line and retest
-        line.push(words.shift());
-    }
-
-    if (
-        !stillFits // if line is now too long…
-        && line.length > 1 // …AND is multiple words…
-    ) {
-        words.unshift(line.pop()); // …back off by (i.e., remove) one word
-    }
-
-    line = [line.join(' ')];
-
-    if (words.length) { // if there's anything left…
-        line = line.concat(findLines(gc, config, words, width)); // …break it up as well
-    }
-
-    return line;
-}
-
-// trim string; then reduce all runs of multiple spaces to a single space
-function squeeze(string) {
-    return (string + '').trim().replace(/\s\s+/g, ' ');
-}
-
 function strikeThrough(config, gc, text, x, y, thickness) {
     var fontMetrics = config.getTextHeight(config.font);
     var width = config.getTextWidth(gc, text);
@@ -0,0 +1,20 @@
+'use strict';
+
+var SparkChart = require('./SparkChart');
+
+/**
+ * @constructor
+ * @summary Sparkline drawn as a line with the area beneath it filled.
+ * @extends SparkChart
+ */
+var SparkArea = SparkChart.extend('SparkArea', {
+
+    /**
+     * @default
+     * @memberOf SparkArea.prototype
+     */
+    type: 'area'
+
+});
+
+module.exports = SparkArea;
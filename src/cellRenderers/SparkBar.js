@@ -1,45 +1,20 @@
 'use strict';
 
-var CellRenderer = require('./CellRenderer');
+var SparkChart = require('./SparkChart');
 
 /**
  * @constructor
- * @extends CellRenderer
+ * @summary Sparkline drawn as columns growing up (positive) or down (negative) from zero.
+ * @extends SparkChart
  */
-var SparkBar = CellRenderer.extend('SparkBar', {
+var SparkBar = SparkChart.extend('SparkBar', {
 
     /**
-     * @desc A simple implementation of a sparkline, because it's a barchart we've changed the name ;).
-     * @implements paintFunction
+     * @default
      * @memberOf SparkBar.prototype
      */
-    paint: function(gc, config) {
-        var x = config.bounds.x,
-            y = config.bounds.y,
-            width = config.bounds.width,
-            height = config.bounds.height;
+    type: 'column'
 
-        gc.beginPath();
-        var val = config.value;
-        if (!val || !val.length) {
-            return;
-        }
-        var count = val.length;
-        var eWidth = width / count;
-        var fgColor = config.isSelected ? config.foregroundSelectionColor : config.color;
-        if (config.backgroundColor || config.isSelected) {
-            gc.fillStyle = config.isSelected ? 'blue' : config.backgroundColor;
-            gc.fillRect(x, y, width, height);
-        }
-        gc.fillStyle = fgColor;
-        for (var i = 0; i < val.length; i++) {
-            var barheight = val[i] / 110 * height;
-            gc.fillRect(x + 5, y + height - barheight, eWidth * 0.6666, barheight);
-            x += eWidth;
-        }
-        gc.closePath();
-        config.minWidth = count * 10;
-    }
 });
 
 module.exports = SparkBar;
@@ -0,0 +1,20 @@
+'use strict';
+
+var SparkChart = require('./SparkChart');
+
+/**
+ * @constructor
+ * @summary Bullet chart of a cell value of the form `[measure, target, ...ranges]`: a bar for the measure, a tick for the target, and shaded bands for the ascending qualitative ranges (colored by `sparkBulletRangeColors`).
+ * @extends SparkChart
+ */
+var SparkBullet = SparkChart.extend('SparkBullet', {
+
+    /**
+     * @default
+     * @memberOf SparkBullet.prototype
+     */
+    type: 'bullet'
+
+});
+
+module.exports = SparkBullet;
@@ -0,0 +1,326 @@
+'use strict';
+
+var ScaledCell = require('./ScaledCell');
+
+var PADDING = 2; // pixels between the chart and the cell edges
+
+/**
+ * @constructor
+ * @summary Base class for sparklines: small, word-sized charts of a series of numbers.
+ * @desc The cell value is an array of numbers (non-numbers leave gaps). Subclasses choose the chart {@link SparkChart#type|type}.
+ *
+ * The vertical scale is given by the `scaleMin` and `scaleMax` render properties; when either is `undefined`, it fits the series itself or, when the `sparkScale` render property is `'column'`, all the series in the column (so rows are comparable).
+ *
+ * Other render properties:
+ * * `color` (or `foregroundSelectionColor` when selected) - Line, area, and positive bar color.
+ * * `sparkNegativeColor` - Negative bar color.
+ * * `sparkMarkers` - Hash of marker colors keyed by `'first'`, `'last'`, `'min'`, and/or `'max'` to mark those points.
+ * * `sparkBaseline` and `sparkBaselineColor` - Draw a line at zero.
+ *
+ * See also {@link OnHover}, which reports the point under the mouse.
+ * @extends ScaledCell
+ */
+var SparkChart = ScaledCell.extend('SparkChart', {
+
+    /**
+     * One of `'line'`, `'area'`, `'column'`, `'winloss'`, or `'bullet'`.
+     * @type {string}
+     * @memberOf SparkChart.prototype
+     */
+    type: 'line',
+
+    /**
+     * @implements paintFunction
+     * @memberOf SparkChart.prototype
+     */
+    paint: function(gc, config) {
+        var bounds = config.bounds,
+            series = this.getSeries(config.value),
+            color = config.isSelected ? config.foregroundSelectionColor : config.color;
+
+        paintBackground(gc, config);
+
+        if (!series.length) {
+            return;
+        }
+
+        var plot = {
+            x: bounds.x + PADDING,
+            y: bounds.y + PADDING,
+            width: bounds.width - 2 * PADDING,
+            height: bounds.height - 2 * PADDING
+        };
+
+        gc.save();
+        gc.strokeStyle = gc.fillStyle = color;
+        gc.lineWidth = 1;
+
+        switch (this.type) {
+            case 'bullet':
+                paintBullet(gc, config, series, plot, this.getSeriesRange(config, series));
+                break;
+            case 'column':
+            case 'winloss':
+                paintColumns.call(this, gc, config, series, plot, color);
+                break;
+            default:
+                paintLine.call(this, gc, config, series, plot);
+        }
+
+        gc.restore();
+
+        config.minWidth = series.length * 4 + 2 * PADDING;
+    },
+
+    /**
+     * @param {*} value - The cell value.
+     * @returns {Array} The series, which is `value` when an array; otherwise empty.
+     * @memberOf SparkChart.prototype
+     */
+    getSeries: function(value) {
+        return value && value.constructor === Array ? value : [];
+    },
+
+    /**
+     * @param {object} config
+     * @param {Array} series
+     * @returns {{min: number, max: number}}
+     * @memberOf SparkChart.prototype
+     */
+    getSeriesRange: function(config, series) {
+        var range = config.sparkScale === 'column' && this.getRange(config),
+            numbers = series.filter(isNumber),
+            min = config.scaleMin !== undefined ? config.scaleMin : range ? range.min : Math.min.apply(null, numbers),
+            max = config.scaleMax !== undefined ? config.scaleMax : range ? range.max : Math.max.apply(null, numbers);
+
+        if (this.type !== 'line' && this.type !== 'area') {
+            // bars grow from zero
+            min = Math.min(0, min);
+            max = Math.max(0, max);
+        }
+
+        return { min: min, max: max };
+    },
+
+    /**
+     * @summary The point under the mouse.
+     * @param {*} value - The cell value.
+     * @param {number} x - Horizontal mouse position relative to the cell.
+     * @param {number} width - Width of the cell.
+     * @returns {{index: number, value: *}|undefined} The nearest point; or `undefined` when the series is empty. For bullet charts, the point is the measure (the first element).
+     * @memberOf SparkChart.prototype
+     */
+    getPointAt: function(value, x, width) {
+        var series = this.getSeries(value),
+            count = series.length,
+            plotWidth = width - 2 * PADDING,
+            index;
+
+        if (!count) {
+            return;
+        }
+
+        switch (this.type) {
+            case 'bullet':
+                index = 0;
+                break;
+            case 'column':
+            case 'winloss':
+                index = Math.floor((x - PADDING) / plotWidth * count);
+                break;
+            default:
+                index = count > 1 ? Math.round((x - PADDING) / plotWidth * (count - 1)) : 0;
+        }
+
+        index = Math.max(0, Math.min(count - 1, index));
+
+        return { index: index, value: series[index] };
+    }
+});
+
+function paintBackground(gc, config) {
+    var bounds = config.bounds;
+
+    if (config.backgroundColor) {
+        gc.fillStyle = config.backgroundColor;
+        gc.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+    }
+
+    if (config.isSelected && config.backgroundSelectionColor) {
+        gc.fillStyle = config.backgroundSelectionColor;
+        gc.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+    }
+}
+
+/**
+ * Paint a line or area chart.
+ * @this {SparkChart}
+ * @private
+ */
+function paintLine(gc, config, series, plot) {
+    var range = this.getSeriesRange(config, series),
+        scale = scaler(range, plot),
+        count = series.length,
+        step = count > 1 ? plot.width / (count - 1) : 0,
+        left = count > 1 ? plot.x : plot.x + plot.width / 2,
+        area = this.type === 'area',
+        started = false,
+        lastX;
+
+    paintBaseline(gc, config, plot, scale(0), range);
+
+    gc.beginPath();
+    series.forEach(function(value, i) {
+        if (isNumber(value)) {
+            var x = left + i * step,
+                y = scale(value);
+            if (!started) {
+                if (area) {
+                    gc.moveTo(x, plot.y + plot.height);
+                    gc.lineTo(x, y);
+                } else {
+                    gc.moveTo(x, y);
+                }
+                started = true;
+            } else {
+                gc.lineTo(x, y);
+            }
+            lastX = x;
+        }
+    });
+
+    if (area && started) {
+        gc.lineTo(lastX, plot.y + plot.height);
+        gc.closePath();
+        gc.globalAlpha = 0.35;
+        gc.fill();
+        gc.globalAlpha = 1;
+    }
+    gc.stroke();
+
+    getMarkers(config, series).forEach(function(marker) {
+        gc.fillStyle = marker.color;
+        gc.beginPath();
+        gc.arc(left + marker.index * step, scale(series[marker.index]), 2, 0, 2 * Math.PI);
+        gc.fill();
+    });
+}
+
+/**
+ * Paint a column or win/loss chart.
+ * @this {SparkChart}
+ * @private
+ */
+function paintColumns(gc, config, series, plot, color) {
+    var winLoss = this.type === 'winloss',
+        range = winLoss ? { min: -1, max: 1 } : this.getSeriesRange(config, series),
+        scale = scaler(range, plot),
+        zero = scale(0),
+        slot = plot.width / series.length,
+        markers = {};
+
+    getMarkers(config, series).forEach(function(marker) {
+        markers[marker.index] = markers[marker.index] || marker.color;
+    });
+
+    paintBaseline(gc, config, plot, zero, range);
+
+    series.forEach(function(value, i) {
+        if (isNumber(value) && (value || !winLoss)) {
+            var y = scale(winLoss ? (value > 0 ? 1 : -1) : value);
+            gc.fillStyle = markers[i] || (value < 0 ? config.sparkNegativeColor : color);
+            gc.fillRect(plot.x + i * slot + slot * 0.15, Math.min(y, zero), Math.max(1, slot * 0.7), Math.max(1, Math.abs(y - zero)));
+        }
+    });
+}
+
+/**
+ * Paint a bullet chart: `[measure, target, ...ranges]`.
+ * @private
+ */
+function paintBullet(gc, config, series, plot, range) {
+    var measure = series[0],
+        target = series[1],
+        ranges = series.slice(2),
+        colors = config.sparkBulletRangeColors || [],
+        span = range.max - range.min,
+        scale = function(value) { return plot.x + (span > 0 ? (value - range.min) / span * plot.width : 0); },
+        zero = scale(0);
+
+    // qualitative ranges, widest (lightest) first
+    for (var i = ranges.length - 1; i >= 0; i--) {
+        if (isNumber(ranges[i]) && colors.length) {
+            gc.fillStyle = colors[Math.min(i, colors.length - 1)];
+            gc.fillRect(zero, plot.y, scale(ranges[i]) - zero, plot.height);
+        }
+    }
+
+    gc.fillStyle = gc.strokeStyle;
+    if (isNumber(measure)) {
+        var x = scale(measure);
+        gc.fillRect(Math.min(x, zero), plot.y + plot.height / 3, Math.abs(x - zero), plot.height / 3);
+    }
+
+    if (isNumber(target)) {
+        gc.fillRect(Math.round(scale(target)) - 1, plot.y + plot.height / 6, 2, plot.height * 2 / 3);
+    }
+}
+
+function paintBaseline(gc, config, plot, y, range) {
+    if (config.sparkBaseline && range.min <= 0 && range.max >= 0) {
+        gc.save();
+        gc.fillStyle = config.sparkBaselineColor;
+        gc.fillRect(plot.x, Math.round(y), plot.width, 1);
+        gc.restore();
+    }
+}
+
+/**
+ * @returns {function} Maps a value to a y pixel coordinate within `plot`.
+ * @private
+ */
+function scaler(range, plot) {
+    var span = range.max - range.min,
+        bottom = plot.y + plot.height;
+
+    return function(value) {
+        var fraction = span > 0 ? (value - range.min) / span : 0.5;
+        return bottom - Math.max(0, Math.min(1, fraction)) * plot.height;
+    };
+}
+
+/**
+ * @returns {{index: number, color: string}[]} The requested markers.
+ * @private
+ */
+function getMarkers(config, series) {
+    var colors = config.sparkMarkers,
+        markers = [],
+        first, last, min, max;
+
+    if (colors) {
+        series.forEach(function(value, i) {
+            if (isNumber(value)) {
+                if (first === undefined) { first = i; }
+                last = i;
+                if (min === undefined || value < series[min]) { min = i; }
+                if (max === undefined || value > series[max]) { max = i; }
+            }
+        });
+
+        if (colors.first && first !== undefined) { markers.push({ index: first, color: colors.first }); }
+        if (colors.last && last !== undefined) { markers.push({ index: last, color: colors.last }); }
+        if (colors.min && min !== undefined) { markers.push({ index: min, color: colors.min }); }
+        if (colors.max && max !== undefined) { markers.push({ index: max, color: colors.max }); }
+    }
+
+    return markers;
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+SparkChart.abstract = true; // don't instantiate directly
+
+module.exports = SparkChart;
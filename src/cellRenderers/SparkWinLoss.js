@@ -0,0 +1,20 @@
+'use strict';
+
+var SparkChart = require('./SparkChart');
+
+/**
+ * @constructor
+ * @summary Sparkline drawn as equal-sized columns, up for positive values (wins) and down for negative values (losses). Zeros are not drawn.
+ * @extends SparkChart
+ */
+var SparkWinLoss = SparkChart.extend('SparkWinLoss', {
+
+    /**
+     * @default
+     * @memberOf SparkWinLoss.prototype
+     */
+    type: 'winloss'
+
+});
+
+module.exports = SparkWinLoss;
@@ -0,0 +1,118 @@
+'use strict';
+
+var SimpleCell = require('./SimpleCell');
+
+/**
+ * @constructor
+ * @summary Checkbox or switch for boolean values.
+ * @desc Draws a control, centered in the cell, that is on when the cell value is truthy. The `toggleStyle` render property is either `'checkbox'` or `'switch'`.
+ *
+ * Clicking the control, or pressing Space on the selected cell, toggles the value (see {@link CellClick}).
+ *
+ * Render properties: `toggleStyle`, `toggleColor`, and `toggleOffColor`.
+ * @extends SimpleCell
+ */
+var Toggle = SimpleCell.extend('Toggle', {
+
+    /**
+     * @implements paintFunction
+     * @memberOf Toggle.prototype
+     */
+    paint: function(gc, config) {
+        var on = !!config.value,
+            rect = Toggle.getControlRect(config.toggleStyle, config.bounds),
+            x = rect.x, y = rect.y, width = rect.width, height = rect.height;
+
+        this.paintText(gc, config, { value: '' }); // background only
+
+        if (height < 4) {
+            return;
+        }
+
+        gc.save();
+
+        if (config.toggleStyle === 'switch') {
+            var radius = height / 2;
+
+            gc.fillStyle = on ? config.toggleColor : config.toggleOffColor;
+            gc.strokeStyle = gc.fillStyle;
+            this.roundRect(gc, x, y, width, height, radius, true, true);
+
+            gc.fillStyle = 'white';
+            gc.beginPath();
+            gc.arc(on ? x + width - radius : x + radius, y + radius, radius - 2, 0, 2 * Math.PI);
+            gc.fill();
+        } else {
+            gc.lineWidth = 1;
+            if (on) {
+                gc.fillStyle = config.toggleColor;
+                gc.fillRect(x, y, width, height);
+
+                gc.strokeStyle = 'white';
+                gc.lineWidth = Math.max(1.5, height / 7);
+                gc.beginPath();
+                gc.moveTo(x + width * 0.2, y + height * 0.5);
+                gc.lineTo(x + width * 0.42, y + height * 0.72);
+                gc.lineTo(x + width * 0.8, y + height * 0.28);
+                gc.stroke();
+            } else {
+                gc.strokeStyle = config.toggleOffColor;
+                gc.strokeRect(x + 0.5, y + 0.5, width - 1, height - 1);
+            }
+        }
+
+        gc.restore();
+
+        config.minWidth = width + 2 * config.cellPadding;
+    },
+
+    /**
+     * @summary The toggled value when the control is clicked or Space is pressed.
+     * @param {CellEvent} cellEvent
+     * @param {Point} [mousePoint] - Mouse position relative to the cell; omitted for the keyboard.
+     * @returns {boolean|undefined} The new value; or `undefined` when the click missed the control.
+     * @memberOf Toggle.prototype
+     */
+    getEditedValue: function(cellEvent, mousePoint) {
+        if (mousePoint) {
+            var bounds = cellEvent.bounds,
+                rect = Toggle.getControlRect(cellEvent.getCellProperty('toggleStyle'), {
+                    x: 0, y: 0, width: bounds.width, height: bounds.height
+                });
+
+            if (!contains(rect, mousePoint, 3)) {
+                return;
+            }
+        }
+
+        return !cellEvent.value;
+    }
+});
+
+/**
+ * @param {string} style - `'checkbox'` or `'switch'`.
+ * @param {{x: number, y: number, width: number, height: number}} bounds - The cell.
+ * @returns {{x: number, y: number, width: number, height: number}} The control, centered in the cell.
+ * @memberOf Toggle
+ */
+Toggle.getControlRect = function(style, bounds) {
+    var height = Math.max(0, Math.min(14, bounds.height - 4)),
+        width = style === 'switch' ? 2 * height : height;
+
+    return {
+        x: bounds.x + Math.round((bounds.width - width) / 2),
+        y: bounds.y + Math.round((bounds.height - height) / 2),
+        width: width,
+        height: height
+    };
+};
+
+// `point` within `rect` or within `slop` pixels of it
+function contains(rect, point, slop) {
+    return (
+        point.x >= rect.x - slop && point.x < rect.x + rect.width + slop &&
+        point.y >= rect.y - slop && point.y < rect.y + rect.height + slop
+    );
+}
+
+module.exports = Toggle;
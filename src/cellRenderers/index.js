@@ -25,6 +25,16 @@ function CellRenderers(privateRegistry) {
         this.add(require('./SparkLine'));
         this.add(require('./ErrorCell'));
         this.add(require('./TreeCell'));
+        this.add(require('./DataBar'));
+        this.add(require('./ColorScale'));
+        this.add(require('./IconSet'));
+        this.add(require('./SparkArea'));
+        this.add(require('./SparkWinLoss'));
+        this.add(require('./SparkBullet'));
+        this.add(require('./Image'));
+        this.add(require('./ProgressBar'));
+        this.add(require('./Rating'));
+        this.add(require('./Toggle'));
     }
 }
 
@@ -1,7 +1,10 @@
+/* global requestAnimationFrame */
+
 'use strict';
 
 var DataModel = require('./DataModel');
 var DataSourceOrigin = require('../dataSources/DataSourceOrigin');
+var DataSourceRemote = require('../dataSources/DataSourceRemote');
 
 /** @typedef {object} dataSourcePipelineObject
  * @property {string} type - A "DataSourceOrigin" style constructor name.
@@ -48,6 +51,12 @@ var JSON = DataModel.extend('dataModels.JSON', {
      */
     DataSourceOrigin: DataSourceOrigin,
 
+    /**
+     * Override to use a different origin for remote data (_i.e.,_ when data is a {@link dataServiceObject}).
+     * @type {DataSourceBase}
+     */
+    DataSourceRemote: DataSourceRemote,
+
     /**
      * @type {dataSourcePipelineObject[][]}
      * @summary Pipeline stash push-down list.
@@ -73,7 +82,9 @@ var JSON = DataModel.extend('dataModels.JSON', {
 
         delete this.pipelineSchemaStash; // remove existing "own" version if any
 
-        this.source = new this.DataSourceOrigin(options.data, options.schema);
+        this.source = newSource.call(this, options.data, options.schema);
+        this.rowsById = undefined;
+        this.dataChanged();
 
         this.setPipeline();
         //Register Defaults
@@ -162,6 +173,7 @@ var JSON = DataModel.extend('dataModels.JSON', {
             x += 1;
         }
         this.dataSource.setValue(x, r, value);
+        this.dataChanged();
     },
 
     /**
@@ -237,26 +249,281 @@ var JSON = DataModel.extend('dataModels.JSON', {
      * @memberOf dataModels.JSON.prototype
      */
     reindex: function(options) {
+        this.rowsById = undefined; // rows may have been added or removed
+        this.dataChanged();
+
         selectedDataRowsBackingSelectedGridRows.call(this);
 
-        this.pipeline.forEach(function(dataSource) {
-            if (dataSource) {
-                if (dataSource.apply) {
-                    dataSource.apply(options);
+        if (this.isRemoteTransform()) {
+            // the server transforms the data so bypass the local pipeline
+            this.dataSource = this.source;
+        } else {
+            this.dataSource = this.pipeline[this.pipeline.length - 1] || this.source;
+
+            this.pipeline.forEach(function(dataSource) {
+                if (dataSource) {
+                    if (dataSource.apply) {
+                        dataSource.apply(options);
+                    }
                 }
-            }
-        });
+            });
+        }
 
         reselectGridRowsBackedBySelectedDataRows.call(this);
     },
 
+    /**
+     * @summary Data transformations (sorting and filtering) are performed remotely.
+     * @desc The `remoteTransforms` grid property when defined; otherwise whether or not the data is remote (see {@link DataSourceRemote}).
+     *
+     * In remote transform mode, {@link dataModels.JSON#reindex|reindex} bypasses the local pipeline and {@link dataModels.JSON#transform|transform} requests transformations from the server.
+     * @returns {boolean}
+     * @memberOf dataModels.JSON.prototype
+     */
+    isRemoteTransform: function() {
+        var remoteTransforms = this.grid.properties.remoteTransforms;
+        return remoteTransforms === undefined ? !!this.source.isRemote : !!remoteTransforms;
+    },
+
+    /**
+     * @summary Apply the current sort and filter states.
+     * @desc In remote transform mode, fires a `fin-transform-request` event (see {@link Hypergrid#fireSyntheticTransformRequestEvent}) for the server to handle. Otherwise, reindexes the local pipeline.
+     * @memberOf dataModels.JSON.prototype
+     */
+    transform: function() {
+        if (this.isRemoteTransform()) {
+            this.grid.fireSyntheticTransformRequestEvent(this.getTransformRequest());
+        } else {
+            this.reindex();
+        }
+    },
+
+    /**
+     * @summary Describe the current sort and filter states for the server.
+     * @desc Columns are referenced by name. Includes:
+     * * `schema` - The column schema, each as `{name, header, type}`.
+     * * `sorts` - Sort specs as `{name, columnIndex, direction, type}` in sort order (when a sorter such as hyper-sorter is installed).
+     * * `filter` - When a filter such as hyper-filter is installed:
+     *   * `columnFilters` - Filter tree state object of the column filters.
+     *   * `tableFilter` - Filter tree state object of the table filter.
+     *   * `cql` - Hash of the CQL expressions of the column filters, keyed by column name.
+     * @returns {object}
+     * @memberOf dataModels.JSON.prototype
+     */
+    getTransformRequest: function() {
+        var schema = this.schema,
+            filter = this.filter,
+            request = {
+                schema: schema.map(function(columnSchema) {
+                    return {
+                        name: columnSchema.name,
+                        header: columnSchema.header,
+                        type: columnSchema.type
+                    };
+                })
+            };
+
+        if (this.getSortedColumnIndexes) {
+            request.sorts = this.getSortedColumnIndexes().map(function(sortSpec) {
+                return {
+                    name: schema[sortSpec.columnIndex].name,
+                    columnIndex: sortSpec.columnIndex,
+                    direction: sortSpec.direction,
+                    type: sortSpec.type
+                };
+            });
+        }
+
+        if (filter.getColumnFiltersState) {
+            request.filter = {
+                columnFilters: filter.getColumnFiltersState(),
+                tableFilter: filter.getTableFilterState(),
+                cql: schema.reduce(function(cql, columnSchema) {
+                    var expression = filter.getColumnFilterState(columnSchema.name);
+                    if (expression) {
+                        cql[columnSchema.name] = expression;
+                    }
+                    return cql;
+                }, {})
+            };
+        }
+
+        return request;
+    },
+
+    /**
+     * @summary Replace the view with the server's reply to a transform request.
+     * @param {object} [reply]
+     * @param {object[]} [reply.rows] - For local data, the transformed data rows, replacing the current data rows (the schema is retained).
+     * @param {number} [reply.rowCount] - For remote data (see {@link DataSourceRemote}), the new row count, if known. Remote data is always refetched.
+     * @memberOf dataModels.JSON.prototype
+     */
+    setTransformReply: function(reply) {
+        reply = reply || {};
+
+        if (this.source.isRemote) {
+            this.source.clearCache(reply.rowCount);
+        } else if (reply.rows) {
+            this.source.setData(reply.rows);
+        }
+
+        this.reindex();
+    },
+
     /**
      * @summary Set or reset grid data.
-     * See {@link DataSourceOrigin#setData} for details.
+     * @desc See {@link DataSourceOrigin#setData} or, for a {@link dataServiceObject}, {@link DataSourceRemote#setData} for details.
+     *
+     * When switching between local and remote data, the origin is replaced and the pipeline is rebuilt.
      * @memberOf dataModels.JSON.prototype
      */
     setData: function(dataSource, schema) {
-        this.source.setData(dataSource, schema);
+        this.rowsById = undefined;
+        this.dataChanged();
+
+        if (DataSourceRemote.isDataService(dataSource) === !!this.source.isRemote) {
+            this.source.setData(dataSource, schema);
+        } else {
+            this.source = newSource.call(this, dataSource, schema);
+            this.setPipeline(this.DataSources);
+        }
+    },
+
+    /**
+     * @summary Request rows not yet available.
+     * @desc Only applicable to a remote origin (see {@link DataSourceRemote#fetchData}); otherwise all rows are always available and this method does nothing.
+     * @param {number[]} rowIndexes - Data row coordinates.
+     * @param {function} [callback] - Called as rows arrive with a single boolean argument indicating whether or not the row count changed.
+     * @param {function} [errback] - Called when rows could not be fetched, with the error and the {@link dataServiceRequest}.
+     * @memberOf dataModels.JSON.prototype
+     */
+    fetchData: function(rowIndexes, callback, errback) {
+        var self = this;
+
+        if (this.source.fetchData) {
+            this.source.fetchData(rowIndexes, function(rowCountChanged) {
+                self.rowsById = undefined; // arriving rows replace evicted rows
+                self.dataChanged();
+                if (callback) {
+                    callback(rowCountChanged);
+                }
+            }, errback);
+        }
+    },
+
+    /** @typedef {object} rowUpdateObject
+     * @property {*} id - Primary key value of the row to update (_i.e.,_ its value in the column named by the `primaryKey` grid property).
+     * @property {object} changes - Hash of new values keyed by column name.
+     */
+
+    /** @typedef {object} cellChangeObject
+     * @property {*} id - Primary key value of the updated row.
+     * @property {string} name - Name of the updated column.
+     * @property {*} oldValue
+     * @property {*} newValue
+     * @property {number} direction - For numeric values, `1` when the value went up or `-1` when it went down; otherwise `0`.
+     */
+
+    /**
+     * @summary Update rows in place.
+     * @desc Suitable for streaming data: Updates are queued and applied together on the next animation frame by {@link dataModels.JSON#flushUpdates|flushUpdates}, so calling this method thousands of times per second costs a single reindex and repaint per frame.
+     * @param {rowUpdateObject[]} updates
+     * @memberOf dataModels.JSON.prototype
+     */
+    applyUpdates: function(updates) {
+        var self = this;
+
+        if (!this.updateQueue) {
+            this.updateQueue = [];
+            requestAnimationFrame(function() {
+                self.flushUpdates();
+            });
+        }
+
+        this.updateQueue.push.apply(this.updateQueue, updates);
+    },
+
+    /**
+     * @summary Apply queued updates now.
+     * @desc Rows are looked up by primary key (see the `primaryKey` grid property); updates to rows not found are ignored. Changed values are written directly to the data rows.
+     *
+     * The lookup uses an index of the data rows by primary key, built on first use and kept up to date as updates change primary keys. It is rebuilt after {@link dataModels.JSON#setData|setData}, {@link dataModels.JSON#reindex|reindex} (which follows adding or removing rows), or the arrival of remote rows.
+     *
+     * Once the data has been validated (see {@link Hypergrid#validate}), changed cells are revalidated together in a single batch (see {@link Validator#begin}), as edits are.
+     *
+     * The data is reindexed only when a changed column participates in the current sort or filter (or when a table filter is in effect); otherwise the grid is merely repainted. In remote transform mode, the data is never reindexed (keeping the rows in order is the server's responsibility).
+     *
+     * Finally, changed cells are flashed (see {@link Hypergrid#flashCells}).
+     * @returns {cellChangeObject[]} The changes actually made (unchanged values are skipped).
+     * @memberOf dataModels.JSON.prototype
+     */
+    flushUpdates: function() {
+        var updates = this.updateQueue || [],
+            key = this.grid.properties.primaryKey,
+            validator = this.grid.validator,
+            changes = [],
+            changedColumns = {},
+            changedCells = [],
+            rows;
+
+        this.updateQueue = undefined;
+
+        if (updates.length) {
+            rows = getRowsById.call(this, key);
+
+            updates.forEach(function(update) {
+                var row = rows[update.id];
+                if (row) {
+                    Object.keys(update.changes).forEach(function(name) {
+                        var oldValue = row[name],
+                            newValue = update.changes[name];
+
+                        if (newValue !== oldValue) {
+                            row[name] = newValue;
+                            changedColumns[name] = true;
+                            changedCells.push({ dataRow: row, name: name });
+                            if (name === key) {
+                                delete rows[oldValue];
+                                rows[newValue] = row;
+                            }
+                            changes.push({
+                                id: update.id,
+                                name: name,
+                                oldValue: oldValue,
+                                newValue: newValue,
+                                direction: typeof newValue === 'number' && typeof oldValue === 'number'
+                                    ? (newValue > oldValue) - (newValue < oldValue)
+                                    : 0
+                            });
+                        }
+                    });
+                }
+            });
+
+            if (changes.length) {
+                this.dataChanged();
+
+                if (validator && validator.data) {
+                    validator.begin();
+                    changedCells.forEach(function(cell) {
+                        validator.validateEdit(cell.dataRow, cell.name);
+                    });
+                    validator.commit();
+                }
+
+                if (isTransformAffected.call(this, changedColumns)) {
+                    this.reindex();
+                    this.rowsById = rows; // no rows were added or removed
+                    this.grid.behavior.shapeChanged();
+                } else {
+                    this.grid.repaint();
+                }
+
+                this.grid.flashCells(changes);
+            }
+        }
+
+        return changes;
     },
 
     /** @typedef pipelineSchema
@@ -571,6 +838,78 @@ var JSON = DataModel.extend('dataModels.JSON', {
         return this.dataSource.getRow(r);
     },
 
+    /** @typedef {object} columnStatsObject
+     * @property {number} count - Number of numbers.
+     * @property {number} sum
+     * @property {number|undefined} min - `undefined` when `count` is 0.
+     * @property {number|undefined} max - `undefined` when `count` is 0.
+     */
+
+    /**
+     * @summary Statistics of a column's numbers.
+     * @desc Computed over the rows currently in the grid (_i.e.,_ after filtering), skipping non-numbers and remote rows not yet fetched. The elements of array values (such as sparkline series) are included. The result is cached until the data changes (see {@link dataModels.JSON#dataChanged|dataChanged}).
+     * @param {string} columnName
+     * @returns {columnStatsObject}
+     * @memberOf dataModels.JSON.prototype
+     */
+    getColumnStats: function(columnName) {
+        var columnStats = this.columnStats = this.columnStats || {},
+            stats = columnStats[columnName];
+
+        if (!stats) {
+            stats = columnStats[columnName] = { count: 0, sum: 0, min: undefined, max: undefined };
+
+            for (var y = 0, rowCount = this.getRowCount(); y < rowCount; y++) {
+                var dataRow = this.getRow(y),
+                    value = dataRow && dataRow[columnName];
+
+                if (value && value.constructor === Array) {
+                    value.forEach(accumulate);
+                } else {
+                    accumulate(value);
+                }
+            }
+        }
+
+        return stats;
+
+        function accumulate(value) {
+            if (typeof value === 'number' && isFinite(value)) {
+                stats.count++;
+                stats.sum += value;
+                if (!(value >= stats.min)) { stats.min = value; }
+                if (!(value <= stats.max)) { stats.max = value; }
+            }
+        }
+    },
+
+    /**
+     * @summary Discard the cached column statistics.
+     * @desc Call after changing data so {@link dataModels.JSON#getColumnStats|getColumnStats} recomputes.
+     * @memberOf dataModels.JSON.prototype
+     */
+    invalidateColumnStats: function() {
+        this.columnStats = undefined;
+    },
+
+    /**
+     * @summary Incremented by {@link dataModels.JSON#dataChanged|dataChanged}.
+     * @desc Caches of values derived from the data keep the generation they were computed for and recompute when it differs.
+     * @type {number}
+     * @memberOf dataModels.JSON.prototype
+     */
+    dataGeneration: 0,
+
+    /**
+     * @summary Note that the data has changed.
+     * @desc Discards the cached column statistics and advances {@link dataModels.JSON#dataGeneration|dataGeneration}. Called by {@link dataModels.JSON#setData|setData}, {@link dataModels.JSON#reindex|reindex}, {@link dataModels.JSON#setValue|setValue} (and so by edits, pastes, and fills), {@link dataModels.JSON#flushUpdates|flushUpdates}, and on the arrival of remote rows. Call it after changing data rows directly (or reindex).
+     * @memberOf dataModels.JSON.prototype
+     */
+    dataChanged: function() {
+        this.invalidateColumnStats();
+        this.dataGeneration++;
+    },
+
     /**
      * @summary _Getter:_ Return the filter from the data model.
      * @method
@@ -658,15 +997,66 @@ var JSON = DataModel.extend('dataModels.JSON', {
      * this.grid.behavior.reindex();
      * this.grid.behaviorChanged();
      * ```
+     *
+     * The addition is recorded as an undoable command (see {@link UndoManager}).
      * @param {object} newDataRow
      * @returns {object} The new row object.
      * @memberOf dataModels.JSON.prototype
      */
     addRow: function(newDataRow) {
-        this.getData().push(newDataRow);
+        var self = this,
+            data = this.getData();
+
+        data.push(newDataRow);
+
+        this.grid.undoManager.record({
+            label: 'Add row',
+            undo: function() {
+                data.splice(data.indexOf(newDataRow), 1);
+                self.reindex();
+            },
+            redo: function() {
+                data.push(newDataRow);
+                self.reindex();
+            }
+        });
+
         return newDataRow;
     },
 
+    /**
+     * @summary Remove a data row from the grid.
+     * @desc As with {@link dataModels.JSON#addRow|addRow}, to see the deletion in the grid, you must eventually reindex and call `behaviorChanged`.
+     *
+     * The deletion is recorded as an undoable command (see {@link UndoManager}).
+     * @param {object} dataRow
+     * @returns {object|undefined} The deleted row object or `undefined` if not found.
+     * @memberOf dataModels.JSON.prototype
+     */
+    deleteRow: function(dataRow) {
+        var self = this,
+            data = this.getData(),
+            index = data.indexOf(dataRow);
+
+        if (index >= 0) {
+            data.splice(index, 1);
+
+            this.grid.undoManager.record({
+                label: 'Delete row',
+                undo: function() {
+                    data.splice(index, 0, dataRow);
+                    self.reindex();
+                },
+                redo: function() {
+                    data.splice(data.indexOf(dataRow), 1);
+                    self.reindex();
+                }
+            });
+
+            return dataRow;
+        }
+    },
+
     get schema() { return this.source.schema; },
 
     set schema(schema) {
@@ -676,6 +1066,72 @@ var JSON = DataModel.extend('dataModels.JSON', {
 
 // LOCAL METHODS -- to be called with `.call(this`
 
+/**
+ * @private
+ * @this {dataModels.JSON}
+ * @param {object[]|dataServiceObject} data
+ * @param {columnSchemaObject[]} [schema]
+ * @returns {DataSourceOrigin} A new local or remote origin, as appropriate for `data`.
+ */
+function newSource(data, schema) {
+    var Origin = DataSourceRemote.isDataService(data) ? this.DataSourceRemote : this.DataSourceOrigin;
+    return new Origin(data, schema);
+}
+
+/**
+ * @private
+ * @this {dataModels.JSON}
+ * @param {string} key - Name of the primary key column.
+ * @returns {object} Hash of data rows keyed by primary key (rows of a remote origin not yet fetched are absent).
+ */
+function getRowsById(key) {
+    var rows = this.rowsById;
+
+    if (!rows || this.rowsByIdKey !== key) {
+        rows = this.rowsById = {};
+        this.rowsByIdKey = key;
+        this.getData().forEach(function(row) { // skips rows of a remote origin not yet fetched
+            rows[row[key]] = row;
+        });
+    }
+
+    return rows;
+}
+
+/**
+ * @private
+ * @this {dataModels.JSON}
+ * @param {object} changedColumns - Hash of names of updated columns.
+ * @returns {boolean} Reindexing is called for because an updated column participates in the sort or filter.
+ */
+function isTransformAffected(changedColumns) {
+    var schema = this.schema,
+        filter = this.filter;
+
+    if (this.isRemoteTransform()) {
+        return false;
+    }
+
+    if (
+        this.getSortedColumnIndexes &&
+        this.getSortedColumnIndexes().some(function(sortSpec) {
+            return changedColumns[schema[sortSpec.columnIndex].name];
+        })
+    ) {
+        return true;
+    }
+
+    if (filter.getColumnFilterState) {
+        var tableFilterState = filter.getTableFilterState();
+        return !!(tableFilterState && tableFilterState.children && tableFilterState.children.length) ||
+            Object.keys(changedColumns).some(function(name) {
+                return filter.getColumnFilterState(name);
+            });
+    }
+
+    return false;
+}
+
 /**
  * Accumulate actual data row objects backing current grid row selections.
  * This call should be paired with a subsequent call to `reselectGridRowsBackedBySelectedDataRows`.
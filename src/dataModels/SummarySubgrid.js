@@ -11,6 +11,10 @@ function SummaryRow(grid, options) {
     if (options && options.name) {
         this.name = options.name;
     }
+
+    if (options && options.properties) {
+        this.properties = options.properties;
+    }
 }
 
 SummaryRow.prototype = {
@@ -0,0 +1,219 @@
+'use strict';
+
+var LRUCache = require('lru-cache');
+
+var DataSourceOrigin = require('./DataSourceOrigin');
+
+/** @typedef {object} dataServiceObject
+ * @summary Remote data service.
+ * @desc Stand-in for a server holding the data rows.
+ * @property {function} fetch - Called with a {@link dataServiceRequest} and a callback to call with `(error, response)` where `response` is a {@link dataServiceResponse}.
+ * @property {columnSchemaObject[]} [schema] - Used when a schema is not otherwise given. (Unlike local data, a schema cannot be derived from remote data because no rows have yet been fetched when the grid's columns are created.)
+ */
+
+/** @typedef {object} dataServiceRequest
+ * @property {number} start - Index of the first row to fetch.
+ * @property {number} count - Number of rows to fetch.
+ */
+
+/** @typedef {object} dataServiceResponse
+ * @property {dataRowObject[]} rows - Requested rows. May be fewer than requested at the end of the data.
+ * @property {number} rowCount - Total number of rows.
+ */
+
+/**
+ * See {@link DataSourceRemote#setData} for constructor parameters.
+ * @summary Origin for remote data.
+ * @desc Implements the same contract as {@link DataSourceOrigin} (`getRowCount`, `getRow`, `getValue`, _etc._) but holds only those blocks of rows that have been fetched from a remote {@link dataServiceObject|data service}.
+ *
+ * Rows are fetched on demand, a block at a time, by {@link DataSourceRemote#fetchData|fetchData}, which the renderer calls with the rows in view. Until a row's block arrives, `getRow` returns `undefined` and `getValue` returns `null` (the renderer paints the `loadingPlaceholder` grid property for such rows).
+ *
+ * Fetched blocks are kept in a least-recently-used cache and discarded as newer blocks arrive.
+ * @constructor
+ * @extends DataSourceOrigin
+ */
+var DataSourceRemote = DataSourceOrigin.extend('DataSourceRemote', {
+
+    /**
+     * Flags this origin as remote.
+     * @type {boolean}
+     * @memberOf DataSourceRemote#
+     */
+    isRemote: true,
+
+    /**
+     * Number of rows per fetch.
+     * @type {number}
+     * @memberOf DataSourceRemote#
+     */
+    blockSize: 100,
+
+    /**
+     * Maximum number of blocks to keep.
+     * @type {number}
+     * @memberOf DataSourceRemote#
+     */
+    cacheSize: 50,
+
+    /**
+     * @memberOf DataSourceRemote#
+     * @param {dataServiceObject} service
+     * @param {columnSchemaObject[]} [schema=service.schema]
+     */
+    setData: function(service, schema) {
+        var self = this;
+
+        /**
+         * @summary The data service.
+         * @type {dataServiceObject}
+         * @memberOf DataSourceRemote#
+         */
+        this.service = service;
+
+        /**
+         * @summary Sparse array of the cached data rows.
+         * @desc Its length is the total row count, which is unknown (zero) until the first block arrives.
+         * @type {dataRowObject[]}
+         * @memberOf DataSourceRemote#
+         */
+        this.data = [];
+
+        this.rowCount = undefined;
+
+        this.cache = new LRUCache({
+            max: this.cacheSize,
+            dispose: function(block, rows) {
+                var start = block * self.blockSize;
+                for (var i = 0; i < rows.length; i++) {
+                    delete self.data[start + i];
+                }
+            }
+        });
+
+        this.clearCache(); // also voids any requests pending from a previous service
+
+        if (schema) {
+            this.setSchema(schema.length ? schema : service && service.schema || []);
+        }
+    },
+
+    /**
+     * @summary Discard all fetched rows.
+     * @desc Rows in view will be fetched anew on the next call to {@link DataSourceRemote#fetchData|fetchData}. Responses to requests still pending are ignored.
+     * @param {number} [rowCount] - New row count. If omitted, the row count is retained until the next block arrives.
+     * @memberOf DataSourceRemote#
+     */
+    clearCache: function(rowCount) {
+        if (rowCount !== undefined) {
+            this.rowCount = this.data.length = rowCount;
+        }
+        this.cache.reset();
+        this.pending = {};
+        this.generation = (this.generation || 0) + 1;
+    },
+
+    /**
+     * @summary Fetch the blocks containing the given rows.
+     * @desc Blocks already cached (or already requested) are not requested again. When the row count is still unknown, the first block is always requested.
+     * @param {number[]} rowIndexes
+     * @param {function} [callback] - Called once per arriving block with a single boolean argument indicating whether or not the row count changed.
+     * @param {function} [errback] - Called once per failed block with the error and the {@link dataServiceRequest}. The block is not cached so the next call to this method requests it again.
+     * @memberOf DataSourceRemote#
+     */
+    fetchData: function(rowIndexes, callback, errback) {
+        var blocks = {};
+
+        if (this.rowCount === undefined) {
+            blocks[0] = true;
+        }
+
+        rowIndexes.forEach(function(y) {
+            blocks[Math.floor(y / this.blockSize)] = true;
+        }, this);
+
+        Object.keys(blocks).map(Number).forEach(function(block) {
+            if (!this.cache.get(block) && !this.pending[block]) { // `get` also marks the block as recently used
+                request.call(this, block, callback, errback);
+            }
+        }, this);
+    },
+
+    /**
+     * @memberOf DataSourceRemote#
+     * @param {number} y
+     * @returns {boolean} The row has been fetched.
+     */
+    isRowLoaded: function(y) {
+        return y in this.data;
+    },
+
+    /**
+     * Sets the value only when the row has been fetched. The data service is not updated.
+     * @memberOf DataSourceRemote#
+     * @param {number} x
+     * @param {number} y
+     * @param value
+     */
+    setValue: function(x, y, value) {
+        var row = this.getRow(y);
+        if (row) {
+            row[this.schema[x].name] = value;
+        }
+    }
+});
+
+/**
+ * @this {DataSourceRemote}
+ * @param {number} block
+ * @param {function} [callback]
+ * @param {function} [errback]
+ * @private
+ */
+function request(block, callback, errback) {
+    var self = this,
+        generation = this.generation,
+        start = block * this.blockSize,
+        serviceRequest = { start: start, count: this.blockSize };
+
+    this.pending[block] = true;
+
+    this.service.fetch(serviceRequest, function(error, response) {
+        if (generation !== self.generation) {
+            return; // cache cleared (or new service) since request made
+        }
+
+        delete self.pending[block];
+
+        if (error) {
+            self.cache.del(block); // so that it is requested again
+            if (errback) {
+                errback(error, serviceRequest);
+            }
+            return;
+        }
+
+        var rowCountChanged = response.rowCount !== self.rowCount;
+
+        self.rowCount = self.data.length = response.rowCount;
+
+        self.cache.set(block, response.rows); // may dispose of the least recently used block
+
+        response.rows.forEach(function(row, i) {
+            self.data[start + i] = row;
+        });
+
+        if (callback) {
+            callback(rowCountChanged);
+        }
+    });
+}
+
+/**
+ * @param {*} data
+ * @returns {boolean} `data` is a {@link dataServiceObject} (rather than local data).
+ */
+DataSourceRemote.isDataService = function(data) {
+    return !!data && typeof data.fetch === 'function';
+};
+
+module.exports = DataSourceRemote;
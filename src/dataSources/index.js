@@ -2,5 +2,6 @@
 
 module.exports = {
     dataSourceOrigin: require('./DataSourceOrigin'),
+    DataSourceRemote: require('./DataSourceRemote'),
     DataSourceBase: require('fin-hypergrid-data-source-base')
 };
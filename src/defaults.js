@@ -21,6 +21,70 @@ module.exports = {
      */
     noDataMessage: '',
 
+    /**
+     * Painted in data cells of rows not yet available, such as rows pending a remote fetch (see {@link DataSourceRemote}).
+     * @default
+     * @type {string}
+     * @instance
+     */
+    loadingPlaceholder: '\u2026', // aka '…' (horizontal ellipsis)
+
+    /**
+     * Delegate sorting and filtering to the server (see {@link dataModels.JSON#isRemoteTransform}). When `undefined`, delegate only when the data is remote.
+     * @default
+     * @type {boolean}
+     * @instance
+     */
+    remoteTransforms: undefined,
+
+    /**
+     * Name of the column uniquely identifying each data row, by which {@link dataModels.JSON#applyUpdates|applyUpdates} looks up the rows to update.
+     * @default
+     * @type {string}
+     * @instance
+     */
+    primaryKey: 'id',
+
+    /**
+     * Flash color for updated cells whose numeric value went up (see {@link Hypergrid#flashCells}).
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    flashUpColor: 'rgba(0, 192, 0, 0.4)',
+
+    /**
+     * Flash color for updated cells whose numeric value went down (see {@link Hypergrid#flashCells}).
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    flashDownColor: 'rgba(224, 0, 0, 0.4)',
+
+    /**
+     * Flash color for updated cells whose value is not numeric (see {@link Hypergrid#flashCells}).
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    flashColor: 'rgba(255, 192, 0, 0.4)',
+
+    /**
+     * Time in milliseconds for a flashed cell to fade out. Set to `0` to disable flashing.
+     * @default
+     * @type {number}
+     * @instance
+     */
+    flashDuration: 1000,
+
+    /**
+     * Maximum number of undoable commands kept by the grid's {@link UndoManager}. Set to `0` to disable undo.
+     * @default
+     * @type {number}
+     * @instance
+     */
+    undoDepth: 100,
+
 
     /**
      * The font for data cells.
@@ -463,11 +527,14 @@ module.exports = {
     useHiDPI: true,
 
     /**
-     * @default ['alt', 'esc']
-     * @type {string}
+     * @summary Keys that toggle the column picker on key up.
+     * @desc When defined, used instead of the `toggleColumnPicker` command of the `keymap` property.
+     * @deprecated Bind keys to `toggleColumnPicker` in the `keymap` property instead.
+     * @default undefined
+     * @type {string[]}
      * @instance
      */
-    editorActivationKeys: ['alt', 'esc'],
+    editorActivationKeys: undefined,
 
     /**
      * @default
@@ -578,6 +645,22 @@ module.exports = {
      */
     selectionRegionOutlineColor: 'rgb(69, 69, 69)',
 
+    /**
+     * Show a fill handle at the bottom-right corner of the last selection, which may be dragged to fill adjacent cells with copies or a series (see {@link FillHandle}).
+     * @default
+     * @type {boolean}
+     * @instance
+     */
+    fillHandle: true,
+
+    /**
+     * Width and height of the fill handle in pixels.
+     * @default
+     * @type {number}
+     * @instance
+     */
+    fillHandleSize: 6,
+
     /**
      * @default
      * @type {boolean}
@@ -599,6 +682,22 @@ module.exports = {
      */
     headerTextWrapping: false,
 
+    /** @summary Wrap the text of data cells onto multiple lines.
+     * @desc Typically set as a column property. Lines break at spaces and newlines. See also `autoRowHeight` (which consults the column property only).
+     * @default
+     * @type {boolean}
+     * @instance
+     */
+    wrap: false,
+
+    /** @summary Fit row heights to wrapped text.
+     * @desc When truthy, the height of each data row is computed from the wrapped text of its columns whose `wrap` property is truthy (but never less than `defaultRowHeight`). Heights set explicitly (by dragging when `rowResize` is truthy or by calling {@link Hypergrid#setRowHeight|setRowHeight}) take precedence. See {@link Behavior#computeRowHeight}.
+     * @default
+     * @type {boolean}
+     * @instance
+     */
+    autoRowHeight: false,
+
     /**
      * @default
      * @type {boolean}
@@ -642,7 +741,11 @@ module.exports = {
      *    1. Replace current value with the character the user typed; or
      *    2. Clear it on BACKSPACE, DELETE, or other invalid character (_e.g._ when user types a letter but the cell editor only accepts digits).
      *
-     * > In invoked, user has the option to back out by pressing the ESCAPE key.
+     * F2 (the `startEdit` command) activates the cell editor with the current value and the caret at the end of it instead.
+     *
+     * While editing, the arrow keys move the caret; at the start or end of the text (or always, for up and down in a single-line editor), they save the edit and move to the adjacent cell.
+     *
+     * > In invoked, user has the option to back out by pressing the ESCAPE key, which restores the cell's value.
      *
      * @default
      * @type {boolean}
@@ -684,6 +787,356 @@ module.exports = {
      */
     renderer: 'SimpleCell',
 
+    /** @summary Conditional format rules.
+     * @desc When set (typically as a column property), the render properties of the rules matching each visible cell's value are applied as the cell is painted. See {@link conditionalFormatRule}.
+     * @default undefined
+     * @type {undefined|conditionalFormatRule[]}
+     * @instance
+     */
+    conditionalFormats: undefined,
+
+    /** @summary Merge identical consecutive values.
+     * @desc When truthy (typically as a column property), runs of identical consecutive non-empty values in the column are painted, selected, and navigated as a single cell. Only applies to the data subgrid. See also {@link Behavior#setMergedCells}.
+     * @default
+     * @type {boolean}
+     * @instance
+     */
+    autoMerge: false,
+
+    /********** SECTION: VALIDATION **********/
+
+    /** @summary Validation rules for the column's cells.
+     * @desc When set (typically as a column property), the cells' values are checked by {@link Hypergrid#validate} and as they are edited. Invalid cells are marked in `validationErrorColor` and their error messages shown in their tooltips. See {@link validatorRule} and {@link Validator}.
+     * @default undefined
+     * @type {undefined|validatorRule[]}
+     * @instance
+     */
+    validators: undefined,
+
+    /** @summary Grid-level property.
+     * @desc Validation rules across several fields of each row. See {@link rowValidatorRule} and {@link Validator}.
+     * @default undefined
+     * @type {undefined|rowValidatorRule[]}
+     * @instance
+     */
+    rowValidators: undefined,
+
+    /** Color of the outline and corner marking cells with validation errors.
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    validationErrorColor: 'rgb(220, 30, 30)',
+
+    /********** SECTION: AUTOCOMPLETE **********/
+
+    /** @summary Options for the `Autocomplete` cell editor.
+     * @desc Typically a column property. Either an array of options; or a function called with the text typed so far and the cell event, returning an array of options or a thenable (_e.g.,_ a `Promise`) resolving to same (_e.g.,_ for lookups to a remote service). Options are primitives (used as both value and label) or objects with `optionValueKey` and `optionLabelKey` members.
+     *
+     * When set, the column's cells show the label of their stored value (see {@link OptionSource}).
+     * @default undefined
+     * @type {undefined|Array|function}
+     * @instance
+     */
+    optionSource: undefined,
+
+    /** @summary Labels of stored values not yet seen in a list of options.
+     * @desc Optional function called with an array of stored values, returning the options for those values (or a thenable resolving to same). Without it, cells show their stored value until its label has been seen in a list of options.
+     * @default undefined
+     * @type {undefined|function}
+     * @instance
+     */
+    optionLabels: undefined,
+
+    /** Name of the member of option objects holding the value to store (_e.g.,_ `'id'`).
+     * @default
+     * @type {string}
+     * @instance
+     */
+    optionValueKey: 'value',
+
+    /** Name of the member of option objects holding the label to show (_e.g.,_ `'name'`).
+     * @default
+     * @type {string}
+     * @instance
+     */
+    optionLabelKey: 'label',
+
+    /** Whether the `Autocomplete` cell editor accepts text matching none of the options (stored as typed).
+     * @default
+     * @type {boolean}
+     * @instance
+     */
+    allowFreeText: false,
+
+    /** Milliseconds the `Autocomplete` cell editor waits after the last keystroke before looking up options.
+     * @default
+     * @type {number}
+     * @instance
+     */
+    autocompleteDelay: 200,
+
+    /** Maximum number of options the `Autocomplete` cell editor lists.
+     * @default
+     * @type {number}
+     * @instance
+     */
+    autocompleteMaxItems: 20,
+
+    /********** SECTION: DATA BARS, COLOR SCALES, AND ICON SETS **********/
+
+    /** @summary Low end of the range for the `DataBar`, `ColorScale`, and `IconSet` cell renderers.
+     * @desc The default (`undefined`) uses the column's minimum.
+     * @default undefined
+     * @type {undefined|number}
+     * @instance
+     */
+    scaleMin: undefined,
+
+    /** @summary High end of the range for the `DataBar`, `ColorScale`, and `IconSet` cell renderers.
+     * @desc The default (`undefined`) uses the column's maximum.
+     * @default undefined
+     * @type {undefined|number}
+     * @instance
+     */
+    scaleMax: undefined,
+
+    /** Color of positive bars drawn by the `DataBar` cell renderer.
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    dataBarColor: 'rgb(99, 142, 198)',
+
+    /** Color of negative bars drawn by the `DataBar` cell renderer.
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    dataBarNegativeColor: 'rgb(255, 85, 90)',
+
+    /** Color of the zero axis drawn by the `DataBar` cell renderer when the range includes negative numbers.
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    dataBarAxisColor: 'rgb(0, 0, 0)',
+
+    /** Whether the `DataBar` cell renderer draws the value over the bar.
+     * @default
+     * @type {boolean}
+     * @instance
+     */
+    dataBarShowValue: true,
+
+    /** Two (low, high) or three (low, middle, high) colors interpolated by the `ColorScale` cell renderer.
+     * @default
+     * @type {cssColor[]}
+     * @instance
+     */
+    colorScale: ['rgb(248, 105, 107)', 'rgb(255, 235, 132)', 'rgb(99, 190, 123)'],
+
+    /** Name of the icon set drawn by the `IconSet` cell renderer (see {@link IconSet.sets}).
+     * @default
+     * @type {string}
+     * @instance
+     */
+    iconSet: 'arrows',
+
+    /** Percentages of the range at which each successive icon of the `IconSet` cell renderer begins.
+     * @default
+     * @type {number[]}
+     * @instance
+     */
+    iconSetThresholds: [33, 67],
+
+
+    /********** SECTION: SPARKLINES **********/
+
+    /** @summary Vertical scale of sparklines (see {@link SparkChart}) when `scaleMin` or `scaleMax` is `undefined`.
+     * @desc One of:
+     * * `'series'` - Fit each row's series.
+     * * `'column'` - Fit all the series in the column.
+     * @default
+     * @type {string}
+     * @instance
+     */
+    sparkScale: 'series',
+
+    /** @summary Sparkline point markers.
+     * @desc Hash of colors keyed by `'first'`, `'last'`, `'min'`, and/or `'max'`, _e.g.,_ `{ min: 'red', max: 'green' }`.
+     * @default undefined
+     * @type {undefined|object}
+     * @instance
+     */
+    sparkMarkers: undefined,
+
+    /** Whether sparklines draw a line at zero.
+     * @default
+     * @type {boolean}
+     * @instance
+     */
+    sparkBaseline: false,
+
+    /**
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    sparkBaselineColor: 'rgb(160, 160, 160)',
+
+    /** Color of negative columns and losses.
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    sparkNegativeColor: 'rgb(255, 85, 90)',
+
+    /** Colors of the qualitative ranges of bullet charts, from the first (innermost) range to the last.
+     * @default
+     * @type {cssColor[]}
+     * @instance
+     */
+    sparkBulletRangeColors: ['rgb(190, 190, 190)', 'rgb(215, 215, 215)', 'rgb(235, 235, 235)'],
+
+
+    /********** SECTION: TOOLTIPS **********/
+
+    /** Whether to show cell tooltips (see {@link Tooltip}).
+     * @default
+     * @type {boolean}
+     * @instance
+     */
+    showTooltips: true,
+
+    /** Milliseconds the mouse must rest on a cell before its tooltip is shown.
+     * @default
+     * @type {number}
+     * @instance
+     */
+    tooltipDelay: 500,
+
+    /** @summary Tooltip for data cells.
+     * @desc Either a [mustache](https://mustache.github.io) template string, merged with the cell's `value`, `formattedValue`, column `name` and `header`, and the row's fields; or a function called with the cell event that returns the text. See {@link module:tooltipText|tooltipText}.
+     * @default undefined
+     * @type {undefined|string|function}
+     * @instance
+     */
+    tooltip: undefined,
+
+    /** Tooltip for a column's header cell.
+     * @default undefined
+     * @type {undefined|string}
+     * @instance
+     */
+    description: undefined,
+
+    /** Whether to show the full text of cells whose text is too wide for the cell, when the cell has no other tooltip.
+     * @default
+     * @type {boolean}
+     * @instance
+     */
+    tooltipOverflow: true,
+
+
+    /********** SECTION: IMAGES **********/
+
+    /** @summary How the {@link ImageCell|Image} cell renderer lays out an image in its cell.
+     * @desc One of `'fit'`, `'fill'`, or `'center'` (see {@link ImageCell.getImageRect}).
+     * @default
+     * @type {string}
+     * @instance
+     */
+    imageMode: 'fit',
+
+    /** @summary URL of an icon the {@link ImageCell|Image} cell renderer paints left of the cell's text.
+     * @desc Either a [mustache](https://mustache.github.io) template string, merged with the row's fields and the cell's `value`; or a function called with the render properties that returns the URL. When undefined, the cell value is itself the image's URL.
+     * @default undefined
+     * @type {undefined|string|function}
+     * @instance
+     */
+    imageUrl: undefined,
+
+    /** Image the {@link ImageCell|Image} cell renderer paints when a cell's image fails to load: either the name of one of the grid's built-in images (_e.g.,_ `'dialog'`) or a URL.
+     * @default undefined
+     * @type {undefined|string}
+     * @instance
+     */
+    imageFallback: undefined,
+
+
+    /********** SECTION: PROGRESS BARS, RATINGS, AND TOGGLES **********/
+
+    /** Value at which the `ProgressBar` cell renderer's bar is full (_e.g.,_ `1` for fractions rather than percentages).
+     * @default
+     * @type {number}
+     * @instance
+     */
+    progressMax: 100,
+
+    /** Color of the bar drawn by the `ProgressBar` cell renderer.
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    progressColor: 'rgb(99, 142, 198)',
+
+    /** Color of the track behind the bar drawn by the `ProgressBar` cell renderer.
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    progressBackgroundColor: 'rgb(230, 230, 230)',
+
+    /** Whether the `ProgressBar` cell renderer draws the cell's (formatted) value over the bar.
+     * @default
+     * @type {boolean}
+     * @instance
+     */
+    progressShowValue: true,
+
+    /** Number of stars drawn by the `Rating` cell renderer.
+     * @default
+     * @type {number}
+     * @instance
+     */
+    ratingMax: 5,
+
+    /** Color of the filled stars drawn by the `Rating` cell renderer.
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    ratingColor: 'rgb(255, 192, 0)',
+
+    /** Outline color of the empty stars drawn by the `Rating` cell renderer.
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    ratingEmptyColor: 'rgb(180, 180, 180)',
+
+    /** Control drawn by the `Toggle` cell renderer: `'checkbox'` or `'switch'`.
+     * @default
+     * @type {string}
+     * @instance
+     */
+    toggleStyle: 'checkbox',
+
+    /** Color of the `Toggle` cell renderer's control when on.
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    toggleColor: 'rgb(99, 142, 198)',
+
+    /** Color of the `Toggle` cell renderer's control when off.
+     * @default
+     * @type {cssColor}
+     * @instance
+     */
+    toggleOffColor: 'rgb(160, 160, 160)',
+
     /********** HOVER COLORS **********/
 
     /** @typedef hoverColors
@@ -793,7 +1246,134 @@ module.exports = {
      * @default
      * @instance
      */
-    columnGrabMargin: 5
+    columnGrabMargin: 5,
+
+    /********** SECTION: CLIPBOARD **********/
+
+    /** @summary Data flavors put on the system clipboard on copy.
+     * @desc Any combination of:
+     * * `'text/plain'` - Tab-separated values.
+     * * `'text/html'` - A table of formatted values (see `copyHeaders` and `copyCellColors`).
+     * * `'application/json'` - Raw values as an array (one element per selection region) of arrays of row objects keyed by column name.
+     * @type {string[]}
+     * @default ['text/plain', 'text/html', 'application/json']
+     * @instance
+     */
+    copyFormats: ['text/plain', 'text/html', 'application/json'],
+
+    /** @summary Copy formatted rather than raw values as `text/plain`.
+     * @desc Values are formatted by the localizer named in each cell's `format` property. (The `text/html` flavor is always formatted; the `application/json` flavor is always raw.)
+     * @type {boolean}
+     * @default
+     * @instance
+     */
+    copyFormattedValues: false,
+
+    /** @summary Include a header row of column headers in the `text/html` flavor.
+     * @desc The header row is skipped when the table is pasted back into a grid.
+     * @type {boolean}
+     * @default
+     * @instance
+     */
+    copyHeaders: true,
+
+    /** @summary Include each cell's `color` and `backgroundColor` properties as inline styles in the `text/html` flavor.
+     * @type {boolean}
+     * @default
+     * @instance
+     */
+    copyCellColors: false,
+
+    /********** SECTION: KEYBOARD **********/
+
+    /** @summary Direction the current cell moves on Enter, including Enter that ends editing.
+     * @desc One of `'down'`, `'up'`, `'right'`, or `'left'`; or `null` to stay put. Shift+Enter moves the opposite way. See {@link Hypergrid#selectCellInEnterDirection}.
+     * @default
+     * @type {string}
+     * @instance
+     */
+    enterKeyDirection: 'down',
+
+    /** @summary Keyboard navigation passes over cells hidden under merged cells.
+     * @desc Applies to Tab, Enter, Home, and End (see {@link Hypergrid#selectNextCell}). (Arrow keys always step over merged cells as a whole.)
+     * @default
+     * @type {boolean}
+     * @instance
+     */
+    skipHiddenCells: true,
+
+    /** @summary Keyboard navigation passes over cells that are not `editable`.
+     * @desc Applies to Tab, Enter, Home, and End (see {@link Hypergrid#selectNextCell}). Each cell's own `editable` property is consulted, so read-only cells in an editable column are passed over, and editable cells in a read-only column are not.
+     * @default
+     * @type {boolean}
+     * @instance
+     */
+    skipReadOnlyCells: false,
+
+    /** @summary Grid commands bound to key chords.
+     * @desc Hash of command names keyed by {@link keyChord|key chord} (see {@link module:keymap|keymap}). The built-in commands are:
+     * * `moveUp`, `moveDown`, `moveLeft`, `moveRight` - Select the adjacent cell (or row or column when rows or columns are selected).
+     * * `extendSelectionUp`, `extendSelectionDown`, `extendSelectionLeft`, `extendSelectionRight` - Grow or shrink the last selection.
+     * * `moveToEdgeUp`, `moveToEdgeDown`, `moveToEdgeLeft`, `moveToEdgeRight` - Select the cell at the edge of the data (see {@link Hypergrid#selectDataEdgeCell}).
+     * * `extendSelectionToEdgeUp`, `extendSelectionToEdgeDown`, `extendSelectionToEdgeLeft`, `extendSelectionToEdgeRight` - Extend the last selection to the edge of the data.
+     * * `moveToRowStart`, `moveToRowEnd` - Select the first or last cell of the row.
+     * * `moveToFirstCell`, `moveToLastCell` - Select the top-left or bottom-right cell of the grid.
+     * * `moveNext`, `movePrevious` - Select the next or previous cell, wrapping rows (see {@link Hypergrid#selectNextCell}).
+     * * `moveInEnterDirection`, `moveAgainstEnterDirection` - Select the next cell in the direction of the `enterKeyDirection` property or in the opposite direction.
+     * * `pageUp`, `pageDown`, `pageLeft`, `pageRight` - Scroll by a page.
+     * * `selectAll` - Select all the cells.
+     * * `copy` - Copy the selection to the system clipboard.
+     * * `undo`, `redo` - See {@link UndoManager}.
+     * * `startEdit` - Open the cell editor on the current cell.
+     * * `clearAndEdit` - Open the cell editor on the current cell with its value cleared.
+     * * `activateCell` - Edit the current cell when its renderer is interactive (_e.g.,_ {@link Toggle}).
+     * * `toggleColumnPicker` - Open or close the column picker dialog.
+     *
+     * Bind additional chords or application commands (see {@link Hypergrid#addCommand}) with {@link Hypergrid#bindKeys}, or replace the whole hash. Bind a chord to `null` to unbind it.
+     * @type {object}
+     * @instance
+     */
+    keymap: {
+        UP: 'moveUp',
+        DOWN: 'moveDown',
+        LEFT: 'moveLeft',
+        RIGHT: 'moveRight',
+        'Shift+UP': 'extendSelectionUp',
+        'Shift+DOWN': 'extendSelectionDown',
+        'Shift+LEFT': 'extendSelectionLeft',
+        'Shift+RIGHT': 'extendSelectionRight',
+        'Mod+UP': 'moveToEdgeUp',
+        'Mod+DOWN': 'moveToEdgeDown',
+        'Mod+LEFT': 'moveToEdgeLeft',
+        'Mod+RIGHT': 'moveToEdgeRight',
+        'Mod+Shift+UP': 'extendSelectionToEdgeUp',
+        'Mod+Shift+DOWN': 'extendSelectionToEdgeDown',
+        'Mod+Shift+LEFT': 'extendSelectionToEdgeLeft',
+        'Mod+Shift+RIGHT': 'extendSelectionToEdgeRight',
+        Home: 'moveToRowStart',
+        End: 'moveToRowEnd',
+        'Mod+Home': 'moveToFirstCell',
+        'Mod+End': 'moveToLastCell',
+        TAB: 'moveNext',
+        'Shift+TAB': 'movePrevious',
+        Enter: 'moveInEnterDirection',
+        'Shift+Enter': 'moveAgainstEnterDirection',
+        PAGEUP: 'pageUp',
+        PAGEDOWN: 'pageDown',
+        'Alt+PAGEUP': 'pageLeft',
+        'Alt+PAGEDOWN': 'pageRight',
+        'Mod+A': 'selectAll',
+        'Mod+C': 'copy',
+        'Mod+Z': 'undo',
+        'Mod+Y': 'redo',
+        'Mod+Shift+Z': 'redo',
+        F2: 'startEdit',
+        DELETE: 'clearAndEdit',
+        BACKSPACE: 'clearAndEdit',
+        SPACE: 'activateCell',
+        Alt: 'toggleColumnPicker',
+        Escape: 'toggleColumnPicker'
+    }
 };
 
 /** @typedef {string} cssColor
@@ -40,6 +40,11 @@ var Dialog = Base.extend('Dialog', {
 
         this.originalFirstChild = this.el.firstElementChild;
 
+        // style per the grid's theme
+        (grid.themeClassNames || []).forEach(function(className) {
+            this.el.classList.add(className);
+        }, this);
+
         if (options.settings === false) {
             var settings = this.el.querySelector('.hypergrid-dialog-settings');
             if (settings) {
@@ -4,6 +4,11 @@ var Feature = require('./Feature');
 
 /**
  * @constructor
+ * @desc Besides notifying the behavior of clicks on data cells, edits the values of cells whose cell renderer is interactive (has a `getEditedValue` method, such as {@link Toggle} and {@link Rating}):
+ * * Clicking the renderer's control sets the cell to the value it returns.
+ * * The `activateCell` key command (Space by default; see the `keymap` grid property) does the same for the cell at the origin of the last selection.
+ *
+ * Edits are made with {@link Hypergrid#editCell} so they are skipped when the grid is `readOnly` or the cell is not `editable`.
  * @extends Feature
  */
 var CellClick = Feature.extend('CellClick', {
@@ -14,9 +19,10 @@ var CellClick = Feature.extend('CellClick', {
      * @param {Object} event - the event details
      */
     handleClick: function(grid, event) {
-        var consumed;
+        var consumed = editCell(grid, event, event.mousePoint);
 
         if (
+            !consumed &&
             event.gridCell.y >= grid.behavior.getHeaderRowCount() &&
             event.gridCell.x >= 0
         ) {
@@ -26,7 +32,68 @@ var CellClick = Feature.extend('CellClick', {
         if (!consumed && this.next) {
             this.next.handleClick(grid, event);
         }
+    },
+
+    /**
+     * Double-clicks on interactive cells are consumed so they do not open a cell editor.
+     * @memberOf CellClick.prototype
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleDoubleClick: function(grid, event) {
+        if (!getInteractiveRenderer(grid, event) && this.next) {
+            this.next.handleDoubleClick(grid, event);
+        }
+    },
+
+    /**
+     * @memberOf CellClick.prototype
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleKeyDown: function(grid, event) {
+        var selection = event.detail.command === 'activateCell' && !grid.cellEditor && grid.selectionModel.getLastSelection(),
+            vc = selection && grid.renderer.visibleColumnsByIndex[selection.origin.x],
+            vr = selection && grid.renderer.visibleRowsByDataRowIndex[selection.origin.y],
+            cellEvent = vc && vr && new grid.behavior.CellEvent(vc.columnIndex, vr.index);
+
+        if (cellEvent && editCell(grid, cellEvent)) {
+            event.detail.primitiveEvent.preventDefault(); // don't scroll the page
+        } else if (this.next) {
+            this.next.handleKeyDown(grid, event);
+        }
     }
 });
 
+/**
+ * @param {Hypergrid} grid
+ * @param {CellEvent} cellEvent
+ * @returns {CellRenderer|undefined} The data cell's renderer when it is interactive.
+ * @private
+ */
+function getInteractiveRenderer(grid, cellEvent) {
+    var cellRenderer = cellEvent.isGridCell && grid.cellRenderers.get(cellEvent.getCellProperty('renderer'));
+    return cellRenderer && cellRenderer.getEditedValue ? cellRenderer : undefined;
+}
+
+/**
+ * @param {Hypergrid} grid
+ * @param {CellEvent} cellEvent
+ * @param {Point} [mousePoint] - Mouse position relative to the cell; omit for the keyboard.
+ * @returns {boolean} The cell's renderer is interactive and accepted the click or key (whether or not the edit was allowed).
+ * @private
+ */
+function editCell(grid, cellEvent, mousePoint) {
+    var cellRenderer = getInteractiveRenderer(grid, cellEvent),
+        newValue = cellRenderer && cellRenderer.getEditedValue(cellEvent, mousePoint);
+
+    if (newValue === undefined) {
+        return false;
+    }
+
+    grid.editCell(grid.newPoint(cellEvent.gridCell.x, cellEvent.dataCell.y), newValue);
+
+    return true;
+}
+
 module.exports = CellClick;
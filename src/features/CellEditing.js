@@ -37,20 +37,29 @@ var CellEditing = Feature.extend('CellEditing', {
     },
 
     /**
+     * Handles the `startEdit` and `clearAndEdit` key commands (see the `keymap` grid property) and printable characters not bound to a command, when the `editOnKeydown` grid property is truthy:
+     * * A printable character opens the cell editor with the character replacing the cell's value.
+     * * `clearAndEdit` (Delete or Backspace) opens the cell editor with the value cleared.
+     * * `startEdit` (F2) opens the cell editor with the cell's value and the caret at the end of it.
+     *
+     * While editing, see {@link CellEditor#keyup} and {@link CellEditor#isCaretAtBoundary} for the keys that end editing.
      * @param {Hypergrid} grid
      * @param {Object} event - the event details
-     * @memberOf KeyPaging.prototype
+     * @memberOf CellEditing.prototype
      */
     handleKeyDown: function(grid, event) {
-        var char, isVisibleChar, isDeleteChar, currentCell, editor;
+        var detail = event.detail,
+            char = detail.char,
+            command = detail.command,
+            isVisibleChar, isDeleteChar, currentCell, editor;
 
         if (
             grid.properties.editOnKeydown &&
             !grid.cellEditor &&
             (
-                (char = event.detail.char) === 'F2' ||
-                (isVisibleChar = char.length === 1 && !(event.detail.meta || event.detail.ctrl)) ||
-                (isDeleteChar = char === 'DELETE' || char === 'BACKSPACE')
+                command === 'startEdit' ||
+                (isVisibleChar = !command && char.length === 1 && !(detail.meta || detail.ctrl)) ||
+                (isDeleteChar = command === 'clearAndEdit')
             )
         ) {
             currentCell = grid.selectionModel.getLastSelection();
@@ -62,9 +71,11 @@ var CellEditing = Feature.extend('CellEditing', {
 
                 if (editor instanceof CellEditor) {
                     if (isVisibleChar) {
-                        editor.input.value = char;
+                        editor.replaceText(char);
                     } else if (isDeleteChar) {
-                        editor.setEditorValue('');
+                        editor.replaceText('');
+                    } else {
+                        editor.editText();
                     }
                     event.detail.primitiveEvent.preventDefault();
                 }
@@ -1,6 +1,16 @@
+/* eslint-env browser */
+
 'use strict';
 
 var Feature = require('./Feature');
+var mergedCells = require('../lib/mergedCells');
+
+var edgeDeltas = {
+    Up: { x: 0, y: -1 },
+    Down: { x: 0, y: 1 },
+    Left: { x: -1, y: 0 },
+    Right: { x: 1, y: 0 }
+};
 
 /**
  * @constructor
@@ -38,6 +48,40 @@ var CellSelection = Feature.extend('CellSelection', {
      */
     sbAutoStart: 0,
 
+    /**
+     * Names of the methods that handle the key commands (see the `keymap` grid property).
+     * @type {object}
+     * @memberOf CellSelection.prototype
+     */
+    keyCommands: {
+        moveUp: 'handleUP',
+        moveDown: 'handleDOWN',
+        moveLeft: 'handleLEFT',
+        moveRight: 'handleRIGHT',
+        extendSelectionUp: 'handleUPSHIFT',
+        extendSelectionDown: 'handleDOWNSHIFT',
+        extendSelectionLeft: 'handleLEFTSHIFT',
+        extendSelectionRight: 'handleRIGHTSHIFT',
+        moveToEdgeUp: 'handleMoveToEdge',
+        moveToEdgeDown: 'handleMoveToEdge',
+        moveToEdgeLeft: 'handleMoveToEdge',
+        moveToEdgeRight: 'handleMoveToEdge',
+        extendSelectionToEdgeUp: 'handleExtendSelectionToEdge',
+        extendSelectionToEdgeDown: 'handleExtendSelectionToEdge',
+        extendSelectionToEdgeLeft: 'handleExtendSelectionToEdge',
+        extendSelectionToEdgeRight: 'handleExtendSelectionToEdge',
+        moveToRowStart: 'handleMoveToRowStart',
+        moveToRowEnd: 'handleMoveToRowEnd',
+        moveToFirstCell: 'handleMoveToFirstCell',
+        moveToLastCell: 'handleMoveToLastCell',
+        moveNext: 'handleMoveNext',
+        movePrevious: 'handleMoveNext',
+        moveInEnterDirection: 'handleMoveInEnterDirection',
+        moveAgainstEnterDirection: 'handleMoveInEnterDirection',
+        selectAll: 'handleSelectAll',
+        copy: 'handleCopy'
+    },
+
     /**
      * @memberOf CellSelection.prototype
      * @param {Hypergrid} grid
@@ -96,7 +140,7 @@ var CellSelection = Feature.extend('CellSelection', {
      */
     handleKeyDown: function(grid, event) {
         var handler;
-        if ((handler = this['handle' + event.detail.char])) {
+        if ((handler = this.getKeyCommandHandler(event))) {
             handler.call(this, grid, event.detail);
         } else if (this.next) {
             this.next.handleKeyDown(grid, event);
@@ -124,7 +168,7 @@ var CellSelection = Feature.extend('CellSelection', {
 
         grid.clearMostRecentSelection();
 
-        grid.select(mouseDown.x, mouseDown.y, newX, newY);
+        selectMerged(grid, mouseDown.x, mouseDown.y, newX, newY);
         grid.setDragExtent(grid.newPoint(newX, newY));
 
         grid.repaint();
@@ -210,6 +254,8 @@ var CellSelection = Feature.extend('CellSelection', {
     /**
      * @memberOf CellSelection.prototype
      * @desc extend a selection or create one if there isnt yet
+     *
+     * A merged cell (see {@link Behavior#getMergedCell}) is selected as a whole; its top-left cell stands in for the clicked cell.
      * @param {Hypergrid} grid
      * @param {Object} gridCell - the event details
      * @param {Array} keys - array of the keys that are currently pressed down
@@ -226,6 +272,12 @@ var CellSelection = Feature.extend('CellSelection', {
             return;
         }
 
+        var range = grid.behavior.getMergedCell(x, y);
+        if (range) {
+            x = range.x;
+            y = range.y;
+        }
+
         //we have repeated a click in the same spot deslect the value from last time
         if (
             hasCTRL &&
@@ -244,10 +296,10 @@ var CellSelection = Feature.extend('CellSelection', {
 
         if (hasSHIFT) {
             grid.clearMostRecentSelection();
-            grid.select(mousePoint.x, mousePoint.y, x - mousePoint.x, y - mousePoint.y);
+            selectMerged(grid, mousePoint.x, mousePoint.y, x - mousePoint.x, y - mousePoint.y);
             grid.setDragExtent(grid.newPoint(x - mousePoint.x, y - mousePoint.y));
         } else {
-            grid.select(x, y, 0, 0);
+            selectMerged(grid, x, y, 0, 0);
             grid.setMouseDown(grid.newPoint(x, y));
             grid.setDragExtent(grid.newPoint(0, 0));
         }
@@ -334,6 +386,119 @@ var CellSelection = Feature.extend('CellSelection', {
         this.moveSingleSelect(grid, 1, 0);
     },
 
+    /**
+     * @memberOf CellSelection.prototype
+     * @desc Select the cell at the edge of the data in the direction of the command.
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleMoveToEdge: function(grid, event) {
+        var delta = edgeDeltas[event.command.replace('moveToEdge', '')];
+        event.primitiveEvent.preventDefault();
+        grid.selectDataEdgeCell(delta.x, delta.y);
+    },
+
+    /**
+     * @memberOf CellSelection.prototype
+     * @desc Extend the last selection to the edge of the data in the direction of the command.
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleExtendSelectionToEdge: function(grid, event) {
+        var delta = edgeDeltas[event.command.replace('extendSelectionToEdge', '')];
+        event.primitiveEvent.preventDefault();
+        grid.selectToDataEdgeCell(delta.x, delta.y);
+    },
+
+    /**
+     * @memberOf CellSelection.prototype
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleMoveToRowStart: function(grid) {
+        grid.selectFirstCellOfCurrentRow();
+    },
+
+    /**
+     * @memberOf CellSelection.prototype
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleMoveToRowEnd: function(grid) {
+        grid.selectFinalCellOfCurrentRow();
+    },
+
+    /**
+     * @memberOf CellSelection.prototype
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleMoveToFirstCell: function(grid) {
+        grid.selectFirstCell();
+    },
+
+    /**
+     * @memberOf CellSelection.prototype
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleMoveToLastCell: function(grid) {
+        grid.selectFinalCell();
+    },
+
+    /**
+     * @memberOf CellSelection.prototype
+     * @desc Select the next cell (`moveNext` command) or the previous cell (`movePrevious` command).
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleMoveNext: function(grid, event) {
+        event.primitiveEvent.preventDefault(); // keep the focus
+        grid.selectNextCell(event.command === 'movePrevious');
+    },
+
+    /**
+     * @memberOf CellSelection.prototype
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleMoveInEnterDirection: function(grid, event) {
+        grid.selectCellInEnterDirection(event.command === 'moveAgainstEnterDirection');
+    },
+
+    /**
+     * @memberOf CellSelection.prototype
+     * @desc Select all the cells.
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleSelectAll: function(grid, event) {
+        var maxX = grid.getColumnCount() - 1,
+            maxY = grid.getRowCount() - 1;
+
+        event.primitiveEvent.preventDefault(); // don't select the page
+
+        if (maxX >= 0 && maxY >= 0) {
+            grid.clearSelections();
+            grid.select(0, 0, maxX, maxY);
+            grid.setMouseDown(grid.newPoint(0, 0));
+            grid.setDragExtent(grid.newPoint(maxX, maxY));
+            grid.repaint();
+        }
+    },
+
+    /**
+     * @memberOf CellSelection.prototype
+     * @desc Copy the selection to the system clipboard (by way of the document's `copy` event; see {@link Hypergrid#checkClipboardCopy}).
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleCopy: function(grid, event) {
+        if (document.execCommand('copy')) {
+            event.primitiveEvent.preventDefault(); // don't copy again
+        }
+    },
+
     /**
      * @memberOf CellSelection.prototype
      * @desc If we are holding down the same navigation key, accelerate the increment we scroll
@@ -408,7 +573,7 @@ var CellSelection = Feature.extend('CellSelection', {
         newY = Math.min(maxRows - origin.y, Math.max(-origin.y, newY));
 
         grid.clearMostRecentSelection();
-        grid.select(origin.x, origin.y, newX, newY);
+        selectMerged(grid, origin.x, origin.y, newX, newY);
 
         grid.setDragExtent(grid.newPoint(newX, newY));
 
@@ -426,15 +591,18 @@ var CellSelection = Feature.extend('CellSelection', {
     /**
      * @memberOf CellSelection.prototype
      * @desc Replace the most recent selection with a single cell selection that is moved (offsetX,offsetY) from the previous selection extent.
+     *
+     * Merged cells count as a single cell: Moving out of one steps from its edge; moving into one selects all of it.
      * @param {Hypergrid} grid
      * @param {number} offsetX - x coordinate to start at
      * @param {number} offsetY - y coordinate to start at
      */
     moveSingleSelect: function(grid, offsetX, offsetY) {
         var mouseCorner = grid.getMouseDown().plus(grid.getDragExtent()),
+            range = grid.behavior.getMergedCell(mouseCorner.x, mouseCorner.y),
 
-            newX = mouseCorner.x + offsetX,
-            newY = mouseCorner.y + offsetY,
+            newX = range ? step(range.x, range.width, offsetX) : mouseCorner.x + offsetX,
+            newY = range ? step(range.y, range.height, offsetY) : mouseCorner.y + offsetY,
 
             maxColumns = grid.getColumnCount() - 1,
             maxRows = grid.getRowCount() - 1,
@@ -450,12 +618,17 @@ var CellSelection = Feature.extend('CellSelection', {
         newX = Math.min(maxColumns, Math.max(0, newX));
         newY = Math.min(maxRows, Math.max(0, newY));
 
+        if ((range = grid.behavior.getMergedCell(newX, newY))) {
+            newX = range.x;
+            newY = range.y;
+        }
+
         grid.clearSelections();
-        grid.select(newX, newY, 0, 0);
+        selectMerged(grid, newX, newY, 0, 0);
         grid.setMouseDown(grid.newPoint(newX, newY));
         grid.setDragExtent(grid.newPoint(0, 0));
 
-        grid.selectCellAndScrollToMakeVisible(newX, newY);
+        grid.scrollToMakeVisible(newX, newY);
 
         // if (grid.insureModelColIsVisible(newX, offsetX)) {
         //     this.pingAutoScroll();
@@ -470,4 +643,42 @@ var CellSelection = Feature.extend('CellSelection', {
 
 });
 
+/**
+ * @summary Select a rectangle of cells grown to include all the merged cells it overlaps.
+ * @desc Same parameters as {@link Hypergrid#select}. The selection's direction (the sign of the extent) is preserved.
+ * @param {Hypergrid} grid
+ * @param {number} ox
+ * @param {number} oy
+ * @param {number} ex
+ * @param {number} ey
+ * @private
+ */
+function selectMerged(grid, ox, oy, ex, ey) {
+    var behavior = grid.behavior,
+        rect = mergedCells.expand({
+            x: Math.min(ox, ox + ex),
+            y: Math.min(oy, oy + ey),
+            width: Math.abs(ex) + 1,
+            height: Math.abs(ey) + 1
+        }, behavior.getMergedCells(), behavior.getAutoMergeRuns.bind(behavior));
+
+    grid.select(
+        ex < 0 ? rect.x + rect.width - 1 : rect.x,
+        ey < 0 ? rect.y + rect.height - 1 : rect.y,
+        ex < 0 ? 1 - rect.width : rect.width - 1,
+        ey < 0 ? 1 - rect.height : rect.height - 1
+    );
+}
+
+/**
+ * @param {number} start - Merged range's first column or row.
+ * @param {number} length - Merged range's column or row count.
+ * @param {number} offset
+ * @returns {number} Column or row `offset` cells beyond the range's edge in the direction of `offset`; or `start` when `offset` is 0.
+ * @private
+ */
+function step(start, length, offset) {
+    return offset > 0 ? start + length - 1 + offset : start + offset;
+}
+
 module.exports = CellSelection;
@@ -58,6 +58,13 @@ var ColumnMoving = Feature.extend('ColumnMoving', {
      */
     dragging: false,
 
+    /**
+     * an undo transaction is open for the moves of the current drag
+     * @type {boolean}
+     * @memberOf CellMoving.prototype
+     */
+    undoing: false,
+
     /**
      * the column index of the currently dragged column
      * @type {number}
@@ -192,6 +199,7 @@ var ColumnMoving = Feature.extend('ColumnMoving', {
         this.dragging = false;
         this.dragArmed = false;
         this.cursor = null;
+        commitUndoTransaction.call(this, grid);
         grid.repaint();
 
         if (this.next) {
@@ -274,6 +282,10 @@ var ColumnMoving = Feature.extend('ColumnMoving', {
             grid.renderOverridesCache.dragger.startX = floaterStartX * hdpiratio;
             grid.renderOverridesCache.floater.startX = draggerStartX * hdpiratio;
         }
+        if (!this.undoing) {
+            this.undoing = true;
+            grid.undoManager.begin('Move column'); // all the swaps made while dragging undo together
+        }
         grid.swapColumns(draggerIndex, floaterIndex);
         grid.renderOverridesCache.dragger.columnIndex = floaterIndex;
         grid.renderOverridesCache.floater.columnIndex = draggerIndex;
@@ -624,6 +636,7 @@ var ColumnMoving = Feature.extend('ColumnMoving', {
      * @param {Hypergrid} grid
      */
     endDragColumn: function(grid) {
+        commitUndoTransaction.call(this, grid);
 
         var fixedColumnCount = grid.getFixedColumnCount();
         var scrollLeft = grid.getHScrollValue();
@@ -658,4 +671,17 @@ var ColumnMoving = Feature.extend('ColumnMoving', {
 
 });
 
+/**
+ * Commit the undo transaction of the current drag, if any.
+ * @this {ColumnMoving}
+ * @param {Hypergrid} grid
+ * @private
+ */
+function commitUndoTransaction(grid) {
+    if (this.undoing) {
+        this.undoing = false;
+        grid.undoManager.commit();
+    }
+}
+
 module.exports = ColumnMoving;
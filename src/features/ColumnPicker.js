@@ -7,6 +7,7 @@ var Feature = require('./Feature');
 
 /**
  * @constructor
+ * @summary Handles the `toggleColumnPicker` key command (see the `keymap` grid property).
  * @extends Feature
  */
 var ColumnPicker = Feature.extend('ColumnPicker', {
@@ -16,13 +17,33 @@ var ColumnPicker = Feature.extend('ColumnPicker', {
      * @param {Hypergrid} grid
      * @param {Object} event - the event details
      */
+    handleKeyDown: function(grid, event) {
+        if (
+            event.detail.command === 'toggleColumnPicker' &&
+            !grid.properties.editorActivationKeys
+        ) {
+            if (!event.detail.primitiveEvent.repeat) {
+                grid.toggleDialog('ColumnPicker');
+            }
+        } else if (this.next) {
+            this.next.handleKeyDown(grid, event);
+        }
+    },
+
+    /**
+     * Supports the deprecated `editorActivationKeys` grid property.
+     * @memberOf ColumnPicker.prototype
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
     handleKeyUp: function(grid, event) {
-        var key = event.detail.char.toLowerCase();
         var keys = grid.properties.editorActivationKeys;
-        if (keys.indexOf(key) > -1) {
-           grid.toggleDialog('ColumnPicker');
+        if (keys && keys.indexOf(event.detail.char.toLowerCase()) > -1) {
+            grid.toggleDialog('ColumnPicker');
+        } else if (this.next) {
+            this.next.handleKeyUp(grid, event);
         }
-    },
+    }
 
 });
 
@@ -32,6 +32,14 @@ var ColumnResizing = Feature.extend('ColumnResizing', {
      */
     dragIndexStartingSize: -1,
 
+    /**
+     * an undo transaction is open for the size changes of the current drag
+     * @type {boolean}
+     * @default false
+     * @memberOf ColumnResizing.prototype
+     */
+    undoing: false,
+
     /**
      * @memberOf ColumnResizing.prototype
      * @desc get the mouse x,y coordinate
@@ -143,6 +151,10 @@ var ColumnResizing = Feature.extend('ColumnResizing', {
             }
             var previous = this.getPreviousAbsoluteSize(grid, this.dragIndex - scrollValue);
             var distance = mouse - previous;
+            if (!this.undoing && distance !== this.getAreaSize(grid, this.dragIndex)) {
+                this.undoing = true;
+                grid.undoManager.begin(); // all the size changes made while dragging undo together
+            }
             this.setAreaSize(grid, this.dragIndex, distance);
         } else if (this.next) {
             this.next.handleMouseDrag(grid, event);
@@ -182,6 +194,7 @@ var ColumnResizing = Feature.extend('ColumnResizing', {
             if (overArea < this.getFixedAreaCount(grid)) {
                 scrollValue = 0;
             }
+            commitUndoTransaction.call(this, grid); // in case the previous drag never ended
             this.dragIndex = overArea - 1 + scrollValue;
             this.dragStart = this.getMouseValue(event);
             this.dragIndexStartingSize = 0;
@@ -201,6 +214,7 @@ var ColumnResizing = Feature.extend('ColumnResizing', {
         if (isEnabled && this.dragIndex > -2) {
             this.cursor = null;
             this.dragIndex = -2;
+            commitUndoTransaction.call(this, grid);
 
             event.primitiveEvent.stopPropagation();
             //delay here to give other events a chance to be dropped
@@ -288,4 +302,17 @@ var ColumnResizing = Feature.extend('ColumnResizing', {
 
 });
 
+/**
+ * Commit the undo transaction of the current drag, if any.
+ * @this {ColumnResizing}
+ * @param {Hypergrid} grid
+ * @private
+ */
+function commitUndoTransaction(grid) {
+    if (this.undoing) {
+        this.undoing = false;
+        grid.undoManager.commit();
+    }
+}
+
 module.exports = ColumnResizing;
@@ -49,6 +49,22 @@ var ColumnSelection = Feature.extend('ColumnSelection', {
      */
     sbAutoStart: 0,
 
+    /**
+     * Names of the methods that handle the key commands (see the `keymap` grid property) while columns are selected.
+     * @type {object}
+     * @memberOf ColumnSelection.prototype
+     */
+    keyCommands: {
+        moveUp: 'handleUP',
+        moveDown: 'handleDOWN',
+        moveLeft: 'handleLEFT',
+        moveRight: 'handleRIGHT',
+        extendSelectionUp: 'handleUPSHIFT',
+        extendSelectionDown: 'handleDOWNSHIFT',
+        extendSelectionLeft: 'handleLEFTSHIFT',
+        extendSelectionRight: 'handleRIGHTSHIFT'
+    },
+
 
     /**
      * @memberOf ColumnSelection.prototype
@@ -133,7 +149,7 @@ var ColumnSelection = Feature.extend('ColumnSelection', {
         var handler;
         if (
             grid.getLastSelectionType() === 'column' &&
-            (handler = this['handle' + event.detail.char])
+            (handler = this.getKeyCommandHandler(event))
         ) {
             handler.call(this, grid, event.detail);
         } else if (this.next) {
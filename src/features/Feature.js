@@ -42,6 +42,14 @@ var Feature = Base.extend('Feature', {
      */
     currentHoverCell: null,
 
+    /**
+     * Hash of the names of my methods that handle key commands, keyed by command name (see the `keymap` grid property).
+     * @type {object}
+     * @default null
+     * @memberOf Feature.prototype
+     */
+    keyCommands: null,
+
     /**
      * @memberOf Feature.prototype
      * @desc set my next field, or if it's populated delegate to the feature in my next field
@@ -134,6 +142,16 @@ var Feature = Base.extend('Feature', {
         }
     },
 
+    /**
+     * @memberOf Feature.prototype
+     * @param {Object} event - the keydown event details
+     * @returns {function|undefined} My method named in `keyCommands` for the event's command (`event.detail.command`; see {@link Behavior#onKeyDown}).
+     */
+    getKeyCommandHandler: function(event) {
+        var name = this.keyCommands && this.keyCommands[event.detail.command];
+        return name && this[name];
+    },
+
     /**
      * @memberOf Feature.prototype
      * @param {Hypergrid} grid
@@ -0,0 +1,149 @@
+'use strict';
+
+var Feature = require('./Feature');
+
+/**
+ * @constructor
+ * @summary Drag-to-fill.
+ * @desc Dragging the fill handle (painted at the bottom-right corner of the last selection; see {@link Renderer#getFillHandleBounds}) extends the selection up, down, left, or right. On release, the extension is filled with copies or a detected series of the selected values (see {@link Hypergrid#fill}).
+ * @extends Feature
+ */
+var FillHandle = Feature.extend('FillHandle', {
+
+    /**
+     * The selection being extended (normalized) while dragging; otherwise `null`.
+     * @type {Rectangle}
+     * @memberOf FillHandle.prototype
+     */
+    source: null,
+
+    /**
+     * The extension while dragging; `null` when the mouse is over the source.
+     * @type {Rectangle}
+     * @memberOf FillHandle.prototype
+     */
+    target: null,
+
+    /**
+     * @memberOf FillHandle.prototype
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleMouseMove: function(grid, event) {
+        this.cursor = isOverHandle(grid, event) ? 'crosshair' : null;
+        if (this.next) {
+            this.next.handleMouseMove(grid, event);
+        }
+    },
+
+    /**
+     * @memberOf FillHandle.prototype
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleMouseDown: function(grid, event) {
+        if (isOverHandle(grid, event)) {
+            var selection = grid.selectionModel.getLastSelection();
+            this.source = grid.newRectangle(selection.origin.x, selection.origin.y, selection.width, selection.height);
+            this.target = null;
+            this.detachChain();
+        } else if (this.next) {
+            this.next.handleMouseDown(grid, event);
+        }
+    },
+
+    /**
+     * @memberOf FillHandle.prototype
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleMouseDrag: function(grid, event) {
+        if (this.source) {
+            if (event.isGridRow) { // ignore drags over header and other non-data rows
+                var source = this.source,
+                    target = this.target = getTarget(grid, source, event.gridCell.x, event.dataCell.y),
+                    extended = target ? source.union(target) : source;
+
+                grid.clearMostRecentSelection();
+                grid.select(extended.origin.x, extended.origin.y, extended.width, extended.height);
+                grid.repaint();
+            }
+        } else if (this.next) {
+            this.next.handleMouseDrag(grid, event);
+        }
+    },
+
+    /**
+     * @memberOf FillHandle.prototype
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     */
+    handleMouseUp: function(grid, event) {
+        if (this.source) {
+            if (this.target) {
+                grid.fill(this.source, this.target);
+            }
+            this.source = this.target = null;
+            this.cursor = null;
+
+            //delay here to give other events a chance to be dropped
+            var self = this;
+            setTimeout(function() {
+                self.attachChain();
+            }, 200);
+        } else if (this.next) {
+            this.next.handleMouseUp(grid, event);
+        }
+    }
+
+});
+
+/**
+ * @param {Hypergrid} grid
+ * @param {Object} event - the event details
+ * @returns {boolean} The mouse is over the fill handle.
+ * @private
+ */
+function isOverHandle(grid, event) {
+    var handle = grid.renderer.getFillHandleBounds(),
+        mouse = event.primitiveEvent.detail.mouse,
+        slop = 2; // pixels around the handle that also count
+
+    return !!handle &&
+        mouse.x >= handle.x - slop && mouse.x <= handle.x + handle.width + slop &&
+        mouse.y >= handle.y - slop && mouse.y <= handle.y + handle.height + slop;
+}
+
+/**
+ * @summary The block of cells between the source and the mouse.
+ * @desc Extends in whichever direction the mouse is furthest from the source (vertically when a tie), spanning the source's columns (when up or down) or rows (when left or right).
+ * @param {Hypergrid} grid
+ * @param {Rectangle} source
+ * @param {number} x - Column under the mouse.
+ * @param {number} y - Data row under the mouse.
+ * @returns {Rectangle|null} `null` when the mouse is over the source.
+ * @private
+ */
+function getTarget(grid, source, x, y) {
+    x = Math.max(0, Math.min(x, grid.behavior.getActiveColumnCount() - 1));
+    y = Math.max(0, Math.min(y, grid.behavior.dataModel.getRowCount() - 1));
+
+    var origin = source.origin,
+        corner = source.corner,
+        dx = x > corner.x ? x - corner.x : x < origin.x ? x - origin.x : 0,
+        dy = y > corner.y ? y - corner.y : y < origin.y ? y - origin.y : 0;
+
+    if (dy && Math.abs(dy) >= Math.abs(dx)) {
+        return dy > 0
+            ? grid.newRectangle(origin.x, corner.y + 1, source.width, y - corner.y - 1)
+            : grid.newRectangle(origin.x, y, source.width, origin.y - 1 - y);
+    } else if (dx) {
+        return dx > 0
+            ? grid.newRectangle(corner.x + 1, origin.y, x - corner.x - 1, source.height)
+            : grid.newRectangle(x, origin.y, origin.x - 1 - x, source.height);
+    }
+
+    return null;
+}
+
+module.exports = FillHandle;
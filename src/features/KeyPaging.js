@@ -3,14 +3,15 @@
 var Feature = require('./Feature');
 
 var commands = {
-    PAGEDOWN: function(grid) { grid.pageDown(); },
-    PAGEUP: function(grid) { grid.pageUp(); },
-    PAGELEFT: function(grid) { grid.pageLeft(); },
-    PAGERIGHT: function(grid) { grid.pageRight(); }
+    pageDown: function(grid) { grid.pageDown(); },
+    pageUp: function(grid) { grid.pageUp(); },
+    pageLeft: function(grid) { grid.pageLeft(); },
+    pageRight: function(grid) { grid.pageRight(); }
 };
 
 /**
  * @constructor
+ * @summary Handles the `pageUp`, `pageDown`, `pageLeft`, and `pageRight` key commands (see the `keymap` grid property).
  */
 var KeyPaging = Feature.extend('KeyPaging', {
 
@@ -20,7 +21,7 @@ var KeyPaging = Feature.extend('KeyPaging', {
      * @memberOf KeyPaging.prototype
      */
     handleKeyDown: function(grid, event) {
-        var func = commands[event.detail.char];
+        var func = commands[event.detail.command];
         if (func) {
             func(grid);
         } else if (this.next) {
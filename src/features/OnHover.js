@@ -4,6 +4,7 @@ var Feature = require('./Feature');
 
 /**
  * @constructor
+ * @desc Tracks the cell under the mouse ({@link Hypergrid#hoverCell}) and, for cells rendered by a sparkline renderer (see {@link SparkChart}), the point under the mouse ({@link Hypergrid#hoverPoint}), firing `fin-cell-enter`, `fin-cell-exit`, and `fin-sparkline-hover` events as they change.
  */
 var OnHover = Feature.extend('OnHover', {
 
@@ -14,6 +15,9 @@ var OnHover = Feature.extend('OnHover', {
      */
     handleMouseMove: function(grid, event) {
         var hoverCell = grid.hoverCell;
+
+        grid.setHoverPoint(getHoverPoint(grid, event));
+
         if (!event.gridCell.equals(hoverCell)) {
             if (hoverCell) {
                 this.handleMouseExit(grid, hoverCell);
@@ -27,4 +31,22 @@ var OnHover = Feature.extend('OnHover', {
 
 });
 
+/**
+ * @param {Hypergrid} grid
+ * @param {CellEvent} event
+ * @returns {object|null} The sparkline point under the mouse as `{gridCell, index, value}`; or `null` when the cell is not a sparkline.
+ * @private
+ */
+function getHoverPoint(grid, event) {
+    var cellRenderer = event.isGridCell && grid.cellRenderers.get(event.getCellProperty('renderer')),
+        point = cellRenderer && cellRenderer.getPointAt &&
+            cellRenderer.getPointAt(event.value, event.mousePoint.x, event.bounds.width);
+
+    if (point) {
+        point.gridCell = grid.newPoint(event.gridCell.x, event.gridCell.y);
+    }
+
+    return point || null;
+}
+
 module.exports = OnHover;
@@ -39,6 +39,22 @@ var RowSelection = Feature.extend('RowSelection', {
      */
     sbAutoStart: 0,
 
+    /**
+     * Names of the methods that handle the key commands (see the `keymap` grid property) while rows are selected.
+     * @type {object}
+     * @memberOf RowSelection.prototype
+     */
+    keyCommands: {
+        moveUp: 'handleUP',
+        moveDown: 'handleDOWN',
+        moveLeft: 'handleLEFT',
+        moveRight: 'handleRIGHT',
+        extendSelectionUp: 'handleUPSHIFT',
+        extendSelectionDown: 'handleDOWNSHIFT',
+        extendSelectionLeft: 'handleLEFTSHIFT',
+        extendSelectionRight: 'handleRIGHTSHIFT'
+    },
+
     dragArmed: false,
 
     /**
@@ -112,7 +128,7 @@ var RowSelection = Feature.extend('RowSelection', {
         var handler;
         if (
             grid.getLastSelectionType() === 'row' &&
-            (handler = this['handle' + event.detail.char])
+            (handler = this.getKeyCommandHandler(event))
         ) {
             handler.call(this, grid, event.detail);
         } else if (this.next) {
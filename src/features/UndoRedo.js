@@ -0,0 +1,35 @@
+'use strict';
+
+var Feature = require('./Feature');
+
+var commands = {
+    undo: function(grid) { grid.undoManager.undo(); },
+    redo: function(grid) { grid.undoManager.redo(); }
+};
+
+/**
+ * @constructor
+ * @summary Keyboard shortcuts for the grid's {@link UndoManager}.
+ * @desc Handles the `undo` and `redo` key commands (see the `keymap` grid property). By default, Ctrl-Z undoes; Ctrl-Y or Ctrl-Shift-Z redoes. (On a Mac, Command in place of Ctrl.)
+ * @extends Feature
+ */
+var UndoRedo = Feature.extend('UndoRedo', {
+
+    /**
+     * @param {Hypergrid} grid
+     * @param {Object} event - the event details
+     * @memberOf UndoRedo.prototype
+     */
+    handleKeyDown: function(grid, event) {
+        var func = !grid.properties.readOnly && commands[event.detail.command];
+
+        if (func) {
+            func(grid);
+        } else if (this.next) {
+            this.next.handleKeyDown(grid, event);
+        }
+    }
+
+});
+
+module.exports = UndoRedo;
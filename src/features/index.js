@@ -10,11 +10,13 @@ module.exports = {
     ColumnResizing: require('./ColumnResizing'),
     ColumnSelection: require('./ColumnSelection'),
     ColumnSorting: require('./ColumnSorting'),
+    FillHandle: require('./FillHandle'),
     Filters: require('./Filters'),
     KeyPaging: require('./KeyPaging'),
     OnHover: require('./OnHover'),
     ColumnPicker: require('./ColumnPicker'),
     RowResizing: require('./RowResizing'),
     RowSelection: require('./RowSelection'),
-    ThumbwheelScrolling: require('./ThumbwheelScrolling')
+    ThumbwheelScrolling: require('./ThumbwheelScrolling'),
+    UndoRedo: require('./UndoRedo')
 };
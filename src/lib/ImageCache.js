@@ -0,0 +1,97 @@
+/* eslint-env browser */
+
+'use strict';
+
+var LRUCache = require('lru-cache');
+
+/**
+ * @constructor
+ * @summary Images loaded asynchronously, by URL.
+ * @desc Each URL is loaded once; the resulting image is kept until {@link ImageCache#clear|cleared} or until it is the least recently requested of more than `options.max` images. A failure is kept only for `options.retryAfter` milliseconds, after which the next request loads the image again. Used by the {@link ImageCell|Image} cell renderer, which shares a single instance across all grids.
+ * @param {function} [load] - Called with `(url, callback)` to start loading an image; calls `callback(image)` when loaded or `callback(null)` on failure. The default creates an `HTMLImageElement`.
+ * @param {object} [options]
+ * @param {number} [options.max=500] - Maximum number of images (including those loading and those that failed).
+ * @param {number} [options.retryAfter=30000] - Milliseconds before an image that failed to load is loaded again.
+ */
+function ImageCache(load, options) {
+    options = options || {};
+    this.load = load || loadImage;
+    this.retryAfter = options.retryAfter || 30000;
+    this.entries = new LRUCache({ max: options.max || 500 });
+}
+
+ImageCache.prototype = {
+    constructor: ImageCache.prototype.constructor,
+
+    /**
+     * @summary Get an image, starting to load it when not yet requested.
+     * @param {string} url - URL or data URI.
+     * @param {function} [onLoad] - Called with the image (or `null` on failure) when the image is still loading and subsequently finishes.
+     * @param {string} [key] - Identifies `onLoad` so that repeated requests with the same key while the image is loading call only the last `onLoad` once.
+     * @returns {HTMLImageElement|null|undefined} The image when loaded; `null` when it failed to load (until retried); `undefined` while loading.
+     * @memberOf ImageCache.prototype
+     */
+    get: function(url, onLoad, key) {
+        var entries = this.entries,
+            retryAfter = this.retryAfter,
+            entry = entries.get(url);
+
+        if (!entry) {
+            entries.set(url, entry = { image: undefined, listeners: {}, count: 0 });
+            this.load(url, function(image) {
+                var listeners = entry.listeners;
+
+                entry.image = image || null;
+                entry.listeners = undefined;
+
+                if (!image && entries.peek(url) === entry) {
+                    entries.set(url, entry, retryAfter); // expire the failure
+                }
+
+                Object.keys(listeners).forEach(function(key) {
+                    listeners[key](entry.image);
+                });
+            });
+        }
+
+        if (entry.image === undefined && onLoad) {
+            entry.listeners[key === undefined ? '#' + entry.count++ : key] = onLoad;
+        }
+
+        return entry.image;
+    },
+
+    /**
+     * @summary Forget loaded images so they are reloaded when next requested.
+     * @param {string} [url] - Omit to forget all images.
+     * @memberOf ImageCache.prototype
+     */
+    clear: function(url) {
+        if (url === undefined) {
+            this.entries.reset();
+        } else {
+            this.entries.del(url);
+        }
+    }
+};
+
+/**
+ * Images from other origins are requested with CORS so they do not taint the grid's canvas (which would break reading it back, as when dragging columns). Such images must therefore be served with an `Access-Control-Allow-Origin` header or they fail to load.
+ * @param {string} url
+ * @param {function} callback
+ * @private
+ */
+function loadImage(url, callback) {
+    var image = new Image();
+
+    image.onload = function() { callback(image); };
+    image.onerror = function() { callback(null); };
+
+    if (!/^data:/.test(url)) {
+        image.crossOrigin = 'anonymous';
+    }
+
+    image.src = url;
+}
+
+module.exports = ImageCache;
@@ -0,0 +1,280 @@
+/* eslint-env browser */
+
+'use strict';
+
+/**
+ * @typedef {object} storageAdapter
+ * @summary Key-value store for persisted layouts.
+ * @desc Has the same shape as the Web Storage API, so `window.localStorage` and `window.sessionStorage` qualify as-is. Any of the methods may instead return a "thenable" (_e.g.,_ a `Promise`) for asynchronous (_e.g.,_ server-side) storage.
+ * @property {function(string): string|null} getItem
+ * @property {function(string, string)} setItem
+ * @property {function(string)} removeItem
+ */
+
+/**
+ * @constructor
+ * @summary Saves and restores grid layouts.
+ * @desc A layout is the grid's {@link Hypergrid#getState|state} less the transient parts (selections and scroll position). Layouts are stored as JSON strings under `key + '/' + layoutName`; the list of layout names is stored under `key` itself.
+ *
+ * Normally created by {@link Hypergrid#autopersist|autopersist}, which arranges for the current layout to be {@link LayoutPersister#schedule|scheduled} for saving whenever a column is moved or resized or the sort or filter changes; and for the current layout to be {@link LayoutPersister#restore|restored} whenever new data is set.
+ *
+ * Methods that access storage return their result directly when the storage adapter is synchronous; or a thenable when it is asynchronous.
+ * @param {Hypergrid} grid
+ * @param {object|string} options - If a string, the same as `{ key: options }`.
+ * @param {string} options.key - Storage key, unique to this grid.
+ * @param {storageAdapter} [options.storage=localStorage]
+ * @param {string} [options.layout='default'] - Name of the current layout.
+ * @param {number} [options.delay=500] - Debounce interval (milliseconds) for {@link LayoutPersister#schedule|scheduled} writes.
+ */
+function LayoutPersister(grid, options) {
+    if (typeof options === 'string') {
+        options = { key: options };
+    }
+
+    if (!options || !options.key) {
+        throw new grid.HypergridError('LayoutPersister requires a storage key.');
+    }
+
+    this.grid = grid;
+    this.key = options.key;
+    this.storage = options.storage || window.localStorage;
+
+    /**
+     * @summary Name of the current layout.
+     * @desc Scheduled writes go to this layout. Set by {@link LayoutPersister#save|save} and {@link LayoutPersister#restore|restore}.
+     * @type {string}
+     * @memberOf LayoutPersister.prototype
+     */
+    this.layoutName = options.layout || 'default';
+
+    this.delay = options.delay === undefined ? 500 : options.delay;
+}
+
+LayoutPersister.prototype = {
+    constructor: LayoutPersister.prototype.constructor,
+
+    /**
+     * Grid state properties omitted from persisted layouts.
+     * @type {string[]}
+     * @memberOf LayoutPersister.prototype
+     */
+    transientState: ['selections', 'scroll'],
+
+    /**
+     * @summary Save the current layout after a period of inactivity.
+     * @desc Each call restarts the timer so a burst of changes (such as a column resize drag) results in a single write. Errors from asynchronous storage are logged to the console.
+     * @memberOf LayoutPersister.prototype
+     */
+    schedule: function() {
+        var self = this;
+
+        this.cancel();
+
+        this.timer = setTimeout(function() {
+            self.timer = undefined;
+            var result = self.save();
+            if (isThenable(result)) {
+                result.then(undefined, function(error) {
+                    console.warn('Layout "' + self.layoutName + '" could not be saved: ' + error);
+                });
+            }
+        }, this.delay);
+    },
+
+    /**
+     * Cancel any scheduled write.
+     * @memberOf LayoutPersister.prototype
+     */
+    cancel: function() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = undefined;
+        }
+    },
+
+    /**
+     * Perform any scheduled write now.
+     * @returns {undefined|*} Same as {@link LayoutPersister#save|save} when a write was pending.
+     * @memberOf LayoutPersister.prototype
+     */
+    flush: function() {
+        if (this.timer) {
+            this.cancel();
+            return this.save();
+        }
+    },
+
+    /**
+     * @summary Save the grid's layout.
+     * @desc Cancels any scheduled write. With asynchronous storage, the write waits for any previous write (by this method or {@link LayoutPersister#remove|remove}) to settle.
+     * @param {string} [layoutName=this.layoutName] - When given, also becomes the current layout.
+     * @returns {undefined|thenable}
+     * @memberOf LayoutPersister.prototype
+     */
+    save: function(layoutName) {
+        var self = this,
+            state = this.grid.getState();
+
+        this.cancel();
+
+        if (layoutName) {
+            this.layoutName = layoutName;
+        } else {
+            layoutName = this.layoutName;
+        }
+
+        this.transientState.forEach(function(key) {
+            delete state[key];
+        });
+
+        return queue.call(this, function() {
+            return when(self.storage.setItem(self.getItemKey(layoutName), JSON.stringify(state)), function() {
+                return when(self.getLayoutNames(), function(names) {
+                    if (names.indexOf(layoutName) < 0) {
+                        return self.storage.setItem(self.key, JSON.stringify(names.concat(layoutName)));
+                    }
+                });
+            });
+        });
+    },
+
+    /**
+     * @summary Restore a saved layout to the grid.
+     * @desc Cancels any scheduled write.
+     * @param {string} [layoutName=this.layoutName] - When given, also becomes the current layout (even when not found, so that subsequent changes are saved under it).
+     * @returns {boolean|thenable} Whether or not the layout was found (and restored).
+     * @memberOf LayoutPersister.prototype
+     */
+    restore: function(layoutName) {
+        var grid = this.grid;
+
+        this.cancel();
+
+        if (layoutName) {
+            this.layoutName = layoutName;
+        } else {
+            layoutName = this.layoutName;
+        }
+
+        return when(this.storage.getItem(this.getItemKey(layoutName)), function(json) {
+            if (json) {
+                grid.setState(JSON.parse(json));
+            }
+            return !!json;
+        });
+    },
+
+    /**
+     * Delete a saved layout. (Does not change the current layout name.)
+     * @param {string} [layoutName=this.layoutName]
+     * @returns {undefined|thenable}
+     * @memberOf LayoutPersister.prototype
+     */
+    remove: function(layoutName) {
+        var self = this;
+
+        layoutName = layoutName || this.layoutName;
+
+        if (layoutName === this.layoutName) {
+            this.cancel();
+        }
+
+        return queue.call(this, function() {
+            return when(self.storage.removeItem(self.getItemKey(layoutName)), function() {
+                return when(self.getLayoutNames(), function(names) {
+                    var index = names.indexOf(layoutName);
+                    if (index >= 0) {
+                        names.splice(index, 1);
+                        return self.storage.setItem(self.key, JSON.stringify(names));
+                    }
+                });
+            });
+        });
+    },
+
+    /**
+     * @returns {string[]|thenable} Names of the saved layouts.
+     * @memberOf LayoutPersister.prototype
+     */
+    getLayoutNames: function() {
+        return when(this.storage.getItem(this.key), function(json) {
+            return json ? JSON.parse(json) : [];
+        });
+    },
+
+    /**
+     * @param {string} layoutName
+     * @returns {string} Storage key of the named layout.
+     * @memberOf LayoutPersister.prototype
+     */
+    getItemKey: function(layoutName) {
+        return this.key + '/' + layoutName;
+    }
+};
+
+/**
+ * @constructor
+ * @summary Synchronous, non-persistent {@link storageAdapter}.
+ * @desc Useful for testing and as a fallback where `localStorage` is unavailable.
+ */
+function MemoryStorage() {
+    this.items = {};
+}
+
+MemoryStorage.prototype = {
+    constructor: MemoryStorage.prototype.constructor,
+    getItem: function(key) {
+        return this.items.hasOwnProperty(key) ? this.items[key] : null;
+    },
+    setItem: function(key, value) {
+        this.items[key] = String(value);
+    },
+    removeItem: function(key) {
+        delete this.items[key];
+    }
+};
+
+function isThenable(value) {
+    return value && typeof value.then === 'function';
+}
+
+/**
+ * @summary Perform a write now; or, while an asynchronous write is pending, after it settles.
+ * @desc Writes read the list of layout names before writing it back, so overlapping writes would otherwise lose each other's names.
+ * @this {LayoutPersister}
+ * @param {function} write - Performs the write, returning its result.
+ * @returns {*} Result of `write`; or a thenable resolving to same.
+ * @private
+ */
+function queue(write) {
+    var self = this,
+        result = this.pending ? this.pending.then(write, write) : write(),
+        pending;
+
+    function settled() {
+        if (self.pending === pending) {
+            self.pending = undefined;
+        }
+    }
+
+    if (isThenable(result)) {
+        pending = this.pending = result.then(settled, settled);
+    }
+
+    return result;
+}
+
+/**
+ * Call `callback` with `value` now; or, if `value` is a thenable, when it resolves.
+ * @param {*} value
+ * @param {function} callback
+ * @returns {*} Result of `callback`; or a thenable resolving to same.
+ * @private
+ */
+function when(value, callback) {
+    return isThenable(value) ? value.then(callback) : callback(value);
+}
+
+LayoutPersister.MemoryStorage = MemoryStorage;
+
+module.exports = LayoutPersister;
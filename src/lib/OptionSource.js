@@ -0,0 +1,245 @@
+'use strict';
+
+/**
+ * @typedef {object} optionObject
+ * @summary A choice offered by the `Autocomplete` cell editor.
+ * @property {*} value - The value stored in the data (_e.g.,_ an id).
+ * @property {string} label - The text shown in the drop-down and, for stored values, in the cell.
+ */
+
+/**
+ * @constructor
+ * @summary A column's options for the `Autocomplete` cell editor.
+ * @desc Created by {@link Column#getOptionSource} from the column's properties:
+ * * `optionSource` - Either an array of options; or a function called with the text typed so far and the cell event, returning an array of options or a thenable (_e.g.,_ a `Promise`) resolving to same, for remote lookups.
+ * * `optionLabels` - Optional function called with an array of stored values whose labels are not yet known, returning an array of options (or a thenable resolving to same) for those values.
+ * * `optionValueKey` and `optionLabelKey` - Names of the members of option objects holding the value and the label.
+ *
+ * Options may be primitives (used as both value and label) or objects. Labels are remembered from every list of options obtained, so the cells of the column can show the label for their stored value (see {@link OptionSource#getFormatter|getFormatter}).
+ * @param {object} properties - The column's properties.
+ * @param {function} [onLabels] - Called when labels requested from `optionLabels` have arrived (typically to repaint the grid).
+ */
+function OptionSource(properties, onLabels) {
+    this.source = properties.optionSource;
+    this.labelSource = properties.optionLabels;
+    this.valueKey = properties.optionValueKey;
+    this.labelKey = properties.optionLabelKey;
+    this.onLabels = onLabels;
+    this.labels = Object.create(null); // keyed by stored value as a string
+    this.values = Object.create(null); // ditto
+    this.requested = {};
+    this.unresolved = [];
+
+    if (Array.isArray(this.source)) {
+        remember.call(this, this.normalize(this.source));
+    }
+}
+
+OptionSource.prototype = {
+    constructor: OptionSource.prototype.constructor,
+
+    /**
+     * @param {object} properties
+     * @returns {boolean} This object was created from the same option properties.
+     * @memberOf OptionSource.prototype
+     */
+    isFor: function(properties) {
+        return (
+            this.source === properties.optionSource &&
+            this.labelSource === properties.optionLabels &&
+            this.valueKey === properties.optionValueKey &&
+            this.labelKey === properties.optionLabelKey
+        );
+    },
+
+    /**
+     * @param {Array} items - Primitives or objects.
+     * @returns {optionObject[]}
+     * @memberOf OptionSource.prototype
+     */
+    normalize: function(items) {
+        var valueKey = this.valueKey,
+            labelKey = this.labelKey;
+
+        return items.map(function(item) {
+            var value = item,
+                label = item;
+
+            if (item && typeof item === 'object') {
+                value = item[valueKey];
+                label = labelKey in item ? item[labelKey] : value;
+            }
+
+            return { value: value, label: label === undefined || label === null ? '' : String(label) };
+        });
+    },
+
+    /**
+     * @summary Get the options matching the text typed so far.
+     * @param {string} query
+     * @param {CellEvent} [cellEvent]
+     * @returns {optionObject[]|thenable} The matching options (see {@link OptionSource.match}); or, when `optionSource` is asynchronous, a thenable resolving to same.
+     * @memberOf OptionSource.prototype
+     */
+    fetch: function(query, cellEvent) {
+        var self = this,
+            source = this.source,
+            items = typeof source === 'function' ? source(query, cellEvent) : source;
+
+        return when(items, function(items) {
+            var options = self.normalize(items || []);
+            remember.call(self, options);
+            return OptionSource.match(options, query);
+        });
+    },
+
+    /**
+     * @summary The label of a stored value.
+     * @desc When not yet known and there is an `optionLabels` function, the label is requested (along with any others requested in the same tick) and `onLabels` is called on arrival. When the request fails (the function throws or its thenable rejects), the label is requested again the next time it is asked for.
+     * @param {*} value
+     * @returns {string|undefined} `undefined` when not (yet) known.
+     * @memberOf OptionSource.prototype
+     */
+    getLabel: function(value) {
+        var key = String(value);
+
+        if (key in this.labels) {
+            return this.labels[key];
+        }
+
+        if (this.labelSource && value !== undefined && value !== null && value !== '' && !this.requested[key]) {
+            this.requested[key] = true;
+            if (this.unresolved.push(value) === 1) {
+                setTimeout(resolveLabels.bind(this));
+            }
+        }
+    },
+
+    /**
+     * @param {string} label
+     * @returns {optionObject|undefined} The known option with the given label (ignoring case).
+     * @memberOf OptionSource.prototype
+     */
+    findByLabel: function(label) {
+        var labels = this.labels,
+            target = label.toLowerCase();
+
+        for (var key in labels) {
+            if (labels[key].toLowerCase() === target) {
+                return { value: this.values[key], label: labels[key] };
+            }
+        }
+    },
+
+    /**
+     * @summary Wrap a formatter to show labels in place of stored values.
+     * @param {function} format - Formatter for values whose labels are unknown.
+     * @returns {function}
+     * @memberOf OptionSource.prototype
+     */
+    getFormatter: function(format) {
+        var self = this;
+
+        if (this.format !== format) {
+            this.format = format;
+            this.formatter = function(value) {
+                var label = self.getLabel(value);
+                return label === undefined ? format(value) : label;
+            };
+        }
+
+        return this.formatter;
+    }
+};
+
+/**
+ * @summary Type-ahead filter.
+ * @param {optionObject[]} options
+ * @param {string} query
+ * @returns {optionObject[]} The options whose labels contain `query` (ignoring case), those beginning with it first.
+ * @memberOf OptionSource
+ */
+OptionSource.match = function(options, query) {
+    var target = (query || '').toLowerCase(),
+        beginning = [],
+        containing = [];
+
+    options.forEach(function(option) {
+        var index = option.label.toLowerCase().indexOf(target);
+        if (index === 0) {
+            beginning.push(option);
+        } else if (index > 0) {
+            containing.push(option);
+        }
+    });
+
+    return beginning.concat(containing);
+};
+
+/**
+ * @this {OptionSource}
+ * @param {optionObject[]} options
+ * @private
+ */
+function remember(options) {
+    var labels = this.labels,
+        values = this.values;
+
+    options.forEach(function(option) {
+        var key = String(option.value);
+        labels[key] = option.label;
+        values[key] = option.value;
+    });
+}
+
+/**
+ * Request the labels of the values collected by {@link OptionSource#getLabel|getLabel}.
+ * @this {OptionSource}
+ * @private
+ */
+function resolveLabels() {
+    var self = this,
+        values = this.unresolved,
+        items;
+
+    this.unresolved = [];
+
+    try {
+        items = this.labelSource(values);
+    } catch (err) {
+        forget();
+        return;
+    }
+
+    when(items, function(items) {
+        remember.call(self, self.normalize(items || []));
+        if (self.onLabels) {
+            self.onLabels();
+        }
+    }, forget);
+
+    // so the labels are requested again
+    function forget() {
+        values.forEach(function(value) {
+            delete self.requested[String(value)];
+        });
+    }
+}
+
+function isThenable(value) {
+    return !!value && typeof value.then === 'function';
+}
+
+/**
+ * Call `callback` with `value` now; or, if `value` is a thenable, when it resolves.
+ * @param {*} value
+ * @param {function} callback
+ * @param {function} [onRejected] - Called with the reason when `value` is a thenable that rejects.
+ * @returns {*} Result of `callback`; or a thenable resolving to same.
+ * @private
+ */
+function when(value, callback, onRejected) {
+    return isThenable(value) ? value.then(callback, onRejected) : callback(value);
+}
+
+module.exports = OptionSource;
@@ -7,6 +7,7 @@ var _ = require('object-iterators');
 
 var Base = require('../Base');
 var images = require('../../images');
+var conditionalFormats = require('./conditionalFormats');
 
 /** @typedef {object} CanvasRenderingContext2D
  * @see [CanvasRenderingContext2D](https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D)
@@ -102,6 +103,12 @@ var Renderer = Base.extend('Renderer', {
         this.visibleRows = [];
 
         this.insertionBounds = [];
+
+        /**
+         * Cells currently flashing (see {@link Renderer#flashCells}), as a hash of hashes of `{time, direction}` objects keyed by column name and then by the row's primary key value.
+         * @type {object}
+         */
+        this.flashes = {};
     },
 
     /**
@@ -217,13 +224,15 @@ var Renderer = Base.extend('Renderer', {
             previousInsertionBoundsCursorValue = Math.round(width / 2);
         }
 
-        footerHeight = grid.properties.defaultRowHeight * subgrids.reduce(function(rows, subgrid) {
+        footerHeight = subgrids.reduce(function(footerHeight, subgrid) {
             if (scrollableSubgrid) {
-                rows += subgrid.getRowCount();
+                for (var i = 0, n = subgrid.getRowCount(); i < n; i++) {
+                    footerHeight += behavior.getRowHeight(i, subgrid);
+                }
             } else {
                 scrollableSubgrid = !subgrid.type;
             }
-            return rows;
+            return footerHeight;
         }, 0);
 
         for (
@@ -289,6 +298,36 @@ var Renderer = Base.extend('Renderer', {
         this.viewHeight = Y;
 
         this.dataWindow = this.grid.newRectangle(firstVX, firstVY, lastVX - firstVX, lastVY - firstVY);
+
+        this.fetchData();
+    },
+
+    /**
+     * @memberOf Renderer.prototype
+     * @summary Request any rows in view that are not yet available.
+     * @desc Only has effect for data models that fetch rows on demand (see {@link dataModels.JSON#fetchData}). The grid is repainted as rows arrive; and reshaped when the row count changes. Failed fetches fire a `fin-data-error` event (see {@link Hypergrid#fireSyntheticDataErrorEvent}).
+     */
+    fetchData: function() {
+        var grid = this.grid,
+            dataModel = grid.behavior.dataModel;
+
+        if (dataModel.fetchData) {
+            var rowIndexes = this.visibleRows.filter(function(vr) {
+                return vr.subgrid === dataModel;
+            }).map(function(vr) {
+                return vr.rowIndex;
+            });
+
+            dataModel.fetchData(rowIndexes, function(rowCountChanged) {
+                if (rowCountChanged) {
+                    grid.allowEvents(dataModel.getRowCount() > 0); // also reshapes grid
+                } else {
+                    grid.repaint();
+                }
+            }, function(error, request) {
+                grid.fireSyntheticDataErrorEvent(error, request);
+            });
+        }
     },
 
     /**
@@ -313,6 +352,11 @@ var Renderer = Base.extend('Renderer', {
                 gc.font = '20px Arial';
                 gc.fillText(message, 20, 30);
             } else {
+                var generation = this.grid.behavior.dataModel.dataGeneration;
+                if (generation === undefined || generation !== this.conditionalFormatGeneration) {
+                    this.conditionalFormatCache = {}; // column statistics are stale so recompute on demand
+                    this.conditionalFormatGeneration = generation;
+                }
                 this.renderGrid(gc);
                 this.grid.gridRenderedNotification();
             }
@@ -537,6 +581,25 @@ var Renderer = Base.extend('Renderer', {
     },
 
     _renderLastSelection: function(gc) {
+        var bounds = this.getLastSelectionBounds();
+
+        if (bounds) {
+            // Render the selection model around the bounds
+            var config = {
+                bounds: bounds,
+                fillHandleBounds: this.getFillHandleBounds(bounds),
+                selectionRegionOverlayColor: this.grid.properties.selectionRegionOverlayColor,
+                selectionRegionOutlineColor: this.grid.properties.selectionRegionOutlineColor
+            };
+            this.grid.cellRenderers.get('lastselection').paint(gc, config);
+        }
+    },
+
+    /**
+     * @memberOf Renderer.prototype
+     * @returns {undefined|{x: number, y: number, width: number, height: number}} Bounds of the visible part of the last selection or `undefined` if none.
+     */
+    getLastSelectionBounds: function() {
         var selections = this.grid.selectionModel.getSelections();
         if (!selections || selections.length === 0) {
             return;
@@ -576,26 +639,50 @@ var Renderer = Base.extend('Renderer', {
 
         var props = this.grid.properties;
         vcOrigin = vcOrigin || lastColumn;
-        vcCorner = vcCorner || selection.corner.x > lastColumn.columnIndex
-            ? lastColumn.columnIndex
-            : vci[props.fixedColumnCount - 1];
+        vcCorner = vcCorner || (
+            selection.corner.x > lastColumn.columnIndex
+                ? lastColumn
+                : vci[props.fixedColumnCount - 1]
+        );
         vrOrigin = vrOrigin || lastRow;
-        vrCorner = vrCorner || selection.corner.y > lastRow.rowIndex
-            ? lastRow.rowIndex
-            : vri[props.fixedRowCount - 1];
-
-        // Render the selection model around the bounds
-        var config = {
-            bounds: {
-                x: vcOrigin.left,
-                y: vrOrigin.top,
-                width: vcCorner.right - vcOrigin.left,
-                height: vrCorner.bottom - vrOrigin.top
-            },
-            selectionRegionOverlayColor: this.grid.properties.selectionRegionOverlayColor,
-            selectionRegionOutlineColor: this.grid.properties.selectionRegionOutlineColor
+        vrCorner = vrCorner || (
+            selection.corner.y > lastRow.rowIndex
+                ? lastRow
+                : vri[props.fixedRowCount - 1]
+        );
+
+        return {
+            x: vcOrigin.left,
+            y: vrOrigin.top,
+            width: vcCorner.right - vcOrigin.left,
+            height: vrCorner.bottom - vrOrigin.top
         };
-        this.grid.cellRenderers.get('lastselection').paint(gc, config);
+    },
+
+    /**
+     * @memberOf Renderer.prototype
+     * @summary Bounds of the fill handle (see {@link FillHandle}).
+     * @desc The handle is a small square straddling the bottom-right corner of the last selection. There is none when the `fillHandle` grid property is falsy, the grid is read-only, or the selection's bottom-right cell is scrolled out of view.
+     * @param {object} [selectionBounds=this.getLastSelectionBounds()]
+     * @returns {undefined|{x: number, y: number, width: number, height: number}}
+     */
+    getFillHandleBounds: function(selectionBounds) {
+        var props = this.grid.properties,
+            bounds = selectionBounds || this.getLastSelectionBounds(),
+            corner = bounds && this.grid.selectionModel.getLastSelection().corner;
+
+        if (
+            bounds && props.fillHandle && !props.readOnly &&
+            this.visibleColumnsByIndex[corner.x] && this.visibleRowsByDataRowIndex[corner.y]
+        ) {
+            var size = props.fillHandleSize;
+            return {
+                x: bounds.x + bounds.width - 1 - size / 2,
+                y: bounds.y + bounds.height - 2 - size / 2,
+                width: size,
+                height: size
+            };
+        }
     },
 
     /**
@@ -806,11 +893,14 @@ var Renderer = Base.extend('Renderer', {
      *   * `cellEvent.dataCell.y`
      *   * `cellEvent.bounds.y`
      *   * `cellEvent.bounds.height`
+     *
+     * Cells belonging to a merged range (see {@link Behavior#getMergedCell}) are skipped in the loops. Each range's visible cells are then painted once, as a single cell, after all the columns.
      * @memberOf Renderer.prototype
      * @param {CanvasRenderingContext2D} gc
      */
     paintCells: function(gc) {
-        var message,
+        var range,
+            merges = [],
             behavior = this.grid.behavior,
             c, C, // column loop index and limit
             r, R, // row loop index and limit
@@ -863,32 +953,23 @@ var Renderer = Base.extend('Renderer', {
                 gridCell.y = vr.index;
                 dataCell.y = vr.rowIndex;
 
-                try {
-                    this._paintCell(gc, cellEvent);
-                } catch (e) {
-                    message = e && (e.message || e) || 'Unknown error.';
-
-                    console.error(message);
-
-                    var rawGc = gc.gc || gc, // Don't log these canvas calls
-                        errX = vc.left, errWidth = vc.right,
-                        errY = vr.top, errHeight = vr.bottom,
-                        config = { bounds: { c: errX, y: errY, width: errWidth, height: errHeight } };
-
-                    rawGc.save(); // define clipping region
-                    rawGc.beginPath();
-                    rawGc.rect(errX, errY, errWidth, errHeight);
-                    rawGc.clip();
-
-                    this.grid.cellRenderers.get('errorcell').paint(rawGc, config, message);
-
-                    rawGc.restore(); // discard clipping region
+                if (
+                    gridCell.x >= 0 &&
+                    (range = behavior.getMergedCell(gridCell.x, vr.rowIndex, vr.subgrid))
+                ) {
+                    addMerge(merges, range, vc, vr);
+                } else {
+                    paintCellSafely.call(this, gc, cellEvent);
                 }
             }
 
             gc.restore(); // Remove column's clip region (and anything else renderCellError() might have set)
         }
 
+        merges.forEach(function(merge) {
+            paintMerge.call(this, gc, cellEvent, merge);
+        }, this);
+
         setNumberColumnWidth(gc, behavior, this.grid.getRowCount());
     },
 
@@ -909,6 +990,40 @@ var Renderer = Base.extend('Renderer', {
         }
     },
 
+    /**
+     * @summary Repaint a single data cell immediately, without repainting the rest of the grid.
+     * @desc Does nothing when the cell is not currently visible. Falls back to a full (deferred) repaint when the cell is part of a merged range or a column is being dragged.
+     * @memberOf Renderer.prototype
+     * @param {number} x - Grid column index (active column index).
+     * @param {number} y - Data row index (in the data subgrid).
+     */
+    repaintCell: function(x, y) {
+        var self = this,
+            grid = this.grid,
+            vc = this.visibleColumnsByIndex && this.visibleColumnsByIndex[x],
+            vr = this.visibleRowsByDataRowIndex && this.visibleRowsByDataRowIndex[y];
+
+        if (!vc || !vr) {
+            return;
+        }
+
+        if (grid.isDraggingColumn() || grid.behavior.getMergedCell(x, y, vr.subgrid)) {
+            grid.repaint();
+            return;
+        }
+
+        grid.canvas.safePaintImmediately(function(gc) {
+            gc.beginPath();
+            gc.rect(vc.left, vr.top, vc.width, vr.height);
+            gc.clip();
+            gc.clearRect(vc.left, vr.top, vc.width, vr.height);
+
+            paintCellSafely.call(self, gc, new grid.behavior.CellEvent(x, vr.index));
+
+            self.renderLastSelection(gc);
+        });
+    },
+
     _paintCell: function(gc, cellEvent) {
 
         var grid = this.grid,
@@ -933,6 +1048,8 @@ var Renderer = Base.extend('Renderer', {
             isFilterRow = cellEvent.isFilterRow,
 
             cellProperties = behavior.getCellOwnProperties(cellEvent),
+            subgrid = cellEvent.visibleRow.subgrid,
+            subgridProperties = subgrid.properties,
             baseProperties,
             nonGridCellProps,
             config = this.config;
@@ -942,8 +1059,9 @@ var Renderer = Base.extend('Renderer', {
             config = undefined;
             baseProperties = cellProperties;
             nonGridCellProps = !isGridRow;
-        } else if (!config || c !== this.c) {
+        } else if (!config || c !== this.c || subgrid !== this.subgrid) {
             this.c = c;
+            this.subgrid = subgrid;
             config = undefined;
         }
 
@@ -970,13 +1088,21 @@ var Renderer = Base.extend('Renderer', {
                 }
             }
             switch (configType) {
-                case 1: config = Object.create(baseProperties.rowHeaderRowSelection); break;
-                case 2: config = Object.create(baseProperties.rowHeader); break;
-                case 3: config = Object.create(baseProperties); break;
-                case 4: config = Object.create(baseProperties.filterProperties); break;
-                case 5: config = Object.create(baseProperties.columnHeaderColumnSelection); break;
-                case 6: config = Object.create(baseProperties.columnHeader); break;
+                case 1: config = baseProperties.rowHeaderRowSelection; break;
+                case 2: config = baseProperties.rowHeader; break;
+                case 3: config = baseProperties; break;
+                case 4: config = baseProperties.filterProperties; break;
+                case 5: config = baseProperties.columnHeaderColumnSelection; break;
+                case 6: config = baseProperties.columnHeader; break;
+            }
+            if (config === cellProperties) {
+                // cell properties inherit the subgrid's properties; this brings them up to date
+                cellEvent.column.getSubgridProperties(subgrid);
+            } else {
+                // the subgrid's properties take precedence over column and grid properties
+                config = cellEvent.column.getSubgridProperties(subgrid, config);
             }
+            config = Object.create(config);
             this.config = config;
             this.baseProperties = baseProperties;
         }
@@ -1030,6 +1156,9 @@ var Renderer = Base.extend('Renderer', {
         config.isRowHovered = cellEvent.isRowHovered;
         config.isCellHovered = cellEvent.isCellHovered;
         config.bounds = cellEvent.bounds;
+        config.grid = grid;
+        config.gridCell = cellEvent.gridCell; // reused by `paintCells`: copy coordinates to retain them
+        config.dataCell = cellEvent.dataCell; // ditto
         config.isCellSelected = isCellSelected;
         config.isRowSelected = isRowSelected;
         config.isColumnSelected = isColumnSelected;
@@ -1039,6 +1168,9 @@ var Renderer = Base.extend('Renderer', {
             config.mouseDown = grid.mouseDownState.gridCell.equals(cellEvent.gridCell);
         }
 
+        // Apply matching conditional format rules (before choosing the cell renderer because a rule may name one)
+        var formatted = config.isUserDataArea && config.dataRow && applyConditionalFormats.call(this, config);
+
         // This call's dataModel.getCell which developer can override to:
         // * mutate the (writable) properties of `config`
         // * mutate cell renderer choice (instance of which is returned)
@@ -1049,15 +1181,42 @@ var Renderer = Base.extend('Renderer', {
             _(config).extendOwn(cellProperties);
         }
 
+        // Supply column min/max to renderers that scale values to them
+        if (cellRenderer.usesColumnStats && config.isUserDataArea && behavior.dataModel.getColumnStats) {
+            config.columnStats = behavior.dataModel.getColumnStats(config.name);
+        }
+
         behavior.cellPropertiesPrePaintNotification(config);
 
         //allow the renderer to identify itself if it's a button
         config.buttonCells = this.buttonCells;
 
-        config.formatValue = grid.getFormatter(config.isUserDataArea && config.format);
+        if (config.isUserDataArea && !config.dataRow) {
+            // row not available yet (pending remote fetch)
+            config.value = grid.properties.loadingPlaceholder;
+            config.formatValue = grid.getFormatter();
+        } else {
+            config.formatValue = grid.getFormatter(
+                (config.isUserDataArea || subgridProperties && subgridProperties.format) && config.format
+            );
+            var optionSource = config.isUserDataArea && config.optionSource && cellEvent.column.getOptionSource();
+            if (optionSource) {
+                // show the labels of stored option values (see the Autocomplete cell editor)
+                config.formatValue = optionSource.getFormatter(config.formatValue);
+            }
+        }
 
         cellRenderer.paint(gc, config);
 
+        if (config.isUserDataArea && config.dataRow) {
+            paintFlash.call(this, gc, config);
+            paintValidationError.call(this, gc, config);
+        }
+
+        if (formatted) {
+            restoreProperties(config, formatted);
+        }
+
         this.renderedColumnMinWidths[x] = Math.max(config.minWidth || 0, this.renderedColumnMinWidths[x]);
         this.baseProperties.preferredWidth = this.renderedColumnMinWidths[x];
     },
@@ -1067,21 +1226,82 @@ var Renderer = Base.extend('Renderer', {
         return this.buttonCells[key] === true;
     },
 
+    /**
+     * @summary Start flashing changed cells.
+     * @desc Each cell flashes from the time of this call, fading out over `flashDuration` milliseconds. A cell that flashes again while still flashing starts over.
+     * @param {cellChangeObject[]} changes
+     * @memberOf Renderer.prototype
+     */
+    flashCells: function(changes) {
+        var flashes = this.flashes,
+            time = Date.now();
+
+        changes.forEach(function(change) {
+            var columnFlashes = flashes[change.name] = flashes[change.name] || {};
+            columnFlashes[change.id] = { time: time, direction: change.direction };
+        });
+
+        this.startAnimator();
+    },
+
+    /**
+     * @summary Call {@link Renderer#animate|animate} on every animation frame for as long as it returns truthy.
+     * @desc Does nothing if already animating.
+     * @memberOf Renderer.prototype
+     */
     startAnimator: function() {
         var self = this;
-        requestAnimationFrame(function animate() {
-            self.animate();
-            requestAnimationFrame(animate);
-        });
+
+        if (!this.animating) {
+            this.animating = true;
+            requestAnimationFrame(function animate() {
+                if (self.animate()) {
+                    requestAnimationFrame(animate);
+                } else {
+                    self.animating = false;
+                }
+            });
+        }
     },
 
+    /**
+     * @summary Advance the cell flashes.
+     * @desc Discards faded flashes and repaints the grid so the remaining flashes are repainted at their new, fainter color. (The repaint following the last flash's discard erases it.)
+     * @returns {boolean} Flashes remain so animation should continue.
+     * @memberOf Renderer.prototype
+     */
     animate: function() {
-        var ctx = this.getCanvas().canvasCTX;
-        ctx.beginPath();
-        ctx.save();
-        this.renderLastSelection(ctx);
-        ctx.restore();
-        ctx.closePath();
+        var flashes = this.flashes,
+            expiry = Date.now() - this.grid.properties.flashDuration,
+            flashing = false,
+            painted = false;
+
+        Object.keys(flashes).forEach(function(name) {
+            var columnFlashes = flashes[name],
+                ids = Object.keys(columnFlashes);
+
+            painted = painted || ids.length > 0;
+
+            ids = ids.filter(function(id) {
+                var expired = columnFlashes[id].time <= expiry;
+                if (expired) {
+                    delete columnFlashes[id];
+                }
+                return !expired;
+            });
+
+            if (ids.length) {
+                flashing = true;
+            } else {
+                delete flashes[name];
+            }
+        });
+
+        if (painted) {
+            this.grid.repaint();
+        }
+
+        return flashing;
     },
 
     getBounds: function() {
@@ -1094,6 +1314,219 @@ var Renderer = Base.extend('Renderer', {
 
 });
 
+/**
+ * Paint a cell, painting the error instead if the cell renderer throws one.
+ * @this {Renderer}
+ * @param {CanvasRenderingContext2D} gc
+ * @param {CellEvent} cellEvent
+ * @private
+ */
+function paintCellSafely(gc, cellEvent) {
+    try {
+        this._paintCell(gc, cellEvent);
+    } catch (e) {
+        var message = e && (e.message || e) || 'Unknown error.';
+
+        console.error(message);
+
+        var rawGc = gc.gc || gc, // Don't log these canvas calls
+            vc = cellEvent.visibleColumn,
+            vr = cellEvent.visibleRow,
+            errX = vc.left, errWidth = vc.right,
+            errY = vr.top, errHeight = vr.bottom,
+            config = { bounds: { c: errX, y: errY, width: errWidth, height: errHeight } };
+
+        rawGc.save(); // define clipping region
+        rawGc.beginPath();
+        rawGc.rect(errX, errY, errWidth, errHeight);
+        rawGc.clip();
+
+        this.grid.cellRenderers.get('errorcell').paint(rawGc, config, message);
+
+        rawGc.restore(); // discard clipping region
+    }
+}
+
+/**
+ * @summary Accumulate the visible bounds of a merged range.
+ * @desc The first visible cell of the range (its top-left visible cell, as columns are painted left to right and rows top to bottom) becomes the merge's anchor.
+ * @param {object[]} merges
+ * @param {mergedRangeObject} range
+ * @param {visibleColumnDescriptor} vc
+ * @param {visibleRowDescriptor} vr
+ * @private
+ */
+function addMerge(merges, range, vc, vr) {
+    var merge = merges.find(function(merge) { return merge.range === range && merge.subgrid === vr.subgrid; });
+
+    if (merge) {
+        merge.right = Math.max(merge.right, vc.right);
+        merge.bottom = Math.max(merge.bottom, vr.bottom);
+    } else {
+        merges.push({
+            range: range,
+            subgrid: vr.subgrid,
+            visibleColumn: vc,
+            visibleRow: vr,
+            right: vc.right,
+            bottom: vr.bottom
+        });
+    }
+}
+
+/**
+ * @summary Paint the visible part of a merged range as a single cell.
+ * @desc The cell event is pointed at the anchor's visible column and row but at the range's top-left cell, which supplies the value and properties.
+ *
+ * Column widths are not affected by the merged cell's content width when the range spans columns.
+ * @this {Renderer}
+ * @param {CanvasRenderingContext2D} gc
+ * @param {CellEvent} cellEvent
+ * @param {object} merge - As accumulated by {@link addMerge}.
+ * @private
+ */
+function paintMerge(gc, cellEvent, merge) {
+    var range = merge.range,
+        vc = merge.visibleColumn,
+        vr = merge.visibleRow,
+        bounds = cellEvent._bounds,
+        minWidth = this.renderedColumnMinWidths[range.x];
+
+    cellEvent.visibleColumn = vc;
+    cellEvent.visibleRow = vr;
+    cellEvent.column = this.grid.behavior.getActiveColumn(range.x);
+
+    cellEvent.gridCell.x = range.x;
+    cellEvent.gridCell.y = vr.index;
+    cellEvent.dataCell.x = cellEvent.column.index;
+    cellEvent.dataCell.y = range.y;
+
+    bounds.x = vc.left;
+    bounds.y = vr.top;
+    bounds.width = merge.right - vc.left;
+    bounds.height = merge.bottom - vr.top;
+
+    gc.save();
+    gc.beginPath();
+    gc.rect(bounds.x, bounds.y, bounds.width, bounds.height);
+    gc.clip();
+
+    paintCellSafely.call(this, gc, cellEvent);
+
+    gc.restore();
+
+    if (range.width > 1 && this.baseProperties) {
+        this.renderedColumnMinWidths[range.x] = this.baseProperties.preferredWidth = minWidth || 0;
+    }
+}
+
+/**
+ * Paint over a flashing cell with its flash color at its current opacity.
+ * @this {Renderer}
+ * @param {CanvasRenderingContext2D} gc
+ * @param {object} config
+ * @private
+ */
+function paintFlash(gc, config) {
+    var columnFlashes = this.flashes[config.name],
+        flash = columnFlashes && columnFlashes[config.dataRow[config.primaryKey]];
+
+    if (flash) {
+        var opacity = 1 - (Date.now() - flash.time) / config.flashDuration;
+        if (opacity > 0) {
+            var bounds = config.bounds;
+            gc.save();
+            gc.globalAlpha = opacity;
+            gc.fillStyle = flash.direction > 0 ? config.flashUpColor : flash.direction < 0 ? config.flashDownColor : config.flashColor;
+            gc.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+            gc.restore();
+        }
+    }
+}
+
+/**
+ * @summary Mark the cell if it has a validation error (see {@link Validator}).
+ * @this {Renderer}
+ * @param {CanvasRenderingContext2D} gc
+ * @param {object} config
+ * @private
+ */
+function paintValidationError(gc, config) {
+    var grid = this.grid;
+
+    if (grid.validator.getCellError(config.dataRow, config.name)) {
+        grid.cellRenderers.get('errorcell').paintValidationError(gc, config);
+    }
+}
+
+/**
+ * @summary Set the render properties of the column's matching {@link conditionalFormatRule}s on `config`.
+ * @desc Rules are only evaluated for cells being painted. Column statistics (for top/bottom and duplicate rules) and compiled expressions are cached per column until the data changes (see {@link dataModels.JSON#dataGeneration|dataGeneration}) or the column's rules are replaced.
+ * @this {Renderer}
+ * @param {object} config
+ * @returns {object|undefined} The overwritten properties for {@link restoreProperties}; or `undefined` when no rules matched.
+ * @private
+ */
+function applyConditionalFormats(config) {
+    var rules = config.conditionalFormats;
+
+    if (rules && rules.length) {
+        var name = config.name,
+            dataModel = this.grid.behavior.dataModel,
+            entry = this.conditionalFormatCache[name],
+            properties;
+
+        if (!entry || entry.rules !== rules) {
+            entry = this.conditionalFormatCache[name] = { rules: rules, cache: {} };
+        }
+
+        properties = conditionalFormats.evaluate(rules, config.value, config.dataRow, getColumnValues, entry.cache);
+
+        if (properties) {
+            var saved = {};
+
+            Object.keys(properties).forEach(function(key) {
+                saved[key] = config.hasOwnProperty(key) ? { value: config[key] } : undefined;
+                config[key] = properties[key];
+            });
+
+            if (properties.leftIcon || properties.rightIcon) {
+                saved.value = { value: config.value };
+                config.value = [images[properties.leftIcon], config.value, images[properties.rightIcon]];
+            }
+
+            return saved;
+        }
+    }
+
+    function getColumnValues() {
+        var values = [];
+        for (var y = 0, rowCount = dataModel.getRowCount(); y < rowCount; y++) {
+            var dataRow = dataModel.getRow(y);
+            if (dataRow) { // rows not yet fetched from a remote data source are skipped
+                values.push(dataRow[name]);
+            }
+        }
+        return values;
+    }
+}
+
+/**
+ * @summary Undo {@link applyConditionalFormats} so the next cell painted with the same (reused) `config` object is unaffected.
+ * @param {object} config
+ * @param {object} saved - Hash of `{value}` objects (previous own values) or `undefined` (property was inherited).
+ * @private
+ */
+function restoreProperties(config, saved) {
+    Object.keys(saved).forEach(function(key) {
+        if (saved[key]) {
+            config[key] = saved[key].value;
+        } else {
+            delete config[key];
+        }
+    });
+}
+
 function setNumberColumnWidth(gc, behavior, maxRow) {
     var columnProperties = behavior.getColumnProperties(-1),
         cellProperties = columnProperties.rowHeader,
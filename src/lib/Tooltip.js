@@ -0,0 +1,157 @@
+/* eslint-env browser */
+
+'use strict';
+
+var tooltipText = require('./tooltipText');
+
+/**
+ * @constructor
+ * @summary Cell tooltips.
+ * @desc Created by the grid as `grid.tooltip`. When the mouse enters a cell (a `fin-cell-enter` event, fired by the {@link OnHover} feature), the tooltip text is resolved by {@link module:tooltipText|tooltipText} and, after `tooltipDelay` milliseconds, shown below the cell (or above it when there is no room below). The tooltip is hidden when the mouse leaves the cell (`fin-cell-exit`), on mouse down, on key down, and on scroll.
+ *
+ * Over a sparkline, the tooltip follows the point under the mouse (`fin-sparkline-hover`).
+ *
+ * Tooltips are disabled when the `showTooltips` grid property is falsy. The tooltip element has the `hypergrid-tooltip` CSS class.
+ * @param {Hypergrid} grid
+ */
+function Tooltip(grid) {
+    this.grid = grid;
+}
+
+Tooltip.prototype = {
+    constructor: Tooltip.prototype.constructor,
+
+    /**
+     * The cell for which the tooltip is showing or about to be shown; otherwise `null`.
+     * @type {Point}
+     * @memberOf Tooltip.prototype
+     */
+    gridCell: null,
+
+    /**
+     * @summary Show the tooltip for a cell after the delay.
+     * @param {Point} gridCell
+     * @memberOf Tooltip.prototype
+     */
+    schedule: function(gridCell) {
+        var self = this;
+
+        this.hide();
+
+        if (this.grid.properties.showTooltips) {
+            this.gridCell = gridCell;
+            this.timer = setTimeout(function() {
+                self.show(gridCell);
+            }, this.grid.properties.tooltipDelay);
+        }
+    },
+
+    /**
+     * @summary Show the tooltip for a cell now.
+     * @desc Hides the tooltip when the cell has no tooltip text.
+     * @param {Point} gridCell
+     * @memberOf Tooltip.prototype
+     */
+    show: function(gridCell) {
+        var grid = this.grid,
+            cellEvent = grid.renderer.visibleRows[gridCell.y] && new grid.behavior.CellEvent(gridCell.x, gridCell.y),
+            text = cellEvent && cellEvent.isCellVisible
+                ? tooltipText(cellEvent, {
+                    hoverPoint: grid.hoverPoint,
+                    gc: grid.canvas.gc,
+                    validationError: cellEvent.isGridCell
+                        ? grid.validator.getCellError(cellEvent.dataModel.getRow(cellEvent.dataCell.y), cellEvent.column.name)
+                        : undefined
+                })
+                : undefined; // scrolled out of view
+
+        clearTimeout(this.timer);
+        this.gridCell = gridCell;
+
+        if (text === undefined) {
+            hideElement.call(this);
+        } else {
+            var el = getElement.call(this);
+            el.textContent = text;
+            el.style.display = 'block';
+            position.call(this, el, cellEvent.bounds);
+        }
+    },
+
+    /**
+     * @summary Hide the tooltip and cancel any pending one.
+     * @memberOf Tooltip.prototype
+     */
+    hide: function() {
+        clearTimeout(this.timer);
+        this.gridCell = null;
+        hideElement.call(this);
+    },
+
+    /**
+     * @summary Update the tooltip when the sparkline point under the mouse changes.
+     * @param {object|null} point - As per {@link Hypergrid#hoverPoint}.
+     * @memberOf Tooltip.prototype
+     */
+    pointChanged: function(point) {
+        if (point && this.isVisible() && point.gridCell.equals(this.gridCell)) {
+            this.show(this.gridCell);
+        }
+    },
+
+    /**
+     * @returns {boolean}
+     * @memberOf Tooltip.prototype
+     */
+    isVisible: function() {
+        return !!this.el && this.el.style.display === 'block';
+    }
+};
+
+/**
+ * @this {Tooltip}
+ * @returns {HTMLElement} The tooltip element, created on first use.
+ * @private
+ */
+function getElement() {
+    if (!this.el) {
+        this.el = document.createElement('div');
+        this.el.className = 'hypergrid-tooltip';
+        this.el.style.display = 'none';
+        this.grid.div.appendChild(this.el);
+    }
+    return this.el;
+}
+
+/**
+ * @this {Tooltip}
+ * @private
+ */
+function hideElement() {
+    if (this.el) {
+        this.el.style.display = 'none';
+    }
+}
+
+/**
+ * Position the tooltip below the cell; or above it when there is not enough room below.
+ * @this {Tooltip}
+ * @param {HTMLElement} el
+ * @param {object} bounds - The cell's bounds (in the same canvas coordinates as {@link Hypergrid#getBoundsOfCell}).
+ * @private
+ */
+function position(el, bounds) {
+    var container = this.grid.div,
+        gap = 2,
+        top = bounds.y + bounds.height + gap,
+        left = Math.max(0, Math.min(bounds.x, container.clientWidth - el.offsetWidth));
+
+    if (top + el.offsetHeight > container.clientHeight) {
+        top = Math.max(0, bounds.y - el.offsetHeight - gap);
+    }
+
+    el.style.left = left + 'px';
+    el.style.top = top + 'px';
+}
+
+module.exports = Tooltip;
@@ -0,0 +1,312 @@
+'use strict';
+
+var Point = require('rectangular').Point;
+
+/**
+ * @typedef {object} undoableCommand
+ * @summary A reversible change.
+ * @property {function} undo - Reverts the change.
+ * @property {function} redo - Reapplies the change.
+ * @property {string} [label] - Describes the change (_e.g.,_ for an "Undo Paste" menu item).
+ */
+
+/**
+ * @typedef {object} undoStateObject
+ * @property {boolean} canUndo
+ * @property {boolean} canRedo
+ * @property {string|undefined} undoLabel - Label of the command {@link UndoManager#undo|undo} would revert.
+ * @property {string|undefined} redoLabel - Label of the command {@link UndoManager#redo|redo} would reapply.
+ */
+
+/**
+ * @constructor
+ * @summary Undo/redo history.
+ * @desc Created by the grid as `grid.undoManager`. The grid records cell edits, pastes, row additions and deletions, column moves, and column resizes as {@link undoableCommand}s; applications may {@link UndoManager#record|record} their own.
+ *
+ * The history depth is limited by the `undoDepth` grid property (`0` disables recording). Whenever the history changes, a `fin-undo-state-changed` event is fired with an {@link undoStateObject} as its `detail`.
+ * @param {Hypergrid} grid
+ */
+function UndoManager(grid) {
+    this.grid = grid;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.transactionDepth = 0;
+}
+
+UndoManager.prototype = {
+    constructor: UndoManager.prototype.constructor,
+
+    /**
+     * @summary Discard the history.
+     * @desc Any open transaction is discarded as well.
+     * @memberOf UndoManager.prototype
+     */
+    clear: function() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.transaction = undefined;
+        this.transactionDepth = 0;
+        changed.call(this);
+    },
+
+    /**
+     * @summary Add a change, already made, to the history.
+     * @desc Clears the redo history. Ignored while undoing or redoing (so commands may call the same grid methods that record them).
+     *
+     * Within a {@link UndoManager#begin|transaction}, the command is added to the transaction instead.
+     * @param {undoableCommand} command
+     * @memberOf UndoManager.prototype
+     */
+    record: function(command) {
+        if (this.replaying || !(this.grid.properties.undoDepth > 0)) {
+            return;
+        }
+
+        if (this.transaction) {
+            this.transaction.commands.push(command);
+        } else {
+            push.call(this, command);
+        }
+    },
+
+    /**
+     * @summary Record a change to a cell value.
+     * @desc The row is referenced by object rather than index so the command survives sorting and filtering.
+     *
+     * Undoing and redoing set the value as an edit does: through the data model's `setValue`, revalidating the cell (see {@link Validator}), and firing `fin-before-cell-edit` (which may cancel the change) and `fin-after-cell-edit`. The data is then reindexed so the sort and filter reflect the restored value. (When the row is filtered out of view or the column is hidden, the value is set on the row directly and no events are fired.)
+     * @param {object} dataRow
+     * @param {string} columnName
+     * @param {*} oldValue
+     * @param {*} newValue
+     * @param {string} [label='Edit']
+     * @memberOf UndoManager.prototype
+     */
+    recordValue: function(dataRow, columnName, oldValue, newValue, label) {
+        var self = this;
+
+        this.record({
+            label: label || 'Edit',
+            undo: function() { setValue.call(self, dataRow, columnName, newValue, oldValue); },
+            redo: function() { setValue.call(self, dataRow, columnName, oldValue, newValue); }
+        });
+    },
+
+    /**
+     * @summary Start grouping commands into a single undoable command.
+     * @desc Transactions may be nested; only the outermost transaction is recorded, on its {@link UndoManager#commit|commit}, and only when it contains at least one command.
+     * @param {string} [label] - Label of the outermost transaction (default is the label of its first command).
+     * @memberOf UndoManager.prototype
+     */
+    begin: function(label) {
+        if (!this.transactionDepth++) {
+            this.transaction = { label: label, commands: [] };
+        }
+    },
+
+    /**
+     * @summary End the current transaction.
+     * @memberOf UndoManager.prototype
+     */
+    commit: function() {
+        if (this.transactionDepth && !--this.transactionDepth) {
+            var transaction = this.transaction,
+                commands = transaction.commands;
+
+            this.transaction = undefined;
+
+            if (commands.length) {
+                push.call(this, {
+                    label: transaction.label || commands[0].label,
+                    undo: function() {
+                        for (var i = commands.length - 1; i >= 0; i--) {
+                            commands[i].undo();
+                        }
+                    },
+                    redo: function() {
+                        commands.forEach(function(command) {
+                            command.redo();
+                        });
+                    }
+                });
+            }
+        }
+    },
+
+    /**
+     * @summary Call a function in a transaction.
+     * @desc The transaction is committed even if `fn` throws.
+     * @param {string} [label]
+     * @param {function} fn - Called with `this` as given.
+     * @param {object} [thisArg]
+     * @returns {*} Whatever `fn` returns.
+     * @memberOf UndoManager.prototype
+     */
+    group: function(label, fn, thisArg) {
+        this.begin(label);
+        try {
+            return fn.call(thisArg);
+        } finally {
+            this.commit();
+        }
+    },
+
+    /**
+     * @returns {boolean}
+     * @memberOf UndoManager.prototype
+     */
+    canUndo: function() {
+        return this.undoStack.length > 0;
+    },
+
+    /**
+     * @returns {boolean}
+     * @memberOf UndoManager.prototype
+     */
+    canRedo: function() {
+        return this.redoStack.length > 0;
+    },
+
+    /**
+     * @summary Revert the most recent change.
+     * @returns {boolean} There was a change to revert.
+     * @memberOf UndoManager.prototype
+     */
+    undo: function() {
+        return replay.call(this, this.undoStack, this.redoStack, 'undo');
+    },
+
+    /**
+     * @summary Reapply the most recently reverted change.
+     * @returns {boolean} There was a change to reapply.
+     * @memberOf UndoManager.prototype
+     */
+    redo: function() {
+        return replay.call(this, this.redoStack, this.undoStack, 'redo');
+    },
+
+    /**
+     * @returns {undoStateObject}
+     * @memberOf UndoManager.prototype
+     */
+    getState: function() {
+        var undoCommand = this.undoStack[this.undoStack.length - 1],
+            redoCommand = this.redoStack[this.redoStack.length - 1];
+
+        return {
+            canUndo: !!undoCommand,
+            canRedo: !!redoCommand,
+            undoLabel: undoCommand && undoCommand.label,
+            redoLabel: redoCommand && redoCommand.label
+        };
+    }
+};
+
+/**
+ * @this {UndoManager}
+ * @param {undoableCommand} command
+ * @private
+ */
+function push(command) {
+    var excess = this.undoStack.push(command) - this.grid.properties.undoDepth;
+
+    if (excess > 0) {
+        this.undoStack.splice(0, excess); // discard the oldest
+    }
+
+    this.redoStack.length = 0;
+
+    changed.call(this);
+}
+
+/**
+ * @this {UndoManager}
+ * @param {undoableCommand[]} fromStack
+ * @param {undoableCommand[]} toStack
+ * @param {string} methodName - `'undo'` or `'redo'`.
+ * @returns {boolean}
+ * @private
+ */
+function replay(fromStack, toStack, methodName) {
+    var command = fromStack.pop();
+
+    if (!command) {
+        return false;
+    }
+
+    this.replaying = true;
+    this.indexedData = undefined;
+    this.reindexNeeded = false;
+    if (this.grid.validator) {
+        this.grid.validator.begin();
+    }
+    try {
+        command[methodName]();
+    } finally {
+        this.replaying = false;
+        this.indexedData = undefined;
+        if (this.grid.validator) {
+            this.grid.validator.commit();
+        }
+    }
+
+    toStack.push(command);
+    if (this.reindexNeeded) {
+        this.grid.behavior.reindex();
+    }
+    this.grid.behaviorChanged();
+    changed.call(this);
+
+    return true;
+}
+
+/**
+ * Set a cell value while undoing or redoing, as an edit would.
+ * @this {UndoManager}
+ * @param {object} dataRow
+ * @param {string} columnName
+ * @param {*} oldValue
+ * @param {*} newValue
+ * @private
+ */
+function setValue(dataRow, columnName, oldValue, newValue) {
+    var grid = this.grid,
+        behavior = grid.behavior,
+        dataModel = behavior.dataModel,
+        column = behavior.allColumns.filter(function(column) { return column.name === columnName; })[0],
+        x = column && behavior.getActiveColumnIndex(column),
+        y, cell;
+
+    // the rows in view do not move until the reindex that follows the replay
+    this.indexedData = this.indexedData || dataModel.getIndexedData();
+    y = this.indexedData.indexOf(dataRow);
+
+    if (x !== undefined && y >= 0) {
+        cell = new Point(x, y);
+        if (!grid.fireBeforeCellEdit(cell, oldValue, newValue)) {
+            return;
+        }
+        dataModel.setValue(column.index, y, newValue);
+    } else {
+        dataRow[columnName] = newValue;
+    }
+
+    this.reindexNeeded = true;
+
+    if (grid.validator) {
+        grid.validator.validateEdit(dataRow, columnName);
+    }
+
+    if (cell) {
+        grid.fireAfterCellEdit(cell, oldValue, newValue);
+    }
+}
+
+/**
+ * @this {UndoManager}
+ * @private
+ */
+function changed() {
+    this.grid.fireSyntheticUndoStateChangedEvent(this.getState());
+}
+
+module.exports = UndoManager;
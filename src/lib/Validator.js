@@ -0,0 +1,383 @@
+'use strict';
+
+var validators = require('./validators');
+
+/**
+ * @typedef {object} validationErrorObject
+ * @property {object} dataRow - The invalid row.
+ * @property {number} rowIndex - Index of the row in the data (see {@link Behavior#getData}), irrespective of sorting and filtering.
+ * @property {string} name - Name of the invalid cell's column.
+ * @property {string} message
+ */
+
+/**
+ * @constructor
+ * @summary Cell and row validation.
+ * @desc Created by the grid as `grid.validator`. Cells are checked against their column's `validators` property (a list of {@link validatorRule}s) and rows against the grid's `rowValidators` property (a list of {@link rowValidatorRule}s).
+ *
+ * The whole dataset is validated by {@link Hypergrid#validate}; thereafter, edited cells are revalidated as they are edited (along with the rest of the column when it has a `'unique'` rule, and the row-level rules for the edited row). Edits made together (pastes, fills, undos, and streaming updates) are revalidated in a batch (see {@link Validator#begin|begin}). Results of asynchronous rules are applied as they arrive; results superseded by a later validation of the same cell are discarded.
+ *
+ * Errors are kept with the data rows so they survive sorting and filtering. Invalid cells are marked by the renderer (see {@link ErrorCell#paintValidationError}) and their error messages shown in their tooltips.
+ * @param {Hypergrid} grid
+ */
+function Validator(grid) {
+    this.grid = grid;
+    this.batchDepth = 0;
+}
+
+Validator.prototype = {
+    constructor: Validator.prototype.constructor,
+
+    /**
+     * The data array last validated as a whole.
+     * @type {object[]}
+     * @memberOf Validator.prototype
+     */
+    data: null,
+
+    /**
+     * @summary Validate every row.
+     * @returns {validationErrorObject[]|thenable} The errors (see {@link Validator#getErrors|getErrors}); or, when there are asynchronous rules, a thenable resolving to same when they have all completed.
+     * @memberOf Validator.prototype
+     */
+    validate: function() {
+        var self = this,
+            data = this.data = getData.call(this),
+            columns = getColumns.call(this),
+            caches = {},
+            pending = [];
+
+        data.forEach(function(dataRow) {
+            if (dataRow) { // rows not yet fetched from a remote data source are skipped
+                var result = validateRow.call(self, dataRow, columns, caches);
+                if (result) {
+                    pending.push(result);
+                }
+            }
+        });
+
+        this.grid.repaint();
+
+        return validators.when(pending, function() {
+            return self.getErrors();
+        });
+    },
+
+    /**
+     * @summary Revalidate an edited cell.
+     * @desc Also revalidates the rest of the column when it has a `'unique'` rule (deferred to the end of the batch, if any) and the row when there are row-level rules.
+     * @param {object} dataRow
+     * @param {string} columnName
+     * @returns {undefined|thenable} When there are asynchronous rules, a thenable resolving when they have completed.
+     * @memberOf Validator.prototype
+     */
+    validateEdit: function(dataRow, columnName) {
+        var column = getColumns.call(this).filter(function(column) { return column.name === columnName; })[0],
+            rowRules = this.grid.properties.rowValidators,
+            batch = this.batch,
+            pending = [];
+
+        function push(result) {
+            if (result) {
+                pending.push(result);
+            }
+        }
+
+        if (column) {
+            if (!column.properties.validators.some(isUniqueRule)) {
+                push(validateCell.call(this, dataRow, column, {}));
+            } else if (batch) {
+                batch.columns[columnName] = column;
+            } else {
+                push(validateColumn.call(this, column));
+            }
+        }
+
+        if (rowRules && rowRules.length) {
+            push(validateRowRules.call(this, dataRow, rowRules));
+        }
+
+        if (column || rowRules && rowRules.length) {
+            if (batch) {
+                batch.repaint = true;
+            } else {
+                this.grid.repaint();
+            }
+        }
+
+        return pending.length ? validators.when(pending, function() {}) : undefined;
+    },
+
+    /**
+     * @summary Start a batch of edits.
+     * @desc Until the matching {@link Validator#commit|commit}, {@link Validator#validateEdit|validateEdit} defers revalidating the columns with a `'unique'` rule, and repainting, so that editing many cells of such a column revalidates the column once rather than once per cell.
+     *
+     * Batches may be nested; only the outermost commit revalidates.
+     * @memberOf Validator.prototype
+     */
+    begin: function() {
+        if (!this.batchDepth++) {
+            this.batch = { columns: {}, repaint: false };
+        }
+    },
+
+    /**
+     * @summary End the current batch, revalidating the columns with a `'unique'` rule edited in it.
+     * @returns {undefined|thenable} When there are asynchronous rules, a thenable resolving when they have completed.
+     * @memberOf Validator.prototype
+     */
+    commit: function() {
+        if (this.batchDepth && !--this.batchDepth) {
+            var self = this,
+                batch = this.batch,
+                pending = [];
+
+            this.batch = undefined;
+
+            Object.keys(batch.columns).forEach(function(name) {
+                var result = validateColumn.call(self, batch.columns[name]);
+                if (result) {
+                    pending.push(result);
+                }
+            });
+
+            if (batch.repaint) {
+                this.grid.repaint();
+            }
+
+            return pending.length ? validators.when(pending, function() {}) : undefined;
+        }
+    },
+
+    /**
+     * @param {object} dataRow
+     * @param {string} columnName
+     * @returns {string|undefined} The cell's error message; or `undefined` when valid (or not validated, or awaiting an asynchronous result).
+     * @memberOf Validator.prototype
+     */
+    getCellError: function(dataRow, columnName) {
+        var state = dataRow && dataRow.__VALIDATION;
+        return state && (state.cells[columnName] || state.row[columnName]);
+    },
+
+    /**
+     * @summary All the errors in the data.
+     * @desc Validates the data first if it has not yet been validated as a whole (since it was set). Results of asynchronous rules still pending are not included.
+     * @returns {validationErrorObject[]} In row order; within a row, errors from the columns' rules precede errors from the row-level rules.
+     * @memberOf Validator.prototype
+     */
+    getErrors: function() {
+        var errors = [],
+            data = getData.call(this);
+
+        if (data !== this.data) {
+            this.validate();
+        }
+
+        data.forEach(function(dataRow, rowIndex) {
+            var state = dataRow && dataRow.__VALIDATION;
+
+            function push(messages, name) {
+                if (messages[name] && (messages === state.cells || !state.cells[name])) {
+                    errors.push({ dataRow: dataRow, rowIndex: rowIndex, name: name, message: messages[name] });
+                }
+            }
+
+            if (state) {
+                Object.keys(state.cells).forEach(push.bind(null, state.cells));
+                Object.keys(state.row).forEach(push.bind(null, state.row));
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     * @summary Forget all errors.
+     * @memberOf Validator.prototype
+     */
+    clear: function() {
+        getData.call(this).forEach(function(dataRow) {
+            if (dataRow) {
+                delete dataRow.__VALIDATION;
+            }
+        });
+        this.data = null;
+        this.grid.repaint();
+    }
+};
+
+/**
+ * @this {Validator}
+ * @returns {object[]} The data rows.
+ * @private
+ */
+function getData() {
+    return this.grid.behavior.getData() || [];
+}
+
+/**
+ * @this {Validator}
+ * @returns {Column[]} All the columns (including hidden columns) that have rules.
+ * @private
+ */
+function getColumns() {
+    return this.grid.behavior.allColumns.filter(function(column) {
+        var rules = column.properties.validators;
+        return rules && rules.length;
+    });
+}
+
+/**
+ * Validate all of a row's cells and the row itself.
+ * @this {Validator}
+ * @param {object} dataRow
+ * @param {Column[]} columns - The columns that have rules.
+ * @param {object} caches - Per-column caches (see {@link module:validators.validateValue}).
+ * @returns {undefined|thenable}
+ * @private
+ */
+function validateRow(dataRow, columns, caches) {
+    var self = this,
+        rowRules = this.grid.properties.rowValidators,
+        pending = [];
+
+    function push(result) {
+        if (result) {
+            pending.push(result);
+        }
+    }
+
+    if (dataRow.__VALIDATION) {
+        // forget errors of rules since removed
+        dataRow.__VALIDATION.cells = {};
+        dataRow.__VALIDATION.row = {};
+    }
+
+    columns.forEach(function(column) {
+        push(validateCell.call(self, dataRow, column, caches));
+    });
+
+    if (rowRules && rowRules.length) {
+        push(validateRowRules.call(this, dataRow, rowRules));
+    }
+
+    return pending.length ? validators.when(pending, function() {}) : undefined;
+}
+
+/**
+ * @this {Validator}
+ * @param {object} dataRow
+ * @param {Column} column
+ * @param {object} caches
+ * @returns {undefined|thenable} A thenable when awaiting an asynchronous result.
+ * @private
+ */
+function validateCell(dataRow, column, caches) {
+    var self = this,
+        name = column.name,
+        data = getData.call(this),
+        state = getState(dataRow),
+        stamp = state.stamps[name] = (state.stamps[name] || 0) + 1,
+        cache = caches[name] = caches[name] || {},
+        message = validators.validateValue(column.properties.validators, dataRow[name], dataRow, getColumnValues, cache);
+
+    function getColumnValues() {
+        var values = [];
+        data.forEach(function(row) {
+            if (row) {
+                values.push(row[name]);
+            }
+        });
+        return values;
+    }
+
+    if (validators.isThenable(message)) {
+        return message.then(function(message) {
+            if (state.stamps[name] === stamp) { // not superseded
+                setMessage(state.cells, name, message);
+                self.grid.repaint();
+            }
+        });
+    }
+
+    setMessage(state.cells, name, message);
+}
+
+/**
+ * Validate every cell of a column (as needed for its `'unique'` rules).
+ * @this {Validator}
+ * @param {Column} column
+ * @returns {undefined|thenable}
+ * @private
+ */
+function validateColumn(column) {
+    var self = this,
+        caches = {},
+        pending = [];
+
+    getData.call(this).forEach(function(dataRow) {
+        if (dataRow) {
+            var result = validateCell.call(self, dataRow, column, caches);
+            if (result) {
+                pending.push(result);
+            }
+        }
+    });
+
+    return pending.length ? validators.when(pending, function() {}) : undefined;
+}
+
+/**
+ * @this {Validator}
+ * @param {object} dataRow
+ * @param {rowValidatorRule[]} rules
+ * @returns {undefined|thenable} A thenable when awaiting an asynchronous result.
+ * @private
+ */
+function validateRowRules(dataRow, rules) {
+    var self = this,
+        state = getState(dataRow),
+        stamp = ++state.rowStamp,
+        errors = validators.validateRow(rules, dataRow);
+
+    if (validators.isThenable(errors)) {
+        return errors.then(function(errors) {
+            if (state.rowStamp === stamp) { // not superseded
+                state.row = errors;
+                self.grid.repaint();
+            }
+        });
+    }
+
+    state.row = errors;
+}
+
+/**
+ * @param {object} dataRow
+ * @returns {object} The row's validation state, created as needed as a non-enumerable property (so it is not mistaken for data).
+ * @private
+ */
+function getState(dataRow) {
+    if (!dataRow.__VALIDATION) {
+        Object.defineProperty(dataRow, '__VALIDATION', {
+            configurable: true,
+            value: { cells: {}, row: {}, stamps: {}, rowStamp: 0 }
+        });
+    }
+    return dataRow.__VALIDATION;
+}
+
+function setMessage(messages, name, message) {
+    if (message) {
+        messages[name] = message;
+    } else {
+        delete messages[name];
+    }
+}
+
+function isUniqueRule(rule) {
+    return rule.type === 'unique';
+}
+
+module.exports = Validator;
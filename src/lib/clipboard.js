@@ -0,0 +1,305 @@
+'use strict';
+
+/**
+ * @module clipboard
+ * @desc Parsers for the data flavors the grid accepts from the system clipboard and serializers for the flavors it puts there.
+ *
+ * All parsers return a row-major matrix of strings (`matrix[row][column]`) or `undefined` when there is nothing to paste. The serializers take the same shape. No DOM is required so these functions may be used (and tested) headlessly.
+ */
+
+var ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: '\'',
+    nbsp: ' '
+};
+
+var REGEX_TABLE = /<table[^>]*>([\s\S]*?)<\/table>/i,
+    REGEX_TABLES = /<table[\s>]/gi,
+    REGEX_THEAD = /<thead[^>]*>[\s\S]*?<\/thead>/gi,
+    REGEX_ROW = /<tr[^>]*>([\s\S]*?)<\/tr>/gi,
+    REGEX_CELL = /<t([dh])([^>]*)>([\s\S]*?)<\/t\1>/gi,
+    REGEX_COLSPAN = /colspan\s*=\s*["']?(\d+)/i,
+    REGEX_BREAK = /<br\s*\/?>/gi,
+    REGEX_TAG = /<[^>]*>/g,
+    REGEX_ENTITY = /&(#x[\da-f]+|#\d+|[a-z]+);/gi;
+
+/**
+ * @summary Parse clipboard text as tab- or comma-separated values.
+ * @desc Delimiter detection is as follows:
+ * 1. If the text contains a tab character, it is parsed as TSV.
+ * 2. Else if it has more than one line and every line has the same number (> 1) of comma-separated fields, it is parsed as CSV.
+ * 3. Else each line is a single cell (so that pasting a single value containing commas works as expected).
+ *
+ * In all cases, fields may be enclosed in double quotes (which may contain delimiters, line breaks, and doubled quotes) and a single trailing line break is ignored.
+ * @param {string} text
+ * @param {string} [delimiter] - Override delimiter detection.
+ * @returns {undefined|string[][]}
+ */
+function parseDelimited(text, delimiter) {
+    var matrix;
+
+    if (typeof text !== 'string' || !text.length) {
+        return;
+    }
+
+    if (delimiter === undefined) {
+        if (text.indexOf('\t') >= 0) {
+            delimiter = '\t';
+        } else {
+            matrix = split(text, ',');
+            if (
+                matrix.length > 1 &&
+                matrix[0].length > 1 &&
+                matrix.every(function(row) { return row.length === matrix[0].length; })
+            ) {
+                return matrix;
+            }
+            delimiter = null;
+        }
+    }
+
+    return split(text, delimiter);
+}
+
+/**
+ * @param {string} text
+ * @param {string|null} delimiter - `null` means lines are not split into fields.
+ * @returns {string[][]}
+ * @private
+ */
+function split(text, delimiter) {
+    var matrix = [],
+        row = [],
+        field = '',
+        quoted = false,
+        atFieldStart = true;
+
+    for (var i = 0, len = text.length; i < len; i++) {
+        var c = text[i];
+
+        if (quoted) {
+            if (c !== '"') {
+                field += c;
+            } else if (text[i + 1] === '"') {
+                field += c;
+                i++;
+            } else {
+                quoted = false;
+            }
+        } else if (c === '"' && atFieldStart) {
+            quoted = true;
+            atFieldStart = false;
+        } else if (c === delimiter) {
+            row.push(field);
+            field = '';
+            atFieldStart = true;
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            matrix.push(row);
+            row = [];
+            field = '';
+            atFieldStart = true;
+        } else {
+            field += c;
+            atFieldStart = false;
+        }
+    }
+
+    if (!atFieldStart || row.length) {
+        row.push(field);
+        matrix.push(row);
+    }
+
+    return matrix;
+}
+
+/**
+ * @summary Parse the first `<table>` found in clipboard HTML.
+ * @desc Rows in a `<thead>` are column headers rather than data and are skipped.
+ *
+ * Cell markup is reduced to text: `<br>` becomes a line break, other tags are removed, character entities are decoded, and surrounding white space is trimmed. Cells spanning several columns (`colspan`) are followed by empty cells to keep the matrix rectangular.
+ * @param {string} html
+ * @returns {undefined|string[][]} `undefined` if `html` contains no table rows (outside of `<thead>`).
+ */
+function parseHtmlTable(html) {
+    var table = typeof html === 'string' && html.match(REGEX_TABLE),
+        matrix = [],
+        rowMatch, cellMatch;
+
+    if (!table) {
+        return;
+    }
+
+    var body = table[1].replace(REGEX_THEAD, '');
+
+    REGEX_ROW.lastIndex = 0;
+    while ((rowMatch = REGEX_ROW.exec(body))) {
+        var row = [];
+
+        REGEX_CELL.lastIndex = 0;
+        while ((cellMatch = REGEX_CELL.exec(rowMatch[1]))) {
+            var colspan = cellMatch[2].match(REGEX_COLSPAN);
+            row.push(htmlToText(cellMatch[3]));
+            for (var span = colspan ? Number(colspan[1]) : 1; span > 1; span--) {
+                row.push('');
+            }
+        }
+
+        matrix.push(row);
+    }
+
+    return matrix.length ? matrix : undefined;
+}
+
+/**
+ * @summary Parse the data of a paste.
+ * @desc An HTML table is preferred to plain text when both flavors are present, unless the HTML contains several tables (as when several selections are copied), which only the plain text represents in full.
+ * @param {object} data - Hash of clipboard data keyed by MIME type (such as `'text/html'` and `'text/plain'`).
+ * @returns {undefined|string[][]}
+ */
+function parseClipboardData(data) {
+    var html = data['text/html'],
+        tables = typeof html === 'string' && html.match(REGEX_TABLES),
+        matrix = !(tables && tables.length > 1) && parseHtmlTable(html);
+
+    return matrix || parseDelimited(data['text/plain']);
+}
+
+/**
+ * @param {string} html
+ * @returns {string}
+ * @private
+ */
+function htmlToText(html) {
+    return html
+        .replace(/\s*\n\s*/g, ' ')
+        .replace(REGEX_BREAK, '\n')
+        .replace(REGEX_TAG, '')
+        .replace(REGEX_ENTITY, decodeEntity)
+        .trim();
+}
+
+/**
+ * @private
+ */
+function decodeEntity(entity, name) {
+    if (name[0] === '#') {
+        return String.fromCharCode(
+            name[1] === 'x' || name[1] === 'X'
+                ? parseInt(name.substr(2), 16)
+                : parseInt(name.substr(1), 10)
+        );
+    }
+    return ENTITIES[name.toLowerCase()] || entity;
+}
+
+/**
+ * @summary Serialize a matrix as delimiter-separated values.
+ * @desc Fields containing the delimiter or a line break are enclosed in double quotes (with embedded double quotes doubled) so that the result can be parsed back by {@link module:clipboard~parseDelimited|parseDelimited} (or a spreadsheet). So are fields containing a double quote, except in TSV (tab delimiter) where only a leading double quote calls for quoting.
+ * @param {Array[]} matrix - Row-major matrix of values (coerced to strings; `null` and `undefined` become empty strings).
+ * @param {string} [delimiter='\t']
+ * @param {string} [lineBreak='\n']
+ * @returns {string}
+ */
+function stringifyDelimited(matrix, delimiter, lineBreak) {
+    delimiter = delimiter || '\t';
+
+    return matrix.map(function(row) {
+        return row.map(function(value) {
+            return quote(value, delimiter);
+        }).join(delimiter);
+    }).join(lineBreak || '\n');
+}
+
+/**
+ * @param {*} value
+ * @param {string} delimiter
+ * @returns {string}
+ * @private
+ */
+function quote(value, delimiter) {
+    var string = value == null ? '' : String(value);
+
+    if (
+        string.indexOf(delimiter) >= 0 ||
+        (delimiter === '\t' ? string[0] === '"' : string.indexOf('"') >= 0) ||
+        string.indexOf('\n') >= 0 ||
+        string.indexOf('\r') >= 0
+    ) {
+        string = '"' + string.replace(/"/g, '""') + '"';
+    }
+
+    return string;
+}
+
+/**
+ * @summary Serialize a matrix as an HTML table.
+ * @param {Array[]} matrix - Row-major matrix of values (coerced to strings; `null` and `undefined` become empty strings).
+ * @param {string[]} [headers] - When given, rendered as a header row of `<th>` elements.
+ * @param {Array[]} [styles] - Row-major matrix parallel to `matrix` of falsy or `{color, backgroundColor}` objects rendered as inline styles.
+ * @returns {string}
+ */
+function stringifyHtmlTable(matrix, headers, styles) {
+    var html = '<table>';
+
+    if (headers) {
+        html += '<thead><tr>' + headers.map(function(header) {
+            return '<th>' + escapeHtml(header) + '</th>';
+        }).join('') + '</tr></thead>';
+    }
+
+    html += '<tbody>' + matrix.map(function(row, r) {
+        return '<tr>' + row.map(function(value, c) {
+            return '<td' + styleAttribute(styles && styles[r] && styles[r][c]) + '>' + escapeHtml(value) + '</td>';
+        }).join('') + '</tr>';
+    }).join('') + '</tbody></table>';
+
+    return html;
+}
+
+/**
+ * @param {undefined|{color: string, backgroundColor: string}} style
+ * @returns {string}
+ * @private
+ */
+function styleAttribute(style) {
+    var declarations = [];
+
+    if (style) {
+        if (style.color) {
+            declarations.push('color:' + style.color);
+        }
+        if (style.backgroundColor) {
+            declarations.push('background-color:' + style.backgroundColor);
+        }
+    }
+
+    return declarations.length ? ' style="' + escapeHtml(declarations.join(';')) + '"' : '';
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ * @private
+ */
+function escapeHtml(value) {
+    return (value == null ? '' : String(value))
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\n/g, '<br>');
+}
+
+exports.parseDelimited = parseDelimited;
+exports.parseHtmlTable = parseHtmlTable;
+exports.parseClipboardData = parseClipboardData;
+exports.stringifyDelimited = stringifyDelimited;
+exports.stringifyHtmlTable = stringifyHtmlTable;
+exports.escapeHtml = escapeHtml;
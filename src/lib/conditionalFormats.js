@@ -0,0 +1,272 @@
+'use strict';
+
+/** @module conditionalFormats */
+
+var Conditionals = require('filter-tree/js/Conditionals');
+
+var HypergridError = require('./error');
+
+/**
+ * @typedef {object} conditionalFormatRule
+ * @summary A declarative cell style, applied at paint time to cells whose values match.
+ * @desc Rules are listed in the `conditionalFormats` column property (see {@link module:defaults.conditionalFormats}). Being plain JSON, they are saved and restored along with the rest of the column properties by {@link Behavior#getState|getState} and {@link Behavior#setState|setState}.
+ *
+ * @property {string} [type='value'] - One of:
+ * * `'value'` - The cell value compared to `operand` by `operator`.
+ * * `'column'` - The cell value compared to the value of the column named by `operand` in the same row.
+ * * `'top'` - The cell value is one of the `count` highest numbers in the column.
+ * * `'bottom'` - The cell value is one of the `count` lowest numbers in the column.
+ * * `'duplicate'` - The cell value occurs more than once in the column.
+ * * `'unique'` - The cell value occurs exactly once in the column.
+ * * `'expression'` - The cell value satisfies `expression`, a {@link module:conditionalFormats.compile|condition expression} (_e.g.,_ `'>= 10 and < 20'` or `'begins abc or contains "x y"'`).
+ * @property {string} [operator='='] - For `'value'` and `'column'` rules, a relational operator, any of those accepted by hyper-filter (`<`, `<=`, `=`, `>=`, `>`, `<>`, `LIKE`, `IN`, `CONTAINS`, `BEGINS`, `ENDS`, _etc._).
+ * @property {*} [operand] - For `'value'` rules, the comparand; for `'column'` rules, a column name.
+ * @property {number} [count=10] - For `'top'` and `'bottom'` rules.
+ * @property {boolean} [percent=false] - For `'top'` and `'bottom'` rules, `count` is a percentage of the column's numbers.
+ * @property {string} [expression] - For `'expression'` rules.
+ * @property {object} properties - Render properties to set when the rule matches, such as `backgroundColor`, `color`, `font`, `renderer` (_e.g.,_ to draw a data bar), or `leftIcon` and `rightIcon` (names of images from the `images` module).
+ * @property {boolean} [stopIfTrue=false] - When the rule matches, skip the rules that follow.
+ */
+
+/**
+ * Relational operators, keyed by name. These are hyper-filter's operators except that `CONTAINS`, `BEGINS`, and `ENDS` (and their negations) are always case-insensitive, independent of the filter's case sensitivity setting.
+ * @type {object}
+ * @memberOf module:conditionalFormats
+ */
+var ops = Object.create(Conditionals.prototype.ops);
+
+ops.CONTAINS = { test: function(a, b) { return lower(a).indexOf(lower(b)) >= 0; } };
+ops['NOT CONTAINS'] = { test: function(a, b) { return !ops.CONTAINS.test(a, b); } };
+ops.BEGINS = { test: function(a, b) { b = lower(b); return lower(a).substr(0, b.length) === b; } };
+ops['NOT BEGINS'] = { test: function(a, b) { return !ops.BEGINS.test(a, b); } };
+ops.ENDS = { test: function(a, b) { b = lower(b); return !b.length || lower(a).substr(-b.length) === b; } };
+ops['NOT ENDS'] = { test: function(a, b) { return !ops.ENDS.test(a, b); } };
+
+var OPERATOR_NAMES = [];
+for (var key in ops) {
+    if (key !== 'undefined') {
+        OPERATOR_NAMES.push(key);
+    }
+}
+OPERATOR_NAMES.sort(function(a, b) { return b.length - a.length; }); // match longest first
+
+var REGEX_TERM = new RegExp('^(' + OPERATOR_NAMES.map(function(name) {
+        var pattern = name.replace(/\s+/g, '\\s+');
+        return /^\w/.test(name) ? pattern + '(?=\\s)' : pattern; // word operators must be followed by white space
+    }).join('|') + ')?\\s*(.*)$', 'i'),
+    REGEX_BOOLEAN = /\s+(and|or|nor)\s+/ig,
+    REGEX_LITERAL = /"([^"]*)"/g,
+    REGEX_LITERAL_TOKEN = /^\u0001(\d+)\u0001$/;
+
+/**
+ * @summary Evaluate a list of rules for one cell.
+ * @param {conditionalFormatRule[]} rules
+ * @param {*} value - The cell value.
+ * @param {object} dataRow - The cell's row.
+ * @param {function} getColumnValues - Returns all the values in the cell's column. Only called (once per `cache`) when there are `'top'`, `'bottom'`, `'duplicate'`, or `'unique'` rules.
+ * @param {object} cache - Holds column statistics and compiled expressions between calls. Pass the same (initially empty) object for every cell in a column for as long as the column's data is unchanged.
+ * @returns {object|undefined} The render properties of the matching rules (earlier rules taking precedence); or `undefined` when none match.
+ * @memberOf module:conditionalFormats
+ */
+function evaluate(rules, value, dataRow, getColumnValues, cache) {
+    var properties;
+
+    for (var i = 0; i < rules.length; i++) {
+        var rule = rules[i];
+        if (test(rule, value, dataRow, getColumnValues, cache, i)) {
+            properties = properties || {};
+            for (var key in rule.properties) {
+                if (!(key in properties)) {
+                    properties[key] = rule.properties[key];
+                }
+            }
+            if (rule.stopIfTrue) {
+                break;
+            }
+        }
+    }
+
+    return properties;
+}
+
+/**
+ * @summary Test a single rule.
+ * @param {conditionalFormatRule} rule
+ * @param {*} value
+ * @param {object} dataRow
+ * @param {function} getColumnValues
+ * @param {object} cache
+ * @param {number} index - Key for the rule's entry in `cache`.
+ * @returns {boolean}
+ * @memberOf module:conditionalFormats
+ */
+function test(rule, value, dataRow, getColumnValues, cache, index) {
+    var entry;
+
+    switch (rule.type || 'value') {
+        case 'value':
+            return compare(value, rule.operator, rule.operand);
+
+        case 'column':
+            return compare(value, rule.operator, dataRow[rule.operand]);
+
+        case 'top':
+        case 'bottom':
+            entry = cached(cache, index, function() {
+                return threshold(getValues(cache, getColumnValues), rule);
+            });
+            return isNumber(value) && entry !== undefined && (
+                rule.type === 'top' ? value >= entry : value <= entry
+            );
+
+        case 'duplicate':
+        case 'unique':
+            entry = cached(cache, 'counts', function() {
+                return countValues(getValues(cache, getColumnValues));
+            });
+            return value !== undefined && value !== null && value !== '' &&
+                (entry[keyOf(value)] > 1) === (rule.type === 'duplicate');
+
+        case 'expression':
+            entry = cached(cache, index, function() {
+                return compile(rule.expression);
+            });
+            return entry(value);
+
+        default:
+            throw new HypergridError('Unknown conditional format rule type "' + rule.type + '".');
+    }
+}
+
+/**
+ * @summary Convert a condition expression into a predicate.
+ * @desc The grammar of condition expressions is defined here. Although similar to hyper-filter's column filter syntax (CQL), it is a separate language that does not depend on any filter being installed:
+ * * An expression is one or more terms joined by `and`, `or`, or `nor` (the same one throughout; case-insensitive).
+ * * A term is an optional operator (any of the names in {@link module:conditionalFormats.ops|ops}; default `=`) followed by an operand.
+ * * An operand may be enclosed in double quotes to include spaces, operators, or `and`, `or`, and `nor`. (Quoted operands may not themselves contain double quotes.)
+ *
+ * There are no parentheses and no column references.
+ * @param {string} expression
+ * @returns {function} Called with a value; returns a boolean.
+ * @memberOf module:conditionalFormats
+ */
+function compile(expression) {
+    var literals = [],
+        text = String(expression).replace(REGEX_LITERAL, function(match, literal) {
+            return '\u0001' + (literals.push(literal) - 1) + '\u0001';
+        }),
+        booleans = (text.match(REGEX_BOOLEAN) || []).map(function(bool) {
+            return bool.trim().toLowerCase();
+        }),
+        boolean = booleans[0] || 'and';
+
+    if (booleans.some(function(bool) { return bool !== boolean; })) {
+        throw new HypergridError('Expected homogeneous boolean operators in conditional format expression "' + expression + '".');
+    }
+
+    var terms = text.split(REGEX_BOOLEAN).filter(function(part, i) {
+        return !(i % 2); // discard the captured booleans
+    }).map(function(term) {
+        var parts = term.trim().match(REGEX_TERM),
+            operator = (parts[1] || '=').replace(/\s+/g, ' ').toUpperCase(),
+            operand = parts[2],
+            literal = operand.match(REGEX_LITERAL_TOKEN);
+
+        if (literal) {
+            operand = literals[literal[1]];
+        } else if (!operand) {
+            throw new HypergridError('Expected an operand in conditional format expression "' + expression + '".');
+        }
+
+        return { operator: operator, operand: operand };
+    });
+
+    return function(value) {
+        function satisfies(term) {
+            return compare(value, term.operator, term.operand);
+        }
+        switch (boolean) {
+            case 'and': return terms.every(satisfies);
+            case 'or': return terms.some(satisfies);
+            case 'nor': return !terms.some(satisfies);
+        }
+    };
+}
+
+/**
+ * @param {*} value
+ * @param {string} [operator='=']
+ * @param {*} operand - Coerced to a number or date to match a numeric or date `value`.
+ * @returns {boolean}
+ * @private
+ */
+function compare(value, operator, operand) {
+    var op = ops[(operator || '=').toUpperCase()];
+
+    if (!op) {
+        throw new HypergridError('Unknown conditional format operator "' + operator + '".');
+    }
+
+    if (value instanceof Date) {
+        value = value.getTime();
+        operand = (operand instanceof Date ? operand : new Date(operand)).getTime();
+    } else if (isNumber(value) && typeof operand === 'string' && operand.trim() !== '' && !isNaN(operand)) {
+        operand = Number(operand);
+    }
+
+    return op.test(value, operand);
+}
+
+/**
+ * @param {number[]} values
+ * @param {conditionalFormatRule} rule
+ * @returns {number|undefined} The lowest of the top values (or highest of the bottom values).
+ * @private
+ */
+function threshold(values, rule) {
+    var numbers = values.filter(isNumber).sort(function(a, b) {
+            return rule.type === 'top' ? b - a : a - b;
+        }),
+        count = rule.count === undefined ? 10 : rule.count;
+
+    if (rule.percent) {
+        count = Math.ceil(numbers.length * count / 100);
+    }
+
+    if (count > 0 && numbers.length) {
+        return numbers[Math.min(count, numbers.length) - 1];
+    }
+}
+
+function countValues(values) {
+    return values.reduce(function(counts, value) {
+        var key = keyOf(value);
+        counts[key] = (counts[key] || 0) + 1;
+        return counts;
+    }, {});
+}
+
+function keyOf(value) {
+    return typeof value + ':' + (value instanceof Date ? value.getTime() : value);
+}
+
+function getValues(cache, getColumnValues) {
+    return cached(cache, 'values', getColumnValues);
+}
+
+function cached(cache, key, compute) {
+    return key in cache ? cache[key] : (cache[key] = compute());
+}
+
+function lower(value) {
+    return value === undefined || value === null ? '' : String(value).toLowerCase();
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+exports.evaluate = evaluate;
+exports.test = test;
+exports.compile = compile;
+exports.ops = ops;
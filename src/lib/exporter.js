@@ -0,0 +1,317 @@
+'use strict';
+
+/**
+ * @module exporter
+ * @desc Export the grid's data as CSV, TSV, JSON, or a SpreadsheetML 2003 (Excel XML) workbook.
+ *
+ * Everything here works on the grid's behavior, data model, selection model, and localization only; no canvas or DOM is required so exports may be generated (and tested) headlessly.
+ */
+
+var clipboard = require('./clipboard');
+var valOrFunc = require('./valOrFunc');
+
+/**
+ * @typedef {object} exportTable
+ * @summary Format-agnostic description of the data to export.
+ * @property {{name: string, header: string}[]} columns
+ * @property {undefined|string[]} headers - Header row; `undefined` to omit.
+ * @property {Array[]} topTotals - Row-major matrix of values; may be empty.
+ * @property {Array[]} rows - Row-major matrix of data values.
+ * @property {Array[]} bottomTotals - Row-major matrix of values; may be empty.
+ */
+
+/**
+ * @summary Hash of serializers keyed by export format name.
+ * @desc Each serializer is called with an {@link exportTable} and the export options and returns a string. The application developer may add additional serializers.
+ * @type {object}
+ */
+var serializers = {
+
+    /**
+     * Comma-separated values with CRLF line breaks (RFC 4180).
+     */
+    csv: function(table) {
+        return clipboard.stringifyDelimited(allRows(table), ',', '\r\n');
+    },
+
+    /**
+     * Tab-separated values.
+     */
+    tsv: function(table) {
+        return clipboard.stringifyDelimited(allRows(table), '\t', '\n');
+    },
+
+    /**
+     * An array of data row objects keyed by column name. When the table includes totals, an object instead with `topTotals`, `data`, and `bottomTotals` arrays of row objects. (The header row is implied by the keys.)
+     */
+    json: function(table) {
+        function toObject(values) {
+            return values.reduce(function(row, value, c) {
+                row[table.columns[c].name] = value;
+                return row;
+            }, {});
+        }
+
+        var data = table.rows.map(toObject);
+
+        if (table.topTotals.length || table.bottomTotals.length) {
+            data = {
+                topTotals: table.topTotals.map(toObject),
+                data: data,
+                bottomTotals: table.bottomTotals.map(toObject)
+            };
+        }
+
+        return JSON.stringify(data);
+    },
+
+    /**
+     * SpreadsheetML 2003 workbook (the "XML Spreadsheet" format opened natively by Excel) containing a single worksheet. Numbers, booleans, and dates are typed accordingly; header and totals rows are bold.
+     */
+    xml: function(table, options) {
+        function toRow(styleId) {
+            return function(values) {
+                return '<Row' + (styleId ? ' ss:StyleID="' + styleId + '"' : '') + '>' +
+                    values.map(toCell).join('') +
+                    '</Row>';
+            };
+        }
+
+        return '<?xml version="1.0"?>\n' +
+            '<?mso-application progid="Excel.Sheet"?>\n' +
+            '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">' +
+            '<Styles>' +
+            '<Style ss:ID="header"><Font ss:Bold="1"/></Style>' +
+            '<Style ss:ID="totals"><Font ss:Bold="1"/></Style>' +
+            '<Style ss:ID="date"><NumberFormat ss:Format="Short Date"/></Style>' +
+            '</Styles>' +
+            '<Worksheet ss:Name="' + escapeXml(options && options.sheetName || 'Sheet1') + '">' +
+            '<Table>' +
+            (table.headers ? [table.headers] : []).map(toRow('header')).join('') +
+            table.topTotals.map(toRow('totals')).join('') +
+            table.rows.map(toRow()).join('') +
+            table.bottomTotals.map(toRow('totals')).join('') +
+            '</Table>' +
+            '</Worksheet>' +
+            '</Workbook>';
+    }
+};
+
+/**
+ * @summary Export grid data as a string.
+ * @param {Hypergrid} grid
+ * @param {object} [options]
+ * @param {string} [options.format='csv'] - One of the keys of {@link module:exporter.serializers|serializers}: `'csv'`, `'tsv'`, `'json'`, or `'xml'` (SpreadsheetML 2003).
+ * @param {string} [options.scope='filtered'] - Which rows and columns to export. All scopes are limited to the active (non-hidden) columns in their current order:
+ * * `'all'` - All rows of the data source, unfiltered and in their original order.
+ * * `'filtered'` - The rows of the current view (filtered and sorted), as returned by `dataModel.getIndexedData()`.
+ * * `'selection'` - The selected rows and columns of the current view. All cell selection regions are merged; failing cell selections, row or column selections are used.
+ * @param {boolean} [options.formatted=false] - Format values with the localizer named in each cell's `format` property (the cell's own; else its subgrid's; else its column's).
+ * @param {boolean} [options.headers=true] - Include a header row.
+ * @param {boolean} [options.totals=false] - Include the `topTotals` and `bottomTotals` summary subgrid rows.
+ * @param {string} [options.sheetName='Sheet1'] - Worksheet name (`'xml'` format only).
+ * @returns {string}
+ */
+function exportGrid(grid, options) {
+    options = options || {};
+
+    var format = options.format || 'csv',
+        serializer = serializers[format];
+
+    if (!serializer) {
+        throw new grid.HypergridError('Unknown export format "' + format + '".');
+    }
+
+    return serializer(getTable(grid, options), options);
+}
+
+/**
+ * @summary Gather the data to export.
+ * @param {Hypergrid} grid
+ * @param {object} options - See {@link module:exporter~exportGrid|exportGrid}.
+ * @returns {exportTable}
+ */
+function getTable(grid, options) {
+    var behavior = grid.behavior,
+        dataModel = behavior.dataModel,
+        columns = behavior.getActiveColumns(),
+        dataRows, selection;
+
+    switch (options.scope || 'filtered') {
+        case 'all':
+            dataRows = dataModel.getData();
+            break;
+        case 'filtered':
+            dataRows = dataModel.getIndexedData();
+            break;
+        case 'selection':
+            selection = getSelection(grid);
+            columns = selection.columns;
+            dataRows = selection.rows.map(dataModel.getRow, dataModel);
+            break;
+        default:
+            throw new grid.HypergridError('Unknown export scope "' + options.scope + '".');
+    }
+
+    var formatters = {};
+
+    // as per the cell's `format` property, resolved as by the renderer
+    function format(value, column, cellProperties, subgridProperties) {
+        if (!options.formatted) {
+            return value;
+        }
+
+        var name = cellProperties && cellProperties.hasOwnProperty('format') ? cellProperties.format
+            : subgridProperties && subgridProperties.hasOwnProperty('format') ? subgridProperties.format
+            : column.properties.format;
+
+        return (formatters[name] = formatters[name] || grid.getFormatter(name))(value);
+    }
+
+    function getValues(dataRow) {
+        return columns.map(function(column) {
+            var value = valOrFunc.call(dataRow, column, null);
+            return value === null ? '' : format(value, column, dataRow && dataRow.__META && dataRow.__META[column.name], dataModel.properties);
+        });
+    }
+
+    function getSummaryValues(name) {
+        var subgrid = options.totals && behavior.subgrids[name];
+        return !subgrid ? [] : subgrid.getData().map(function(summaryRow) {
+            return columns.map(function(column) {
+                var value = summaryRow[column.index];
+                return value == null ? '' : format(value, column, undefined, subgrid.properties);
+            });
+        });
+    }
+
+    return {
+        columns: columns.map(function(column) {
+            return { name: column.name, header: column.header || column.name };
+        }),
+        headers: options.headers === false ? undefined : columns.map(function(column) {
+            return column.header || column.name;
+        }),
+        topTotals: getSummaryValues('topTotals'),
+        rows: dataRows.map(getValues),
+        bottomTotals: getSummaryValues('bottomTotals')
+    };
+}
+
+/**
+ * @param {Hypergrid} grid
+ * @returns {{columns: Column[], rows: number[]}} Active columns and data row indexes covered by the current selection(s).
+ * @private
+ */
+function getSelection(grid) {
+    var behavior = grid.behavior,
+        sm = grid.selectionModel,
+        xs = {},
+        ys = {};
+
+    function add(hash, first, last) {
+        for (var i = Math.min(first, last), n = Math.max(first, last); i <= n; i++) {
+            hash[i] = true;
+        }
+    }
+
+    if (sm.hasSelections()) {
+        sm.getSelections().forEach(function(rect) {
+            add(xs, rect.origin.x, rect.corner.x);
+            add(ys, rect.origin.y, rect.corner.y);
+        });
+    } else if (sm.hasRowSelections()) {
+        add(xs, 0, behavior.getActiveColumnCount() - 1);
+        sm.getSelectedRows().forEach(function(y) { ys[y] = true; });
+    } else if (sm.hasColumnSelections()) {
+        sm.getSelectedColumns().forEach(function(x) { xs[x] = true; });
+        add(ys, 0, behavior.dataModel.getRowCount() - 1);
+    }
+
+    return {
+        columns: sortedKeys(xs).map(behavior.getActiveColumn, behavior),
+        rows: sortedKeys(ys)
+    };
+}
+
+/**
+ * @param {object} hash
+ * @returns {number[]}
+ * @private
+ */
+function sortedKeys(hash) {
+    return Object.keys(hash).map(Number).sort(function(a, b) { return a - b; });
+}
+
+/**
+ * @param {exportTable} table
+ * @returns {Array[]} All the rows to export in order.
+ * @private
+ */
+function allRows(table) {
+    return (table.headers ? [table.headers] : [])
+        .concat(table.topTotals, table.rows, table.bottomTotals);
+}
+
+/**
+ * @param {*} value
+ * @returns {string} SpreadsheetML `<Cell>` element.
+ * @private
+ */
+function toCell(value) {
+    var type, style = '';
+
+    if (typeof value === 'number' && isFinite(value)) {
+        type = 'Number';
+    } else if (typeof value === 'boolean') {
+        type = 'Boolean';
+        value = value ? 1 : 0;
+    } else if (value instanceof Date && !isNaN(value)) {
+        type = 'DateTime';
+        style = ' ss:StyleID="date"';
+        value = toLocalISOString(value);
+    } else {
+        type = 'String';
+        value = escapeXml(value);
+    }
+
+    return '<Cell' + style + '><Data ss:Type="' + type + '">' + value + '</Data></Cell>';
+}
+
+/**
+ * SpreadsheetML dates have no time zone so use local time.
+ * @param {Date} date
+ * @returns {string}
+ * @private
+ */
+function toLocalISOString(date) {
+    function pad(n, width) {
+        n = String(n);
+        while (n.length < (width || 2)) {
+            n = '0' + n;
+        }
+        return n;
+    }
+
+    return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) +
+        'T' + pad(date.getHours()) + ':' + pad(date.getMinutes()) + ':' + pad(date.getSeconds()) +
+        '.' + pad(date.getMilliseconds(), 3);
+}
+
+/**
+ * @param {*} value
+ * @returns {string}
+ * @private
+ */
+function escapeXml(value) {
+    return (value == null ? '' : String(value))
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/\r?\n/g, '&#10;');
+}
+
+exports.exportGrid = exportGrid;
+exports.getTable = getTable;
+exports.serializers = serializers;
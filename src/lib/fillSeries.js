@@ -0,0 +1,204 @@
+'use strict';
+
+var WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * @summary Continue a series of values, spreadsheet style.
+ * @desc Used by {@link Hypergrid#fill} to compute the values dragged out with the fill handle. The series detected is one of:
+ * * **Numbers** - When two or more numbers differ by a constant step, the step is continued. (A single number is copied.)
+ * * **Dates** - `Date` objects are continued by a constant number of months when they all fall on the same day of the month and time of day; else by a constant number of calendar days when they all fall at the same time of day (so the time of day is kept across daylight saving time changes); otherwise by a constant number of milliseconds. A single date is continued a day at a time.
+ * * **Weekdays** - Full (`'Monday'`) or abbreviated (`'Mon'`) weekday names, in any case, are continued by a constant number of days (one day when only a single name). The style of the last name is followed.
+ *
+ * Anything else (including mixed types) is copied, repeating the source values in order.
+ * @param {Array} values - Source values, ordered toward the cells to be filled (_i.e.,_ the last value is adjacent to the first cell to be filled).
+ * @param {number} count - Number of values to generate.
+ * @returns {Array}
+ * @module fillSeries
+ */
+function fillSeries(values, count) {
+    return numberSeries(values, count) ||
+        dateSeries(values, count) ||
+        weekdaySeries(values, count) ||
+        copySeries(values, count);
+}
+
+function numberSeries(values, count) {
+    if (values.length > 1 && values.every(isNumber)) {
+        var step = constantStep(values);
+        if (step !== undefined) {
+            var places = Math.max.apply(null, values.map(decimalPlaces)),
+                last = values[values.length - 1];
+            return series(count, function(i) {
+                return round(last + step * i, places);
+            });
+        }
+    }
+}
+
+function dateSeries(values, count) {
+    if (values.length && values.every(isDate)) {
+        var last = values[values.length - 1],
+            months = values.map(monthNumber),
+            step;
+
+        if (values.length > 1 && values.every(sameDayOfMonthAndTime) && (step = constantStep(months))) {
+            return series(count, function(i) {
+                var date = new Date(last.getTime());
+                date.setMonth(date.getMonth() + step * i);
+                return date;
+            });
+        }
+
+        step = values.length > 1 ? values.every(sameTime) && constantStep(values.map(dayNumber)) : 1;
+        if (step) {
+            return series(count, function(i) {
+                var date = new Date(last.getTime());
+                date.setDate(date.getDate() + step * i);
+                return date;
+            });
+        }
+
+        step = constantStep(values.map(getTime));
+        if (step !== undefined) {
+            return series(count, function(i) {
+                return new Date(last.getTime() + step * i);
+            });
+        }
+    }
+
+    function sameDayOfMonthAndTime(date) {
+        return date.getDate() === last.getDate() && sameTime(date);
+    }
+
+    function sameTime(date) {
+        return (
+            date.getHours() === last.getHours() &&
+            date.getMinutes() === last.getMinutes() &&
+            date.getSeconds() === last.getSeconds() &&
+            date.getMilliseconds() === last.getMilliseconds()
+        );
+    }
+}
+
+function weekdaySeries(values, count) {
+    var days = values.map(weekdayNumber);
+
+    if (days.length && days.every(isNumber)) {
+        var step = days.length > 1 ? constantStep(unwrap(days)) : 1;
+        if (step !== undefined) {
+            var last = values[values.length - 1],
+                lastDay = days[days.length - 1];
+            return series(count, function(i) {
+                return styleLike(WEEKDAYS[((lastDay + step * i) % 7 + 7) % 7], last);
+            });
+        }
+    }
+}
+
+function copySeries(values, count) {
+    return series(count, function(i) {
+        return values[(i - 1) % values.length];
+    });
+}
+
+/**
+ * @param {number} count
+ * @param {function} generate - Called with 1 through `count`.
+ * @returns {Array}
+ * @private
+ */
+function series(count, generate) {
+    var result = new Array(count);
+    for (var i = 1; i <= count; i++) {
+        result[i - 1] = generate(i);
+    }
+    return result;
+}
+
+/**
+ * @param {number[]} numbers
+ * @returns {number|undefined} The difference between consecutive numbers when constant (within rounding error).
+ * @private
+ */
+function constantStep(numbers) {
+    var step = numbers[1] - numbers[0],
+        tolerance = 1e-9 * Math.max(1, Math.abs(step));
+
+    for (var i = 2; i < numbers.length; i++) {
+        if (Math.abs(numbers[i] - numbers[i - 1] - step) > tolerance) {
+            return;
+        }
+    }
+
+    return step;
+}
+
+// Make weekday numbers monotonic so a series that wraps around (Fri, Sat, Sun) has a constant step.
+function unwrap(days) {
+    var ascending = days[1] >= days[0] || days[0] - days[1] > 3;
+    return days.reduce(function(result, day) {
+        var previous = result[result.length - 1];
+        if (result.length) {
+            while (ascending ? day < previous : day > previous) {
+                day += ascending ? 7 : -7;
+            }
+        }
+        result.push(day);
+        return result;
+    }, []);
+}
+
+function weekdayNumber(value) {
+    if (typeof value === 'string' && value.length >= 3) {
+        var name = value.toLowerCase();
+        for (var i = 0; i < 7; i++) {
+            if (name === WEEKDAYS[i] || name === WEEKDAYS[i].substr(0, 3)) {
+                return i;
+            }
+        }
+    }
+}
+
+function styleLike(name, example) {
+    if (example.length === 3) {
+        name = name.substr(0, 3);
+    }
+    if (example === example.toUpperCase()) {
+        name = name.toUpperCase();
+    } else if (example[0] === example[0].toUpperCase()) {
+        name = name[0].toUpperCase() + name.substr(1);
+    }
+    return name;
+}
+
+function decimalPlaces(number) {
+    var match = /\.(\d+)$/.exec(String(number));
+    return match ? match[1].length : 0;
+}
+
+function round(number, places) {
+    return Number(number.toFixed(Math.min(places, 20)));
+}
+
+function monthNumber(date) {
+    return date.getFullYear() * 12 + date.getMonth();
+}
+
+// Days since the epoch of the date's local calendar day (unaffected by daylight saving time).
+function dayNumber(date) {
+    return Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) / (24 * 60 * 60 * 1000);
+}
+
+function getTime(date) {
+    return date.getTime();
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && isFinite(value);
+}
+
+function isDate(value) {
+    return value instanceof Date && !isNaN(value.getTime());
+}
+
+module.exports = fillSeries;
@@ -0,0 +1,167 @@
+/* eslint-env browser */
+
+'use strict';
+
+var HypergridError = require('./error');
+
+var MODIFIERS = ['CTRL', 'ALT', 'SHIFT', 'META'];
+
+// key and modifier names accepted in chords, mapped to the names in `event.detail.char`
+var aliases = {
+    CONTROL: 'CTRL',
+    OPTION: 'ALT',
+    CMD: 'META',
+    COMMAND: 'META',
+    COMMANDLEFT: 'META',
+    COMMANDRIGHT: 'META',
+    ESCAPE: 'ESC',
+    ENTER: 'RETURN',
+    DEL: 'DELETE',
+    HOME: 'PAGELEFT',
+    END: 'PAGERIGHT',
+    ARROWUP: 'UP',
+    ARROWDOWN: 'DOWN',
+    ARROWLEFT: 'LEFT',
+    ARROWRIGHT: 'RIGHT',
+    SPACEBAR: 'SPACE'
+};
+
+/**
+ * @typedef {string} keyChord
+ * @summary A key with optional modifiers, joined with `+`, _e.g._ `'Ctrl+Shift+Z'` or `'PAGEDOWN'`.
+ * @desc Case-insensitive. Modifiers are `Ctrl`, `Alt`, `Shift`, `Meta` (the Mac Command key), and `Mod` (Command on a Mac, Ctrl elsewhere). Keys are the names in `event.detail.char` without the `SHIFT` suffix (`UP`, `PAGEDOWN`, `F2`, `SPACE`, `RETURN`, _etc._) plus the aliases `Home`, `End`, `Enter`, and `Escape`. Letters may be given in either case.
+ *
+ * `Shift` is ignored for keys other than letters because the key itself is shifted: Bind `'!'` rather than `'Shift+1'`.
+ */
+
+/**
+ * @summary Key chord parsing and lookup for the `keymap` grid property.
+ * @desc The grid's `keymap` property binds {@link keyChord|key chords} to command names. On each keydown, {@link Behavior#onKeyDown} puts the command name bound to the chord in `event.detail.command`, which the features handle (see {@link Hypergrid#addCommand} for application commands).
+ * @module keymap
+ */
+var keymap = {
+
+    /**
+     * Whether the `Mod` modifier means the Command key (`Meta`) rather than `Ctrl`.
+     * @type {boolean}
+     * @memberOf module:keymap
+     */
+    isMac: typeof navigator !== 'undefined' && /Mac|iPhone|iPad|iPod/.test(navigator.platform),
+
+    /**
+     * @param {keyChord} chord
+     * @returns {string} The chord in canonical form: upper case with modifiers in the order Ctrl, Alt, Shift, Meta (_e.g._, `'CTRL+SHIFT+Z'`).
+     * @memberOf module:keymap
+     */
+    normalize: function(chord) {
+        var parts = String(chord).split(/\+(?=.)/),
+            key = getKey(parts.pop()),
+            modifiers = {};
+
+        parts.forEach(function(name) {
+            var modifier = name.toUpperCase();
+            modifier = aliases[modifier] || modifier;
+            if (modifier === 'MOD') {
+                modifier = keymap.isMac ? 'META' : 'CTRL';
+            }
+            if (MODIFIERS.indexOf(modifier) < 0) {
+                throw new HypergridError('Unknown modifier "' + name + '" in key chord "' + chord + '".');
+            }
+            modifiers[modifier] = true;
+        });
+
+        return makeChord(modifiers, key);
+    },
+
+    /**
+     * @param {object} detail - The `detail` of a `fin-canvas-keydown` event.
+     * @returns {string|undefined} The event's key chord in canonical form; `undefined` for unmapped keys.
+     * @memberOf module:keymap
+     */
+    getChord: function(detail) {
+        var char = detail.char,
+            key;
+
+        if (char) {
+            // 'UPSHIFT' -> 'UP' but not 'SHIFT' -> ''
+            key = getKey(char.length > 5 && /SHIFT$/.test(char) ? char.substr(0, char.length - 5) : char);
+
+            return makeChord({
+                CTRL: detail.ctrl,
+                ALT: detail.alt,
+                SHIFT: detail.shift && (key.length > 1 || key.toLowerCase() !== key),
+                META: detail.meta
+            }, key);
+        }
+    },
+
+    /**
+     * @param {object} bindings - Hash of command names keyed by {@link keyChord|key chord} (the `keymap` grid property).
+     * @param {object} detail - The `detail` of a `fin-canvas-keydown` event.
+     * @returns {string|undefined} Name of the command bound to the event's key chord.
+     * @memberOf module:keymap
+     */
+    getCommand: function(bindings, detail) {
+        var chord = bindings && keymap.getChord(detail);
+
+        if (chord) {
+            for (var key in bindings) {
+                if (bindings[key] && keymap.normalize(key) === chord) {
+                    return bindings[key];
+                }
+            }
+        }
+    },
+
+    /**
+     * @param {object} bindings - Hash of command names keyed by {@link keyChord|key chord}.
+     * @param {object} moreBindings - Bindings to add, replacing any bindings of the same chords (however written). A falsy command name removes the binding.
+     * @returns {object} A new hash (`bindings` is not modified).
+     * @memberOf module:keymap
+     */
+    extend: function(bindings, moreBindings) {
+        var chords = Object.keys(moreBindings).map(keymap.normalize),
+            result = {};
+
+        Object.keys(bindings || {}).forEach(function(key) {
+            if (chords.indexOf(keymap.normalize(key)) < 0) {
+                result[key] = bindings[key];
+            }
+        });
+
+        Object.keys(moreBindings).forEach(function(key) {
+            if (moreBindings[key]) {
+                result[key] = moreBindings[key];
+            }
+        });
+
+        return result;
+    }
+};
+
+/**
+ * @param {string} name
+ * @returns {string} Canonical key name.
+ * @private
+ */
+function getKey(name) {
+    if (name.length === 1) {
+        return name.toUpperCase();
+    }
+    name = name.toUpperCase();
+    return aliases[name] || name;
+}
+
+/**
+ * @param {object} modifiers - Hash of booleans keyed by modifier name.
+ * @param {string} key - Canonical key name.
+ * @returns {string}
+ * @private
+ */
+function makeChord(modifiers, key) {
+    return MODIFIERS.filter(function(modifier) {
+        return modifiers[modifier] && modifier !== key; // the Ctrl key itself is just 'CTRL'
+    }).concat(key).join('+');
+}
+
+module.exports = keymap;
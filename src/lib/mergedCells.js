@@ -0,0 +1,183 @@
+'use strict';
+
+/**
+ * @module mergedCells
+ * @summary Helpers for merged (spanning) cells.
+ * @desc See {@link Behavior#setMergedCells} and the `autoMerge` column property.
+ */
+
+/**
+ * @typedef {object} mergedRangeObject
+ * @summary A rectangle of cells painted, selected, and navigated as a single cell.
+ * @desc The value (and render properties) of the merged cell are those of its top-left cell.
+ * @property {number} x - Grid column index (_i.e.,_ index into the active columns) of the leftmost column.
+ * @property {number} y - Row index, local to the subgrid, of the top row.
+ * @property {number} width - Number of columns.
+ * @property {number} height - Number of rows.
+ */
+
+/**
+ * @param {mergedRangeObject[]} [ranges]
+ * @param {number} x - Grid column index.
+ * @param {number} y - Subgrid row index.
+ * @returns {mergedRangeObject|undefined} The first range containing the cell.
+ * @memberOf module:mergedCells
+ */
+function find(ranges, x, y) {
+    if (ranges) {
+        for (var i = 0, n = ranges.length; i < n; i++) {
+            if (contains(ranges[i], x, y)) {
+                return ranges[i];
+            }
+        }
+    }
+}
+
+/**
+ * @param {mergedRangeObject} range
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ * @memberOf module:mergedCells
+ */
+function contains(range, x, y) {
+    return (
+        range.x <= x && x < range.x + range.width &&
+        range.y <= y && y < range.y + range.height
+    );
+}
+
+/**
+ * @summary The run of identical consecutive values that includes a row.
+ * @desc Empty values (`undefined`, `null`, and `''`) are never merged. Dates are compared by time.
+ *
+ * Runs are cached in `cache` by row index so that subsequent calls for any row in the same run return the same object without rescanning.
+ * @param {function} getValue - Called with a row index; returns the column's value for that row.
+ * @param {number} y - Row index.
+ * @param {number} rowCount
+ * @param {Array} cache - Sparse array of runs indexed by row.
+ * @param {number} x - Grid column index for the returned range.
+ * @returns {mergedRangeObject|undefined} The run; or `undefined` when the row's value is not repeated in an adjacent row.
+ * @memberOf module:mergedCells
+ */
+function getRun(getValue, y, rowCount, cache, x) {
+    if (y in cache) {
+        return cache[y];
+    }
+
+    var value = getValue(y),
+        top = y,
+        bottom = y,
+        run;
+
+    if (!isEmpty(value)) {
+        while (top > 0 && same(getValue(top - 1), value)) {
+            top--;
+        }
+        while (bottom < rowCount - 1 && same(getValue(bottom + 1), value)) {
+            bottom++;
+        }
+    }
+
+    if (bottom > top) {
+        run = { x: x, y: top, width: 1, height: bottom - top + 1 };
+    }
+
+    for (var r = top; r <= bottom; r++) {
+        cache[r] = run;
+    }
+
+    return run;
+}
+
+/**
+ * @summary Grow a rectangle of cells to include all the merged ranges it overlaps.
+ * @desc Only the declared ranges and the auto-merged runs in the rectangle's columns are visited (rather than every cell), so the cost does not grow with the rectangle's area.
+ * @param {mergedRangeObject} rect - Not mutated.
+ * @param {mergedRangeObject[]} [ranges] - The declared ranges.
+ * @param {function} [getRuns] - Called with a grid column index; returns `undefined` when the column has no auto-merged runs; else a function called with a row index returning the run containing the row, if any (see {@link module:mergedCells.getRun|getRun}).
+ * @returns {mergedRangeObject} A new rectangle.
+ * @memberOf module:mergedCells
+ */
+function expand(rect, ranges, getRuns) {
+    var result = { x: rect.x, y: rect.y, width: rect.width, height: rect.height },
+        columns = {}, // run lookups by column, so each column is asked once
+        grown = true;
+
+    while (grown) {
+        grown = false;
+
+        if (ranges) {
+            for (var i = 0, n = ranges.length; i < n; i++) {
+                if (overlaps(result, ranges[i]) && union(result, ranges[i])) {
+                    grown = true;
+                }
+            }
+        }
+
+        if (getRuns) {
+            for (var x = result.x, X = x + result.width; x < X; x++) {
+                var runs = x in columns ? columns[x] : (columns[x] = getRuns(x));
+                if (runs) {
+                    for (var y = result.y, Y = y + result.height; y < Y;) {
+                        var run = runs(y);
+                        if (run) {
+                            if (union(result, run)) {
+                                grown = true;
+                            }
+                            y = run.y + run.height;
+                        } else {
+                            y++;
+                        }
+                    }
+                }
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * @returns {boolean} The two rectangles share at least one cell.
+ * @private
+ */
+function overlaps(a, b) {
+    return (
+        a.x < b.x + b.width && b.x < a.x + a.width &&
+        a.y < b.y + b.height && b.y < a.y + a.height
+    );
+}
+
+/**
+ * Extend `rect` to include `range`.
+ * @returns {boolean} `rect` changed.
+ * @private
+ */
+function union(rect, range) {
+    var left = Math.min(rect.x, range.x),
+        top = Math.min(rect.y, range.y),
+        right = Math.max(rect.x + rect.width, range.x + range.width),
+        bottom = Math.max(rect.y + rect.height, range.y + range.height),
+        changed = left !== rect.x || top !== rect.y || right - left !== rect.width || bottom - top !== rect.height;
+
+    rect.x = left;
+    rect.y = top;
+    rect.width = right - left;
+    rect.height = bottom - top;
+
+    return changed;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+function same(a, b) {
+    return a === b || a instanceof Date && b instanceof Date && a.getTime() === b.getTime();
+}
+
+exports.find = find;
+exports.contains = contains;
+exports.getRun = getRun;
+exports.expand = expand;
@@ -0,0 +1,89 @@
+'use strict';
+
+/**
+ * @summary Target cells of the spreadsheet-style keyboard navigation commands.
+ * @desc Coordinates are grid column indexes and data row indexes. Used by {@link Hypergrid#selectToDataEdgeCell|selectToDataEdgeCell}, {@link Hypergrid#selectNextCell|selectNextCell}, _etc._
+ * @module navigation
+ */
+var navigation = {
+
+    /**
+     * @summary The column or row reached by Ctrl+arrow.
+     * @desc From a non-empty cell next to another non-empty cell, the last non-empty cell of the run. Otherwise, the next non-empty cell; or the last column or row when there is none.
+     * @param {number} index - Current column or row.
+     * @param {number} step - `-1` (left or up) or `1` (right or down).
+     * @param {number} count - Number of columns or rows.
+     * @param {function(number): boolean} isEmpty - Whether the cell at the given column or row is empty.
+     * @returns {number}
+     * @memberOf module:navigation
+     */
+    findEdge: function(index, step, count, isEmpty) {
+        var last = step < 0 ? 0 : count - 1,
+            next = index + step;
+
+        if (index === last || next < 0 || next >= count) {
+            return index;
+        }
+
+        if (!isEmpty(index) && !isEmpty(next)) {
+            while (next !== last && !isEmpty(next + step)) {
+                next += step;
+            }
+        } else {
+            while (next !== last && isEmpty(next)) {
+                next += step;
+            }
+        }
+
+        return next;
+    },
+
+    /**
+     * @summary The next cell in a direction, passing over skipped cells.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} dx - `-1`, `0`, or `1`.
+     * @param {number} dy - `-1`, `0`, or `1`.
+     * @param {number} columnCount
+     * @param {number} rowCount
+     * @param {function(number, number): boolean} [isSkipped]
+     * @returns {{x: number, y: number}|undefined} `undefined` when there is no such cell before the edge of the grid.
+     * @memberOf module:navigation
+     */
+    step: function(x, y, dx, dy, columnCount, rowCount, isSkipped) {
+        for (
+            x += dx, y += dy;
+            x >= 0 && x < columnCount && y >= 0 && y < rowCount;
+            x += dx, y += dy
+        ) {
+            if (!isSkipped || !isSkipped(x, y)) {
+                return { x: x, y: y };
+            }
+        }
+    },
+
+    /**
+     * @summary The next cell in reading order (as Tab), wrapping from the end of one row to the start of the next.
+     * @param {number} x
+     * @param {number} y
+     * @param {number} step - `1` for the next cell; `-1` for the previous cell (as Shift+Tab).
+     * @param {number} columnCount
+     * @param {number} rowCount
+     * @param {function(number, number): boolean} [isSkipped]
+     * @returns {{x: number, y: number}|undefined} `undefined` when there is no such cell before the start or end of the grid.
+     * @memberOf module:navigation
+     */
+    next: function(x, y, step, columnCount, rowCount, isSkipped) {
+        var n = columnCount * rowCount;
+
+        for (var i = y * columnCount + x + step; i >= 0 && i < n; i += step) {
+            x = i % columnCount;
+            y = (i - x) / columnCount;
+            if (!isSkipped || !isSkipped(x, y)) {
+                return { x: x, y: y };
+            }
+        }
+    }
+};
+
+module.exports = navigation;
@@ -0,0 +1,193 @@
+'use strict';
+
+var HypergridError = require('./error');
+
+/**
+ * @typedef {object} themeObject
+ * @summary A named set of grid properties, typically colors and fonts.
+ * @desc Any grid property may be included (see {@link module:defaults|defaults}). Object-valued properties such as `hoverCellHighlight` replace the default object as a whole, so give all their members.
+ *
+ * Properties with special meaning:
+ * * `baseTheme` - Name of a registered theme from which this theme inherits those properties it does not define itself. Omit to inherit from `'default'` (the grid property defaults).
+ * * `vScrollbarClassPrefix` and `hScrollbarClassPrefix` - The scrollbars' CSS class name prefixes (see {@link https://github.com/openfin/finbars|finbars}).
+ *
+ * In addition, the grid's container element (and any dialog the grid opens) is given the CSS class name `hypergrid-theme-` + _name_ for the theme and for each of the themes it inherits from, for styling cell editors, tooltips, and dialogs.
+ */
+
+var registry = {};
+
+/**
+ * @summary Registry of grid themes.
+ * @desc Used by {@link Hypergrid.registerTheme} and {@link Hypergrid#applyTheme}. Comes with `'default'` (no overrides) and `'dark'` themes.
+ * @module themes
+ */
+var themes = {
+
+    /**
+     * @summary Register a theme, replacing any theme of the same name.
+     * @param {string} name
+     * @param {themeObject} theme
+     * @memberOf module:themes
+     */
+    register: function(name, theme) {
+        if (!name || typeof name !== 'string') {
+            throw new HypergridError('Expected theme name to be a string.');
+        }
+        if (name === 'default') {
+            throw new HypergridError('The default theme cannot be replaced.');
+        }
+        if (!theme || typeof theme !== 'object') {
+            throw new HypergridError('Expected theme "' + name + '" to be an object.');
+        }
+
+        registry[name] = Object.keys(theme).reduce(function(copy, key) {
+            copy[key] = theme[key];
+            return copy;
+        }, {});
+    },
+
+    /**
+     * @param {string} name
+     * @returns {boolean} A theme by that name is registered.
+     * @memberOf module:themes
+     */
+    has: function(name) {
+        return registry.hasOwnProperty(name);
+    },
+
+    /**
+     * @returns {string[]} Names of the registered themes.
+     * @memberOf module:themes
+     */
+    getNames: function() {
+        return Object.keys(registry);
+    },
+
+    /**
+     * @param {string} name
+     * @returns {string[]} Names of the theme and the themes it inherits from, from `'default'` to `name`.
+     * @memberOf module:themes
+     */
+    getLineage: function(name) {
+        var lineage = [];
+
+        while (name !== undefined) {
+            if (!registry.hasOwnProperty(name)) {
+                throw new HypergridError('Unknown theme "' + name + '".');
+            }
+            if (lineage.indexOf(name) >= 0) {
+                throw new HypergridError('Theme "' + name + '" inherits from itself.');
+            }
+            lineage.unshift(name);
+            name = name === 'default' ? undefined : registry[name].baseTheme || 'default';
+        }
+
+        return lineage;
+    },
+
+    /**
+     * @param {string} name
+     * @returns {object} The theme's properties, including those it inherits (less `baseTheme`).
+     * @memberOf module:themes
+     */
+    get: function(name) {
+        return themes.getLineage(name).reduce(function(properties, name) {
+            var theme = registry[name];
+            Object.keys(theme).forEach(function(key) {
+                if (key !== 'baseTheme') {
+                    properties[key] = theme[key];
+                }
+            });
+            return properties;
+        }, {});
+    }
+};
+
+registry.default = {};
+
+themes.register('dark', {
+    font: '13px Tahoma, Geneva, sans-serif',
+    color: 'rgb(220, 220, 220)',
+    backgroundColor: 'rgb(38, 40, 44)',
+    foregroundSelectionFont: 'bold 13px Tahoma, Geneva, sans-serif',
+    foregroundSelectionColor: 'rgb(255, 255, 255)',
+    backgroundSelectionColor: 'rgba(66, 120, 200, 0.6)',
+
+    columnHeaderFont: '12px Tahoma, Geneva, sans-serif',
+    columnHeaderColor: 'rgb(200, 200, 200)',
+    columnHeaderForegroundSelectionFont: 'bold 12px Tahoma, Geneva, sans-serif',
+    columnHeaderBackgroundColor: 'rgb(52, 55, 61)',
+    columnHeaderForegroundSelectionColor: 'rgb(255, 255, 255)',
+    columnHeaderBackgroundSelectionColor: 'rgba(255, 200, 60, 0.3)',
+    columnHeaderForegroundColumnSelectionColor: 'rgb(25, 25, 25)',
+    columnHeaderBackgroundColumnSelectionColor: 'rgb(230, 165, 30)',
+
+    rowHeaderFont: '12px Tahoma, Geneva, sans-serif',
+    rowHeaderColor: 'rgb(200, 200, 200)',
+    rowHeaderBackgroundColor: 'rgb(52, 55, 61)',
+    rowHeaderForegroundSelectionColor: 'rgb(255, 255, 255)',
+    rowHeaderForegroundSelectionFont: 'bold 12px Tahoma, Geneva, sans-serif',
+    rowHeaderBackgroundSelectionColor: 'rgba(255, 200, 60, 0.3)',
+    rowHeaderForegroundRowSelectionColor: 'rgb(25, 25, 25)',
+    rowHeaderBackgroundRowSelectionColor: 'rgb(230, 165, 30)',
+
+    filterFont: '12px Tahoma, Geneva, sans-serif',
+    filterColor: 'rgb(220, 220, 220)',
+    filterBackgroundColor: 'rgb(30, 32, 35)',
+    filterForegroundSelectionColor: 'rgb(255, 255, 255)',
+    filterBackgroundSelectionColor: 'rgb(90, 80, 40)',
+
+    treeColumnFont: '12px Tahoma, Geneva, sans-serif',
+    treeColumnColor: 'rgb(200, 200, 200)',
+    treeColumnBackgroundColor: 'rgb(52, 55, 61)',
+    treeColumnForegroundSelectionColor: 'rgb(255, 255, 255)',
+    treeColumnBackgroundSelectionColor: 'rgba(255, 200, 60, 0.3)',
+    treeColumnForegroundColumnSelectionColor: 'rgb(25, 25, 25)',
+    treeColumnBackgroundColumnSelectionColor: 'rgb(230, 165, 30)',
+
+    backgroundColor2: 'rgb(46, 48, 53)',
+    lineColor: 'rgb(70, 73, 80)',
+
+    selectionRegionOverlayColor: 'rgba(120, 160, 255, 0.15)',
+    selectionRegionOutlineColor: 'rgb(150, 180, 255)',
+
+    flashUpColor: 'rgba(0, 200, 0, 0.4)',
+    flashDownColor: 'rgba(255, 60, 60, 0.4)',
+    flashColor: 'rgba(255, 200, 0, 0.4)',
+
+    validationErrorColor: 'rgb(255, 90, 95)',
+
+    dataBarColor: 'rgb(80, 130, 200)',
+    dataBarNegativeColor: 'rgb(220, 70, 75)',
+    dataBarAxisColor: 'rgb(200, 200, 200)',
+    colorScale: ['rgb(150, 50, 55)', 'rgb(130, 115, 45)', 'rgb(45, 120, 70)'],
+
+    sparkBaselineColor: 'rgb(110, 110, 110)',
+    sparkNegativeColor: 'rgb(255, 90, 95)',
+    sparkBulletRangeColors: ['rgb(95, 95, 95)', 'rgb(80, 80, 80)', 'rgb(65, 65, 65)'],
+
+    progressColor: 'rgb(80, 130, 200)',
+    progressBackgroundColor: 'rgb(60, 63, 70)',
+    ratingColor: 'rgb(255, 192, 0)',
+    ratingEmptyColor: 'rgb(110, 110, 110)',
+    toggleColor: 'rgb(80, 130, 200)',
+    toggleOffColor: 'rgb(130, 130, 130)',
+
+    hoverCellHighlight: {
+        enabled: true,
+        backgroundColor: 'rgba(255, 255, 255, 0.15)'
+    },
+    hoverRowHighlight: {
+        enabled: true,
+        backgroundColor: 'rgba(255, 255, 255, 0.08)'
+    },
+    hoverColumnHighlight: {
+        enabled: true,
+        backgroundColor: 'rgba(255, 255, 255, 0.05)'
+    },
+
+    vScrollbarClassPrefix: 'hypergrid-dark',
+    hScrollbarClassPrefix: 'hypergrid-dark'
+});
+
+module.exports = themes;
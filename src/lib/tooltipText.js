@@ -0,0 +1,82 @@
+'use strict';
+
+var mustache = require('mustache');
+
+/**
+ * @summary Resolve the text of a cell's tooltip.
+ * @desc Used by {@link Tooltip}. The first of the following that applies is used:
+ * 1. **Invalid cells** - The validation error message (see {@link Validator}).
+ * 2. **Data cells** - The `tooltip` render property, either a function (called with the cell event; returns the text) or a string (a [mustache](https://mustache.github.io) template merged with the cell's `value`, `formattedValue`, column `name` and `header`, and the row's fields).
+ * 3. **Sparklines** - The formatted value of the point under the mouse (see {@link Hypergrid#hoverPoint}).
+ * 4. **Header cells** - The `description` render property.
+ * 5. **Overflowing text** - When the `tooltipOverflow` render property is truthy, the cell's full text if it is wider than the cell, as measured by the `getTextWidth` render property.
+ *
+ * @param {CellEvent} cellEvent
+ * @param {object} [options]
+ * @param {object} [options.hoverPoint] - The grid's {@link Hypergrid#hoverPoint|hoverPoint}.
+ * @param {CanvasRenderingContext2D} [options.gc] - For measuring text. When omitted, overflowing text is not detected.
+ * @param {string} [options.validationError] - The cell's validation error message.
+ * @returns {string|undefined} The tooltip text; or `undefined` for no tooltip.
+ * @module tooltipText
+ */
+function tooltipText(cellEvent, options) {
+    options = options || {};
+
+    var text,
+        tooltip = cellEvent.getCellProperty('tooltip'),
+        point = options.hoverPoint;
+
+    if (cellEvent.isGridCell && options.validationError) {
+        text = options.validationError;
+    } else if (cellEvent.isGridCell && tooltip) {
+        text = typeof tooltip === 'function'
+            ? tooltip(cellEvent)
+            : mustache.render(tooltip, templateContext(cellEvent));
+    } else if (cellEvent.isGridCell && point && point.gridCell.equals(cellEvent.gridCell)) {
+        text = cellEvent.grid.formatValue(cellEvent.getCellProperty('format'), point.value);
+    } else if (cellEvent.isHeaderCell && cellEvent.getCellProperty('description')) {
+        text = cellEvent.getCellProperty('description');
+    } else if (options.gc && cellEvent.getCellProperty('tooltipOverflow') && isOverflowing(cellEvent, options.gc)) {
+        text = cellEvent.formattedValue;
+    }
+
+    return text === undefined || text === null || text === '' ? undefined : String(text);
+}
+
+/**
+ * @param {CellEvent} cellEvent
+ * @returns {object} Mustache view: the row's fields plus the cell's `value`, `formattedValue`, `name`, and `header`.
+ * @private
+ */
+function templateContext(cellEvent) {
+    var context = Object.create(cellEvent.dataModel.getRow(cellEvent.dataCell.y) || null);
+
+    context.value = cellEvent.value;
+    context.formattedValue = cellEvent.formattedValue;
+    context.name = cellEvent.column.name;
+    context.header = cellEvent.column.header;
+
+    return context;
+}
+
+/**
+ * @param {CellEvent} cellEvent
+ * @param {CanvasRenderingContext2D} gc
+ * @returns {boolean} The cell's text does not fit within the cell's padded bounds.
+ * @private
+ */
+function isOverflowing(cellEvent, gc) {
+    var text = cellEvent.formattedValue,
+        getTextWidth = cellEvent.getCellProperty('getTextWidth'),
+        available = cellEvent.bounds.width - 2 * (cellEvent.getCellProperty('cellPadding') || 0);
+
+    if (typeof text !== 'string' || !text || !getTextWidth) {
+        return false;
+    }
+
+    gc.font = cellEvent.getCellProperty('font');
+
+    return getTextWidth(gc, text) > available;
+}
+
+module.exports = tooltipText;
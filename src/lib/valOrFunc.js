@@ -0,0 +1,24 @@
+'use strict';
+
+/**
+ * @summary A data row's value for a column.
+ * @desc The value is the result of the column's calculator when the row's value is a function or when the column has a `calculator`.
+ * @this {dataRowObject}
+ * @param {Column} column
+ * @param {*} [missingValue=''] - Returned when there is no row or the value is `undefined`, `null`, `''`, or `NaN`.
+ * @returns {*}
+ * @module valOrFunc
+ */
+function valOrFunc(column, missingValue) {
+    var result, calculator;
+    if (this) {
+        result = this[column.name];
+        calculator = (typeof result)[0] === 'f' && result || column.calculator;
+        if (calculator) {
+            result = calculator.call(this, column.name);
+        }
+    }
+    return result || result === 0 || result === false ? result : missingValue === undefined ? '' : missingValue;
+}
+
+module.exports = valOrFunc;
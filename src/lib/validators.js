@@ -0,0 +1,291 @@
+'use strict';
+
+/** @module validators */
+
+var HypergridError = require('./error');
+
+/**
+ * @typedef {object|function} validatorRule
+ * @summary A declarative check of a cell's value.
+ * @desc Rules are listed in the `validators` column property (see {@link module:defaults.validators}). A function is shorthand for a `'custom'` rule with that function as its `validate` member.
+ *
+ * Empty values (`undefined`, `null`, and `''`) fail `'required'` rules and pass all others.
+ *
+ * @property {string} [type='custom'] - One of:
+ * * `'required'` - The value is not empty.
+ * * `'range'` - The value is no less than `min` and no greater than `max` (either of which may be omitted).
+ * * `'regex'` - The value, as a string, matches `pattern`.
+ * * `'unique'` - The value occurs only once in the column.
+ * * `'custom'` - `validate` returns no message.
+ * @property {number|string|Date} [min] - For `'range'` rules.
+ * @property {number|string|Date} [max] - For `'range'` rules.
+ * @property {string|RegExp} [pattern] - For `'regex'` rules.
+ * @property {string} [flags] - For `'regex'` rules with a string `pattern`.
+ * @property {function} [validate] - For `'custom'` rules, called with the value and the row; returns an error message (or `true` for the rule's `message`) when invalid; falsy when valid; or a thenable (_e.g.,_ a `Promise`) resolving to same, for asynchronous (_e.g.,_ server-side) validation. A rejected thenable fails the rule.
+ * @property {string} [message] - Error message when the rule fails, in place of the default message.
+ */
+
+/**
+ * @typedef {object} rowValidatorRule
+ * @summary A check across several fields of a row.
+ * @desc Rules are listed in the `rowValidators` grid property (see {@link module:defaults.rowValidators}).
+ * @property {string[]} fields - Names of the columns whose cells are marked invalid when the rule fails.
+ * @property {function} validate - Called with the row; returns an error message (or `true` for the rule's `message`) when invalid; falsy when valid; or a thenable resolving to same. May instead return a hash of error messages keyed by column name to mark only those cells.
+ * @property {string} [message] - Error message when the rule fails, in place of the default message.
+ */
+
+var defaultMessages = {
+    required: 'Required.',
+    regex: 'Invalid format.',
+    unique: 'Duplicate value.',
+    custom: 'Invalid value.'
+};
+
+/**
+ * @summary Validate one cell.
+ * @desc Rules are tested in order; the first to fail supplies the message.
+ * @param {validatorRule[]} rules
+ * @param {*} value - The cell value.
+ * @param {object} dataRow - The cell's row.
+ * @param {function} getColumnValues - Returns all the values in the cell's column. Only called (once per `cache`) when there are `'unique'` rules.
+ * @param {object} cache - Holds column statistics and compiled patterns between calls. Pass the same (initially empty) object for every cell in a column for as long as the column's data is unchanged.
+ * @returns {string|undefined|thenable} The error message; or `undefined` when valid; or, when a rule is asynchronous, a thenable resolving to same.
+ * @memberOf module:validators
+ */
+function validateValue(rules, value, dataRow, getColumnValues, cache) {
+    return validateFrom(0);
+
+    function validateFrom(index) {
+        for (var i = index; i < rules.length; i++) {
+            var message = test(rules[i], value, dataRow, getColumnValues, cache, i);
+            if (isThenable(message)) {
+                return message.then(next(i), fail(rules[i]));
+            }
+            if (message) {
+                return message;
+            }
+        }
+    }
+
+    function next(i) {
+        return function(message) {
+            return message ? toMessage(message, rules[i]) : validateFrom(i + 1);
+        };
+    }
+}
+
+/**
+ * @summary Test a single rule.
+ * @param {validatorRule} rule
+ * @param {*} value
+ * @param {object} dataRow
+ * @param {function} getColumnValues
+ * @param {object} cache
+ * @param {number} index - Key for the rule's entry in `cache`.
+ * @returns {string|undefined|thenable} The error message; or `undefined` when valid; or a thenable resolving to the result of a `'custom'` rule's `validate` function.
+ * @memberOf module:validators
+ */
+function test(rule, value, dataRow, getColumnValues, cache, index) {
+    var entry, result;
+
+    if (typeof rule === 'function') {
+        rule = { validate: rule };
+    }
+
+    if (isEmpty(value)) {
+        return rule.type === 'required' ? toMessage(true, rule) : undefined;
+    }
+
+    switch (rule.type || 'custom') {
+        case 'required':
+            return;
+
+        case 'range':
+            if (
+                rule.min !== undefined && compare(value, rule.min) < 0 ||
+                rule.max !== undefined && compare(value, rule.max) > 0
+            ) {
+                return rule.message || rangeMessage(rule);
+            }
+            return;
+
+        case 'regex':
+            entry = cached(cache, index, function() {
+                return rule.pattern instanceof RegExp ? rule.pattern : new RegExp(rule.pattern, rule.flags);
+            });
+            entry.lastIndex = 0; // in case of a global pattern
+            return entry.test(String(value)) ? undefined : toMessage(true, rule);
+
+        case 'unique':
+            entry = cached(cache, 'counts', function() {
+                return countValues(getColumnValues());
+            });
+            return entry[keyOf(value)] > 1 ? toMessage(true, rule) : undefined;
+
+        case 'custom':
+            try {
+                result = rule.validate(value, dataRow);
+            } catch (error) {
+                return toMessage(error.message || true, rule);
+            }
+            return isThenable(result) ? result : result ? toMessage(result, rule) : undefined;
+
+        default:
+            throw new HypergridError('Unknown validator rule type "' + rule.type + '".');
+    }
+}
+
+/**
+ * @summary Validate a row with the row-level rules.
+ * @param {rowValidatorRule[]} rules
+ * @param {object} dataRow
+ * @returns {object|thenable} Hash of error messages keyed by column name (empty when valid); or, when a rule is asynchronous, a thenable resolving to same. When several rules fail for the same cell, the earlier rule's message is kept.
+ * @memberOf module:validators
+ */
+function validateRow(rules, dataRow) {
+    var results = rules.map(function(rule) {
+        var result;
+
+        try {
+            result = rule.validate(dataRow);
+        } catch (error) {
+            result = error.message || true;
+        }
+
+        return isThenable(result) ? result.then(undefined, fail(rule)) : result;
+    });
+
+    return when(results, function(results) {
+        return results.reduce(function(errors, result, i) {
+            var rule = rules[i];
+
+            if (result && typeof result === 'object') {
+                Object.keys(result).forEach(function(name) {
+                    if (result[name] && !errors[name]) {
+                        errors[name] = toMessage(result[name], rule);
+                    }
+                });
+            } else if (result) {
+                (rule.fields || []).forEach(function(name) {
+                    if (!errors[name]) {
+                        errors[name] = toMessage(result, rule);
+                    }
+                });
+            }
+
+            return errors;
+        }, {});
+    });
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} `value` is a thenable (_e.g.,_ a `Promise`).
+ * @memberOf module:validators
+ */
+function isThenable(value) {
+    return !!value && typeof value.then === 'function';
+}
+
+/**
+ * Call `callback` with `values` now; or, if any of `values` is a thenable, when they have all resolved.
+ * @param {Array} values
+ * @param {function} callback - Called with the resolved values.
+ * @returns {*|thenable} Result of `callback`; or a thenable resolving to same.
+ * @memberOf module:validators
+ */
+function when(values, callback) {
+    var results = values.slice(),
+        chain = values.reduce(function(chain, value, i) {
+            if (isThenable(value)) {
+                chain = chain ? chain.then(function() { return value; }) : value;
+                chain = chain.then(function(result) { results[i] = result; });
+            }
+            return chain;
+        }, undefined);
+
+    return chain ? chain.then(function() { return callback(results); }) : callback(results);
+}
+
+/**
+ * @param {boolean|string} result - A failed rule's result.
+ * @param {validatorRule|rowValidatorRule} rule
+ * @returns {string}
+ * @private
+ */
+function toMessage(result, rule) {
+    return typeof result === 'string'
+        ? result
+        : rule.message || defaultMessages[rule.type || 'custom'] || defaultMessages.custom;
+}
+
+/**
+ * @param {validatorRule|rowValidatorRule} rule
+ * @returns {function} Rejection handler of a rule's thenable, resolving to the rule's message.
+ * @private
+ */
+function fail(rule) {
+    return function(error) {
+        return toMessage(error && error.message || true, rule);
+    };
+}
+
+/**
+ * @param {validatorRule} rule
+ * @returns {string}
+ * @private
+ */
+function rangeMessage(rule) {
+    if (rule.min === undefined) {
+        return 'Must be at most ' + rule.max + '.';
+    } else if (rule.max === undefined) {
+        return 'Must be at least ' + rule.min + '.';
+    } else {
+        return 'Must be between ' + rule.min + ' and ' + rule.max + '.';
+    }
+}
+
+/**
+ * @param {*} value
+ * @param {number|string|Date} limit - Coerced to a number or date to match a numeric or date `value`.
+ * @returns {number} Negative, zero, or positive as `value` is less than, equal to, or greater than `limit`.
+ * @private
+ */
+function compare(value, limit) {
+    if (value instanceof Date) {
+        value = value.getTime();
+        limit = (limit instanceof Date ? limit : new Date(limit)).getTime();
+    } else if (typeof value === 'number' && typeof limit === 'string' && limit.trim() !== '' && !isNaN(limit)) {
+        limit = Number(limit);
+    }
+
+    return value < limit ? -1 : value > limit ? 1 : 0;
+}
+
+function countValues(values) {
+    return values.reduce(function(counts, value) {
+        if (!isEmpty(value)) {
+            var key = keyOf(value);
+            counts[key] = (counts[key] || 0) + 1;
+        }
+        return counts;
+    }, {});
+}
+
+function keyOf(value) {
+    return typeof value + ':' + (value instanceof Date ? value.getTime() : value);
+}
+
+function cached(cache, key, compute) {
+    return key in cache ? cache[key] : (cache[key] = compute());
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || value === '';
+}
+
+exports.validateValue = validateValue;
+exports.validateRow = validateRow;
+exports.test = test;
+exports.isThenable = isThenable;
+exports.when = when;
@@ -0,0 +1,43 @@
+'use strict';
+
+/**
+ * @summary Break text into lines that fit a width.
+ * @desc Lines break at spaces and at newlines. Runs of white space within a line are reduced to a single space. A word too wide to fit on a line by itself is not broken; it overflows.
+ * @param {CanvasRenderingContext2D} gc - With `font` already set for measuring.
+ * @param {*} text
+ * @param {number} width - Available width in pixels.
+ * @param {function} getTextWidth - Called with `(gc, string)`; returns the width of `string` in pixels (see the `getTextWidth` grid property).
+ * @returns {string[]} The lines (at least one).
+ * @module wrapText
+ */
+function wrapText(gc, text, width, getTextWidth) {
+    var lines = [];
+
+    text = text === undefined || text === null ? '' : String(text);
+
+    text.split('\n').forEach(function(paragraph) {
+        var words = squeeze(paragraph).split(' '),
+            line = words.shift();
+
+        words.forEach(function(word) {
+            var longer = line + ' ' + word;
+            if (getTextWidth(gc, longer) <= width) {
+                line = longer;
+            } else {
+                lines.push(line);
+                line = word;
+            }
+        });
+
+        lines.push(line);
+    });
+
+    return lines;
+}
+
+// trim string; then reduce all runs of white space to a single space
+function squeeze(string) {
+    return string.trim().replace(/\s+/g, ' ');
+}
+
+module.exports = wrapText;
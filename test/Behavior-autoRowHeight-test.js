@@ -0,0 +1,86 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var mockGrid = require('./helpers/mockGrid');
+
+var Behavior;
+
+function newBehavior() {
+    var behavior = Object.create(Behavior.prototype),
+        rows = [{ text: 'a' }, { text: 'b' }];
+
+    function newColumn(index, wrap) {
+        return {
+            index: index,
+            properties: { wrap: wrap, width: 100, font: '12px Arial' },
+            getWidth: function() { return this.properties.width; }
+        };
+    }
+
+    behavior.grid = mockGrid({ autoRowHeight: true, defaultRowHeight: 15 }, { behavior: behavior });
+    behavior.dataModel = {
+        dataGeneration: 1,
+        getRow: function(y) { return rows[y]; }
+    };
+    behavior.columns = [newColumn(0, true), newColumn(1, false)];
+    behavior.computes = 0;
+    behavior.computeRowHeight = function(rowIndex) { this.computes++; return 40 + rowIndex; };
+
+    return behavior;
+}
+
+describe('Auto row height', function(){
+
+    before(function() {
+        // Behavior's dependencies touch these when loaded
+        global.Image = function() { return {}; };
+        global.document = { querySelector: function() { return { children: [] }; } };
+        Behavior = require('../src/behaviors/Behavior');
+    });
+
+    after(function() {
+        delete global.Image;
+        delete global.document;
+    });
+
+    it('Should compute each row height once', function(){
+        var behavior = newBehavior();
+
+        expect(behavior.getRowHeight(0)).to.equal(40);
+        expect(behavior.getRowHeight(1)).to.equal(41);
+        expect(behavior.getRowHeight(0)).to.equal(40);
+        expect(behavior.computes).to.equal(2);
+    });
+
+    it('Should recompute after the data changes', function(){
+        var behavior = newBehavior();
+
+        behavior.getRowHeight(0);
+        behavior.dataModel.dataGeneration++;
+        behavior.getRowHeight(0);
+        expect(behavior.computes).to.equal(2);
+    });
+
+    it('Should recompute after a wrapped column is resized, but not another column', function(){
+        var behavior = newBehavior();
+
+        behavior.getRowHeight(0);
+        behavior.columns[1].properties.width = 50;
+        behavior.getRowHeight(0);
+        expect(behavior.computes).to.equal(1);
+
+        behavior.columns[0].properties.width = 50;
+        behavior.getRowHeight(0);
+        expect(behavior.computes).to.equal(2);
+    });
+
+    it('Should recompute after a column is wrapped', function(){
+        var behavior = newBehavior();
+
+        behavior.getRowHeight(0);
+        behavior.columns[1].properties.wrap = true;
+        behavior.getRowHeight(0);
+        expect(behavior.computes).to.equal(2);
+    });
+});
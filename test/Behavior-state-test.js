@@ -0,0 +1,202 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var mockGrid = require('./helpers/mockGrid');
+
+var Behavior;
+
+function newColumn(index, name, width) {
+    return {
+        index: index,
+        name: name,
+        width: width,
+        getWidth: function() { return this.width; },
+        setWidth: function(width) { this.width = width; }
+    };
+}
+
+function newBehavior() {
+    var behavior = Object.create(Behavior.prototype),
+        dataModel = {
+            schema: [{ name: 'id' }, { name: 'name' }, { name: 'price' }],
+            filter: {},
+            reindexes: 0,
+            reindex: function() { this.reindexes++; },
+            getRowCount: function() { return 0; }
+        },
+        allColumns = [newColumn(0, 'id', 50), newColumn(1, 'name', 100), newColumn(2, 'price', 80)],
+        selections = [];
+
+    behavior.grid = mockGrid({ fixedColumnCount: 0, fixedRowCount: 0, columnIndexes: [1, 0], columnProperties: [] }, {
+        behavior: behavior,
+        theme: 'default',
+        hScrollValue: 0,
+        vScrollValue: 0,
+        selectionModel: {
+            getSelections: function() { return selections; },
+            getSelectedRows: function() { return []; },
+            getSelectedColumns: function() { return []; },
+            clear: function() { selections = []; },
+            select: function(x, y, width, height) {
+                selections.push({ origin: { x: x, y: y }, extent: { x: width, y: height } });
+            }
+        },
+        behaviorShapeChanged: function() {},
+        behaviorStateChanged: function() {},
+        _getProperties: function() { return {}; }
+    });
+
+    behavior.dataModel = dataModel;
+    behavior.subgrids = [dataModel];
+    behavior.allColumns = allColumns;
+    behavior.columns = [allColumns[1], allColumns[0]]; // price hidden, name first
+    behavior.columns[-1] = newColumn(-1, 'rowHeader', 24);
+
+    return behavior;
+}
+
+describe('Behavior state', function(){
+
+    before(function() {
+        // Behavior's dependencies touch these when loaded
+        global.Image = function() { return {}; };
+        global.document = { querySelector: function() { return { children: [] }; } };
+        Behavior = require('../src/behaviors/Behavior');
+    });
+
+    after(function() {
+        delete global.Image;
+        delete global.document;
+    });
+
+    it('Should restore the state it gets', function(){
+        var behavior = newBehavior(),
+            restored = newBehavior(),
+            json, state;
+
+        behavior.grid.properties.fixedColumnCount = 1;
+        behavior.grid.selectionModel.select(1, 2, 0, 3);
+        json = JSON.stringify(behavior.getState());
+        state = JSON.parse(json);
+
+        expect(state).to.include({ version: behavior.stateVersion, fixedColumnCount: 1 });
+        expect(state.columns).to.deep.equal([{ name: 'name', width: 100 }, { name: 'id', width: 50 }]);
+        expect(state.hiddenColumns).to.deep.equal(['price']);
+
+        restored.setState(JSON.parse(json));
+
+        expect(restored.columns.map(function(column) { return column.name; })).to.deep.equal(['name', 'id']);
+        expect(restored.grid.properties.fixedColumnCount).to.equal(1);
+        expect(restored.dataModel.reindexes).to.equal(1);
+        expect(JSON.parse(JSON.stringify(restored.getState()))).to.deep.equal(state);
+    });
+
+    it('Should migrate an unversioned state (grid properties only)', function(){
+        var behavior = newBehavior(),
+            state = behavior.migrateState({ fixedRowCount: 2 });
+
+        expect(state).to.deep.equal({ version: 1, properties: { fixedRowCount: 2 } });
+
+        behavior.setState({ fixedRowCount: 2 });
+        expect(behavior.grid.properties.fixedRowCount).to.equal(2);
+    });
+
+    it('Should apply each migration in turn', function(){
+        var behavior = newBehavior();
+
+        behavior.stateVersion = 3;
+        behavior.stateMigrations = behavior.stateMigrations.concat([
+            function(memento) { return { version: 2, properties: memento.properties, renamed: true }; },
+            function(memento) { memento.version = 3; return memento; }
+        ]);
+
+        expect(behavior.migrateState({ version: 1, properties: { a: 1 } })).to.deep.equal({ version: 3, properties: { a: 1 }, renamed: true });
+    });
+
+    it('Should reject a state from a newer version before changing anything', function(){
+        var behavior = newBehavior();
+
+        expect(function() {
+            behavior.setState({ version: behavior.stateVersion + 1, fixedColumnCount: 2 });
+        }).to.throw(/newer than supported/);
+        expect(behavior.grid.properties.fixedColumnCount).to.equal(0);
+        expect(behavior.dataModel.reindexes).to.equal(0);
+    });
+
+    it('Should snapshot the explicitly set row heights of rows still in place', function(){
+        var behavior = newBehavior(),
+            rows = [{}, {}, {}],
+            dataModel = behavior.dataModel;
+
+        dataModel.getRow = function(y) { return rows[y]; };
+        behavior.subgrids.data = dataModel;
+        behavior.stateChanged = function() {};
+
+        behavior.setRowHeight(1, 40);
+        behavior.setRowHeight(2, 50);
+        expect(behavior.getState().rowHeights).to.deep.equal({ data: { 1: 40, 2: 50 } });
+
+        rows[2] = {}; // replaced
+        expect(behavior.getState().rowHeights).to.deep.equal({ data: { 1: 40 } });
+    });
+
+    describe('filter', function() {
+        // a stand-in for hyper-filter's filter, which returns errors rather than throwing them
+        function newFilter() {
+            return {
+                columnFilters: { price: '>5' },
+                tableFilter: 'table',
+                getColumnFiltersState: function() { return JSON.parse(JSON.stringify(this.columnFilters)); },
+                getTableFilterState: function() { return this.tableFilter; },
+                setColumnFilterState: function(name, state) {
+                    if (state) {
+                        this.columnFilters[name] = state;
+                    } else {
+                        delete this.columnFilters[name];
+                    }
+                },
+                setColumnFiltersState: function(state) {
+                    if (state) {
+                        this.columnFilters = JSON.parse(JSON.stringify(state));
+                        return state.invalid && 'Invalid column filter';
+                    }
+                },
+                setTableFilterState: function(state) {
+                    this.tableFilter = state;
+                    return state === 'invalid' ? new Error('Invalid table filter') : undefined;
+                }
+            };
+        }
+
+        it('Should clear the filters missing from the state', function(){
+            var behavior = newBehavior();
+
+            behavior.dataModel.filter = newFilter();
+            behavior.setState({ version: 1, filter: {} });
+
+            expect(behavior.dataModel.filter.columnFilters).to.deep.equal({});
+            expect(behavior.dataModel.filter.tableFilter).to.equal(undefined);
+        });
+
+        it('Should reject an invalid filter before changing anything else', function(){
+            var behavior = newBehavior(),
+                filter = behavior.dataModel.filter = newFilter();
+
+            expect(function() {
+                behavior.setState({ version: 1, fixedColumnCount: 2, filter: { columnFilters: { name: 'x' }, tableFilter: 'invalid' } });
+            }).to.throw(/Invalid grid state filter: Invalid table filter/);
+            expect(filter.columnFilters).to.deep.equal({ price: '>5' });
+            expect(filter.tableFilter).to.equal('table');
+
+            expect(function() {
+                behavior.setState({ version: 1, fixedColumnCount: 2, filter: { columnFilters: { invalid: true } } });
+            }).to.throw(/Invalid column filter/);
+            expect(filter.columnFilters).to.deep.equal({ price: '>5' });
+            expect(filter.tableFilter).to.equal('table');
+
+            expect(behavior.grid.properties.fixedColumnCount).to.equal(0);
+            expect(behavior.dataModel.reindexes).to.equal(0);
+        });
+    });
+});
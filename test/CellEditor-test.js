@@ -0,0 +1,203 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var mockGrid = require('./helpers/mockGrid');
+
+var CellEditor, CellEditing;
+
+// stands in for the editor's `<input>` element
+function newInput(value, caret) {
+    return {
+        tagName: 'INPUT',
+        value: value,
+        selectionStart: caret,
+        selectionEnd: caret,
+        style: {},
+        listeners: {},
+        addEventListener: function(type, listener) { this.listeners[type] = listener; },
+        setSelectionRange: function(start, end) {
+            this.selectionStart = start;
+            this.selectionEnd = end;
+        },
+        remove: function() {}
+    };
+}
+
+function newGrid() {
+    return mockGrid({ editOnKeydown: true }, {
+        moves: [],
+        focuses: 0,
+        behavior: {
+            getValue: function() { return 'abc'; },
+            getHeaderRowCount: function() { return 1; },
+            CellEvent: function(x, y) { this.gridCell = { x: x, y: y }; }
+        },
+        localization: { locale: 'en-US' },
+        selectionModel: {
+            getLastSelection: function() { return { origin: { x: 2, y: 3 } }; }
+        },
+        moveSingleSelect: function(x, y) { this.moves.push({ x: x, y: y }); },
+        takeFocus: function() { this.focuses++; },
+        fireSyntheticEditorKeyDownEvent: function() {}
+    });
+}
+
+// an editor built by the real constructor around a stand-in input element
+function newEditor(grid, value, caret) {
+    var input = newInput(value, caret),
+        editor;
+
+    global.document = {
+        createElement: function() { return { firstChild: input }; }
+    };
+
+    editor = new CellEditor(grid, { gridCell: { x: 2, y: 4 } });
+    editor.stops = 0;
+    editor.valid = true;
+    editor.stopEditing = function() { this.stops++; return this.valid; };
+
+    return editor;
+}
+
+function keydown(editor, keyCode) {
+    var e = { keyCode: keyCode, prevented: false, preventDefault: function() { this.prevented = true; } };
+    editor.input.listeners.keydown(e);
+    return e;
+}
+
+describe('Cell editing from the keyboard', function() {
+
+    before(function() {
+        // Localization touches `window` when loaded
+        global.window = { Intl: global.Intl };
+        CellEditor = require('../src/cellEditors/CellEditor');
+        CellEditing = require('../src/features/CellEditing');
+    });
+
+    after(function() {
+        delete global.window;
+        delete global.document;
+    });
+
+    describe('CellEditor#isCaretAtBoundary', function() {
+        it('Should be at the left boundary only with the caret at the start of the text', function() {
+            var editor = newEditor(newGrid(), 'abc', 0);
+            expect(editor.isCaretAtBoundary(0x25)).to.equal(true);
+            expect(editor.isCaretAtBoundary(0x27)).to.equal(false);
+        });
+
+        it('Should be at the right boundary only with the caret at the end of the text', function() {
+            var editor = newEditor(newGrid(), 'abc', 3);
+            expect(editor.isCaretAtBoundary(0x27)).to.equal(true);
+            expect(editor.isCaretAtBoundary(0x25)).to.equal(false);
+        });
+
+        it('Should always be at the up and down boundaries of a single-line text box', function() {
+            var editor = newEditor(newGrid(), 'abc', 1);
+            expect(editor.isCaretAtBoundary(0x26)).to.equal(true);
+            expect(editor.isCaretAtBoundary(0x28)).to.equal(true);
+        });
+
+        it('Should never be at a boundary when text is selected', function() {
+            var editor = newEditor(newGrid(), 'abc', 0);
+            editor.input.selectionEnd = 3;
+            expect(editor.isCaretAtBoundary(0x25)).to.equal(false);
+            expect(editor.isCaretAtBoundary(0x27)).to.equal(false);
+            expect(editor.isCaretAtBoundary(0x28)).to.equal(false);
+        });
+    });
+
+    describe('arrow keys', function() {
+        it('Should commit and move to the adjacent cell in the direction of the key', function() {
+            var grid = newGrid(),
+                editor = newEditor(grid, 'abc', 3);
+
+            expect(keydown(editor, 0x27).prevented).to.equal(true); // right
+            keydown(editor, 0x28); // down
+
+            expect(editor.stops).to.equal(2);
+            expect(grid.moves).to.deep.equal([{ x: 1, y: 0 }, { x: 0, y: 1 }]);
+            expect(grid.focuses).to.equal(2);
+        });
+
+        it('Should move the caret rather than commit within the text', function() {
+            var grid = newGrid(),
+                editor = newEditor(grid, 'abc', 1);
+
+            expect(keydown(editor, 0x25).prevented).to.equal(false); // left
+            expect(keydown(editor, 0x27).prevented).to.equal(false); // right
+
+            expect(editor.stops).to.equal(0);
+            expect(grid.moves).to.deep.equal([]);
+        });
+
+        it('Should stay in the cell when the edited value is invalid', function() {
+            var grid = newGrid(),
+                editor = newEditor(grid, 'abc', 0);
+
+            editor.valid = false;
+            keydown(editor, 0x25);
+
+            expect(editor.stops).to.equal(1);
+            expect(grid.moves).to.deep.equal([]);
+        });
+    });
+
+    describe('CellEditing#handleKeyDown', function() {
+        // returns the editor opened by the key, if any
+        function press(grid, detail) {
+            var event = { detail: detail },
+                editor, prevented = false;
+
+            detail.char = detail.char || '';
+            detail.primitiveEvent = { preventDefault: function() { prevented = true; } };
+            grid.onEditorActivate = function(cellEvent) {
+                editor = newEditor(grid, 'abc', 0);
+                editor.cellEvent = cellEvent;
+                return editor;
+            };
+
+            new CellEditing().handleKeyDown(grid, event);
+
+            if (editor) {
+                editor.prevented = prevented;
+            }
+            return editor;
+        }
+
+        it('Should replace the content with a printable key', function() {
+            var editor = press(newGrid(), { char: 'x' });
+
+            expect(editor.input.value).to.equal('x');
+            expect(editor.input.selectionStart).to.equal(1);
+            expect(editor.selectOnFocus).to.equal(false);
+            expect(editor.prevented).to.equal(true);
+            expect(editor.cellEvent.gridCell).to.deep.equal({ x: 2, y: 4 });
+        });
+
+        it('Should keep the content with the caret at the end with F2', function() {
+            var editor = press(newGrid(), { command: 'startEdit' });
+
+            expect(editor.input.value).to.equal('abc');
+            expect(editor.input.selectionStart).to.equal(3);
+            expect(editor.input.selectionEnd).to.equal(3);
+            expect(editor.selectOnFocus).to.equal(false);
+        });
+
+        it('Should clear the content with clearAndEdit', function() {
+            expect(press(newGrid(), { command: 'clearAndEdit' }).input.value).to.equal('');
+        });
+
+        it('Should leave modified keys and other commands alone', function() {
+            expect(press(newGrid(), { char: 'c', ctrl: true })).to.equal(undefined);
+            expect(press(newGrid(), { char: 'x', command: 'copy' })).to.equal(undefined);
+        });
+
+        it('Should leave keys alone while editing', function() {
+            var grid = newGrid();
+            grid.cellEditor = {};
+            expect(press(grid, { char: 'x' })).to.equal(undefined);
+        });
+    });
+});
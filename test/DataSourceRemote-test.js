@@ -0,0 +1,133 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var DataSourceRemote = require('../src/dataSources/DataSourceRemote');
+
+// Stand-in for a server: responds only when `flush` is called
+function FakeServer(rowCount) {
+    this.rowCount = rowCount;
+    this.requests = [];
+    this.schema = [{ name: 'id' }, { name: 'square' }];
+}
+
+FakeServer.prototype = {
+    fetch: function(request, callback) {
+        this.requests.push({ request: request, callback: callback });
+    },
+    flush: function(error) {
+        var requests = this.requests;
+        this.requests = [];
+        requests.forEach(function(pending) {
+            if (error) {
+                pending.callback(error);
+                return;
+            }
+            var rows = [];
+            for (var y = pending.request.start, Y = Math.min(this.rowCount, y + pending.request.count); y < Y; y++) {
+                rows.push({ id: y, square: y * y });
+            }
+            pending.callback(null, { rows: rows, rowCount: this.rowCount });
+        }, this);
+    }
+};
+
+function newDataSource(server) {
+    var dataSource = new DataSourceRemote(server, []);
+    dataSource.blockSize = 10;
+    return dataSource;
+}
+
+describe('DataSourceRemote', function(){
+
+    it('Should take its schema from the service', function(){
+        expect(newDataSource(new FakeServer(5)).getFields()).to.deep.equal(['id', 'square']);
+    });
+
+    it('Should fetch the first block to learn the row count', function(){
+        var server = new FakeServer(25),
+            dataSource = newDataSource(server),
+            changes = [];
+
+        expect(dataSource.getRowCount()).to.equal(0);
+
+        dataSource.fetchData([], function(rowCountChanged) { changes.push(rowCountChanged); });
+        expect(server.requests.map(function(pending) { return pending.request; })).to.deep.equal([{ start: 0, count: 10 }]);
+
+        server.flush();
+        expect(changes).to.deep.equal([true]);
+        expect(dataSource.getRowCount()).to.equal(25);
+        expect(dataSource.getValue(1, 3)).to.equal(9);
+        expect(dataSource.isRowLoaded(12)).to.equal(false);
+        expect(dataSource.getValue(1, 12)).to.equal(null);
+    });
+
+    it('Should fetch each missing block once', function(){
+        var server = new FakeServer(25),
+            dataSource = newDataSource(server),
+            changes = [];
+
+        dataSource.fetchData([], function() {});
+        server.flush();
+
+        dataSource.fetchData([8, 9, 10, 11, 22], function(rowCountChanged) { changes.push(rowCountChanged); });
+        dataSource.fetchData([12], function(rowCountChanged) { changes.push(rowCountChanged); });
+        expect(server.requests.map(function(pending) { return pending.request.start; })).to.deep.equal([10, 20]);
+
+        server.flush();
+        expect(changes).to.deep.equal([false, false]);
+        expect(dataSource.getRow(24)).to.deep.equal({ id: 24, square: 576 });
+    });
+
+    it('Should discard least recently used blocks', function(){
+        var server = new FakeServer(100),
+            dataSource = newDataSource(server);
+
+        dataSource.cacheSize = 2;
+        dataSource.setData(server, []);
+        dataSource.blockSize = 10;
+
+        dataSource.fetchData([0, 10], function() {});
+        server.flush();
+        dataSource.fetchData([0, 20], function() {}); // block 0 touched so block 1 is discarded
+        server.flush();
+
+        expect(dataSource.isRowLoaded(5)).to.equal(true);
+        expect(dataSource.isRowLoaded(15)).to.equal(false);
+        expect(dataSource.isRowLoaded(25)).to.equal(true);
+    });
+
+    it('Should ignore responses to requests made before the cache was cleared', function(){
+        var server = new FakeServer(25),
+            dataSource = newDataSource(server);
+
+        dataSource.fetchData([], function() {});
+        dataSource.clearCache();
+        server.flush();
+
+        expect(dataSource.getRowCount()).to.equal(0);
+    });
+
+    it('Should report a failed block and request it again', function(){
+        var server = new FakeServer(25),
+            dataSource = newDataSource(server),
+            errors = [];
+
+        dataSource.fetchData([], function() {}, function(error, request) { errors.push({ error: error, request: request }); });
+        server.flush('offline');
+
+        expect(errors).to.deep.equal([{ error: 'offline', request: { start: 0, count: 10 } }]);
+        expect(dataSource.isRowLoaded(0)).to.equal(false);
+
+        dataSource.fetchData([], function() {});
+        expect(server.requests.length).to.equal(1);
+        server.flush();
+        expect(dataSource.isRowLoaded(0)).to.equal(true);
+    });
+
+    it('Should recognize data services', function(){
+        expect(DataSourceRemote.isDataService(new FakeServer(1))).to.equal(true);
+        expect(DataSourceRemote.isDataService([])).to.equal(false);
+    });
+
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var ImageCache = require('../src/lib/ImageCache');
+
+describe('ImageCache', function() {
+    var cache, pending;
+
+    // loads nothing until the test settles the request
+    function load(url, callback) {
+        pending[url] = callback;
+    }
+
+    beforeEach(function() {
+        pending = {};
+        cache = new ImageCache(load);
+    });
+
+    it('returns undefined while loading, then the image', function() {
+        var image = { width: 10, height: 10 };
+
+        expect(cache.get('a.png')).to.equal(undefined);
+        pending['a.png'](image);
+        expect(cache.get('a.png')).to.equal(image);
+    });
+
+    it('returns null when the image failed to load', function() {
+        cache.get('a.png');
+        pending['a.png'](null);
+        expect(cache.get('a.png')).to.equal(null);
+    });
+
+    it('loads each url once', function() {
+        var count = 0;
+
+        cache = new ImageCache(function() { count++; });
+        cache.get('a.png');
+        cache.get('a.png');
+        expect(count).to.equal(1);
+    });
+
+    it('calls the last listener for each key once, when loading settles', function() {
+        var calls = [];
+
+        cache.get('a.png', function() { calls.push('first'); }, '1,2');
+        cache.get('a.png', function() { calls.push('second'); }, '1,2');
+        cache.get('a.png', function() { calls.push('other'); }, '1,3');
+        pending['a.png'](null);
+
+        expect(calls).to.deep.equal(['second', 'other']);
+    });
+
+    it('reloads a cleared url', function() {
+        cache.get('a.png');
+        pending['a.png']({});
+        cache.clear('a.png');
+        delete pending['a.png'];
+
+        expect(cache.get('a.png')).to.equal(undefined);
+        expect(pending['a.png']).to.be.a('function');
+    });
+
+    it('forgets the least recently requested image beyond its maximum', function() {
+        cache = new ImageCache(load, { max: 2 });
+        cache.get('a.png');
+        cache.get('b.png');
+        cache.get('a.png');
+        cache.get('c.png');
+        pending = {};
+
+        cache.get('a.png');
+        cache.get('b.png');
+        expect(Object.keys(pending)).to.deep.equal(['b.png']);
+    });
+
+    describe('a failed image', function() {
+        var now = Date.now;
+
+        afterEach(function() {
+            Date.now = now;
+        });
+
+        it('is loaded again when requested after the retry delay', function() {
+            var time = 1000;
+
+            Date.now = function() { return time; };
+            cache = new ImageCache(load, { retryAfter: 500 });
+            cache.get('a.png');
+            pending['a.png'](null);
+            delete pending['a.png'];
+
+            time += 500;
+            expect(cache.get('a.png')).to.equal(null);
+            expect(pending['a.png']).to.equal(undefined);
+
+            time += 1;
+            expect(cache.get('a.png')).to.equal(undefined);
+            expect(pending['a.png']).to.be.a('function');
+        });
+    });
+});
+
+describe('Image cell renderer', function() {
+    var ImageCell,
+        bounds = { x: 10, y: 20, width: 100, height: 50 };
+
+    before(function() {
+        global.Image = global.Image || function() { return {}; }; // required by the images module
+        ImageCell = require('../src/cellRenderers/Image');
+    });
+
+    describe('getImageRect', function() {
+        it('scales an image to fit, centered', function() {
+            expect(ImageCell.getImageRect('fit', 40, 20, bounds)).to.deep.equal({ x: 10, y: 20, width: 100, height: 50 });
+            expect(ImageCell.getImageRect('fit', 20, 20, bounds)).to.deep.equal({ x: 35, y: 20, width: 50, height: 50 });
+        });
+
+        it('scales an image to fill, centered', function() {
+            expect(ImageCell.getImageRect('fill', 20, 20, bounds)).to.deep.equal({ x: 10, y: -5, width: 100, height: 100 });
+        });
+
+        it('centers an unscaled image', function() {
+            expect(ImageCell.getImageRect('center', 20, 10, bounds)).to.deep.equal({ x: 50, y: 40, width: 20, height: 10 });
+        });
+    });
+});
@@ -0,0 +1,109 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var mockGrid = require('./helpers/mockGrid');
+
+var LayoutPersister = require('../src/lib/LayoutPersister');
+
+function newGrid() {
+    return mockGrid({}, {
+        state: { version: 1, columns: [{ name: 'a', width: 50 }], scroll: { x: 1, y: 2 } },
+        getState: function() { return JSON.parse(JSON.stringify(this.state)); },
+        setState: function(state) { this.restored = state; }
+    });
+}
+
+// async adapter resolving on next tick
+function asyncStorage() {
+    var memory = new LayoutPersister.MemoryStorage();
+    function defer(method) {
+        return function() {
+            var args = arguments;
+            return new Promise(function(resolve) {
+                setTimeout(function() { resolve(memory[method].apply(memory, args)); });
+            });
+        };
+    }
+    return { getItem: defer('getItem'), setItem: defer('setItem'), removeItem: defer('removeItem') };
+}
+
+describe('LayoutPersister', function(){
+
+    it('Should require a key', function(){
+        expect(function() { return new LayoutPersister(newGrid(), {}); }).to.throw('requires a storage key');
+    });
+
+    it('Should save and restore named layouts without transient state', function(){
+        var grid = newGrid(),
+            storage = new LayoutPersister.MemoryStorage(),
+            persister = new LayoutPersister(grid, { key: 'grid1', storage: storage });
+
+        persister.save();
+        grid.state.columns[0].width = 80;
+        persister.save('wide');
+
+        expect(persister.layoutName).to.equal('wide');
+        expect(persister.getLayoutNames()).to.deep.equal(['default', 'wide']);
+        expect(JSON.parse(storage.getItem('grid1/default'))).to.deep.equal({ version: 1, columns: [{ name: 'a', width: 50 }] });
+
+        expect(persister.restore('default')).to.equal(true);
+        expect(grid.restored.columns[0].width).to.equal(50);
+        expect(persister.restore('missing')).to.equal(false);
+
+        persister.remove('wide');
+        expect(persister.getLayoutNames()).to.deep.equal(['default']);
+        expect(storage.getItem('grid1/wide')).to.equal(null);
+    });
+
+    it('Should debounce scheduled writes', function(done){
+        var grid = newGrid(),
+            storage = new LayoutPersister.MemoryStorage(),
+            persister = new LayoutPersister(grid, { key: 'grid1', storage: storage, delay: 5 }),
+            writes = 0;
+
+        storage.setItem = function(key, value) {
+            writes++;
+            LayoutPersister.MemoryStorage.prototype.setItem.call(this, key, value);
+        };
+
+        persister.schedule();
+        persister.schedule();
+        expect(writes).to.equal(0);
+
+        setTimeout(function() {
+            expect(writes).to.equal(2); // layout + list of names
+            done();
+        }, 20);
+    });
+
+    it('Should support asynchronous storage', function(){
+        var grid = newGrid(),
+            persister = new LayoutPersister(grid, { key: 'grid1', storage: asyncStorage() });
+
+        return persister.save().then(function() {
+            return persister.restore();
+        }).then(function(found) {
+            expect(found).to.equal(true);
+            expect(grid.restored.columns).to.deep.equal([{ name: 'a', width: 50 }]);
+            return persister.getLayoutNames();
+        }).then(function(names) {
+            expect(names).to.deep.equal(['default']);
+        });
+    });
+
+    it('Should not lose layout names to overlapping asynchronous writes', function(){
+        var persister = new LayoutPersister(newGrid(), { key: 'grid1', storage: asyncStorage() });
+
+        persister.save('a');
+        persister.save('b');
+        persister.remove('a');
+
+        return persister.save('c').then(function() {
+            return persister.getLayoutNames();
+        }).then(function(names) {
+            expect(names).to.deep.equal(['b', 'c']);
+        });
+    });
+
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var OptionSource = require('../src/lib/OptionSource');
+
+var currencies = [
+    { id: 1, name: 'US Dollar' },
+    { id: 2, name: 'Euro' },
+    { id: 3, name: 'Australian Dollar' }
+];
+
+function properties(source, labels) {
+    return {
+        optionSource: source,
+        optionLabels: labels,
+        optionValueKey: 'id',
+        optionLabelKey: 'name'
+    };
+}
+
+// stands in for a reference-data service
+function lookup(query) {
+    return Promise.resolve(currencies.filter(function(currency) {
+        return currency.name.toLowerCase().indexOf(query.toLowerCase()) >= 0;
+    }));
+}
+
+describe('OptionSource', function() {
+
+    it('Should match labels beginning with the query first, ignoring case', function() {
+        var options = [{ value: 1, label: 'US Dollar' }, { value: 2, label: 'Dollar Index' }, { value: 3, label: 'Euro' }];
+        expect(OptionSource.match(options, 'dol').map(function(option) { return option.value; })).to.deep.equal([2, 1]);
+    });
+
+    it('Should filter a static list of primitives', function() {
+        var source = new OptionSource({ optionSource: ['red', 'green', 'blue'] });
+        expect(source.fetch('re')).to.deep.equal([
+            { value: 'red', label: 'red' },
+            { value: 'green', label: 'green' }
+        ]);
+    });
+
+    it('Should map values to labels', function() {
+        var source = new OptionSource(properties(currencies));
+        expect(source.getLabel(2)).to.equal('Euro');
+        expect(source.getLabel('3')).to.equal('Australian Dollar');
+        expect(source.findByLabel('euro')).to.deep.equal({ value: 2, label: 'Euro' });
+    });
+
+    it('Should fetch options asynchronously and remember their labels', function() {
+        var source = new OptionSource(properties(lookup));
+
+        expect(source.getLabel(1)).to.equal(undefined);
+
+        return source.fetch('dollar').then(function(options) {
+            expect(options.map(function(option) { return option.label; })).to.deep.equal(['US Dollar', 'Australian Dollar']);
+            expect(source.getLabel(1)).to.equal('US Dollar');
+            expect(source.getFormatter(String)(2)).to.equal('2'); // not yet seen
+        });
+    });
+
+    it('Should request unknown labels in one batch', function(done) {
+        var requests = [],
+            source = new OptionSource(properties(lookup, function(ids) {
+                requests.push(ids);
+                return Promise.resolve(currencies.filter(function(currency) {
+                    return ids.indexOf(currency.id) >= 0;
+                }));
+            }), function() {
+                expect(requests).to.deep.equal([[1, 3]]);
+                expect(source.getLabel(3)).to.equal('Australian Dollar');
+                done();
+            });
+
+        expect(source.getLabel(1)).to.equal(undefined);
+        expect(source.getLabel(3)).to.equal(undefined);
+        expect(source.getLabel(1)).to.equal(undefined);
+    });
+
+    it('Should request labels again after the request throws', function(done) {
+        var requests = 0,
+            source = new OptionSource(properties(lookup, function(ids) {
+                if (++requests === 1) {
+                    throw new Error('Service unavailable.');
+                }
+                return currencies.filter(function(currency) {
+                    return ids.indexOf(currency.id) >= 0;
+                });
+            }), function() {
+                expect(requests).to.equal(2);
+                expect(source.getLabel(2)).to.equal('Euro');
+                done();
+            });
+
+        expect(source.getLabel(2)).to.equal(undefined);
+        setTimeout(function() {
+            expect(requests).to.equal(1);
+            expect(source.getLabel(2)).to.equal(undefined); // asks again
+        });
+    });
+
+    it('Should request labels again after the request rejects', function(done) {
+        var requests = 0,
+            source = new OptionSource(properties(lookup, function(ids) {
+                if (++requests === 1) {
+                    return Promise.reject(new Error('Service unavailable.'));
+                }
+                return Promise.resolve(currencies.filter(function(currency) {
+                    return ids.indexOf(currency.id) >= 0;
+                }));
+            }), function() {
+                expect(requests).to.equal(2);
+                expect(source.getLabel(3)).to.equal('Australian Dollar');
+                done();
+            });
+
+        expect(source.getLabel(3)).to.equal(undefined);
+        setTimeout(function() {
+            Promise.resolve().then(function() { // after the rejection has been handled
+                expect(requests).to.equal(1);
+                expect(source.getLabel(3)).to.equal(undefined); // asks again
+            });
+        });
+    });
+
+    it('Should know whether it was created from the given properties', function() {
+        var props = properties(currencies),
+            source = new OptionSource(props);
+        expect(source.isFor(props)).to.equal(true);
+        expect(source.isFor(properties(lookup))).to.equal(false);
+    });
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var UndoManager = require('../src/lib/UndoManager');
+var DataSourceBase = require('fin-hypergrid-data-source-base');
+var DataModelJSON = require('../src/dataModels/JSON');
+var mockGrid = require('./helpers/mockGrid');
+
+// local pipeline data source that sorts the rows by column `a`
+var Sorter = DataSourceBase.extend('Sorter', {
+    apply: function() {
+        var dataSource = this.dataSource;
+        this.index = [];
+        for (var y = 0; y < dataSource.getRowCount(); y++) {
+            this.index.push(y);
+        }
+        this.index.sort(function(y1, y2) {
+            return dataSource.getRow(y1).a - dataSource.getRow(y2).a;
+        });
+    },
+    getDataIndex: function(y) { return this.index[y]; },
+    getRow: function(y) { return this.dataSource.getRow(this.index[y]); },
+    getRowCount: function() { return this.index.length; },
+    setValue: function(x, y, value) { this.dataSource.setValue(x, this.index[y], value); }
+});
+
+function newGrid(undoDepth, data) {
+    var grid = mockGrid({ undoDepth: undoDepth === undefined ? 100 : undoDepth }, {
+            states: [],
+            edits: [],
+            fireSyntheticUndoStateChangedEvent: function(state) { this.states.push(state); },
+            fireBeforeCellEdit: function() { return true; },
+            fireAfterCellEdit: function(cell, oldValue, newValue) {
+                this.edits.push({ x: cell.x, y: cell.y, oldValue: oldValue, newValue: newValue });
+            }
+        }),
+        dataModel = new DataModelJSON(grid, {
+            data: data || [],
+            schema: [{ name: 'a', header: 'A', type: 'number' }, { name: 'b', header: 'B' }]
+        }),
+        columns = [{ index: 1, name: 'b' }, { index: 0, name: 'a' }];
+
+    grid.behavior.dataModel = dataModel;
+    grid.behavior.allColumns = columns;
+    grid.behavior.getActiveColumnIndex = function(column) { return columns.indexOf(column); };
+    grid.behavior.reindex = function() { dataModel.reindex(); };
+
+    return grid;
+}
+
+describe('UndoManager', function(){
+
+    it('Should undo and redo value changes', function(){
+        var grid = newGrid(),
+            undoManager = new UndoManager(grid),
+            row = { a: 1 };
+
+        row.a = 2;
+        undoManager.recordValue(row, 'a', 1, 2);
+
+        expect(undoManager.undo()).to.equal(true);
+        expect(row.a).to.equal(1);
+        expect(undoManager.undo()).to.equal(false);
+
+        expect(undoManager.redo()).to.equal(true);
+        expect(row.a).to.equal(2);
+        expect(grid.changes).to.equal(2);
+    });
+
+    it('Should undo and redo through the data model, reindexing and firing edit events', function(){
+        var data = [{ a: 1, b: 'x' }, { a: 2, b: 'y' }, { a: 3, b: 'z' }],
+            grid = newGrid(100, data),
+            dataModel = grid.behavior.dataModel,
+            undoManager = new UndoManager(grid),
+            validated = [];
+
+        function column(name) {
+            return dataModel.getIndexedData().map(function(row) { return row[name]; });
+        }
+
+        grid.validator = {
+            begin: function() { validated.push('begin'); },
+            validateEdit: function(dataRow, columnName) { validated.push(columnName); },
+            commit: function() { validated.push('commit'); }
+        };
+        dataModel.setPipeline([Sorter]);
+        dataModel.reindex();
+
+        data[0].a = 5; // row x moves to the bottom
+        undoManager.recordValue(data[0], 'a', 1, 5);
+        dataModel.reindex();
+        expect(column('b')).to.deep.equal(['y', 'z', 'x']);
+
+        undoManager.undo();
+        expect(column('b')).to.deep.equal(['x', 'y', 'z']);
+        expect(grid.edits).to.deep.equal([{ x: 1, y: 2, oldValue: 5, newValue: 1 }]);
+        expect(validated).to.deep.equal(['begin', 'a', 'commit']);
+
+        undoManager.redo();
+        expect(column('b')).to.deep.equal(['y', 'z', 'x']);
+        expect(grid.edits[1]).to.deep.equal({ x: 1, y: 0, oldValue: 1, newValue: 5 });
+    });
+
+    it('Should let edit listeners cancel an undo', function(){
+        var data = [{ a: 1 }],
+            grid = newGrid(100, data),
+            undoManager = new UndoManager(grid);
+
+        grid.fireBeforeCellEdit = function() { return false; };
+        data[0].a = 2;
+        undoManager.recordValue(data[0], 'a', 1, 2);
+        undoManager.undo();
+
+        expect(data[0].a).to.equal(2);
+        expect(grid.edits).to.deep.equal([]);
+    });
+
+    it('Should group commands recorded in a transaction', function(){
+        var grid = newGrid(),
+            undoManager = new UndoManager(grid),
+            row = { a: 1, b: 1 };
+
+        undoManager.group('Paste', function() {
+            row.a = 2;
+            undoManager.recordValue(row, 'a', 1, 2);
+            undoManager.group(undefined, function() { // nested
+                row.b = 2;
+                undoManager.recordValue(row, 'b', 1, 2);
+            });
+        });
+
+        expect(undoManager.undoStack.length).to.equal(1);
+        expect(undoManager.getState()).to.deep.equal({ canUndo: true, canRedo: false, undoLabel: 'Paste', redoLabel: undefined });
+
+        undoManager.undo();
+        expect(row).to.deep.equal({ a: 1, b: 1 });
+    });
+
+    it('Should clear the redo history on record', function(){
+        var undoManager = new UndoManager(newGrid()),
+            row = {};
+
+        undoManager.recordValue(row, 'a', 1, 2);
+        undoManager.undo();
+        expect(undoManager.canRedo()).to.equal(true);
+
+        undoManager.recordValue(row, 'a', 1, 3);
+        expect(undoManager.canRedo()).to.equal(false);
+    });
+
+    it('Should not record while undoing', function(){
+        var undoManager = new UndoManager(newGrid());
+
+        undoManager.record({
+            undo: function() { undoManager.recordValue({}, 'a', 1, 2); },
+            redo: function() {}
+        });
+        undoManager.undo();
+
+        expect(undoManager.canUndo()).to.equal(false);
+    });
+
+    it('Should discard the oldest commands beyond the maximum depth', function(){
+        var undoManager = new UndoManager(newGrid(2)),
+            row = {};
+
+        undoManager.recordValue(row, 'a', 1, 2, 'first');
+        undoManager.recordValue(row, 'a', 2, 3, 'second');
+        undoManager.recordValue(row, 'a', 3, 4, 'third');
+
+        expect(undoManager.undoStack.map(function(command) { return command.label; })).to.deep.equal(['second', 'third']);
+    });
+
+    it('Should not record when depth is zero', function(){
+        var undoManager = new UndoManager(newGrid(0));
+
+        undoManager.recordValue({}, 'a', 1, 2);
+
+        expect(undoManager.canUndo()).to.equal(false);
+    });
+
+});
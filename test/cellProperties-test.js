@@ -0,0 +1,93 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var cellProperties = require('../src/behaviors/cellProperties');
+var SummarySubgrid = require('../src/dataModels/SummarySubgrid');
+
+describe('Cell properties', function() {
+    var columnProperties = { halign: 'center', color: 'black', font: '13px Tahoma' },
+        rows, column, subgrid;
+
+    beforeEach(function() {
+        rows = [{}, {}];
+        subgrid = {
+            getRow: function(y) { return rows[y]; }
+        };
+        column = Object.create(cellProperties);
+        column.index = 0;
+        column.name = 'price';
+        column.properties = columnProperties;
+        column.dataModel = subgrid;
+    });
+
+    describe('getCellProperty', function() {
+        it('Should return the column property when neither cell nor subgrid has one', function() {
+            expect(column.getCellProperty(0, 'halign', subgrid)).to.equal('center');
+        });
+
+        it('Should return the subgrid property before the column property', function() {
+            subgrid.properties = { halign: 'right' };
+            expect(column.getCellProperty(0, 'halign', subgrid)).to.equal('right');
+            expect(column.getCellProperty(0, 'color', subgrid)).to.equal('black');
+        });
+
+        it('Should return the cell property before the subgrid property', function() {
+            subgrid.properties = { halign: 'right', color: 'blue' };
+            column.setCellProperty(1, 'halign', 'left', subgrid);
+            expect(column.getCellProperty(1, 'halign', subgrid)).to.equal('left');
+            expect(column.getCellProperty(1, 'color', subgrid)).to.equal('blue');
+            expect(column.getCellProperty(0, 'halign', subgrid)).to.equal('right');
+        });
+    });
+
+    describe('getCellProperties', function() {
+        it('Should resolve from the subgrid before the column', function() {
+            subgrid.properties = { halign: 'right' };
+            var properties = column.getCellProperties(0, subgrid);
+            expect(properties.halign).to.equal('right');
+            expect(properties.color).to.equal('black');
+        });
+
+        it('Should resolve from the cell, then the subgrid, then the column', function() {
+            subgrid.properties = { halign: 'right', color: 'blue' };
+            column.setCellProperty(1, 'halign', 'left', subgrid);
+            var properties = column.getCellProperties(1, subgrid);
+            expect(properties.halign).to.equal('left');
+            expect(properties.color).to.equal('blue');
+            expect(properties.font).to.equal('13px Tahoma');
+        });
+
+        it('Should follow subgrid properties replaced after the cell\'s were set', function() {
+            column.setCellProperty(1, 'halign', 'left', subgrid);
+            subgrid.properties = { color: 'blue' };
+            expect(column.getCellProperties(1, subgrid).color).to.equal('blue');
+            subgrid.properties = undefined;
+            expect(column.getCellProperties(1, subgrid).color).to.equal('black');
+            expect(column.getCellProperties(1, subgrid).halign).to.equal('left');
+        });
+    });
+
+    describe('getSubgridProperties', function() {
+        it('Should layer the subgrid\'s properties over a variant of the column properties', function() {
+            var columnHeader = Object.create(columnProperties, { color: { value: 'gray' } }),
+                properties;
+
+            subgrid.properties = { font: 'bold 13px Tahoma' };
+            properties = column.getSubgridProperties(subgrid, columnHeader);
+            expect(properties.font).to.equal('bold 13px Tahoma');
+            expect(properties.color).to.equal('gray');
+            expect(column.getSubgridProperties(subgrid, columnHeader)).to.equal(properties);
+            expect(column.getSubgridProperties(subgrid).color).to.equal('black');
+        });
+    });
+
+    describe('SummarySubgrid', function() {
+        it('Should take its properties from its options', function() {
+            var grid = { behavior: {} },
+                properties = { font: 'bold 13px Tahoma' };
+            expect(new SummarySubgrid(grid, { name: 'topTotals', properties: properties }).properties).to.equal(properties);
+            expect(new SummarySubgrid(grid, { name: 'bottomTotals' }).properties).to.equal(undefined);
+        });
+    });
+});
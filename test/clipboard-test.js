@@ -0,0 +1,109 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var clipboard = require('../src/lib/clipboard');
+var defaults = require('../src/defaults');
+
+describe('clipboard', function(){
+
+    describe('parseDelimited', function(){
+        it('Should parse TSV ignoring the trailing line break', function(){
+            expect(clipboard.parseDelimited('a\tb\r\nc\td\r\n')).to.deep.equal([['a', 'b'], ['c', 'd']]);
+        });
+
+        it('Should parse quoted fields', function(){
+            expect(clipboard.parseDelimited('"a\tb"\t"say ""hi"""\n"x\ny"\tz')).to.deep.equal([['a\tb', 'say "hi"'], ['x\ny', 'z']]);
+        });
+
+        it('Should parse rectangular CSV', function(){
+            expect(clipboard.parseDelimited('1,2\n3,"4,5"')).to.deep.equal([['1', '2'], ['3', '4,5']]);
+        });
+
+        it('Should treat a single line with commas as one cell', function(){
+            expect(clipboard.parseDelimited('1,234.5')).to.deep.equal([['1,234.5']]);
+        });
+
+        it('Should return undefined for empty text', function(){
+            expect(clipboard.parseDelimited('')).to.equal(undefined);
+        });
+    });
+
+    describe('parseHtmlTable', function(){
+        it('Should parse table cells', function(){
+            var html = '<html><body><table><tr><th>Name</th><th colspan="2">Total</th></tr>' +
+                '<tr><td><b>Tom &amp; Jerry</b></td><td>1<br>2</td><td>&#51;</td></tr></table></body></html>';
+
+            expect(clipboard.parseHtmlTable(html)).to.deep.equal([['Name', 'Total', ''], ['Tom & Jerry', '1\n2', '3']]);
+        });
+
+        it('Should skip rows in the table head', function(){
+            var html = '<table><thead><tr><th>A</th></tr></thead><tbody><tr><td>1</td></tr></tbody></table>';
+
+            expect(clipboard.parseHtmlTable(html)).to.deep.equal([['1']]);
+        });
+
+        it('Should return undefined when there is no table', function(){
+            expect(clipboard.parseHtmlTable('<p>text</p>')).to.equal(undefined);
+        });
+    });
+
+    describe('stringifyDelimited', function(){
+        it('Should quote fields as needed and round-trip', function(){
+            var matrix = [['a', 'b\tc'], ['say "hi"', 'x\ny'], ['"hi"', '']],
+                tsv = clipboard.stringifyDelimited(matrix),
+                csv = clipboard.stringifyDelimited(matrix, ',');
+
+            expect(tsv).to.equal('a\t"b\tc"\nsay "hi"\t"x\ny"\n"""hi"""\t');
+            expect(clipboard.parseDelimited(tsv)).to.deep.equal(matrix);
+
+            expect(csv).to.equal('a,b\tc\n"say ""hi""","x\ny"\n"""hi""",');
+            expect(clipboard.parseDelimited(csv, ',')).to.deep.equal(matrix);
+        });
+    });
+
+    describe('stringifyHtmlTable', function(){
+        it('Should render headers, escaped values and styles', function(){
+            var html = clipboard.stringifyHtmlTable([['<1>', 2]], ['A', 'B'], [[{ color: 'red' }, null]]);
+
+            expect(html).to.equal(
+                '<table><thead><tr><th>A</th><th>B</th></tr></thead>' +
+                '<tbody><tr><td style="color:red">&lt;1&gt;</td><td>2</td></tr></tbody></table>'
+            );
+            expect(clipboard.parseHtmlTable(html)).to.deep.equal([['<1>', '2']]); // the head is skipped
+        });
+    });
+
+    describe('parseClipboardData', function(){
+        it('Should paste back what was copied with the default settings', function(){
+            var matrix = [['1', 'a b'], ['2', 'c']],
+                headers = ['Id', 'Name'],
+                data = {};
+
+            // as serialized by Hypergrid#getSelectionAsClipboardData
+            defaults.copyFormats.forEach(function(type) {
+                switch (type) {
+                    case 'text/plain': data[type] = clipboard.stringifyDelimited(matrix); break;
+                    case 'text/html': data[type] = clipboard.stringifyHtmlTable(matrix, defaults.copyHeaders && headers); break;
+                }
+            });
+
+            expect(data['text/html']).to.contain('<th>Id</th>');
+            expect(clipboard.parseClipboardData(data)).to.deep.equal(matrix);
+        });
+
+        it('Should fall back to plain text', function(){
+            expect(clipboard.parseClipboardData({ 'text/html': '', 'text/plain': 'a\tb' })).to.deep.equal([['a', 'b']]);
+        });
+
+        it('Should paste the plain text of several copied selections', function(){
+            var data = {
+                'text/html': clipboard.stringifyHtmlTable([['1']]) + '\n' + clipboard.stringifyHtmlTable([['2']]),
+                'text/plain': '1\n\n2'
+            };
+
+            expect(clipboard.parseClipboardData(data)).to.deep.equal([['1'], [''], ['2']]);
+        });
+    });
+
+});
@@ -0,0 +1,64 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var conditionalFormats = require('../src/lib/conditionalFormats');
+
+describe('conditionalFormats', function(){
+
+    var values = [5, 1, 9, 3, 9, 7];
+
+    function evaluate(rules, value, dataRow, cache) {
+        return conditionalFormats.evaluate(rules, value, dataRow || {}, function() { return values; }, cache || {});
+    }
+
+    it('Should match value thresholds', function(){
+        var rules = [{ operator: '>=', operand: '5', properties: { color: 'red' } }];
+        expect(evaluate(rules, 7)).to.deep.equal({ color: 'red' });
+        expect(evaluate(rules, 3)).to.equal(undefined);
+    });
+
+    it('Should compare to another column in the same row', function(){
+        var rules = [{ type: 'column', operator: '<', operand: 'target', properties: { backgroundColor: 'pink' } }];
+        expect(evaluate(rules, 3, { target: 4 })).to.deep.equal({ backgroundColor: 'pink' });
+        expect(evaluate(rules, 5, { target: 4 })).to.equal(undefined);
+    });
+
+    it('Should match the top and bottom N, including ties', function(){
+        var top = [{ type: 'top', count: 2, properties: { font: 'bold 12px Tahoma' } }],
+            bottom = [{ type: 'bottom', count: 50, percent: true, properties: { color: 'blue' } }];
+        expect(evaluate(top, 9)).to.not.equal(undefined);
+        expect(evaluate(top, 7)).to.equal(undefined);
+        expect(evaluate(bottom, 5)).to.not.equal(undefined);
+        expect(evaluate(bottom, 7)).to.equal(undefined);
+    });
+
+    it('Should match duplicates and uniques', function(){
+        var duplicate = [{ type: 'duplicate', properties: { color: 'red' } }],
+            unique = [{ type: 'unique', properties: { color: 'green' } }];
+        expect(evaluate(duplicate, 9)).to.deep.equal({ color: 'red' });
+        expect(evaluate(duplicate, 5)).to.equal(undefined);
+        expect(evaluate(unique, 5)).to.deep.equal({ color: 'green' });
+    });
+
+    it('Should evaluate condition expressions', function(){
+        var range = conditionalFormats.compile('>= 3 and < 7'),
+            text = conditionalFormats.compile('begins ab or contains "x y"');
+        expect(range(3)).to.equal(true);
+        expect(range(7)).to.equal(false);
+        expect(text('ABC')).to.equal(true);
+        expect(text('a x yz')).to.equal(true);
+        expect(text('India')).to.equal(false);
+        expect(function() { conditionalFormats.compile('1 and 2 or 3'); }).to.throw();
+    });
+
+    it('Should give precedence to earlier rules and honor stopIfTrue', function(){
+        var rules = [
+            { operator: '>', operand: 0, properties: { color: 'red' } },
+            { operator: '>', operand: 1, properties: { color: 'blue', backgroundColor: 'yellow' }, stopIfTrue: true },
+            { operator: '>', operand: 2, properties: { font: 'italic 12px Tahoma' } }
+        ];
+        expect(evaluate(rules, 5)).to.deep.equal({ color: 'red', backgroundColor: 'yellow' });
+    });
+
+});
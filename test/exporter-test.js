@@ -0,0 +1,86 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var exporter = require('../src/lib/exporter');
+var mockGrid = require('./helpers/mockGrid');
+
+function newGrid() {
+    var data = [
+            { name: 'Bob', age: 30 },
+            { name: 'Alice, Jr.', age: 4 },
+            { name: 'Carol', age: 52 }
+        ],
+        indexedData = [data[1], data[2]], // filtered and sorted
+        columns = [
+            { index: 1, name: 'age', header: 'Age', properties: { format: 'years' } },
+            { index: 0, name: 'name', header: 'Name', properties: {} }
+        ],
+        subgrids = [];
+
+    subgrids.bottomTotals = { getData: function() { return [[undefined, 86]]; } };
+
+    return mockGrid({}, {
+        behavior: {
+            subgrids: subgrids,
+            getActiveColumns: function() { return columns; },
+            getActiveColumn: function(x) { return columns[x]; },
+            getActiveColumnCount: function() { return columns.length; },
+            dataModel: {
+                getData: function() { return data; },
+                getIndexedData: function() { return indexedData; },
+                getRow: function(y) { return indexedData[y]; },
+                getRowCount: function() { return indexedData.length; }
+            }
+        },
+        selectionModel: {
+            hasSelections: function() { return true; },
+            getSelections: function() { return [{ origin: { x: 1, y: 1 }, corner: { x: 1, y: 1 } }]; }
+        },
+        getFormatter: function(name) {
+            return name === 'years'
+                ? function(value) { return value + ' yrs'; }
+                : function(value) { return value + ''; };
+        }
+    });
+}
+
+describe('exporter', function(){
+
+    describe('exportGrid', function(){
+        it('Should export the filtered view as CSV by default', function(){
+            expect(exporter.exportGrid(newGrid())).to.equal('Age,Name\r\n4,"Alice, Jr."\r\n52,Carol');
+        });
+
+        it('Should export all rows formatted as TSV with totals', function(){
+            var tsv = exporter.exportGrid(newGrid(), { format: 'tsv', scope: 'all', formatted: true, totals: true });
+            expect(tsv).to.equal('Age\tName\n30 yrs\tBob\n4 yrs\tAlice, Jr.\n52 yrs\tCarol\n86 yrs\t');
+        });
+
+        it('Should format each value as per its own cell properties', function(){
+            var grid = newGrid();
+
+            grid.behavior.dataModel.getData()[0].__META = { age: { format: 'plain' } };
+
+            var csv = exporter.exportGrid(grid, { scope: 'all', formatted: true, headers: false });
+            expect(csv).to.equal('30,Bob\r\n4 yrs,"Alice, Jr."\r\n52 yrs,Carol');
+        });
+
+        it('Should export the selection as JSON', function(){
+            var json = exporter.exportGrid(newGrid(), { format: 'json', scope: 'selection' });
+            expect(JSON.parse(json)).to.deep.equal([{ name: 'Carol' }]);
+        });
+
+        it('Should export typed SpreadsheetML cells', function(){
+            var xml = exporter.exportGrid(newGrid(), { format: 'xml', headers: false, sheetName: 'A&B' });
+            expect(xml).to.contain('<Worksheet ss:Name="A&amp;B">');
+            expect(xml).to.contain('<Row><Cell><Data ss:Type="Number">4</Data></Cell><Cell><Data ss:Type="String">Alice, Jr.</Data></Cell></Row>');
+            expect(xml).not.to.contain('ss:StyleID="header"><Cell>');
+        });
+
+        it('Should throw on unknown format', function(){
+            expect(function() { exporter.exportGrid(newGrid(), { format: 'pdf' }); }).to.throw('Unknown export format');
+        });
+    });
+
+});
@@ -0,0 +1,50 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var fillSeries = require('../src/lib/fillSeries');
+
+describe('fillSeries', function(){
+
+    it('Should continue a constant numeric step', function(){
+        expect(fillSeries([1, 3, 5], 3)).to.deep.equal([7, 9, 11]);
+        expect(fillSeries([0.1, 0.2], 2)).to.deep.equal([0.3, 0.4]);
+    });
+
+    it('Should continue backward when given reversed values', function(){
+        expect(fillSeries([30, 20], 2)).to.deep.equal([10, 0]);
+    });
+
+    it('Should copy a single number or numbers without a constant step', function(){
+        expect(fillSeries([5], 2)).to.deep.equal([5, 5]);
+        expect(fillSeries([1, 2, 4], 4)).to.deep.equal([1, 2, 4, 1]);
+    });
+
+    it('Should continue dates by day or by month', function(){
+        var days = fillSeries([new Date(2016, 0, 30)], 3),
+            months = fillSeries([new Date(2016, 0, 15), new Date(2016, 2, 15)], 2);
+
+        expect(days.map(function(date) { return date.getDate(); })).to.deep.equal([31, 1, 2]);
+        expect(months.map(function(date) { return date.getMonth(); })).to.deep.equal([4, 6]);
+    });
+
+    it('Should keep the time of day across daylight saving time changes', function(){
+        var single = fillSeries([new Date(2016, 0, 1)], 365),
+            weekly = fillSeries([new Date(2016, 0, 1, 9), new Date(2016, 0, 8, 9)], 52);
+
+        expect(single.every(function(date) { return date.getHours() === 0; })).to.equal(true);
+        expect(single[364].getDate()).to.equal(31);
+        expect(weekly.every(function(date) { return date.getHours() === 9 && date.getDay() === 5; })).to.equal(true);
+    });
+
+    it('Should continue weekdays in the style of the last value', function(){
+        expect(fillSeries(['Friday'], 2)).to.deep.equal(['Saturday', 'Sunday']);
+        expect(fillSeries(['SAT', 'SUN'], 2)).to.deep.equal(['MON', 'TUE']);
+        expect(fillSeries(['mon', 'wed'], 2)).to.deep.equal(['fri', 'sun']);
+    });
+
+    it('Should copy anything else', function(){
+        expect(fillSeries(['a', 'b'], 3)).to.deep.equal(['a', 'b', 'a']);
+    });
+
+});
@@ -0,0 +1,32 @@
+'use strict';
+
+/**
+ * @summary Stand-in for a Hypergrid instance, for testing modules that use only a few of its members.
+ * @desc Counts calls to `repaint` (in `repaints`) and `behaviorChanged` (in `changes`). The behavior refers back to the grid (as `behavior.grid`).
+ * @param {object} [properties] - The grid properties.
+ * @param {object} [members] - Members to add to or replace those of the stand-in (_e.g.,_ `behavior` or event firing methods).
+ * @returns {object}
+ */
+module.exports = function mockGrid(properties, members) {
+    var grid = {
+        HypergridError: Error,
+        properties: properties || {},
+        repaints: 0,
+        changes: 0,
+        behavior: {},
+        selectionModel: {
+            hasSelections: function() { return false; },
+            hasRowSelections: function() { return false; }
+        },
+        repaint: function() { this.repaints++; },
+        behaviorChanged: function() { this.changes++; }
+    };
+
+    Object.keys(members || {}).forEach(function(key) {
+        grid[key] = members[key];
+    });
+
+    grid.behavior.grid = grid;
+
+    return grid;
+};
@@ -0,0 +1,86 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var ProgressBar = require('../src/cellRenderers/ProgressBar');
+var Rating = require('../src/cellRenderers/Rating');
+var Toggle = require('../src/cellRenderers/Toggle');
+
+// minimal stand-in for a CellEvent on a 100 x 20 cell
+function cellEvent(value, properties) {
+    return {
+        value: value,
+        bounds: { x: 300, y: 200, width: 100, height: 20 },
+        getCellProperty: function(key) { return properties[key]; }
+    };
+}
+
+describe('Interactive cell renderers', function() {
+
+    describe('ProgressBar.getFraction', function() {
+        it('Should return the fraction of max, clamped', function() {
+            expect(ProgressBar.getFraction(25, 100)).to.equal(0.25);
+            expect(ProgressBar.getFraction(150, 100)).to.equal(1);
+            expect(ProgressBar.getFraction(-5, 100)).to.equal(0);
+        });
+
+        it('Should return undefined for non-numbers', function() {
+            expect(ProgressBar.getFraction('25', 100)).to.equal(undefined);
+            expect(ProgressBar.getFraction(NaN, 100)).to.equal(undefined);
+        });
+    });
+
+    describe('Rating', function() {
+        var rating = new Rating(),
+            properties = { ratingMax: 5 };
+
+        it('Should round and clamp the rating', function() {
+            expect(Rating.getRating(3.6, 5)).to.equal(4);
+            expect(Rating.getRating(9, 5)).to.equal(5);
+            expect(Rating.getRating('n/a', 5)).to.equal(0);
+        });
+
+        it('Should find the star under the mouse', function() {
+            // 16-pixel stars every 18 pixels
+            expect(Rating.getStarAt(5, 20, 5)).to.equal(1);
+            expect(Rating.getStarAt(25, 20, 5)).to.equal(2);
+            expect(Rating.getStarAt(95, 20, 5)).to.equal(0);
+        });
+
+        it('Should set the clicked star, or clear the current rating', function() {
+            expect(rating.getEditedValue(cellEvent(1, properties), { x: 25, y: 10 })).to.equal(2);
+            expect(rating.getEditedValue(cellEvent(2, properties), { x: 25, y: 10 })).to.equal(0);
+            expect(rating.getEditedValue(cellEvent(2, properties), { x: 95, y: 10 })).to.equal(undefined);
+        });
+
+        it('Should increase the rating from the keyboard, wrapping around', function() {
+            expect(rating.getEditedValue(cellEvent(3, properties))).to.equal(4);
+            expect(rating.getEditedValue(cellEvent(5, properties))).to.equal(0);
+        });
+    });
+
+    describe('Toggle', function() {
+        var toggle = new Toggle(),
+            properties = { toggleStyle: 'checkbox' };
+
+        it('Should center the control', function() {
+            expect(Toggle.getControlRect('checkbox', { x: 0, y: 0, width: 100, height: 20 }))
+                .to.deep.equal({ x: 43, y: 3, width: 14, height: 14 });
+            expect(Toggle.getControlRect('switch', { x: 0, y: 0, width: 100, height: 20 }))
+                .to.deep.equal({ x: 36, y: 3, width: 28, height: 14 });
+        });
+
+        it('Should toggle when the control is clicked', function() {
+            expect(toggle.getEditedValue(cellEvent(false, properties), { x: 50, y: 10 })).to.equal(true);
+            expect(toggle.getEditedValue(cellEvent(true, properties), { x: 50, y: 10 })).to.equal(false);
+        });
+
+        it('Should ignore clicks beside the control', function() {
+            expect(toggle.getEditedValue(cellEvent(false, properties), { x: 10, y: 10 })).to.equal(undefined);
+        });
+
+        it('Should toggle from the keyboard', function() {
+            expect(toggle.getEditedValue(cellEvent(undefined, properties))).to.equal(true);
+        });
+    });
+});
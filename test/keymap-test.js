@@ -0,0 +1,88 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var keymap = require('../src/lib/keymap');
+var defaults = require('../src/defaults');
+
+describe('keymap', function() {
+    var isMac = keymap.isMac;
+
+    afterEach(function() {
+        keymap.isMac = isMac;
+    });
+
+    describe('normalize', function() {
+        it('Should upper-case the chord and order its modifiers', function() {
+            expect(keymap.normalize('shift+ctrl+z')).to.equal('CTRL+SHIFT+Z');
+            expect(keymap.normalize('PageDown')).to.equal('PAGEDOWN');
+        });
+
+        it('Should translate aliases', function() {
+            expect(keymap.normalize('Home')).to.equal('PAGELEFT');
+            expect(keymap.normalize('Control+Enter')).to.equal('CTRL+RETURN');
+            expect(keymap.normalize('Cmd+Escape')).to.equal('META+ESC');
+        });
+
+        it('Should translate Mod to Ctrl, or Meta on a Mac', function() {
+            keymap.isMac = false;
+            expect(keymap.normalize('Mod+C')).to.equal('CTRL+C');
+            keymap.isMac = true;
+            expect(keymap.normalize('Mod+C')).to.equal('META+C');
+        });
+
+        it('Should accept + as the key', function() {
+            expect(keymap.normalize('Ctrl++')).to.equal('CTRL++');
+        });
+
+        it('Should throw on unknown modifiers', function() {
+            expect(function() { keymap.normalize('Hyper+X'); }).to.throw(/Unknown modifier/);
+        });
+    });
+
+    describe('getChord', function() {
+        it('Should drop the SHIFT suffix of the key', function() {
+            expect(keymap.getChord({ char: 'UPSHIFT', shift: true })).to.equal('SHIFT+UP');
+            expect(keymap.getChord({ char: 'UP' })).to.equal('UP');
+        });
+
+        it('Should include Shift for letters but not for shifted symbols', function() {
+            expect(keymap.getChord({ char: 'Z', shift: true, ctrl: true })).to.equal('CTRL+SHIFT+Z');
+            expect(keymap.getChord({ char: '!', shift: true })).to.equal('!');
+        });
+
+        it('Should not repeat a modifier key as its own modifier', function() {
+            expect(keymap.getChord({ char: 'ALT', alt: true })).to.equal('ALT');
+            expect(keymap.getChord({ char: 'SHIFT', shift: true })).to.equal('SHIFT');
+        });
+
+        it('Should return undefined for unmapped keys', function() {
+            expect(keymap.getChord({ char: '' })).to.equal(undefined);
+        });
+    });
+
+    describe('getCommand', function() {
+        it('Should find the default commands', function() {
+            keymap.isMac = false;
+            expect(keymap.getCommand(defaults.keymap, { char: 'PAGEDOWN' })).to.equal('pageDown');
+            expect(keymap.getCommand(defaults.keymap, { char: 'DOWNSHIFT', shift: true })).to.equal('extendSelectionDown');
+            expect(keymap.getCommand(defaults.keymap, { char: 'Z', shift: true, ctrl: true })).to.equal('redo');
+            expect(keymap.getCommand(defaults.keymap, { char: 'z', meta: true })).to.equal(undefined);
+            expect(keymap.getCommand(defaults.keymap, { char: 'q' })).to.equal(undefined);
+        });
+    });
+
+    describe('extend', function() {
+        it('Should replace bindings of the same chord however written', function() {
+            var bindings = keymap.extend({ 'Ctrl+Z': 'undo', F2: 'startEdit' }, { 'control+z': 'myUndo' });
+            expect(bindings).to.deep.equal({ F2: 'startEdit', 'control+z': 'myUndo' });
+        });
+
+        it('Should remove bindings to falsy commands without modifying the original', function() {
+            var original = { F2: 'startEdit', SPACE: 'activateCell' },
+                bindings = keymap.extend(original, { f2: null });
+            expect(bindings).to.deep.equal({ SPACE: 'activateCell' });
+            expect(original.F2).to.equal('startEdit');
+        });
+    });
+});
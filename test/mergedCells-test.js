@@ -0,0 +1,155 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var mergedCells = require('../src/lib/mergedCells');
+var DataModelJSON = require('../src/dataModels/JSON');
+
+var Behavior;
+
+describe('mergedCells', function() {
+    var ranges = [
+        { x: 1, y: 1, width: 2, height: 3 },
+        { x: 4, y: 0, width: 1, height: 2 }
+    ];
+
+    describe('find', function() {
+        it('returns the range containing the cell', function() {
+            expect(mergedCells.find(ranges, 1, 1)).to.equal(ranges[0]);
+            expect(mergedCells.find(ranges, 2, 3)).to.equal(ranges[0]);
+            expect(mergedCells.find(ranges, 4, 1)).to.equal(ranges[1]);
+        });
+
+        it('returns undefined outside all ranges', function() {
+            expect(mergedCells.find(ranges, 3, 1)).to.equal(undefined);
+            expect(mergedCells.find(ranges, 1, 4)).to.equal(undefined);
+            expect(mergedCells.find(undefined, 1, 1)).to.equal(undefined);
+        });
+    });
+
+    describe('getRun', function() {
+        var values = ['a', 'a', 'a', 'b', '', '', 'c', new Date(2017, 0, 1), new Date(2017, 0, 1)],
+            calls;
+
+        function getValue(y) {
+            calls++;
+            return values[y];
+        }
+
+        beforeEach(function() {
+            calls = 0;
+        });
+
+        it('finds the run of identical consecutive values', function() {
+            expect(mergedCells.getRun(getValue, 1, values.length, [], 3)).to.deep.equal({ x: 3, y: 0, width: 1, height: 3 });
+        });
+
+        it('returns undefined for unrepeated and empty values', function() {
+            expect(mergedCells.getRun(getValue, 3, values.length, [], 0)).to.equal(undefined);
+            expect(mergedCells.getRun(getValue, 4, values.length, [], 0)).to.equal(undefined);
+        });
+
+        it('compares dates by time', function() {
+            expect(mergedCells.getRun(getValue, 8, values.length, [], 0)).to.deep.equal({ x: 0, y: 7, width: 1, height: 2 });
+        });
+
+        it('caches the run for every row in it', function() {
+            var cache = [],
+                run = mergedCells.getRun(getValue, 0, values.length, cache, 0);
+
+            calls = 0;
+            expect(mergedCells.getRun(getValue, 2, values.length, cache, 0)).to.equal(run);
+            expect(calls).to.equal(0);
+        });
+    });
+
+    describe('expand', function() {
+        it('grows a rectangle to include overlapped ranges', function() {
+            expect(mergedCells.expand({ x: 0, y: 0, width: 2, height: 2 }, ranges))
+                .to.deep.equal({ x: 0, y: 0, width: 3, height: 4 });
+        });
+
+        it('includes ranges overlapped by the growth', function() {
+            ranges.push({ x: 3, y: 3, width: 2, height: 1 });
+            try {
+                expect(mergedCells.expand({ x: 2, y: 3, width: 2, height: 1 }, ranges))
+                    .to.deep.equal({ x: 1, y: 0, width: 4, height: 4 });
+            } finally {
+                ranges.pop();
+            }
+        });
+
+        it('leaves a rectangle without merged cells as is', function() {
+            expect(mergedCells.expand({ x: 0, y: 4, width: 3, height: 1 }, ranges))
+                .to.deep.equal({ x: 0, y: 4, width: 3, height: 1 });
+        });
+
+        it('includes auto-merged runs, visiting each run once', function() {
+            var values = ['a', 'b', 'b', 'b', 'c', 'c'],
+                cache = [],
+                lookups = [];
+
+            function getRuns(x) {
+                lookups.push(x);
+                return x === 6 && function(y) {
+                    lookups.push(x + ':' + y);
+                    return mergedCells.getRun(function(y) { return values[y]; }, y, values.length, cache, x);
+                };
+            }
+
+            expect(mergedCells.expand({ x: 5, y: 2, width: 2, height: 3 }, ranges, getRuns))
+                .to.deep.equal({ x: 5, y: 1, width: 2, height: 5 });
+            expect(lookups).to.deep.equal([5, 6, '6:2', '6:4', '6:1', '6:4']);
+        });
+    });
+
+    describe('Behavior#getMergedCell', function() {
+        before(function() {
+            // Behavior's dependencies touch these when loaded
+            global.Image = function() { return {}; };
+            global.document = { querySelector: function() { return { children: [] }; } };
+            Behavior = require('../src/behaviors/Behavior');
+        });
+
+        after(function() {
+            delete global.Image;
+            delete global.document;
+        });
+
+        function newBehavior(data) {
+            var behavior = Object.create(Behavior.prototype),
+                dataModel = new DataModelJSON({ properties: {} }, { data: data }),
+                reads = 0;
+
+            behavior.dataModel = dataModel;
+            behavior.columns = [{
+                properties: { autoMerge: true },
+                getValue: function(y) { reads++; return dataModel.getValue(0, y); }
+            }];
+            behavior.reads = function() { return reads; };
+
+            return behavior;
+        }
+
+        it('caches auto-merged runs until the data changes', function() {
+            var behavior = newBehavior([{ name: 'a' }, { name: 'a' }, { name: 'b' }]),
+                reads;
+
+            expect(behavior.getMergedCell(0, 0)).to.deep.equal({ x: 0, y: 0, width: 1, height: 2 });
+            reads = behavior.reads();
+            expect(behavior.getMergedCell(0, 1)).to.deep.equal({ x: 0, y: 0, width: 1, height: 2 });
+            expect(behavior.reads()).to.equal(reads);
+
+            behavior.dataModel.setValue(0, 2, 'a');
+            expect(behavior.getMergedCell(0, 1)).to.deep.equal({ x: 0, y: 0, width: 1, height: 3 });
+        });
+
+        it('prefers declared ranges', function() {
+            var behavior = newBehavior([{ name: 'a' }, { name: 'a' }]),
+                range = { x: 0, y: 1, width: 2, height: 1 };
+
+            behavior.dataModel.mergedCells = [range];
+            expect(behavior.getMergedCell(0, 1)).to.equal(range);
+        });
+    });
+});
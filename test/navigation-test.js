@@ -0,0 +1,92 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var navigation = require('../src/lib/navigation');
+var defaults = require('../src/defaults');
+var keymap = require('../src/lib/keymap');
+
+describe('navigation', function() {
+
+    describe('findEdge', function() {
+        //            0    1    2   3    4    5   6
+        var values = ['a', 'b', '', '', 'c', 'd', ''];
+
+        function isEmpty(i) {
+            return values[i] === '';
+        }
+
+        it('Should go to the end of a run of non-empty cells', function() {
+            expect(navigation.findEdge(0, 1, values.length, isEmpty)).to.equal(1);
+            expect(navigation.findEdge(5, -1, values.length, isEmpty)).to.equal(4);
+        });
+
+        it('Should go to the next non-empty cell from the end of a run', function() {
+            expect(navigation.findEdge(1, 1, values.length, isEmpty)).to.equal(4);
+            expect(navigation.findEdge(4, -1, values.length, isEmpty)).to.equal(1);
+        });
+
+        it('Should go to the next non-empty cell from an empty cell', function() {
+            expect(navigation.findEdge(2, 1, values.length, isEmpty)).to.equal(4);
+        });
+
+        it('Should go to the edge when there is no further non-empty cell', function() {
+            expect(navigation.findEdge(5, 1, values.length, isEmpty)).to.equal(6);
+            expect(navigation.findEdge(6, 1, values.length, isEmpty)).to.equal(6);
+            expect(navigation.findEdge(0, -1, values.length, isEmpty)).to.equal(0);
+        });
+    });
+
+    describe('step', function() {
+        it('Should return the adjacent cell', function() {
+            expect(navigation.step(1, 1, 0, 1, 3, 3)).to.deep.equal({ x: 1, y: 2 });
+        });
+
+        it('Should pass over skipped cells', function() {
+            function isSkipped(x, y) { return y === 1; }
+            expect(navigation.step(0, 0, 0, 1, 3, 3, isSkipped)).to.deep.equal({ x: 0, y: 2 });
+        });
+
+        it('Should return undefined at the edge', function() {
+            expect(navigation.step(2, 2, 1, 0, 3, 3)).to.equal(undefined);
+            expect(navigation.step(0, 2, 0, 1, 3, 3)).to.equal(undefined);
+        });
+    });
+
+    describe('next', function() {
+        it('Should wrap to the start of the next row', function() {
+            expect(navigation.next(2, 0, 1, 3, 2)).to.deep.equal({ x: 0, y: 1 });
+        });
+
+        it('Should wrap backward to the end of the previous row', function() {
+            expect(navigation.next(0, 1, -1, 3, 2)).to.deep.equal({ x: 2, y: 0 });
+        });
+
+        it('Should pass over skipped cells', function() {
+            function isSkipped(x) { return x === 0; }
+            expect(navigation.next(2, 0, 1, 3, 2, isSkipped)).to.deep.equal({ x: 1, y: 1 });
+        });
+
+        it('Should return undefined past the last cell', function() {
+            expect(navigation.next(2, 1, 1, 3, 2)).to.equal(undefined);
+            expect(navigation.next(0, 0, -1, 3, 2)).to.equal(undefined);
+        });
+    });
+
+    describe('default key bindings', function() {
+        var isMac = keymap.isMac;
+
+        after(function() {
+            keymap.isMac = isMac;
+        });
+
+        it('Should bind the spreadsheet navigation keys', function() {
+            keymap.isMac = false;
+            expect(keymap.getCommand(defaults.keymap, { char: 'DOWN', ctrl: true })).to.equal('moveToEdgeDown');
+            expect(keymap.getCommand(defaults.keymap, { char: 'PAGELEFT', ctrl: true })).to.equal('moveToFirstCell');
+            expect(keymap.getCommand(defaults.keymap, { char: 'PAGERIGHT' })).to.equal('moveToRowEnd');
+            expect(keymap.getCommand(defaults.keymap, { char: 'TABSHIFT', shift: true })).to.equal('movePrevious');
+            expect(keymap.getCommand(defaults.keymap, { char: 'RETURN' })).to.equal('moveInEnterDirection');
+        });
+    });
+});
@@ -0,0 +1,74 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var DataModelJSON = require('../src/dataModels/JSON');
+var mockGrid = require('./helpers/mockGrid');
+
+function newGrid(properties) {
+    return mockGrid(properties, {
+        requests: [],
+        fireSyntheticTransformRequestEvent: function(request) {
+            this.requests.push(request);
+        }
+    });
+}
+
+// local pipeline data source that reverses the rows
+function Reverser(dataSource) {
+    this.dataSource = dataSource;
+    this.applied = 0;
+}
+
+Reverser.prototype = {
+    apply: function() { this.applied++; },
+    getRow: function(y) { return this.dataSource.getRow(this.dataSource.getRowCount() - 1 - y); },
+    getRowCount: function() { return this.dataSource.getRowCount(); }
+};
+
+function newDataModel(grid) {
+    var dataModel = new DataModelJSON(grid, {
+        data: [{ a: 1 }, { a: 2 }],
+        schema: [{ name: 'a', header: 'A', type: 'number' }]
+    });
+    dataModel.setPipeline([Reverser]);
+    return dataModel;
+}
+
+describe('dataModels.JSON remote transforms', function(){
+
+    it('Should reindex locally by default', function(){
+        var grid = newGrid(),
+            dataModel = newDataModel(grid);
+
+        dataModel.transform();
+
+        expect(grid.requests).to.deep.equal([]);
+        expect(dataModel.pipeline[0].applied).to.equal(1);
+        expect(dataModel.getIndexedData()).to.deep.equal([{ a: 2 }, { a: 1 }]);
+    });
+
+    it('Should request transforms and bypass the local pipeline in remote transform mode', function(){
+        var grid = newGrid({ remoteTransforms: true }),
+            dataModel = newDataModel(grid);
+
+        dataModel.getSortedColumnIndexes = function() { // as mixed in by hyper-sorter
+            return [{ columnIndex: 0, direction: -1, type: 'number' }];
+        };
+
+        dataModel.transform();
+
+        expect(dataModel.pipeline[0].applied).to.equal(0);
+        expect(grid.requests).to.deep.equal([{
+            schema: [{ name: 'a', header: 'A', type: 'number' }],
+            sorts: [{ name: 'a', columnIndex: 0, direction: -1, type: 'number' }]
+        }]);
+
+        dataModel.setTransformReply({ rows: [{ a: 3 }, { a: 2 }, { a: 1 }] });
+
+        expect(dataModel.pipeline[0].applied).to.equal(0);
+        expect(dataModel.getIndexedData()).to.deep.equal([{ a: 3 }, { a: 2 }, { a: 1 }]);
+        expect(dataModel.schema[0].header).to.equal('A');
+    });
+
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var DataModelJSON = require('../src/dataModels/JSON');
+var DataBar = require('../src/cellRenderers/DataBar');
+var ColorScale = require('../src/cellRenderers/ColorScale');
+var IconSet = require('../src/cellRenderers/IconSet');
+
+describe('Scaled cell renderers', function(){
+
+    describe('dataModels.JSON.getColumnStats', function(){
+
+        it('Should compute count, sum, min, and max of the numbers in a column', function(){
+            var dataModel = new DataModelJSON({ properties: {} }, {
+                data: [{ price: 10 }, { price: -4 }, { price: 'n/a' }, { price: 30 }]
+            });
+
+            expect(dataModel.getColumnStats('price')).to.deep.equal({ count: 3, sum: 36, min: -4, max: 30 });
+        });
+
+        it('Should include the elements of array values', function(){
+            var dataModel = new DataModelJSON({ properties: {} }, { data: [{ trend: [3, 8] }, { trend: [-2] }] });
+
+            expect(dataModel.getColumnStats('trend')).to.deep.equal({ count: 3, sum: 9, min: -2, max: 8 });
+        });
+
+        it('Should cache until invalidated', function(){
+            var dataModel = new DataModelJSON({ properties: {} }, { data: [{ price: 10 }] });
+
+            dataModel.getColumnStats('price');
+            dataModel.getData()[0].price = 20;
+            expect(dataModel.getColumnStats('price').max).to.equal(10);
+
+            dataModel.invalidateColumnStats();
+            expect(dataModel.getColumnStats('price').max).to.equal(20);
+        });
+
+        it('Should recompute when the data changes through the data model', function(){
+            var dataModel = new DataModelJSON({ properties: {} }, { data: [{ price: 10 }, { price: 5 }] }),
+                generation = dataModel.dataGeneration;
+
+            expect(dataModel.getColumnStats('price').max).to.equal(10);
+
+            dataModel.setValue(0, 1, 30);
+            expect(dataModel.dataGeneration).to.be.above(generation);
+            expect(dataModel.getColumnStats('price').max).to.equal(30);
+
+            dataModel.setData([{ price: 1 }]);
+            expect(dataModel.getColumnStats('price').max).to.equal(1);
+        });
+
+    });
+
+    it('Should take the range from scaleMin/scaleMax or else from column stats', function(){
+        var dataBar = new DataBar;
+
+        expect(dataBar.getRange({ columnStats: { min: 1, max: 9 } })).to.deep.equal({ min: 1, max: 9 });
+        expect(dataBar.getRange({ columnStats: { min: 1, max: 9 }, scaleMax: 100 })).to.deep.equal({ min: 1, max: 100 });
+        expect(dataBar.getRange({ columnStats: { count: 0 } })).to.equal(undefined);
+        expect(dataBar.getFraction(150, { min: 0, max: 100 })).to.equal(1);
+    });
+
+    it('Should interpolate color scales', function(){
+        var colors = ['#f00', 'rgb(255, 255, 0)', '#00ff00'];
+
+        expect(ColorScale.interpolate(colors, 0)).to.equal('rgba(255, 0, 0, 1)');
+        expect(ColorScale.interpolate(colors, 0.25)).to.equal('rgba(255, 128, 0, 1)');
+        expect(ColorScale.interpolate(colors, 1)).to.equal('rgba(0, 255, 0, 1)');
+    });
+
+    it('Should choose icons by threshold', function(){
+        expect(IconSet.getIconIndex(0, [33, 67], 3)).to.equal(0);
+        expect(IconSet.getIconIndex(33, [33, 67], 3)).to.equal(1);
+        expect(IconSet.getIconIndex(100, [33, 67], 3)).to.equal(2);
+    });
+
+});
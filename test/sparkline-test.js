@@ -0,0 +1,73 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var SparkLine = require('../src/cellRenderers/SparkLine');
+var SparkBar = require('../src/cellRenderers/SparkBar');
+var SparkWinLoss = require('../src/cellRenderers/SparkWinLoss');
+var SparkBullet = require('../src/cellRenderers/SparkBullet');
+
+function mockGC() {
+    var gc = { points: [], rects: [] };
+    ['save', 'restore', 'beginPath', 'closePath', 'stroke', 'fill', 'arc'].forEach(function(name) {
+        gc[name] = function() {};
+    });
+    gc.moveTo = gc.lineTo = function(x, y) { gc.points.push({ x: x, y: y }); };
+    gc.fillRect = function(x, y, width, height) { gc.rects.push({ x: x, y: y, width: width, height: height }); };
+    return gc;
+}
+
+function config(value, props) {
+    var result = {
+        value: value,
+        bounds: { x: 0, y: 0, width: 104, height: 24 },
+        color: 'black'
+    };
+    Object.keys(props || {}).forEach(function(key) { result[key] = props[key]; });
+    return result;
+}
+
+describe('Sparkline renderers', function(){
+
+    it('Should scale lines to the series so no point falls outside the cell', function(){
+        var gc = mockGC();
+
+        new SparkLine().paint(gc, config([-500, 250, 1000]));
+
+        var ys = gc.points.map(function(point) { return point.y; });
+        expect(Math.max.apply(null, ys)).to.equal(22);
+        expect(Math.min.apply(null, ys)).to.equal(2);
+        expect(gc.points.map(function(point) { return point.x; })).to.deep.equal([2, 52, 102]);
+    });
+
+    it('Should scale to scaleMin/scaleMax or the column when so configured', function(){
+        var sparkLine = new SparkLine();
+
+        expect(sparkLine.getSeriesRange(config(), [2, 4])).to.deep.equal({ min: 2, max: 4 });
+        expect(sparkLine.getSeriesRange(config(null, { scaleMax: 10 }), [2, 4])).to.deep.equal({ min: 2, max: 10 });
+        expect(sparkLine.getSeriesRange(config(null, { sparkScale: 'column', columnStats: { min: -1, max: 9 } }), [2, 4]))
+            .to.deep.equal({ min: -1, max: 9 });
+        expect(new SparkBar().getSeriesRange(config(), [2, 4])).to.deep.equal({ min: 0, max: 4 });
+    });
+
+    it('Should draw win/loss columns of equal height and skip zeros', function(){
+        var gc = mockGC();
+
+        new SparkWinLoss().paint(gc, config([3, -20, 0, 7]));
+
+        expect(gc.rects.length).to.equal(3);
+        expect(gc.rects[0].height).to.equal(gc.rects[1].height);
+    });
+
+    it('Should find the point under the mouse', function(){
+        var sparkLine = new SparkLine(),
+            sparkBar = new SparkBar();
+
+        expect(sparkLine.getPointAt([5, 6, 7], 40, 104)).to.deep.equal({ index: 1, value: 6 });
+        expect(sparkLine.getPointAt([5, 6, 7], 200, 104)).to.deep.equal({ index: 2, value: 7 });
+        expect(sparkBar.getPointAt([5, 6, 7, 8], 30, 104)).to.deep.equal({ index: 1, value: 6 });
+        expect(new SparkBullet().getPointAt([70, 80, 50, 100], 90, 104)).to.deep.equal({ index: 0, value: 70 });
+        expect(sparkLine.getPointAt('n/a', 40, 104)).to.equal(undefined);
+    });
+
+});
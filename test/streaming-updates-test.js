@@ -0,0 +1,145 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var DataModelJSON = require('../src/dataModels/JSON');
+var Validator = require('../src/lib/Validator');
+var mockGrid = require('./helpers/mockGrid');
+
+function newGrid() {
+    return mockGrid({ primaryKey: 'id' }, {
+        shapeChanges: 0,
+        flashes: [],
+        behavior: {
+            shapeChanged: function() { this.grid.shapeChanges++; }
+        },
+        flashCells: function(changes) { this.flashes.push(changes); }
+    });
+}
+
+function newDataModel(grid) {
+    return new DataModelJSON(grid, {
+        data: [
+            { id: 'a', price: 10, name: 'Alpha' },
+            { id: 'b', price: 20, name: 'Bravo' }
+        ]
+    });
+}
+
+describe('dataModels.JSON streaming updates', function(){
+
+    var frames;
+
+    beforeEach(function() {
+        frames = [];
+        global.requestAnimationFrame = function(callback) { frames.push(callback); };
+    });
+
+    afterEach(function() {
+        delete global.requestAnimationFrame;
+    });
+
+    it('Should batch updates until the next animation frame', function(){
+        var grid = newGrid(),
+            dataModel = newDataModel(grid);
+
+        dataModel.applyUpdates([{ id: 'a', changes: { price: 11 } }]);
+        dataModel.applyUpdates([{ id: 'b', changes: { price: 19 } }, { id: 'a', changes: { price: 12 } }]);
+
+        expect(frames.length).to.equal(1);
+        expect(dataModel.getData()[0].price).to.equal(10);
+
+        frames[0]();
+
+        expect(dataModel.getData()).to.deep.equal([
+            { id: 'a', price: 12, name: 'Alpha' },
+            { id: 'b', price: 19, name: 'Bravo' }
+        ]);
+        expect(grid.repaints).to.equal(1);
+        expect(grid.flashes.length).to.equal(1);
+        expect(grid.flashes[0].map(function(change) { return change.direction; })).to.deep.equal([1, -1, 1]);
+    });
+
+    it('Should skip unknown rows and unchanged values', function(){
+        var grid = newGrid(),
+            dataModel = newDataModel(grid);
+
+        dataModel.applyUpdates([{ id: 'z', changes: { price: 1 } }, { id: 'a', changes: { price: 10, name: 'Able' } }]);
+
+        expect(dataModel.flushUpdates()).to.deep.equal([
+            { id: 'a', name: 'name', oldValue: 'Alpha', newValue: 'Able', direction: 0 }
+        ]);
+    });
+
+    it('Should keep the primary key index between flushes', function(){
+        var dataModel = newDataModel(newGrid()),
+            getData = dataModel.getData,
+            scans = 0;
+
+        dataModel.getData = function() {
+            scans++;
+            return getData.call(this);
+        };
+
+        dataModel.applyUpdates([{ id: 'a', changes: { price: 11 } }]);
+        dataModel.flushUpdates();
+        dataModel.applyUpdates([{ id: 'a', changes: { id: 'c' } }]);
+        dataModel.flushUpdates();
+        dataModel.applyUpdates([{ id: 'c', changes: { price: 12 } }, { id: 'a', changes: { price: 0 } }]);
+        dataModel.flushUpdates();
+
+        expect(scans).to.equal(1);
+        expect(dataModel.getData()[0]).to.deep.equal({ id: 'c', price: 12, name: 'Alpha' });
+
+        dataModel.setData([{ id: 'a', price: 1 }]);
+        scans = 0;
+        dataModel.applyUpdates([{ id: 'a', changes: { price: 2 } }]);
+        dataModel.flushUpdates();
+
+        expect(scans).to.equal(1); // rebuilt for the new data
+        expect(dataModel.getData()[0].price).to.equal(2);
+    });
+
+    it('Should reindex only when a sorted column changes', function(){
+        var grid = newGrid(),
+            dataModel = newDataModel(grid);
+
+        dataModel.getSortedColumnIndexes = function() { // as mixed in by hyper-sorter
+            return [{ columnIndex: 1, direction: 1 }];
+        };
+
+        dataModel.applyUpdates([{ id: 'a', changes: { name: 'Able' } }]);
+        dataModel.flushUpdates();
+        expect(grid.shapeChanges).to.equal(0);
+
+        dataModel.applyUpdates([{ id: 'a', changes: { price: 30 } }]);
+        dataModel.flushUpdates();
+        expect(grid.shapeChanges).to.equal(1);
+    });
+
+    it('Should revalidate the changed cells once the data has been validated', function(){
+        var grid = newGrid(),
+            dataModel = newDataModel(grid),
+            validator = grid.validator = new Validator(grid),
+            data = dataModel.getData();
+
+        grid.behavior.getData = function() { return data; };
+        grid.behavior.allColumns = [
+            { name: 'price', properties: { validators: [{ type: 'range', min: 0 }] } },
+            { name: 'name', properties: { validators: [{ type: 'unique' }] } }
+        ];
+
+        dataModel.applyUpdates([{ id: 'a', changes: { price: -1 } }]);
+        dataModel.flushUpdates();
+        expect(validator.getCellError(data[0], 'price')).to.equal(undefined); // not yet validated
+
+        validator.validate();
+        dataModel.applyUpdates([{ id: 'a', changes: { price: -2, name: 'Bravo' } }]);
+        dataModel.flushUpdates();
+
+        expect(validator.getErrors().map(function(error) {
+            return error.rowIndex + ':' + error.name;
+        })).to.deep.equal(['0:price', '0:name', '1:name']);
+    });
+
+});
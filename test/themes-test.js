@@ -0,0 +1,43 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var themes = require('../src/lib/themes');
+
+describe('themes', function() {
+    before(function() {
+        themes.register('test-base', { color: 'red', font: '10px serif' });
+        themes.register('test-child', { baseTheme: 'test-base', color: 'blue' });
+    });
+
+    it('comes with default and dark themes', function() {
+        expect(themes.has('default')).to.equal(true);
+        expect(themes.get('default')).to.deep.equal({});
+        expect(themes.get('dark').backgroundColor).to.be.a('string');
+    });
+
+    it('inherits the properties of the base theme', function() {
+        expect(themes.get('test-child')).to.deep.equal({ color: 'blue', font: '10px serif' });
+    });
+
+    it('lists the lineage from default to the theme', function() {
+        expect(themes.getLineage('test-child')).to.deep.equal(['default', 'test-base', 'test-child']);
+    });
+
+    it('copies the registered theme', function() {
+        var theme = { color: 'green' };
+        themes.register('test-copy', theme);
+        theme.color = 'black';
+        expect(themes.get('test-copy').color).to.equal('green');
+    });
+
+    it('throws on unknown themes and inheritance cycles', function() {
+        themes.register('test-cycle', { baseTheme: 'test-cycle' });
+        expect(function() { themes.get('test-missing'); }).to.throw(/Unknown theme/);
+        expect(function() { themes.get('test-cycle'); }).to.throw(/inherits from itself/);
+    });
+
+    it('refuses to replace the default theme', function() {
+        expect(function() { themes.register('default', {}); }).to.throw();
+    });
+});
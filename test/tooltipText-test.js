@@ -0,0 +1,113 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var tooltipText = require('../src/lib/tooltipText');
+
+function point(x, y) {
+    return {
+        x: x,
+        y: y,
+        equals: function(other) { return other.x === x && other.y === y; }
+    };
+}
+
+function cellEvent(props, options) {
+    options = options || {};
+    var row = options.row || { first: 'Joe', age: 42 };
+    return {
+        isGridCell: !options.header,
+        isHeaderCell: !!options.header,
+        gridCell: point(1, 2),
+        dataCell: point(1, 0),
+        value: options.value !== undefined ? options.value : 42,
+        formattedValue: options.formattedValue !== undefined ? options.formattedValue : '42',
+        column: { name: 'age', header: 'Age' },
+        bounds: { x: 0, y: 0, width: 50, height: 20 },
+        dataModel: { getRow: function() { return row; } },
+        grid: { formatValue: function(format, value) { return format + ':' + value; } },
+        getCellProperty: function(name) { return props[name]; }
+    };
+}
+
+// measures text at 10 pixels per character
+function getTextWidth(gc, text) {
+    return text.length * 10;
+}
+
+describe('tooltipText', function() {
+    var gc;
+
+    beforeEach(function() {
+        gc = {};
+    });
+
+    it('returns undefined when there is nothing to show', function() {
+        expect(tooltipText(cellEvent({}))).to.equal(undefined);
+    });
+
+    it('shows the validation error of an invalid cell before any tooltip', function() {
+        var text = tooltipText(cellEvent({ tooltip: 'tip' }), { validationError: 'Required.' });
+        expect(text).to.equal('Required.');
+    });
+
+    describe('tooltip property', function() {
+        it('renders a template with the cell and row fields', function() {
+            var text = tooltipText(cellEvent({ tooltip: '{{header}} of {{first}}: {{formattedValue}} ({{name}})' }));
+            expect(text).to.equal('Age of Joe: 42 (age)');
+        });
+
+        it('calls a function with the cell event', function() {
+            var event = cellEvent({ tooltip: function(e) { return e.value * 2; } });
+            expect(tooltipText(event)).to.equal('84');
+        });
+
+        it('returns undefined when the text is empty', function() {
+            expect(tooltipText(cellEvent({ tooltip: function() { return ''; } }))).to.equal(undefined);
+        });
+
+        it('is ignored for header cells', function() {
+            expect(tooltipText(cellEvent({ tooltip: 'tip' }, { header: true }))).to.equal(undefined);
+        });
+    });
+
+    it('formats the hovered sparkline point of the same cell', function() {
+        var props = { format: 'number' },
+            hoverPoint = { gridCell: point(1, 2), value: 7 };
+
+        expect(tooltipText(cellEvent(props), { hoverPoint: hoverPoint })).to.equal('number:7');
+
+        hoverPoint.gridCell = point(1, 3);
+        expect(tooltipText(cellEvent(props), { hoverPoint: hoverPoint })).to.equal(undefined);
+    });
+
+    it('shows the description of header cells', function() {
+        var text = tooltipText(cellEvent({ description: 'Age in years' }, { header: true }));
+        expect(text).to.equal('Age in years');
+    });
+
+    describe('overflowing text', function() {
+        var props;
+
+        beforeEach(function() {
+            props = { tooltipOverflow: true, getTextWidth: getTextWidth, cellPadding: 5, font: '12px sans-serif' };
+        });
+
+        it('shows the full text when wider than the padded cell', function() {
+            var text = tooltipText(cellEvent(props, { formattedValue: 'abcde' }), { gc: gc });
+            expect(text).to.equal('abcde');
+            expect(gc.font).to.equal('12px sans-serif');
+        });
+
+        it('shows nothing when the text fits', function() {
+            expect(tooltipText(cellEvent(props, { formattedValue: 'abcd' }), { gc: gc })).to.equal(undefined);
+        });
+
+        it('shows nothing when disabled or without a graphics context', function() {
+            var event = cellEvent(props, { formattedValue: 'abcdefgh' });
+            expect(tooltipText(event)).to.equal(undefined);
+            props.tooltipOverflow = false;
+            expect(tooltipText(event, { gc: gc })).to.equal(undefined);
+        });
+    });
+});
@@ -0,0 +1,252 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var validators = require('../src/lib/validators');
+var Validator = require('../src/lib/Validator');
+
+// resolves synchronously so results can be checked without waiting
+function thenable(value) {
+    return {
+        then: function(resolve) {
+            var result = resolve ? resolve(value) : value;
+            return validators.isThenable(result) ? result : thenable(result);
+        }
+    };
+}
+
+function mockGrid(data, columnProperties, rowValidators) {
+    return {
+        properties: { rowValidators: rowValidators },
+        repaints: 0,
+        repaint: function() { this.repaints++; },
+        behavior: {
+            allColumns: Object.keys(columnProperties).map(function(name) {
+                return { name: name, properties: columnProperties[name] };
+            }),
+            getData: function() { return data; }
+        }
+    };
+}
+
+describe('validators', function(){
+
+    var values = ['a', 'b', 'a', ''];
+
+    function validate(rules, value, dataRow) {
+        return validators.validateValue(rules, value, dataRow || {}, function() { return values; }, {});
+    }
+
+    it('Should require non-empty values', function(){
+        var rules = [{ type: 'required' }];
+        expect(validate(rules, '')).to.equal('Required.');
+        expect(validate(rules, null)).to.equal('Required.');
+        expect(validate(rules, 0)).to.equal(undefined);
+    });
+
+    it('Should pass empty values for rules other than required', function(){
+        expect(validate([{ type: 'range', min: 1 }, { type: 'regex', pattern: '^x' }], '')).to.equal(undefined);
+    });
+
+    it('Should check ranges', function(){
+        var rules = [{ type: 'range', min: 1, max: '10' }];
+        expect(validate(rules, 5)).to.equal(undefined);
+        expect(validate(rules, 11)).to.equal('Must be between 1 and 10.');
+        expect(validate([{ type: 'range', min: 1, message: 'Too small.' }], 0)).to.equal('Too small.');
+    });
+
+    it('Should check patterns', function(){
+        var rules = [{ type: 'regex', pattern: '^[A-Z]{3}$', flags: 'i' }];
+        expect(validate(rules, 'usd')).to.equal(undefined);
+        expect(validate(rules, 'dollars')).to.equal('Invalid format.');
+    });
+
+    it('Should check uniqueness within the column', function(){
+        var rules = [{ type: 'unique' }];
+        expect(validate(rules, 'a')).to.equal('Duplicate value.');
+        expect(validate(rules, 'b')).to.equal(undefined);
+    });
+
+    it('Should report the first failing rule', function(){
+        var rules = [{ type: 'required' }, { type: 'range', max: 5 }, function() { return 'Never reached.'; }];
+        expect(validate(rules, 7)).to.equal('Must be at most 5.');
+    });
+
+    it('Should call custom rules with the value and row', function(){
+        var rules = [function(value, dataRow) { return value > dataRow.limit && 'Over limit.'; }];
+        expect(validate(rules, 7, { limit: 5 })).to.equal('Over limit.');
+        expect(validate(rules, 3, { limit: 5 })).to.equal(undefined);
+    });
+
+    it('Should resolve asynchronous rules in order', function(){
+        var message,
+            rules = [
+                { validate: function() { return thenable(false); } },
+                { validate: function() { return thenable(true); }, message: 'Unknown code.' }
+            ];
+
+        validate(rules, 'x').then(function(result) { message = result; });
+        expect(message).to.equal('Unknown code.');
+    });
+
+    it('Should mark the fields of failing row rules', function(){
+        var rules = [
+            { fields: ['start', 'end'], validate: function(row) { return row.start > row.end && 'Start after end.'; } },
+            { validate: function(row) { return !row.name && { name: 'Name required.' }; } }
+        ];
+
+        expect(validators.validateRow(rules, { start: 2, end: 1 })).to.deep.equal({
+            start: 'Start after end.',
+            end: 'Start after end.',
+            name: 'Name required.'
+        });
+        expect(validators.validateRow(rules, { start: 1, end: 2, name: 'x' })).to.deep.equal({});
+    });
+
+    describe('Validator', function(){
+
+        it('Should list the errors in the whole dataset', function(){
+            var data = [{ code: 'a', qty: 1 }, { code: 'a', qty: -1 }, { code: 'b', qty: 2 }],
+                grid = mockGrid(data, {
+                    code: { validators: [{ type: 'unique' }] },
+                    qty: { validators: [{ type: 'range', min: 0 }] }
+                }),
+                validator = new Validator(grid);
+
+            expect(validator.getErrors().map(function(error) {
+                return error.rowIndex + ':' + error.name;
+            })).to.deep.equal(['0:code', '1:code', '1:qty']);
+            expect(validator.getCellError(data[2], 'code')).to.equal(undefined);
+            expect(Object.keys(data[0])).to.deep.equal(['code', 'qty']); // state is not enumerable
+        });
+
+        it('Should revalidate the column of an edited unique cell', function(){
+            var data = [{ code: 'a' }, { code: 'a' }],
+                validator = new Validator(mockGrid(data, { code: { validators: [{ type: 'unique' }] } }));
+
+            validator.validate();
+            data[1].code = 'b';
+            validator.validateEdit(data[1], 'code');
+
+            expect(validator.getErrors()).to.deep.equal([]);
+        });
+
+        it('Should apply row rules', function(){
+            var data = [{ start: 2, end: 1 }],
+                validator = new Validator(mockGrid(data, {}, [
+                    { fields: ['end'], validate: function(row) { return row.start > row.end; }, message: 'Ends too soon.' }
+                ]));
+
+            validator.validate();
+            expect(validator.getCellError(data[0], 'end')).to.equal('Ends too soon.');
+
+            data[0].end = 3;
+            validator.validateEdit(data[0], 'end');
+            expect(validator.getCellError(data[0], 'end')).to.equal(undefined);
+        });
+
+        it('Should discard asynchronous results superseded by a later edit', function(){
+            var resolvers = [],
+                data = [{ code: 'bad' }],
+                validator = new Validator(mockGrid(data, { code: { validators: [{
+                    message: 'Unknown code.',
+                    validate: function(value) {
+                        return new Promise(function(resolve) {
+                            resolvers.push(function() { resolve(value === 'bad'); });
+                        });
+                    }
+                }] } })),
+                validated = validator.validate(),
+                edited;
+
+            data[0].code = 'good';
+            edited = validator.validateEdit(data[0], 'code');
+
+            resolvers[1](); // the edit's result arrives first...
+            resolvers[0](); // ...then the stale result of the original value
+
+            return Promise.all([validated, edited]).then(function() {
+                expect(validator.getCellError(data[0], 'code')).to.equal(undefined);
+            });
+        });
+
+        it('Should discard asynchronous row results superseded by a later edit', function(){
+            var resolvers = [],
+                data = [{ start: 2, end: 1 }],
+                validator = new Validator(mockGrid(data, {}, [{
+                    fields: ['end'],
+                    message: 'Ends too soon.',
+                    validate: function(row) {
+                        var invalid = row.start > row.end;
+                        return new Promise(function(resolve) {
+                            resolvers.push(function() { resolve(invalid); });
+                        });
+                    }
+                }])),
+                validated = validator.validate(),
+                edited;
+
+            data[0].end = 3;
+            edited = validator.validateEdit(data[0], 'end');
+
+            resolvers[1]();
+            resolvers[0]();
+
+            return Promise.all([validated, edited]).then(function() {
+                expect(validator.getCellError(data[0], 'end')).to.equal(undefined);
+            });
+        });
+
+        it('Should list cell errors before row errors, omitting row errors on cells already in error', function(){
+            var data = [{ qty: -1, price: 0 }],
+                validator = new Validator(mockGrid(data, { qty: { validators: [{ type: 'range', min: 0 }] } }, [
+                    { fields: ['qty', 'price'], validate: function(row) { return row.qty * row.price <= 0; }, message: 'No value.' }
+                ]));
+
+            expect(validator.getErrors().map(function(error) {
+                return error.name + ': ' + error.message;
+            })).to.deep.equal(['qty: Must be at least 0.', 'price: No value.']);
+        });
+
+        it('Should omit asynchronous results still pending', function(){
+            var data = [{ code: 'a', qty: -1 }],
+                validator = new Validator(mockGrid(data, {
+                    code: { validators: [{ validate: function() { return new Promise(function() {}); } }] },
+                    qty: { validators: [{ type: 'range', min: 0 }] }
+                }));
+
+            expect(validator.getErrors().map(function(error) { return error.name; })).to.deep.equal(['qty']);
+        });
+
+        it('Should revalidate a unique column once per batch', function(){
+            var checks = 0,
+                data = [{ code: 'a' }, { code: 'a' }, { code: 'b' }],
+                grid = mockGrid(data, { code: { validators: [function() { checks++; }, { type: 'unique' }] } }),
+                validator = new Validator(grid),
+                repaints;
+
+            validator.validate();
+            checks = 0;
+            repaints = grid.repaints;
+
+            validator.begin();
+            data[0].code = 'c';
+            validator.validateEdit(data[0], 'code');
+            data[1].code = 'd';
+            validator.validateEdit(data[1], 'code');
+            validator.begin(); // nested
+            validator.validateEdit(data[1], 'code');
+            validator.commit();
+
+            expect(checks).to.equal(0);
+            expect(grid.repaints).to.equal(repaints);
+            expect(validator.getCellError(data[1], 'code')).to.equal('Duplicate value.'); // not yet revalidated
+
+            validator.commit();
+
+            expect(checks).to.equal(3);
+            expect(grid.repaints).to.equal(repaints + 1);
+            expect(validator.getErrors()).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,41 @@
+'use strict';
+
+var expect = require('chai').expect;
+
+var wrapText = require('../src/lib/wrapText');
+
+// measures text at 10 pixels per character
+function getTextWidth(gc, string) {
+    return string.length * 10;
+}
+
+describe('wrapText', function() {
+    it('keeps text that fits on one line', function() {
+        expect(wrapText({}, 'one two', 70, getTextWidth)).to.deep.equal(['one two']);
+    });
+
+    it('breaks lines at spaces', function() {
+        expect(wrapText({}, 'one two three four', 90, getTextWidth)).to.deep.equal(['one two', 'three', 'four']);
+    });
+
+    it('breaks lines at newlines', function() {
+        expect(wrapText({}, 'one\ntwo three', 100, getTextWidth)).to.deep.equal(['one', 'two three']);
+    });
+
+    it('collapses runs of white space', function() {
+        expect(wrapText({}, '  one   two  ', 100, getTextWidth)).to.deep.equal(['one two']);
+    });
+
+    it('puts a word too wide for the width on a line of its own', function() {
+        expect(wrapText({}, 'a abcdefghij b', 50, getTextWidth)).to.deep.equal(['a', 'abcdefghij', 'b']);
+    });
+
+    it('returns a single empty line for empty values', function() {
+        expect(wrapText({}, undefined, 50, getTextWidth)).to.deep.equal(['']);
+        expect(wrapText({}, null, 50, getTextWidth)).to.deep.equal(['']);
+    });
+
+    it('converts non-strings', function() {
+        expect(wrapText({}, 12345, 30, getTextWidth)).to.deep.equal(['12345']);
+    });
+});